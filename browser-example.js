@@ -1,10 +1,10 @@
 import JSONStructureBrowser from "./json-browser.js";
-import StreamingJSONParser from "./json-parser.js";
+import JSONParser from "./json-parser.js";
 import InteractiveJSONBrowser from "./interactive-browser.js";
 
 async function runBrowserExample() {
   const browser = new JSONStructureBrowser();
-  const parser = new StreamingJSONParser();
+  const parser = new JSONParser();
 
   console.log("=== JSON 结构浏览器示例 ===\n");
 
@@ -0,0 +1,220 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { PassThrough } from "stream";
+import { finished, pipeline } from "stream/promises";
+import zlib from "zlib";
+
+/**
+ * 压缩格式工具
+ *
+ * 支持 gzip、deflate（zlib 格式）和 brotli。读取时优先根据文件头的魔数识别，
+ * brotli 没有魔数，只能依靠 .br 扩展名；写入时根据扩展名或显式指定的格式压缩。
+ */
+
+// 判断压缩格式需要读取的文件头字节数
+const HEADER_SIZE = 2;
+
+const EXTENSIONS = {
+  ".gz": "gzip",
+  ".gzip": "gzip",
+  ".zz": "deflate",
+  ".deflate": "deflate",
+  ".br": "br",
+};
+
+/**
+ * 根据扩展名判断压缩格式
+ * @param {string} filePath - 文件路径
+ * @returns {"gzip"|"deflate"|"br"|null}
+ */
+export function compressionFromExtension(filePath) {
+  return EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * 根据文件头魔数和扩展名判断文件的压缩格式
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<"gzip"|"deflate"|"br"|null>} - 未压缩时为 null
+ */
+export async function detectCompression(filePath) {
+  const handle = await fsPromises.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(
+      Buffer.alloc(HEADER_SIZE),
+      0,
+      HEADER_SIZE,
+      0,
+    );
+    return compressionFromHeader(buffer.subarray(0, bytesRead), filePath);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 创建解压流
+ * @param {"gzip"|"deflate"|"br"} compression - 压缩格式
+ * @returns {import("stream").Transform}
+ */
+export function createDecompressor(compression) {
+  switch (compression) {
+    case "gzip":
+      return zlib.createGunzip();
+    case "deflate":
+      return zlib.createInflate();
+    case "br":
+      return zlib.createBrotliDecompress();
+    default:
+      throw new Error(`不支持的压缩格式: ${compression}`);
+  }
+}
+
+/**
+ * 创建压缩流
+ * @param {"gzip"|"deflate"|"br"} compression - 压缩格式
+ * @returns {import("stream").Transform}
+ */
+export function createCompressor(compression) {
+  switch (compression) {
+    case "gzip":
+      return zlib.createGzip();
+    case "deflate":
+      return zlib.createDeflate();
+    case "br":
+      return zlib.createBrotliCompress();
+    default:
+      throw new Error(`不支持的压缩格式: ${compression}`);
+  }
+}
+
+/**
+ * 打开 JSON 文件的读取流，压缩文件会被透明解压
+ *
+ * 压缩格式根据读到的头几个字节判断，在输出数据之前记录到返回的流的
+ * compression 属性中；文件打不开等错误通过返回的流报告。
+ * @param {string} filePath - 文件路径
+ * @param {object} [options] - 传给 fs.createReadStream 的选项
+ * @returns {import("stream").Readable} - 解压后的字节流，source 属性为原始文件流
+ */
+export function createJSONReadStream(filePath, options = {}) {
+  const source = fs.createReadStream(filePath, options);
+  const stream = new PassThrough({ highWaterMark: options.highWaterMark });
+  stream.source = source;
+  stream.compression = null;
+  // 调用方提前销毁时一并关闭文件
+  stream.once("close", () => source.destroy());
+
+  decompressInto(source, stream, filePath).catch((error) =>
+    stream.destroy(error)
+  );
+  return stream;
+}
+
+/**
+ * 打开 JSON 文件的写入流，按扩展名或指定格式透明压缩
+ * @param {string} filePath - 文件路径
+ * @param {object} options - 配置选项
+ * @param {string} [options.flags="w"] - 文件打开标志
+ * @param {"gzip"|"deflate"|"br"|null} [options.compression] - 压缩格式，默认根据扩展名判断
+ * @returns {{stream: import("stream").Writable, done: Promise<void>}} - done 在数据全部落盘后完成
+ */
+export function createJSONWriteStream(filePath, options = {}) {
+  const {
+    flags = "w",
+    compression = compressionFromExtension(filePath),
+  } = options;
+
+  // 多个 gzip 成员首尾相接仍是合法的 gzip 文件，其它格式无法直接追加
+  if (compression && compression !== "gzip" && flags.startsWith("a")) {
+    throw new Error(`${compression} 格式不支持追加写入`);
+  }
+
+  const file = fs.createWriteStream(filePath, { flags });
+  if (!compression) {
+    const done = finished(file);
+    done.catch(() => {});
+    return { stream: file, done };
+  }
+
+  const compressor = createCompressor(compression);
+  const done = pipeline(compressor, file);
+  done.catch(() => {});
+  return { stream: compressor, done };
+}
+
+/**
+ * 根据文件头判断压缩格式
+ *
+ * zlib 头只有两个字节，以 "8" 开头的 JSON（例如只有一个数字 80 的文件）也可能
+ * 碰巧满足校验和，所以没有 .zz/.deflate 扩展名时还要求 CINFO 有效并且没有
+ * 预设字典（FDICT），否则按未压缩处理。
+ */
+function compressionFromHeader(header, filePath) {
+  const extension = compressionFromExtension(filePath);
+  if (header.length < HEADER_SIZE) {
+    return extension === "br" ? "br" : null;
+  }
+
+  if (header[0] === 0x1f && header[1] === 0x8b) {
+    return "gzip";
+  }
+  // zlib 头: CM=8 且头两个字节按大端组成的数能被 31 整除
+  if ((header[0] & 0x0f) === 8 && header.readUInt16BE(0) % 31 === 0) {
+    const cinfo = header[0] >> 4;
+    const fdict = header[1] & 0x20;
+    if (extension === "deflate" || (cinfo <= 7 && !fdict)) {
+      return "deflate";
+    }
+  }
+
+  // 文件内容看起来未压缩时，只有 brotli 需要参考扩展名
+  return extension === "br" ? "br" : null;
+}
+
+/**
+ * 读取文件头判断压缩格式，再把（解压后的）内容写入 output
+ */
+async function decompressInto(source, output, filePath) {
+  const iterator = source[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  let ended = false;
+  while (length < HEADER_SIZE) {
+    const { value, done } = await iterator.next();
+    if (done) {
+      ended = true;
+      break;
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const header = Buffer.concat(chunks);
+  const compression = compressionFromHeader(header, filePath);
+  output.compression = compression;
+
+  // 已经读出的部分放回流的开头
+  const content = async function* () {
+    try {
+      if (header.length > 0) {
+        yield header;
+      }
+      while (!ended) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      source.destroy();
+    }
+  };
+
+  if (compression) {
+    await pipeline(content, createDecompressor(compression), output);
+  } else {
+    await pipeline(content, output);
+  }
+}
@@ -5,6 +5,13 @@ import streamObject from "stream-json/streamers/StreamObject.js";
 import streamArray from "stream-json/streamers/StreamArray.js";
 import fs from "fs";
 import path from "path";
+import { createJSONReadStream } from "./compression.js";
+import { attachDiagnostic, formatDiagnostic } from "./json-diagnostics.js";
+import {
+  DuplicateKeyDetector,
+  formatDuplicateKeyReport,
+  locateDuplicateKeys,
+} from "./json-duplicate-keys.js";
 
 class DeepStreamAnalyzer {
   constructor() {
@@ -18,6 +25,7 @@ class DeepStreamAnalyzer {
       nulls: 0,
       keyFrequency: new Map(),
       paths: new Map(),
+      duplicateKeys: { count: 0, duplicates: [] },
       maxDepth: 0,
       processingTime: 0,
       totalKeys: 0,
@@ -37,10 +45,16 @@ class DeepStreamAnalyzer {
 
     return new Promise((resolve, reject) => {
       try {
+        const duplicates = new DuplicateKeyDetector();
         // 使用StreamValues来获取所有值，包括嵌套的
         const pipeline = streamChain.chain([
-          fs.createReadStream(filePath),
-          streamJson.parser(),
+          createJSONReadStream(filePath),
+          streamJson.parser({ jsonStreaming: true }),
+          (token) => {
+            // 边解析边检测重复的键
+            duplicates.write(token);
+            return token;
+          },
           new streamValues(),
         ]);
 
@@ -48,7 +62,17 @@ class DeepStreamAnalyzer {
           this.processStreamData(data);
         });
 
-        pipeline.on("end", () => {
+        pipeline.on("end", async () => {
+          try {
+            this.stats.duplicateKeys = await locateDuplicateKeys(
+              filePath,
+              duplicates,
+              { multipleValues: true },
+            );
+          } catch (error) {
+            reject(error);
+            return;
+          }
           this.stats.processingTime = Date.now() - startTime;
           const report = this.generateReport(filePath);
           console.log(`✅ 深度分析完成: ${this.stats.processingTime}ms`);
@@ -56,8 +80,15 @@ class DeepStreamAnalyzer {
           resolve(report);
         });
 
-        pipeline.on("error", (error) => {
-          console.error("❌ 流式处理错误:", error);
+        pipeline.on("error", async (error) => {
+          const diagnostic = await attachDiagnostic(filePath, error, {
+            multipleValues: true,
+          });
+          if (diagnostic) {
+            console.error(`❌ JSON 语法错误:\n${formatDiagnostic(diagnostic)}`);
+          } else {
+            console.error("❌ 流式处理错误:", error);
+          }
           reject(error);
         });
       } catch (error) {
@@ -251,6 +282,9 @@ class DeepStreamAnalyzer {
       });
     }
 
+    // 重复的键
+    report += formatDuplicateKeyReport(this.stats.duplicateKeys);
+
     // 性能指标
     report += `## ⚡ 性能指标\n\n`;
     report += `- **处理时间:** ${this.stats.processingTime}ms\n`;
@@ -316,6 +350,7 @@ class DeepStreamAnalyzer {
       nulls: 0,
       keyFrequency: new Map(),
       paths: new Map(),
+      duplicateKeys: { count: 0, duplicates: [] },
       maxDepth: 0,
       processingTime: 0,
       totalKeys: 0,
@@ -407,6 +442,8 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+if (import.meta.main) {
+  main().catch(console.error);
+}
 
 export default DeepStreamAnalyzer;
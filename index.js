@@ -1,55 +1,519 @@
 import fs from "fs/promises";
+import { createReadStream } from "fs";
 import path from "path";
+import { once } from "events";
+import { pipeline } from "stream";
+import { finished } from "stream/promises";
+import streamJson from "stream-json";
 import { request } from "undici";
+import JSONTokenizer, {
+  findValueBoundaries,
+  scanContainers,
+} from "./json-tokenizer.js";
+import JSONStreamWriter, { JSONEntries } from "./json-stream-writer.js";
+import JSONPathQuery, {
+  checkSliceBounds,
+  formatJSONPath,
+  readArraySliceStream,
+} from "./json-path.js";
+import { readNDJSON } from "./ndjson.js";
+import { diagnoseJSON, diagnoseJSONFile } from "./json-diagnostics.js";
+import { repairJSONFile } from "./json-repair.js";
+import {
+  checkNumberMode,
+  parseJSON,
+  stringifyJSON,
+  ValueAssembler,
+} from "./json-values.js";
+import {
+  createDecompressor,
+  createJSONReadStream,
+  createJSONWriteStream,
+} from "./compression.js";
+
+// 分块读取时每次从文件读取的字节数，与块的大小无关：
+// 块很小时也不会频繁地读取文件，块很大时也不会一次读入太多
+const READ_BUFFER_SIZE = 64 * 1024;
+
+// 支持解码的 HTTP Content-Encoding 及对应的压缩格式
+const CONTENT_ENCODINGS = {
+  gzip: "gzip",
+  "x-gzip": "gzip",
+  deflate: "deflate",
+  br: "br",
+};
+
+// 值得重试的网络错误：连接被拒绝或重置、超时、DNS 暂时失败、连接中途断开等。
+// 文件系统错误（EACCES、ENOSPC 等）和程序错误重试也不会成功，直接抛出
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETDOWN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+  "UND_ERR_RES_CONTENT_LENGTH_MISMATCH",
+]);
+
+/**
+ * 下载失败时抛出的错误
+ */
+export class DownloadError extends Error {
+  constructor(
+    message,
+    { statusCode = null, retryable = false, cause = undefined } = {},
+  ) {
+    super(message, { cause });
+    this.name = "DownloadError";
+    this.statusCode = statusCode;
+    this.retryable = retryable ||
+      (statusCode !== null &&
+        (statusCode >= 500 || statusCode === 408 || statusCode === 429));
+  }
+}
 
 export default class LargeJSONHandler {
   constructor() {
     this.chunkSize = 500; // 每次处理的字符数，防止超出上下文限制
+    this.containerScan = null; // 最近一次 scanContainers() 的文本和结果
   }
 
   /**
    * 下载大型 JSON 文件
+   *
+   * 支持断点续传：下载过程中会在 `${outputPath}.download-state` 中记录
+   * ETag 和总长度，若上次下载中断，再次调用时会通过 Range 请求只下载剩余部分
+   * 并追加到已有文件；资源已变化（ETag 不一致）时自动重新下载。
+   * 网络错误（见 RETRYABLE_ERROR_CODES）、5xx 状态码和长度校验失败会按指数
+   * 退避重试，文件系统错误等其余错误直接抛出。
+   *
+   * 开启 validate 后，非 JSON 的 Content-Type 会被直接拒绝，响应体在写入的
+   * 同时交给 stream-json 词法分析器校验，一旦发现不是合法 JSON（例如 HTML
+   * 错误页或被截断的内容）就中止下载并删除已写入的文件。无论是否开启
+   * validate，压缩的响应体解压失败时同样删除已写入的文件和续传状态。
+   *
+   * 默认通过 Accept-Encoding 请求 gzip/deflate/brotli 压缩传输，响应体在写入
+   * 前解压，保存的始终是原始 JSON；续传请求只接受未压缩的内容，以保证字节偏移一致。
    * @param {string} url - 文件URL
    * @param {string} outputPath - 保存路径
+   * @param {object} options - 配置选项
+   * @param {boolean} [options.resume=true] - 是否从上次中断的位置继续下载
+   * @param {boolean} [options.validate=false] - 是否在下载时校验 JSON
+   * @param {boolean} [options.compression=true] - 是否请求压缩传输
+   * @param {number} [options.retries=3] - 最大重试次数
+   * @param {number} [options.retryDelay=1000] - 首次重试前的等待毫秒数，之后每次翻倍
    * @returns {Promise<void>}
    */
-  async downloadJSON(url, outputPath) {
+  async downloadJSON(url, outputPath, options = {}) {
+    const {
+      resume = true,
+      validate = false,
+      compression = true,
+      retries = 3,
+      retryDelay = 1000,
+    } = options;
+    const statePath = `${outputPath}.download-state`;
+
+    console.log(`开始下载文件: ${url}`);
+
+    for (let attempt = 0;; attempt++) {
+      try {
+        const totalBytes = await this.downloadAttempt(url, outputPath, {
+          statePath,
+          resume: resume || attempt > 0,
+          validate,
+          compression,
+        });
+        await fs.rm(statePath, { force: true });
+
+        console.log(`下载完成，文件保存在: ${outputPath}`);
+        console.log(`总大小: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
+        return;
+      } catch (error) {
+        if (attempt >= retries || !this.isRetryableDownloadError(error)) {
+          console.error("下载失败:", error);
+          throw error;
+        }
+
+        const delay = retryDelay * 2 ** attempt;
+        console.warn(
+          `下载中断: ${error.message}，${delay}ms 后进行第 ${
+            attempt + 1
+          } 次重试`,
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * 执行一次下载请求，必要时从已有的部分文件继续
+   * @returns {Promise<number>} - 下载完成后的文件总字节数
+   */
+  async downloadAttempt(
+    url,
+    outputPath,
+    { statePath, resume, validate, compression },
+  ) {
+    const state = resume ? await this.readDownloadState(statePath, url) : null;
+    const existingBytes = state
+      ? await this.getFileSize(outputPath).catch(() => 0)
+      : 0;
+
+    const headers = { Accept: "application/json" };
+    if (existingBytes > 0) {
+      headers.Range = `bytes=${existingBytes}-`;
+      // 弱 ETag 不能用于 If-Range，改用 Last-Modified
+      const validator = state.etag && !state.etag.startsWith("W/")
+        ? state.etag
+        : state.lastModified;
+      if (validator) {
+        headers["If-Range"] = validator;
+      }
+      console.log(`检测到未完成的下载，从 ${existingBytes} 字节处继续`);
+    }
+    if (compression) {
+      headers["Accept-Encoding"] = existingBytes > 0
+        ? "identity"
+        : "gzip, deflate, br";
+    }
+
+    const { statusCode, headers: responseHeaders, body } = await request(url, {
+      method: "GET",
+      headers,
+    });
+
+    let flag = "w";
+    let receivedBytes = 0;
+    let totalBytes = null;
+
+    if (statusCode === 206 && existingBytes > 0) {
+      const range = this.parseContentRange(responseHeaders["content-range"]);
+      const etag = responseHeaders.etag;
+
+      if (
+        !range || range.start !== existingBytes ||
+        (state.etag && etag && etag !== state.etag)
+      ) {
+        await body.dump();
+        await fs.rm(statePath, { force: true });
+        throw new DownloadError("续传响应与本地文件不匹配，将重新下载", {
+          retryable: true,
+        });
+      }
+
+      flag = "a";
+      receivedBytes = existingBytes;
+      totalBytes = range.total;
+    } else if (statusCode === 416 && existingBytes > 0) {
+      await body.dump();
+      const range = this.parseContentRange(responseHeaders["content-range"]);
+
+      // 本地文件已经完整
+      if (range && range.total === existingBytes) {
+        return existingBytes;
+      }
+
+      await fs.rm(statePath, { force: true });
+      throw new DownloadError("本地文件与远程文件长度不一致，将重新下载", {
+        retryable: true,
+      });
+    } else if (statusCode >= 200 && statusCode < 300) {
+      const contentLength = responseHeaders["content-length"];
+      totalBytes = contentLength !== undefined ? Number(contentLength) : null;
+    } else {
+      await body.dump();
+      throw new DownloadError(`下载请求失败，HTTP 状态码: ${statusCode}`, {
+        statusCode,
+      });
+    }
+
+    let encodings;
     try {
-      console.log(`开始下载文件: ${url}`);
+      encodings = this.parseContentEncoding(
+        responseHeaders["content-encoding"],
+      );
+    } catch (error) {
+      await body.dump();
+      throw error;
+    }
 
-      const { body } = await request(url, {
-        method: "GET",
-        headers: {
-          Accept: "application/json",
-        },
+    if (flag === "a" && encodings.length > 0) {
+      await body.dump();
+      await fs.rm(statePath, { force: true });
+      throw new DownloadError("续传响应与本地文件不匹配，将重新下载", {
+        retryable: true,
       });
+    }
 
-      const fileStream = await fs.open(outputPath, "w");
+    // 压缩传输时 Content-Length 是压缩后的长度，只能用来校验传输的字节数
+    let encodedTotal = null;
+    let transferredBytes = 0;
+    if (encodings.length > 0) {
+      encodedTotal = totalBytes;
+      totalBytes = null;
+    }
 
-      let totalBytes = 0;
-      for await (const chunk of body) {
-        await fileStream.write(chunk);
-        totalBytes += chunk.length;
-        console.log(`已下载: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
-      }
+    const contentType = responseHeaders["content-type"];
+    if (validate && contentType && !/json/i.test(contentType)) {
+      await body.dump();
+      throw new DownloadError(`响应不是 JSON，Content-Type: ${contentType}`);
+    }
 
-      await fileStream.close();
-      console.log(`下载完成，文件保存在: ${outputPath}`);
-      console.log(`总大小: ${(totalBytes / 1024 / 1024).toFixed(2)} MB`);
+    let fileHandle;
+    try {
+      await this.writeDownloadState(statePath, {
+        url,
+        etag: responseHeaders.etag || null,
+        lastModified: responseHeaders["last-modified"] || null,
+        totalBytes,
+      });
+      fileHandle = await fs.open(outputPath, flag);
     } catch (error) {
-      console.error("下载失败:", error);
+      // 文件系统错误，释放连接后直接抛出
+      await body.dump();
       throw error;
     }
+
+    // 区分传输中断和解压失败：前者保留部分文件以便续传
+    let transferFailed = false;
+    const countTransferred = async function* (source) {
+      try {
+        for await (const chunk of source) {
+          transferredBytes += chunk.length;
+          yield chunk;
+        }
+      } catch (error) {
+        transferFailed = true;
+        throw error;
+      }
+    };
+    // 多重编码按应用顺序的逆序解码
+    const decoders = encodings.reverse().map((encoding) =>
+      createDecompressor(encoding)
+    );
+    const content = decoders.length > 0
+      ? pipeline(body, countTransferred, ...decoders, () => {})
+      : body;
+
+    const validator = validate ? this.createJSONValidator() : null;
+    try {
+      // 续传时先让校验器读一遍已下载的部分
+      if (validator && flag === "a") {
+        for await (
+          const chunk of createReadStream(outputPath, {
+            end: existingBytes - 1,
+          })
+        ) {
+          await validator.write(chunk);
+        }
+      }
+
+      for await (const chunk of content) {
+        if (validator) {
+          await validator.write(chunk);
+        }
+        await fileHandle.write(chunk);
+        receivedBytes += chunk.length;
+        console.log(`已下载: ${(receivedBytes / 1024 / 1024).toFixed(2)} MB`);
+      }
+    } catch (error) {
+      let failure = error;
+      if (
+        !transferFailed && decoders.some(({ errored }) => errored === error)
+      ) {
+        failure = new DownloadError(`响应内容解压失败: ${error.message}`, {
+          cause: error,
+        });
+      }
+      if (failure instanceof DownloadError) {
+        content.destroy();
+        await this.discardDownload(outputPath, statePath, fileHandle);
+      }
+      throw failure;
+    } finally {
+      await fileHandle.close().catch(() => {});
+    }
+
+    if (totalBytes !== null && receivedBytes !== totalBytes) {
+      throw new DownloadError(
+        `下载长度不一致: 期望 ${totalBytes} 字节，实际 ${receivedBytes} 字节`,
+        { retryable: true },
+      );
+    }
+    if (encodedTotal !== null && transferredBytes !== encodedTotal) {
+      throw new DownloadError(
+        `下载长度不一致: 期望 ${encodedTotal} 字节，实际 ${transferredBytes} 字节`,
+        { retryable: true },
+      );
+    }
+
+    if (validator) {
+      try {
+        await validator.end();
+      } catch (error) {
+        await this.discardDownload(outputPath, statePath);
+        throw error;
+      }
+    }
+
+    return receivedBytes;
+  }
+
+  /**
+   * 创建基于 stream-json 的 JSON 校验器
+   * @returns {{write: function(Buffer): Promise<void>, end: function(): Promise<void>}}
+   */
+  createJSONValidator() {
+    const jsonParser = streamJson.parser();
+    let failure = null;
+
+    jsonParser.on("error", (error) => {
+      failure = failure || error;
+    });
+    // 只关心是否报错，丢弃产生的词法单元
+    jsonParser.resume();
+
+    const check = () => {
+      if (failure) {
+        throw new DownloadError(`响应内容不是合法的 JSON: ${failure.message}`);
+      }
+    };
+
+    return {
+      async write(chunk) {
+        check();
+        if (!jsonParser.write(chunk)) {
+          await once(jsonParser, "drain").catch(() => {});
+        }
+        check();
+      },
+      async end() {
+        check();
+        jsonParser.end();
+        await finished(jsonParser).catch((error) => {
+          failure = failure || error;
+        });
+        check();
+      },
+    };
+  }
+
+  /**
+   * 删除校验或解压失败的下载文件及其续传状态
+   */
+  async discardDownload(outputPath, statePath, fileHandle = null) {
+    if (fileHandle) {
+      await fileHandle.close().catch(() => {});
+    }
+    await fs.rm(outputPath, { force: true });
+    await fs.rm(statePath, { force: true });
+    console.warn(`下载内容无效，已删除: ${outputPath}`);
+  }
+
+  /**
+   * 判断下载错误是否值得重试
+   */
+  isRetryableDownloadError(error) {
+    if (error instanceof DownloadError) {
+      return error.retryable;
+    }
+    // 连接失败时 Node.js 可能把多个地址的错误包装为 AggregateError
+    const errors = error instanceof AggregateError ? error.errors : [error];
+    return errors.some((item) =>
+      RETRYABLE_ERROR_CODES.has(item?.code ?? item?.cause?.code)
+    );
+  }
+
+  /**
+   * 解析 Content-Encoding 响应头，返回按应用顺序排列的压缩格式
+   * @returns {Array<"gzip"|"deflate"|"br">}
+   */
+  parseContentEncoding(header) {
+    return (header || "")
+      .split(",")
+      .map((encoding) => encoding.trim().toLowerCase())
+      .filter((encoding) => encoding && encoding !== "identity")
+      .map((encoding) => {
+        if (!Object.hasOwn(CONTENT_ENCODINGS, encoding)) {
+          throw new DownloadError(`不支持的 Content-Encoding: ${encoding}`);
+        }
+        return CONTENT_ENCODINGS[encoding];
+      });
+  }
+
+  /**
+   * 解析 Content-Range 响应头，例如 "bytes 100-199/200" 或 "bytes *\/200"
+   * @returns {{start: number|null, end: number|null, total: number|null} | null}
+   */
+  parseContentRange(header) {
+    const match = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/.exec(header || "");
+    if (!match) {
+      return null;
+    }
+
+    return {
+      start: match[1] !== undefined ? Number(match[1]) : null,
+      end: match[2] !== undefined ? Number(match[2]) : null,
+      total: match[3] !== "*" ? Number(match[3]) : null,
+    };
+  }
+
+  /**
+   * 读取断点续传状态，URL 不一致或文件不存在时返回 null
+   */
+  async readDownloadState(statePath, url) {
+    try {
+      const state = JSON.parse(await fs.readFile(statePath, "utf8"));
+      return state.url === url ? state : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 保存断点续传状态
+   */
+  async writeDownloadState(statePath, state) {
+    await fs.writeFile(statePath, JSON.stringify(state), "utf8");
   }
 
   /**
    * 分块读取 JSON 文件
+   *
+   * 基于字节读取流和可恢复的词法分析器实现，每个块都是一个语法完整的 JSON 值。
+   * 跨度不超过 chunkSize 的值整体放入一个块；更大的对象或数组会被展开，
+   * 它的成员按顺序分组输出，每组外面套上从根到该容器的各层容器，例如
+   * {"paths":{"/a":{...},"/b":{...}}}。块只在完整的成员之间切分，不会切开
+   * 字符串或数字。
+   *
+   * 外层容器只用来保持每个块是合法的 JSON，不能把块直接深度合并：嵌套数组被
+   * 展开后，同一个元素的成员分散在多个块中，按数组拼接会多出元素。需要还原时
+   * 按 keys 逐层取出块中的成员（外层数组只有一个元素，对应 keys 中的下标），
+   * 依次追加到结果中 keys 所指的容器。
+   *
+   * 内存中只保留尚未输出的成员的原始字节，与文件大小无关。单个基本类型的值
+   * （例如超长字符串）无法再切分，会单独成为一个超过 chunkSize 的块。
+   * NDJSON 等包含多个顶层值的文件中，每个顶层值单独成块（过大时同样展开）。
+   *
+   * position 是块中第一个成员在文件中的字节偏移（不是字符下标）；
+   * gzip/deflate/brotli 压缩文件（根据文件头或 .gz/.br 扩展名识别）会被
+   * 透明解压，此时 position 是解压后内容中的偏移，进度按已读取的压缩字节计算。
    * @param {string} filePath - 文件路径
    * @param {object} options - 配置选项
-   * @param {number} [options.chunkSize=500] - 每次读取的字符数
+   * @param {number} [options.chunkSize=500] - 每块的最大字节数
    * @param {boolean} [options.pretty=false] - 是否美化输出
+   * @param {string} [options.numbers="number"] - 美化输出时数字的处理方式，"bigint" 或 "string" 保留原始数字文本
    * @param {function} [options.progressCallback] - 进度回调函数
-   * @returns {Promise<Generator>}
+   * @returns {AsyncGenerator<{chunk: string, position: number, path: string, keys: Array<string|number>, progress: number}>} - path 为块中成员所在容器的 JSONPath，keys 为对应的键和下标序列
+   * @throws {JSONSyntaxError} - 文件不是合法的 JSON
    */
   async *readJSONInChunks(filePath, options = {}) {
     const {
@@ -57,60 +521,53 @@ export default class LargeJSONHandler {
       pretty = false,
       progressCallback = null,
     } = options;
+    const numbers = checkNumberMode(options.numbers);
 
     try {
       console.log(`开始读取文件: ${filePath}`);
-      const content = await fs.readFile(filePath, "utf8");
-      const totalLength = content.length;
-      let position = 0;
-
-      while (position < totalLength) {
-        const endPosition = Math.min(position + chunkSize, totalLength);
-        let chunk = content.slice(position, endPosition);
-
-        // 如果是 JSON 格式，尝试获取完整的 JSON 片段
-        try {
-          const startIndex = this.findPreviousBracket(content, position);
-          const endIndex = this.findNextBracket(content, endPosition);
-
-          if (startIndex !== -1 && endIndex !== -1) {
-            chunk = content.slice(startIndex, endIndex);
-            const isValidJSON = this.validateJSONSnippet(chunk);
-
-            if (isValidJSON) {
-              if (pretty) {
-                chunk = this.formatJSONChunk(chunk);
-              }
-
-              position = endIndex;
-
-              if (progressCallback) {
-                progressCallback(position, totalLength);
-              }
-
-              yield {
-                chunk,
-                position: startIndex,
-                progress: Math.round((position / totalLength) * 100),
-              };
-              continue;
-            }
-          }
-        } catch (error) {
-          // 如果解析失败，继续使用原始块
-        }
-
-        position += chunkSize;
+      const totalLength = await this.getFileSize(filePath);
+      const stream = createJSONReadStream(filePath, {
+        highWaterMark: READ_BUFFER_SIZE,
+      });
+      const tokenizer = new JSONTokenizer({ multipleValues: true });
+      const builder = new JSONChunkBuilder(chunkSize);
+      const readBytes = () =>
+        stream.compression ? stream.source.bytesRead : builder.bytesRead;
 
+      const output = ({ text, position, path, keys }) => {
         if (progressCallback) {
-          progressCallback(position, totalLength);
+          progressCallback(readBytes(), totalLength);
         }
 
-        yield {
-          chunk,
+        return {
+          chunk: pretty ? this.formatJSONChunk(text, { numbers }) : text,
           position,
-          progress: Math.round((position / totalLength) * 100),
+          path,
+          keys,
+          progress: totalLength > 0
+            ? Math.round((readBytes() / totalLength) * 100)
+            : 100,
         };
+      };
+
+      try {
+        for await (const data of stream) {
+          builder.append(data);
+          for (const token of tokenizer.write(data)) {
+            builder.write(token);
+          }
+          for (const chunk of builder.take()) {
+            yield output(chunk);
+          }
+        }
+        for (const token of tokenizer.end()) {
+          builder.write(token);
+        }
+        for (const chunk of builder.take()) {
+          yield output(chunk);
+        }
+      } finally {
+        stream.destroy();
       }
 
       console.log("文件读取完成");
@@ -122,12 +579,18 @@ export default class LargeJSONHandler {
 
   /**
    * 分块写入 JSON 文件
+   *
+   * 使用 JSONStreamWriter 边遍历数据边写入，不会预先生成完整的 JSON 字符串；
+   * 数组位置上可以传入异步可迭代对象或对象模式的可读流。写入遵循输出流的背压。
+   * 文件扩展名为 .gz/.br 等时自动压缩，也可以通过 compression 显式指定。
    * @param {string} filePath - 文件路径
-   * @param {object} data - 要写入的数据
+   * @param {*} data - 要写入的数据
    * @param {object} options - 配置选项
    * @param {boolean} [options.append=false] - 是否追加到现有文件
    * @param {number} [options.chunkSize=500] - 每次写入的字符数
    * @param {boolean} [options.pretty=false] - 是否美化输出
+   * @param {"gzip"|"deflate"|"br"|null} [options.compression] - 压缩格式，默认根据扩展名判断，null 表示不压缩
+   * @param {function} [options.progressCallback] - 进度回调，参数为已写入字节数
    * @returns {Promise<void>}
    */
   async writeJSONInChunks(filePath, data, options = {}) {
@@ -135,43 +598,154 @@ export default class LargeJSONHandler {
       append = false,
       chunkSize = this.chunkSize,
       pretty = false,
+      compression,
+      progressCallback = null,
     } = options;
 
     try {
       console.log(`开始写入文件: ${filePath}`);
 
-      let jsonString = JSON.stringify(data);
-      if (pretty) {
-        jsonString = JSON.stringify(data, null, 2);
+      const { stream: output, done } = createJSONWriteStream(filePath, {
+        flags: append ? "a" : "w",
+        compression,
+      });
+      let reportedMB = 0;
+      const writer = new JSONStreamWriter(output, {
+        pretty,
+        chunkSize,
+        progressCallback: (bytesWritten) => {
+          // 每写入 1 MB 输出一次进度，避免日志刷屏
+          const writtenMB = Math.floor(bytesWritten / 1024 / 1024);
+          if (writtenMB > reportedMB) {
+            reportedMB = writtenMB;
+            console.log(`写入进度: ${writtenMB} MB`);
+          }
+          if (progressCallback) {
+            progressCallback(bytesWritten);
+          }
+        },
+      });
+
+      try {
+        await writer.write(data);
+        await writer.end();
+        await done;
+      } catch (error) {
+        output.destroy();
+        throw error;
       }
 
-      const flag = append ? "a" : "w";
-      const fileHandle = await fs.open(filePath, flag);
-      const totalLength = jsonString.length;
-      let position = 0;
+      console.log(
+        `文件写入完成，共 ${(writer.bytesWritten / 1024 / 1024).toFixed(2)} MB`,
+      );
+    } catch (error) {
+      console.error("写入文件失败:", error);
+      throw error;
+    }
+  }
 
-      while (position < totalLength) {
-        const endPosition = Math.min(position + chunkSize, totalLength);
-        const chunk = jsonString.slice(position, endPosition);
+  /**
+   * 逐行读取 NDJSON（JSON Lines）文件
+   *
+   * 无法解析的行默认被跳过并报告行号和字节偏移，strict 模式下直接抛出 NDJSONError。
+   * @param {string} filePath - 文件路径
+   * @param {object} options - 配置选项，见 ndjson.js 中的 readNDJSON
+   * @returns {AsyncGenerator<{value: *, line: number, position: number}>}
+   */
+  readNDJSON(filePath, options = {}) {
+    return readNDJSON(filePath, options);
+  }
 
-        await fileHandle.write(chunk);
-        position = endPosition;
+  /**
+   * 读取文件中数组的 [start, end) 元素
+   *
+   * 流式读取，start 之前的元素只跳过、不组装，读到 end 之后立即停止，因此
+   * 内存占用只与读取的元素有关。需要反复读取同一个文件的不同位置时，
+   * JSONStructureBrowser.readArraySlice() 借助字节偏移索引直接定位。
+   * @param {string} filePath - 文件路径（支持压缩文件）
+   * @param {string|Array<string|number>} arrayPath - 数组的路径，例如 "$.items"、"$"，或键和下标序列
+   * @param {number} [start=0] - 第一个元素的下标
+   * @param {number} [end=Infinity] - 结束下标（不包含）
+   * @param {object} options - 配置选项
+   * @param {string} [options.numbers="number"] - 数字模式，见 json-values.js
+   * @returns {Promise<{items: Array<*>, start: number, end: number, length: number|null} | null>} - 路径不存在时为 null；只有读到数组末尾时才知道 length
+   * @throws {RangeError} - start 或 end 不是非负整数
+   */
+  async readArraySlice(
+    filePath,
+    arrayPath,
+    start = 0,
+    end = Infinity,
+    options = {},
+  ) {
+    // 先检查下标，避免打开文件后不读取
+    checkSliceBounds(start, end);
+    return await readArraySliceStream(
+      createJSONReadStream(filePath),
+      arrayPath,
+      start,
+      end,
+      options,
+    );
+  }
 
-        const progress = Math.round((position / totalLength) * 100);
-        console.log(
-          `写入进度: ${progress}% (${
-            (position / 1024 / 1024).toFixed(
-              2,
-            )
-          } MB / ${(totalLength / 1024 / 1024).toFixed(2)} MB)`,
-        );
+  /**
+   * 写入 NDJSON（JSON Lines）文件，每条记录占一行
+   * @param {string} filePath - 文件路径
+   * @param {Iterable|AsyncIterable} records - 记录，可以是数组、生成器或对象模式的可读流
+   * @param {object} options - 配置选项
+   * @param {boolean} [options.append=false] - 是否追加到现有文件
+   * @param {"gzip"|"deflate"|"br"|null} [options.compression] - 压缩格式，默认根据扩展名判断
+   * @param {function} [options.progressCallback] - 进度回调，参数为已写入的记录数和字节数
+   *
+   * BigInt 和 JSONDecimal（见 json-values.js）按原始数字写出。
+   * @returns {Promise<number>} - 写入的记录数
+   */
+  async writeNDJSON(filePath, records, options = {}) {
+    const {
+      append = false,
+      compression,
+      progressCallback = null,
+    } = options;
+
+    try {
+      console.log(`开始写入 NDJSON 文件: ${filePath}`);
+
+      const { stream: output, done } = createJSONWriteStream(filePath, {
+        flags: append ? "a" : "w",
+        compression,
+      });
+      let count = 0;
+      let bytesWritten = 0;
+
+      try {
+        for await (const record of records) {
+          const line = stringifyJSON(record);
+          if (line === undefined) {
+            throw new TypeError(
+              `第 ${count + 1} 条记录无法序列化: ${typeof record}`,
+            );
+          }
 
-        // 添加延迟，避免过快的写入
-        await new Promise((resolve) => setTimeout(resolve, 1));
+          count++;
+          bytesWritten += Buffer.byteLength(line) + 1;
+          if (!output.write(`${line}\n`)) {
+            await once(output, "drain");
+          }
+          if (progressCallback) {
+            progressCallback(count, bytesWritten);
+          }
+        }
+
+        output.end();
+        await done;
+      } catch (error) {
+        output.destroy();
+        throw error;
       }
 
-      await fileHandle.close();
-      console.log("文件写入完成");
+      console.log(`NDJSON 写入完成，共 ${count} 条记录`);
+      return count;
     } catch (error) {
       console.error("写入文件失败:", error);
       throw error;
@@ -179,53 +753,255 @@ export default class LargeJSONHandler {
   }
 
   /**
-   * 查找前一个完整的 JSON 括号位置
+   * 把 JSON 文件中的数组转换为 NDJSON
+   *
+   * 数组元素逐个解析并写出，内存中同一时间只有一个元素。读到第一个元素
+   * （或确认数组为空）之后才创建输出文件，路径不存在或不是数组时不会写出
+   * 任何内容；中途出错时删除不完整的输出文件（追加模式除外）。
+   * @param {string} inputPath - JSON 文件路径
+   * @param {string} outputPath - NDJSON 文件路径
+   * @param {object} options - 配置选项，其余选项传给 writeNDJSON
+   * @param {string} [options.path="$"] - 数组的路径，只由成员名和下标组成，例如 "items" 或 "$.data.rows"
+   * @param {string} [options.numbers="number"] - 数字模式，"bigint" 或 "string" 时数字按原文写出
+   * @param {string} [options.duplicateKeys="last-wins"] - 元素中重复键的处理方式，见 json-duplicate-keys.js
+   * @returns {Promise<number>} - 转换的记录数
+   * @throws {Error} - 路径不存在
+   * @throws {TypeError} - 路径指向的值不是数组
    */
-  findPreviousBracket(content, position) {
-    let depth = 0;
-    let start = -1;
-
-    for (let i = position; i >= 0; i--) {
-      const char = content[i];
-      if (char === "{" || char === "[") {
-        if (depth === 0) {
-          start = i;
-          break;
+  async jsonArrayToNDJSON(inputPath, outputPath, options = {}) {
+    const {
+      path: arrayPath = "$",
+      numbers,
+      duplicateKeys,
+      ...writeOptions
+    } = options;
+    const query = new JSONPathQuery(`${arrayPath}[*]`, {
+      numbers,
+      duplicateKeys,
+    });
+
+    async function* elements() {
+      for await (const { value, keys } of query.query(inputPath)) {
+        if (typeof keys[keys.length - 1] !== "number") {
+          throw new TypeError(`路径 ${arrayPath} 不是数组`);
         }
-        depth--;
-      } else if (char === "}" || char === "]") {
-        depth++;
+        yield value;
       }
     }
 
-    return start;
+    const iterator = elements();
+    const first = await iterator.next();
+    if (first.done) {
+      // 没有元素时区分空数组、不是数组的值和不存在的路径
+      const slice = await this.readArraySlice(inputPath, arrayPath, 0, 0);
+      if (!slice) {
+        throw new Error(`路径 ${arrayPath} 不存在`);
+      }
+    }
+
+    async function* records() {
+      if (!first.done) {
+        yield first.value;
+        yield* iterator;
+      }
+    }
+
+    try {
+      return await this.writeNDJSON(outputPath, records(), writeOptions);
+    } catch (error) {
+      await iterator.return();
+      if (!writeOptions.append) {
+        await fs.rm(outputPath, { force: true });
+      }
+      throw error;
+    }
   }
 
   /**
-   * 查找下一个完整的 JSON 括号位置
+   * 把 NDJSON 文件转换为 JSON 数组
+   *
+   * 记录逐行读取并通过 writeJSONInChunks 流式写出，不会一次性载入内存。
+   * @param {string} inputPath - NDJSON 文件路径
+   * @param {string} outputPath - JSON 文件路径
+   * @param {object} options - 配置选项，其余选项传给 writeJSONInChunks
+   * @param {string} [options.key] - 指定时输出 { [key]: [...] }，例如 "items"
+   * @param {boolean} [options.strict=false] - 遇到无效行时是否抛出错误
+   * @param {function} [options.onError] - 无效行的回调
+   * @param {string} [options.numbers="number"] - 数字模式，"bigint" 或 "string" 时数字按原文写出
+   * @param {string} [options.duplicateKeys="last-wins"] - 记录中重复键的处理方式，见 json-duplicate-keys.js
+   * @returns {Promise<number>} - 转换的记录数
    */
-  findNextBracket(content, position) {
-    let depth = 0;
-    let end = -1;
-
-    for (let i = position; i < content.length; i++) {
-      const char = content[i];
-      if (char === "{" || char === "[") {
-        depth++;
-      } else if (char === "}" || char === "]") {
-        depth--;
-        if (depth === 0) {
-          end = i + 1;
-          break;
+  async ndjsonToJSONArray(inputPath, outputPath, options = {}) {
+    const {
+      key = null,
+      strict,
+      onError,
+      numbers,
+      duplicateKeys,
+      ...writeOptions
+    } = options;
+    let count = 0;
+
+    async function* records() {
+      for await (
+        const { value } of readNDJSON(inputPath, {
+          strict,
+          onError,
+          numbers,
+          duplicateKeys,
+        })
+      ) {
+        count++;
+        yield value;
+      }
+    }
+
+    await this.writeJSONInChunks(
+      outputPath,
+      key === null ? records() : { [key]: records() },
+      writeOptions,
+    );
+    return count;
+  }
+
+  /**
+   * 把 JSON5 / JSONC 文件转换为严格的 JSON
+   *
+   * 用宽松模式的 JSONTokenizer 读取：去掉注释和尾随逗号，单引号字符串、无引号的键
+   * 和 JSON5 数字写法转换为标准形式，再通过 writeJSONInChunks 写出。根为数组或
+   * 对象时成员逐个写出，内存中同一时间只有一个成员；根对象中重复的键按出现的
+   * 顺序全部写出。
+   * 数字按原文（转换为标准写法后）写出；Infinity 和 NaN 在 JSON 中无法表示，
+   * 按 JSON.stringify 的规则写为 null。输入有语法错误时抛出 JSONSyntaxError，
+   * 已写出的部分输出会被删除（追加模式除外）。
+   * @param {string} inputPath - JSON5 / JSONC 文件路径（支持压缩文件）
+   * @param {string} outputPath - 输出的 JSON 文件路径
+   * @param {object} options - 配置选项，传给 writeJSONInChunks
+   * @returns {Promise<void>}
+   */
+  async normalizeJSON(inputPath, outputPath, options = {}) {
+    async function* readTokens() {
+      const tokenizer = new JSONTokenizer({ lenient: true });
+      const stream = createJSONReadStream(inputPath);
+      try {
+        for await (const data of stream) {
+          yield* tokenizer.write(data);
+        }
+        yield* tokenizer.end();
+      } finally {
+        stream.destroy();
+      }
+    }
+
+    // 根数组的元素，遇到根数组的 ] 时结束
+    async function* elements() {
+      let assembler = new ValueAssembler({ numbers: "string" });
+      for await (const token of tokens) {
+        if (token.name === "endArray" && token.depth === 0) {
+          return;
+        }
+        assembler.consume(token);
+        if (assembler.done) {
+          yield assembler.value;
+          assembler = new ValueAssembler({ numbers: "string" });
+        }
+      }
+    }
+
+    // 根对象的成员，遇到根对象的 } 时结束
+    async function* members() {
+      let key = null;
+      let assembler = null;
+      for await (const token of tokens) {
+        if (token.name === "endObject" && token.depth === 0) {
+          return;
+        }
+        if (!assembler) {
+          key = token.value;
+          assembler = new ValueAssembler({ numbers: "string" });
+          continue;
+        }
+        assembler.consume(token);
+        if (assembler.done) {
+          yield [key, assembler.value];
+          assembler = null;
         }
       }
     }
 
-    return end;
+    const tokens = readTokens();
+    const first = await tokens.next();
+
+    let root;
+    if (first.value.name === "startArray") {
+      root = elements();
+    } else if (first.value.name === "startObject") {
+      root = new JSONEntries(members());
+    } else {
+      const assembler = new ValueAssembler({ numbers: "string" });
+      assembler.consume(first.value);
+      for await (const token of tokens) {
+        assembler.consume(token);
+      }
+      root = assembler.value;
+    }
+
+    try {
+      await this.writeJSONInChunks(outputPath, root, options);
+    } catch (error) {
+      // 根容器在写出过程中才会读到语法错误，不留下不完整的输出文件
+      await tokens.return();
+      if (!options.append) {
+        await fs.rm(outputPath, { force: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 查找前一个完整的 JSON 括号位置
+   *
+   * 返回包含 position 的最内层对象/数组的起始下标，与 findNextBracket
+   * 配合截取出的片段是一个语法完整的 JSON 值。字符串内的括号和转义字符会被忽略。
+   * @param {string} content - JSON 文本
+   * @param {number} position - 字符下标
+   * @returns {number} - 起始下标，找不到时为 -1
+   */
+  findPreviousBracket(content, position) {
+    return this.findValueBoundaries(content, position)?.start ?? -1;
+  }
+
+  /**
+   * 查找下一个完整的 JSON 括号位置
+   *
+   * 返回包含 position 的最内层对象/数组闭合括号之后的下标。
+   * @param {string} content - JSON 文本
+   * @param {number} position - 字符下标
+   * @returns {number} - 结束下标（不含），找不到时为 -1
+   */
+  findNextBracket(content, position) {
+    return this.findValueBoundaries(content, position)?.end ?? -1;
+  }
+
+  /**
+   * 查找包含 position 的最内层容器
+   *
+   * findPreviousBracket() 和 findNextBracket() 通常对同一段文本成对调用，
+   * 因此缓存最近一段文本的扫描结果，只扫描一遍。
+   */
+  findValueBoundaries(content, position) {
+    if (this.containerScan?.content !== content) {
+      this.containerScan = { content, containers: scanContainers(content) };
+    }
+    return findValueBoundaries(
+      content,
+      position,
+      this.containerScan.containers,
+    );
   }
 
   /**
-   * 验证 JSON 片段是否有效
+   * 验证 JSON 片段是否有效，需要知道错误位置时使用 diagnoseJSONSnippet()
    */
   validateJSONSnippet(snippet) {
     try {
@@ -237,12 +1013,46 @@ export default class LargeJSONHandler {
   }
 
   /**
-   * 格式化 JSON 块
+   * 诊断 JSON 片段，无效时给出行号、列号、字节偏移、所在路径和上下文片段
+   * @param {string} snippet - JSON 文本
+   * @param {object} options - 配置选项，见 json-diagnostics.js 中的 JSONDiagnoser
+   * @returns {import("./json-diagnostics.js").JSONDiagnostic}
+   */
+  diagnoseJSONSnippet(snippet, options = {}) {
+    return diagnoseJSON(snippet, options);
+  }
+
+  /**
+   * 流式诊断 JSON 文件，报告第一个语法错误的位置
+   * @param {string} filePath - 文件路径（支持压缩文件）
+   * @param {object} options - 配置选项，见 json-diagnostics.js 中的 diagnoseJSONFile
+   * @returns {Promise<import("./json-diagnostics.js").JSONDiagnostic>}
+   */
+  diagnoseJSONFile(filePath, options = {}) {
+    return diagnoseJSONFile(filePath, options);
+  }
+
+  /**
+   * 修复被截断或损坏的 JSON 文件
+   *
+   * 保留所有完整的值，补全未结束的字符串、数组和对象后写出合法的 JSON，
+   * 并返回（默认同时保存）丢弃了哪些内容的报告。
+   * @param {string} inputPath - 损坏的文件（支持压缩文件）
+   * @param {string} outputPath - 修复后的文件
+   * @param {object} options - 配置选项，见 json-repair.js 中的 repairJSONFile
+   * @returns {Promise<import("./json-repair.js").JSONRepairReport>}
+   */
+  repairJSON(inputPath, outputPath, options = {}) {
+    return repairJSONFile(inputPath, outputPath, options);
+  }
+
+  /**
+   * 格式化 JSON 块，numbers 不是 "number" 时数字保持原文
    */
-  formatJSONChunk(chunk) {
+  formatJSONChunk(chunk, options = {}) {
     try {
-      const parsed = JSON.parse(chunk);
-      return JSON.stringify(parsed, null, 2);
+      const parsed = parseJSON(chunk, options);
+      return stringifyJSON(parsed, "  ");
     } catch {
       return chunk;
     }
@@ -257,6 +1067,223 @@ export default class LargeJSONHandler {
   }
 }
 
+/**
+ * readJSONInChunks() 使用的分块器：接收词法单元，产出语法完整的块
+ *
+ * 每层容器记录已经完整、尚未输出的成员的字节区间（对象成员包括键名）。
+ * 跨度超过 chunkSize 的容器标记为展开（split），此后它的成员凑满 chunkSize
+ * 就输出一块；未展开的容器最终作为一个成员整体放入上一层。
+ */
+class JSONChunkBuilder {
+  constructor(chunkSize) {
+    this.chunkSize = chunkSize;
+    this.buffer = Buffer.alloc(0);
+    this.bufferStart = 0; // buffer[0] 在文件中的字节偏移
+    this.lastEnd = 0; // 最后一个词法单元的结束偏移，之后的字节可能属于未完成的词法单元
+    // 虚拟的顶层容器，成员为各个顶层值，每个顶层值单独成块
+    this.frames = [createChunkFrame("root", null, 0, true)];
+    this.chunks = [];
+  }
+
+  /**
+   * 已接收的字节数
+   */
+  get bytesRead() {
+    return this.bufferStart + this.buffer.length;
+  }
+
+  /**
+   * 追加读取到的原始字节，须在对应的词法单元之前调用
+   */
+  append(data) {
+    this.buffer = this.buffer.length > 0
+      ? Buffer.concat([this.buffer, data])
+      : data;
+  }
+
+  /**
+   * 处理一个词法单元
+   */
+  write(token) {
+    this.lastEnd = token.end;
+    this.splitLargeFrames(token.end);
+    const parent = this.frames[this.frames.length - 1];
+
+    switch (token.name) {
+      case "keyValue":
+        parent.memberStart = token.start;
+        parent.key = token.value;
+        return;
+      case "endObject":
+      case "endArray":
+        if (parent.split) {
+          this.flush(this.frames.length - 1);
+          this.frames.pop();
+        } else {
+          this.frames.pop();
+          this.addMember(token.end);
+        }
+        return;
+    }
+
+    if (parent.type === "array") {
+      parent.key = parent.key === null ? 0 : parent.key + 1;
+    }
+    if (parent.type !== "object") {
+      parent.memberStart = token.start;
+    }
+    if (token.name === "startObject" || token.name === "startArray") {
+      this.frames.push(
+        createChunkFrame(
+          token.name === "startObject" ? "object" : "array",
+          parent.type === "root" ? null : parent.key,
+          parent.memberStart,
+        ),
+      );
+    } else {
+      this.addMember(token.end);
+    }
+  }
+
+  /**
+   * 取出已经完成的块，并丢弃不再需要的字节
+   * @returns {Array<{text: string, position: number, path: string, keys: Array<string|number>}>}
+   */
+  take() {
+    let needed = this.lastEnd;
+    for (const frame of this.frames) {
+      needed = Math.min(
+        needed,
+        frame.group[0]?.start ?? Infinity,
+        frame.memberStart ?? Infinity,
+      );
+    }
+    if (needed > this.bufferStart) {
+      this.buffer = this.buffer.subarray(needed - this.bufferStart);
+      this.bufferStart = needed;
+    }
+
+    const chunks = this.chunks;
+    this.chunks = [];
+    return chunks;
+  }
+
+  /**
+   * 把加上外层包裹后会超过 chunkSize 的容器标记为展开，外层容器先于内层
+   */
+  splitLargeFrames(offset) {
+    for (let level = 1; level < this.frames.length; level++) {
+      const frame = this.frames[level];
+      const parent = this.frames[level - 1];
+      if (
+        frame.split ||
+        parent.overhead + offset - frame.start <= this.chunkSize
+      ) {
+        continue;
+      }
+      // 先输出这个容器之前的兄弟成员，保持原来的顺序
+      this.flush(level - 1);
+      parent.memberStart = null;
+      frame.split = true;
+      frame.overhead = Buffer.byteLength(this.wrap(level, ""));
+    }
+  }
+
+  /**
+   * 当前容器的一个成员已经完整
+   */
+  addMember(end) {
+    const level = this.frames.length - 1;
+    const frame = this.frames[level];
+    frame.group.push({ start: frame.memberStart, end });
+    frame.groupBytes += end - frame.memberStart + 1;
+    frame.memberStart = null;
+
+    if (frame.type === "root") {
+      this.flush(level);
+    } else if (
+      frame.split && frame.overhead + frame.groupBytes > this.chunkSize
+    ) {
+      this.flush(level, false);
+    }
+  }
+
+  /**
+   * 输出一层容器中已经完整的成员，加上包裹超过 chunkSize 时分为多块
+   * @param {number} level - 容器所在的层
+   * @param {boolean} [final=true] - 为 false 时保留最后一块未满的成员，等待后续成员
+   */
+  flush(level, final = true) {
+    const frame = this.frames[level];
+    const keys = this.frames.slice(2, level + 1).map((frame) => frame.index);
+    const path = formatJSONPath(keys);
+    const emit = (members) => {
+      const text = members.map(({ start, end }) =>
+        this.buffer.toString(
+          "utf8",
+          start - this.bufferStart,
+          end - this.bufferStart,
+        )
+      ).join(",");
+      this.chunks.push({
+        text: frame.type === "root" ? text : this.wrap(level, text),
+        position: members[0].start,
+        path,
+        keys,
+      });
+    };
+
+    let members = [];
+    let size = frame.overhead;
+    for (const member of frame.group) {
+      const memberSize = member.end - member.start + 1;
+      if (members.length > 0 && size + memberSize > this.chunkSize) {
+        emit(members);
+        members = [];
+        size = frame.overhead;
+      }
+      members.push(member);
+      size += memberSize;
+    }
+    if (final && members.length > 0) {
+      emit(members);
+      members = [];
+      size = frame.overhead;
+    }
+    frame.group = members;
+    frame.groupBytes = size - frame.overhead;
+  }
+
+  /**
+   * 用第 level 层及其外层的容器包裹成员文本
+   */
+  wrap(level, members) {
+    let text = members;
+    for (let i = level; i >= 1; i--) {
+      const frame = this.frames[i];
+      text = frame.type === "object" ? `{${text}}` : `[${text}]`;
+      if (i >= 2 && this.frames[i - 1].type === "object") {
+        text = `${JSON.stringify(frame.index)}:${text}`;
+      }
+    }
+    return text;
+  }
+}
+
+function createChunkFrame(type, index, start, split = false) {
+  return {
+    type,
+    index, // 在上一层容器中的键名或下标
+    start, // 在文件中的起始偏移（对象成员从键名开始）
+    split,
+    overhead: 0, // 外层包裹的字节数
+    key: null, // 当前成员的键名或下标
+    memberStart: null, // 当前未完成成员的起始偏移
+    group: [], // 已完整、尚未输出的成员区间
+    groupBytes: 0,
+  };
+}
+
 // 如果直接运行此文件，执行示例
 if (import.meta.main) {
   const jsonHandler = new LargeJSONHandler();
@@ -1,15 +1,75 @@
 import JSONStructureBrowser from "./json-browser.js";
+import JSONTreeViewer from "./json-tree-viewer.js";
 import readline from "readline";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { stringifyJSON } from "./json-values.js";
+import { formatJSONPath, toJSONPointer } from "./json-path.js";
+import { parseSearchQuery } from "./json-search.js";
+import { JSONSyntaxError } from "./json-tokenizer.js";
+import { diagnoseJSONFile, formatDiagnostic } from "./json-diagnostics.js";
+
+const COMMANDS = [
+  "help",
+  "quit",
+  "exit",
+  "pwd",
+  "ls",
+  "cd",
+  "cat",
+  "search",
+  "info",
+  "check",
+  "tree",
+  "tui",
+];
+
+// cat 的切片参数，例如 items[1000:1050]、[10:]
+const SLICE_PATTERN = /^(.*?)\[\s*(\d*)\s*:\s*(\d*)\s*\]$/;
+const SLICE_PAGE_SIZE = 20; // cat 大数组时默认显示的元素数
+const MAX_SLICE_ITEMS = 1000; // 一次最多显示的元素数
+const SEARCH_DISPLAY_LIMIT = 50; // search 默认显示的结果数
+const COMPLETION_LIMIT = 1000; // 补全时最多列出的成员数
 
 class InteractiveJSONBrowser {
-  constructor() {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string|null} [options.historyFile="~/.json-browser-history"] - 命令历史文件，为 null 时不保存
+   * @param {number} [options.historySize=500] - 保存的历史命令条数
+   */
+  constructor(options = {}) {
     this.browser = new JSONStructureBrowser();
-    this.currentPath = "";
+    this.currentKeys = []; // 当前路径的键和下标
+    this.previousKeys = null; // 上一个路径，用于 cd -
     this.currentFile = "";
-    this.rl = readline.createInterface({
+    this.childrenCache = new Map(); // 规范化路径 -> 直接成员，用于补全
+    this.historyFile = options.historyFile === undefined
+      ? path.join(os.homedir(), ".json-browser-history")
+      : options.historyFile;
+    this.historySize = options.historySize ?? 500;
+    this.rl = this.createInterface(this.loadHistory());
+  }
+
+  /**
+   * 创建命令行输入接口
+   * @param {string[]} history - 历史命令，最近的在前
+   */
+  createInterface(history) {
+    const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
+      history,
+      historySize: this.historySize,
+      completer: (line, callback) => {
+        this.complete(line).then(
+          (result) => callback(null, result),
+          () => callback(null, [[], line]),
+        );
+      },
     });
+    rl.on("history", (lines) => this.saveHistory(lines));
+    return rl;
   }
 
   /**
@@ -18,7 +78,8 @@ class InteractiveJSONBrowser {
   async start(filePath) {
     this.currentFile = filePath;
     console.log("\n=== JSON 结构交互式浏览器 ===");
-    console.log("帮助命令: help, quit, cd, ls, pwd, search, info\n");
+    console.log("帮助命令: help, quit, cd, ls, pwd, search, info, check");
+    console.log("按 Tab 补全命令和路径\n");
 
     await this.displayRootStructure();
 
@@ -72,7 +133,15 @@ class InteractiveJSONBrowser {
         throw new Error("退出");
 
       case "pwd":
-        console.log(`当前路径: ${this.currentPath || "/"}`);
+        console.log(`当前路径: ${this.getDisplayPath()}`);
+        if (this.currentKeys.length > 0) {
+          console.log(`JSON Pointer: ${toJSONPointer(this.currentKeys)}`);
+          console.log(`JSONPath: ${formatJSONPath(this.currentKeys)}`);
+        }
+        break;
+
+      case "cd":
+        await this.changeDirectory("/");
         break;
 
       case "ls":
@@ -83,6 +152,14 @@ class InteractiveJSONBrowser {
         await this.showCurrentInfo();
         break;
 
+      case "check":
+        await this.checkFile();
+        break;
+
+      case "tui":
+        await this.openTreeViewer();
+        break;
+
       default:
         if (cmd.startsWith("cd ")) {
           const targetPath = command.substring(3).trim();
@@ -113,22 +190,50 @@ class InteractiveJSONBrowser {
     console.log("  ls              - 列出当前路径的内容");
     console.log("  cd <path>       - 导航到指定路径");
     console.log("  cat <path>      - 显示指定路径的内容");
-    console.log("  search <term>   - 搜索键或值");
+    console.log("  cat <path>[a:b] - 显示数组中下标 a 到 b-1 的元素");
+    console.log(
+      "  search [选项] <查询> - 搜索键名和值，查询可以是 /正则/ 或 >= 100",
+    );
+    console.log(
+      "      --keys / --values 只搜索键名或值，--exact 完全匹配，--case 区分大小写",
+    );
+    console.log(
+      "      --type=string,number 按值的类型过滤，--limit=N 显示的结果数（默认 50）",
+    );
     console.log("  info            - 显示当前路径的详细信息");
+    console.log("  check           - 检查文件语法，显示错误的行列号和上下文");
     console.log("  tree [depth]    - 显示树状结构 (默认深度: 2)");
+    console.log("  tui             - 全屏树状浏览，从当前路径开始");
     console.log("\n🔍 路径示例:");
-    console.log("  cd info          - 导航到根对象的 info 属性");
+    console.log("  cd info          - 导航到当前对象的 info 属性");
     console.log("  cd paths[0]      - 导航到 paths 数组的第一个元素");
     console.log("  cd info.title    - 导航到 info 对象的 title 属性");
-    console.log("  cd ..            - 返回上一级");
+    console.log(
+      "  cd paths['/users'] - 键中含有点号等字符时使用带引号的方括号",
+    );
+    console.log("  cd /info/title   - JSON Pointer，从根路径开始");
+    console.log("  cd $.info.title  - JSONPath，从根路径开始");
+    console.log("  cd ..            - 返回上一级，cd ../.. 返回上两级");
+    console.log("  cd -             - 返回上一个路径");
     console.log("  cd /             - 返回根路径");
+    console.log(
+      "  cat items[1000:1050] - 显示 items 数组的第 1000 到 1049 个元素",
+    );
+    console.log("\n⌨️  按 Tab 补全命令、键名和下标，历史命令在会话之间保存");
   }
 
   /**
    * 获取当前提示符
    */
   getPrompt() {
-    return `📁${this.currentPath || "/"}`;
+    return `📁${this.getDisplayPath()}`;
+  }
+
+  /**
+   * 当前路径的显示形式，例如 "paths['/users'].get"，根路径为 "/"
+   */
+  getDisplayPath(keys = this.currentKeys) {
+    return formatBrowserPath(keys) || "/";
   }
 
   /**
@@ -136,64 +241,60 @@ class InteractiveJSONBrowser {
    */
   async listCurrentPath() {
     try {
-      if (!this.currentPath) {
+      if (this.currentKeys.length === 0) {
         await this.displayRootStructure();
         return;
       }
 
       const structure = await this.browser.navigateToPath(
         this.currentFile,
-        this.currentPath,
+        this.currentKeys,
       );
       if (structure) {
-        console.log(`\n📁 ${this.currentPath}:`);
+        console.log(`\n📁 ${this.getDisplayPath()}:`);
         console.log(this.browser.displayStructure(structure));
       } else {
         console.log("路径不存在或无法访问");
       }
     } catch (error) {
       console.error(`列出失败: ${error.message}`);
+      await this.reportSyntaxError(error);
     }
   }
 
   /**
    * 切换目录
+   *
+   * 支持相对路径（info.title、[0]、['a.b']）、JSONPath（$.info）、
+   * JSON Pointer（/info/title）、..、- 和 /。
    */
   async changeDirectory(targetPath) {
     try {
-      if (targetPath === "..") {
-        // 返回上级目录
-        this.currentPath = this.getParentPath(this.currentPath);
-      } else if (targetPath === "/") {
-        // 返回根目录
-        this.currentPath = "";
-      } else if (targetPath.startsWith("/")) {
-        // 绝对路径
-        this.currentPath = targetPath.substring(1);
-      } else {
-        // 相对路径
-        this.currentPath = this.currentPath
-          ? `${this.currentPath}.${targetPath}`
-          : targetPath;
-      }
+      const keys = await this.resolvePath(targetPath);
 
-      // 验证路径是否存在
-      const structure = await this.browser.navigateToPath(
-        this.currentFile,
-        this.currentPath,
-      );
-      if (!structure) {
-        console.log(`路径不存在: ${targetPath}`);
-        this.currentPath = this.getParentPath(this.currentPath);
-        return;
+      // 验证路径是否存在，根路径总是存在
+      if (keys.length > 0) {
+        const structure = await this.browser.navigateToPath(
+          this.currentFile,
+          keys,
+        );
+        if (!structure) {
+          console.log(`路径不存在: ${targetPath}`);
+          return;
+        }
       }
 
-      console.log(`✅ 已切换到: ${this.currentPath || "/"}`);
+      if (formatJSONPath(keys) !== formatJSONPath(this.currentKeys)) {
+        this.previousKeys = this.currentKeys;
+        this.currentKeys = keys;
+      }
+      console.log(`✅ 已切换到: ${this.getDisplayPath()}`);
 
       // 自动列出内容
       await this.listCurrentPath();
     } catch (error) {
       console.error(`切换目录失败: ${error.message}`);
+      await this.reportSyntaxError(error);
     }
   }
 
@@ -202,27 +303,40 @@ class InteractiveJSONBrowser {
    */
   async showContentAtPath(targetPath) {
     try {
-      let fullPath = targetPath;
-      if (!targetPath.startsWith("/")) {
-        fullPath = this.currentPath
-          ? `${this.currentPath}.${targetPath}`
-          : targetPath;
-      } else {
-        fullPath = targetPath.substring(1);
+      // items[1000:1050] 形式的切片，省略结束位置时读到数组末尾
+      const slice = SLICE_PATTERN.exec(targetPath);
+      const pathText = slice ? slice[1] : targetPath;
+      const keys = await this.resolvePath(pathText);
+      if (slice) {
+        await this.showArraySlice(
+          pathText,
+          keys,
+          Number(slice[2] || 0),
+          slice[3] ? Number(slice[3]) : Infinity,
+        );
+        return;
+      }
+
+      // 大数组只显示第一页，不读取整个数组
+      const index = await this.browser.getIndex(this.currentFile);
+      const entry = await index.lookup(keys);
+      if (entry?.type === "array" && entry.size > SLICE_PAGE_SIZE) {
+        await this.showArraySlice(pathText, keys, 0, SLICE_PAGE_SIZE);
+        return;
       }
 
       const structure = await this.browser.navigateToPath(
         this.currentFile,
-        fullPath,
+        keys,
       );
       if (structure) {
-        console.log(`\n📄 ${fullPath}:`);
+        console.log(`\n📄 ${this.getDisplayPath(keys)}:`);
         console.log(this.browser.displayStructure(structure));
 
         // 如果是简单类型，显示完整内容
         if (["string", "number", "boolean", "null"].includes(structure.type)) {
           console.log(
-            `\n💾 完整内容: ${JSON.stringify(structure.summary.value)}`,
+            `\n💾 完整内容: ${stringifyJSON(structure.summary.value)}`,
           );
         }
       } else {
@@ -230,6 +344,52 @@ class InteractiveJSONBrowser {
       }
     } catch (error) {
       console.error(`显示内容失败: ${error.message}`);
+      await this.reportSyntaxError(error);
+    }
+  }
+
+  /**
+   * 显示数组中 [start, end) 的元素，一次最多显示 MAX_SLICE_ITEMS 个
+   * @param {string} pathText - 用户输入的数组路径，用于提示下一页的命令
+   */
+  async showArraySlice(pathText, keys, start, end) {
+    const slice = await this.browser.readArraySlice(
+      this.currentFile,
+      keys,
+      start,
+      Math.min(end, start + MAX_SLICE_ITEMS),
+    );
+    if (!slice) {
+      console.log("路径不存在");
+      return;
+    }
+
+    const total = slice.length === null
+      ? ""
+      : `（共 ${slice.length.toLocaleString()} 个元素）`;
+    console.log(
+      `\n📄 ${this.getDisplayPath(keys)}[${slice.start}:${slice.end}]${total}:`,
+    );
+    if (slice.items.length === 0) {
+      console.log("  没有元素");
+    }
+    slice.items.forEach((item, offset) => {
+      console.log(
+        `  [${slice.start + offset}] ${
+          this.browser.truncateValue(stringifyJSON(item))
+        }`,
+      );
+    });
+
+    // 长度未知说明读到 end 时数组还没有结束
+    if (slice.length === null || slice.end < slice.length) {
+      if (end > slice.end) {
+        console.log(`\n一次最多显示 ${MAX_SLICE_ITEMS} 个元素`);
+      }
+      const size = slice.end - slice.start || SLICE_PAGE_SIZE;
+      console.log(
+        `💡 查看后面的元素: cat ${pathText}[${slice.end}:${slice.end + size}]`,
+      );
     }
   }
 
@@ -240,10 +400,10 @@ class InteractiveJSONBrowser {
     try {
       const structure = await this.browser.navigateToPath(
         this.currentFile,
-        this.currentPath,
+        this.currentKeys,
       );
       if (structure) {
-        console.log(`\n📊 路径信息: ${this.currentPath || "/"}`);
+        console.log(`\n📊 路径信息: ${this.getDisplayPath()}`);
         console.log(`  类型: ${structure.type}`);
 
         if (structure.type === "object") {
@@ -267,33 +427,50 @@ class InteractiveJSONBrowser {
       }
     } catch (error) {
       console.error(`获取信息失败: ${error.message}`);
+      await this.reportSyntaxError(error);
     }
   }
 
   /**
-   * 搜索文件
+   * 搜索键名和值
+   *
+   * 参数为 [选项] <查询>，查询可以是字符串、/正则表达式/ 或 ">= 100" 这样的
+   * 数值比较，选项见 showHelp()。
    */
-  async searchInFile(searchTerm) {
+  async searchInFile(argument) {
     try {
-      console.log(`🔍 搜索 "${searchTerm}"...`);
-      const results = await this.browser.search(this.currentFile, searchTerm);
-
-      if (results.length === 0) {
-        console.log("未找到匹配项");
-        return;
+      const { query, options, limit } = parseSearchArguments(argument);
+      console.log(`🔍 搜索 ${argument}...`);
+
+      let count = 0;
+      for await (
+        const result of this.browser.search(this.currentFile, query, options)
+      ) {
+        count++;
+        if (count > limit) {
+          continue;
+        }
+        const icon = result.match === "key" ? "🔑" : "💎";
+        const value = result.value === undefined
+          ? result.type
+          : this.browser.truncateValue(stringifyJSON(result.value));
+        console.log(
+          `${count}. ${icon} ${result.path} = ${value}（字节 ${result.offset}）`,
+        );
       }
 
-      console.log(`\n📋 找到 ${results.length} 个匹配项:`);
-      results.slice(0, 20).forEach((result, index) => {
-        const icon = result.type === "key" ? "🔑" : "💎";
-        console.log(`${index + 1}. ${icon} ${result.value} (${result.type})`);
-      });
-
-      if (results.length > 20) {
-        console.log(`... 还有 ${results.length - 20} 个结果未显示`);
+      if (count === 0) {
+        console.log("未找到匹配项");
+      } else if (count > limit) {
+        console.log(
+          `\n共 ${count} 个匹配项，只显示前 ${limit} 个（--limit=N 显示更多）`,
+        );
+      } else {
+        console.log(`\n共 ${count} 个匹配项`);
       }
     } catch (error) {
       console.error(`搜索失败: ${error.message}`);
+      await this.reportSyntaxError(error);
     }
   }
 
@@ -328,11 +505,9 @@ class InteractiveJSONBrowser {
           structure.summary.keys.slice(0, 5).forEach((key) => {
             console.log(`${indent}  ├── ${key}`);
           });
-          if (structure.summary.keys.length > 5) {
+          if (structure.summary.keyCount > 5) {
             console.log(
-              `${indent}  └── ... 还有 ${
-                structure.summary.keys.length - 5
-              } 个键`,
+              `${indent}  └── ... 还有 ${structure.summary.keyCount - 5} 个键`,
             );
           }
         }
@@ -362,16 +537,190 @@ class InteractiveJSONBrowser {
   }
 
   /**
-   * 获取父路径
+   * 进入全屏树状浏览器，退出后回到命令行
+   *
+   * 全屏模式需要独占终端输入，因此先关闭命令行接口，返回后重新创建。
    */
-  getParentPath(path) {
-    if (!path) return "";
+  async openTreeViewer() {
+    const history = [...this.rl.history];
+    this.rl.close();
+    try {
+      const viewer = new JSONTreeViewer(this.currentFile, {
+        browser: this.browser,
+      });
+      await viewer.run(this.currentKeys);
+    } catch (error) {
+      console.error(`全屏模式失败: ${error.message}`);
+      await this.reportSyntaxError(error);
+    } finally {
+      this.rl = this.createInterface(history);
+    }
+  }
 
-    const lastDot = path.lastIndexOf(".");
-    const lastBracket = path.lastIndexOf("[");
-    const cutIndex = Math.max(lastDot, lastBracket);
+  /**
+   * 检查当前文件的语法，报告第一个错误的位置
+   */
+  async checkFile() {
+    try {
+      console.log(`🔍 检查语法: ${this.currentFile}`);
+      const diagnostic = await diagnoseJSONFile(this.currentFile);
+      if (diagnostic.valid) {
+        console.log("✅ JSON 语法正确");
+      } else {
+        console.log(`\n❌ ${formatDiagnostic(diagnostic)}`);
+        console.log(
+          `\n💡 可以用 node json-repair.js ${this.currentFile} 保留完整的部分并修复文件`,
+        );
+      }
+    } catch (error) {
+      console.error(`检查失败: ${error.message}`);
+    }
+  }
 
-    return cutIndex > 0 ? path.substring(0, cutIndex) : "";
+  /**
+   * 读取路径时遇到语法错误，显示详细的诊断信息
+   */
+  async reportSyntaxError(error) {
+    if (error instanceof JSONSyntaxError) {
+      await this.checkFile();
+    }
+  }
+
+  /**
+   * 把命令中的路径解析为键和下标序列
+   * @param {string} input - 用户输入的路径
+   * @param {Array<string|number>} [base] - 相对路径的起点，默认为当前路径
+   * @returns {Promise<Array<string|number>>}
+   */
+  async resolvePath(input, base = this.currentKeys) {
+    input = input.trim();
+
+    if (input === "-") {
+      if (!this.previousKeys) {
+        throw new Error("没有上一个路径");
+      }
+      return this.previousKeys;
+    }
+
+    // "/" 为根路径，其余以 "/" 开头的是 JSON Pointer
+    if (input === "/") {
+      return [];
+    }
+
+    // 开头的 .. 逐级返回，例如 ../.. 或 ../items
+    let keys = base;
+    const parent = /^\.\.(?:\/|$)/;
+    while (parent.test(input)) {
+      keys = keys.slice(0, -1);
+      input = input.replace(parent, "");
+    }
+    return await this.browser.resolveKeys(this.currentFile, input, keys);
+  }
+
+  /**
+   * Tab 补全：第一个词补全命令，cd 和 cat 的参数补全路径
+   * @param {string} line - 当前输入
+   * @returns {Promise<[string[], string]>} - 候选项和被补全的部分
+   */
+  async complete(line) {
+    const match = /^\s*(\S+)\s+(.*)$/.exec(line);
+    if (!match) {
+      const word = line.trim();
+      return [COMMANDS.filter((command) => command.startsWith(word)), word];
+    }
+
+    const [, command, argument] = match;
+    if (command !== "cd" && command !== "cat") {
+      return [[], argument];
+    }
+    return [await this.completePath(argument), argument];
+  }
+
+  /**
+   * 补全路径参数，返回以 argument 开头的完整候选路径
+   */
+  async completePath(argument) {
+    let base;
+    let candidate;
+
+    if (argument.startsWith("/")) {
+      // JSON Pointer：补全最后一个 "/" 之后的部分
+      base = argument.slice(0, argument.lastIndexOf("/"));
+      candidate = (key) => base + toJSONPointer([key]);
+    } else {
+      base = argument.slice(0, lastSegmentStart(argument));
+      const atStart = base === "" || base.endsWith("/");
+      candidate = (key) =>
+        typeof key === "number"
+          ? `${base}[${key}]`
+          : IDENTIFIER_PATTERN.test(key)
+          ? `${base}${atStart ? "" : "."}${key}`
+          : `${base}${formatJSONPath([key]).slice(1)}`;
+    }
+
+    let keys;
+    try {
+      keys = await this.resolvePath(
+        argument.startsWith("/") ? base || "/" : base,
+      );
+    } catch {
+      return [];
+    }
+
+    const children = await this.getChildren(keys);
+    return (children ?? [])
+      .map(candidate)
+      .filter((text) => text.startsWith(argument));
+  }
+
+  /**
+   * 指定路径的前 COMPLETION_LIMIT 个直接成员，同一路径只读取一次
+   */
+  async getChildren(keys) {
+    const cacheKey = formatJSONPath(keys);
+    if (!this.childrenCache.has(cacheKey)) {
+      this.childrenCache.set(
+        cacheKey,
+        await this.browser.listChildren(this.currentFile, keys, {
+          limit: COMPLETION_LIMIT,
+        }),
+      );
+    }
+    return this.childrenCache.get(cacheKey);
+  }
+
+  /**
+   * 读取历史命令，最近的在前
+   */
+  loadHistory() {
+    if (!this.historyFile) {
+      return [];
+    }
+    try {
+      return fs.readFileSync(this.historyFile, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .reverse()
+        .slice(0, this.historySize);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * 保存历史命令，文件中最早的在前
+   * @param {string[]} history - 历史命令，最近的在前
+   * @returns {Promise<void>} - 写入完成，失败时只输出警告
+   */
+  async saveHistory(history) {
+    if (!this.historyFile) {
+      return;
+    }
+    const lines = history.slice(0, this.historySize).reverse();
+    await fs.promises.writeFile(this.historyFile, lines.join("\n") + "\n")
+      .catch((error) => {
+        console.warn(`历史命令保存失败: ${error.message}`);
+      });
   }
 
   /**
@@ -386,6 +735,92 @@ class InteractiveJSONBrowser {
   }
 }
 
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * 把键和下标序列格式化为浏览器中显示的路径，例如 paths['/users'].get[0]
+ */
+function formatBrowserPath(keys) {
+  return keys.map((key, index) => {
+    if (typeof key === "number") {
+      return `[${key}]`;
+    }
+    if (IDENTIFIER_PATTERN.test(key)) {
+      return index === 0 ? key : `.${key}`;
+    }
+    return formatJSONPath([key]).slice(1);
+  }).join("");
+}
+
+/**
+ * 解析 search 命令的参数：开头的 --选项，其余部分为查询
+ */
+function parseSearchArguments(text) {
+  const options = {};
+  let limit = SEARCH_DISPLAY_LIMIT;
+  let rest = text.trim();
+  let match;
+  while ((match = /^--([a-z]+)(?:=(\S*))?(?:\s+|$)/.exec(rest))) {
+    const [option, name, value] = match;
+    switch (name) {
+      case "keys":
+      case "values":
+        options.target = name;
+        break;
+      case "exact":
+        options.exact = true;
+        break;
+      case "case":
+        options.caseSensitive = true;
+        break;
+      case "type":
+        options.types = (value ?? "").split(",").filter(Boolean);
+        break;
+      case "limit":
+        limit = Number(value);
+        if (!Number.isInteger(limit) || limit < 0) {
+          throw new Error(`--limit 必须是非负整数: ${value}`);
+        }
+        break;
+      default:
+        throw new Error(`未知的搜索选项: --${name}`);
+    }
+    rest = rest.slice(option.length);
+  }
+  if (!rest) {
+    throw new Error("缺少搜索内容");
+  }
+  return { query: parseSearchQuery(rest), options, limit };
+}
+
+/**
+ * 路径中最后一段的起始位置（最后一个不在引号中的 "." 或 "["）
+ */
+function lastSegmentStart(text) {
+  let start = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\") {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (text.startsWith("..", i)) {
+      i++;
+    } else if (char === "[" || char === ".") {
+      start = i;
+    } else if (char === "/") {
+      // ../ 之后开始新的相对路径
+      start = i + 1;
+    }
+  }
+  return start;
+}
+
 // 导出模块
 export default InteractiveJSONBrowser;
 
@@ -394,13 +829,26 @@ if (import.meta.main) {
   const browser = new InteractiveJSONBrowser();
 
   // 检查命令行参数
-  const filePath = process.argv[2];
+  const args = process.argv.slice(2);
+  const filePath = args.find((arg) => !arg.startsWith("--"));
   if (!filePath) {
-    console.log("用法: node interactive-browser.js <json文件路径>");
+    console.log("用法: node interactive-browser.js <json文件路径> [--tui]");
     console.log("示例: node interactive-browser.js openapi.json");
+    console.log("      --tui  直接进入全屏树状浏览");
     process.exit(1);
   }
 
-  // 启动交互式浏览器
-  browser.start(filePath).catch(console.error);
+  if (args.includes("--tui")) {
+    browser.rl.close();
+    new JSONTreeViewer(filePath, { browser: browser.browser }).run().then(
+      () => process.exit(0),
+      (error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      },
+    );
+  } else {
+    // 启动交互式浏览器
+    browser.start(filePath).catch(console.error);
+  }
 }
@@ -1,13 +1,36 @@
-import streamChain from "stream-chain";
-import streamJson from "stream-json";
-import StreamValuesModule from "stream-json/streamers/StreamValues.js";
 import StreamArrayModule from "stream-json/streamers/StreamArray.js";
 import StreamObjectModule from "stream-json/streamers/StreamObject.js";
 import fs from "fs";
 import path from "path";
+import { createJSONReadStream } from "./compression.js";
+import JSONTokenizer, { JSONSyntaxError } from "./json-tokenizer.js";
+import StreamingSchemaValidator from "./json-schema-validator.js";
+import SchemaInferrer from "./json-schema-inference.js";
+import { chunkStrategy, streamJSONStrategy } from "./json-parse-strategies.js";
+import { attachDiagnostic, formatDiagnostic } from "./json-diagnostics.js";
+import { formatJSONPath } from "./json-path.js";
+import {
+  DuplicateKeyDetector,
+  DuplicateKeyError,
+  formatDuplicateKeyReport,
+} from "./json-duplicate-keys.js";
+import { NumericStats, TableProfiler } from "./json-field-stats.js";
+import {
+  checkNumberMode,
+  isLosslessNumber,
+  stringifyJSON,
+  ValueAssembler,
+} from "./json-values.js";
 
 export default class JSONAnalyzer {
-  constructor() {
+  /**
+   * @param {object} options - 配置选项
+   * @param {number} [options.maxNumericFields=256] - 最多统计分布的数值路径数
+   * @param {number} [options.compression=100] - 分位数的精度，见 TDigest
+   * @param {number} [options.precision=10] - 不同值个数估计的精度，见 HyperLogLog
+   */
+  constructor(options = {}) {
+    this.options = options;
     this.stats = {
       totalSize: 0,
       rootKeys: 0,
@@ -23,6 +46,10 @@ export default class JSONAnalyzer {
       arraySizes: new Map(),
       objectDepths: new Map(),
       paths: new Map(),
+      duplicateKeys: { count: 0, duplicates: [] },
+      tableAnalysis: {},
+      numericFields: new Map(),
+      largestTables: [],
       maxDepth: 0,
       processingTime: 0,
     };
@@ -30,56 +57,189 @@ export default class JSONAnalyzer {
 
   /**
    * 使用流式处理分析JSON文件
+   *
+   * 词法单元来自带字节偏移的 JSONTokenizer，同时检测每个对象中重复的键，
+   * 结果（路径和字节偏移）记录在 stats.duplicateKeys 中并写入报告。
    * @param {string} filePath - JSON文件路径
+   * @param {object} options - 配置选项
+   * @param {string} [options.numbers="number"] - 示例值中数字的表示方式（number、bigint、string），见 json-values.js
+   * @param {string} [options.duplicateKeys="last-wins"] - 统计时重复键的处理方式，为 "error" 时遇到重复键即停止，见 json-duplicate-keys.js
    * @returns {Promise<object>} - 分析报告
    */
-  async analyzeJSON(filePath) {
+  async analyzeJSON(filePath, options = {}) {
     console.log(`🔍 开始分析JSON文件: ${filePath}`);
     const startTime = Date.now();
+    const numbers = checkNumberMode(options.numbers);
 
     // 获取文件大小
     const stats = fs.statSync(filePath);
     this.stats.totalSize = stats.size;
     console.log(`📁 文件大小: ${(this.stats.totalSize / 1024).toFixed(2)} KB`);
 
-    return new Promise((resolve, reject) => {
-      try {
-        const pipeline = streamChain.chain([
-          fs.createReadStream(filePath),
-          streamJson.parser(),
-          new StreamValuesModule(),
-        ]);
-
-        let currentPath = [];
-        let currentDepth = 0;
-
-        pipeline.on("data", (data) => {
-          if (data.key !== undefined) {
-            currentPath = currentPath.slice(0, data.depth - 1);
-            currentPath.push(data.key);
-            currentDepth = data.depth;
-
-            this.updateStats(data.value, currentPath);
-            this.trackPath(currentPath, data.value);
-          }
-        });
+    try {
+      // 逐个组装顶层值，key 为顶层值的序号
+      const { duplicateKeys } = options;
+      const detector = new DuplicateKeyDetector();
+      let assembler = new ValueAssembler({ numbers, duplicateKeys });
+      let key = 0;
+
+      for await (const token of chunkStrategy.tokens(filePath)) {
+        detector.write(token);
+        assembler.consume(token);
+        if (assembler.done) {
+          const currentPath = [key++];
+          this.updateStats(assembler.value, currentPath);
+          this.trackPath(currentPath, assembler.value);
+          assembler = new ValueAssembler({ numbers, duplicateKeys });
+        }
+      }
 
-        pipeline.on("end", () => {
-          this.stats.processingTime = Date.now() - startTime;
-          const report = this.generateReport(filePath);
-          console.log(`✅ 分析完成，耗时: ${this.stats.processingTime}ms`);
-          resolve(report);
-        });
+      this.stats.duplicateKeys = {
+        count: detector.count,
+        duplicates: detector.duplicates,
+      };
+      if (detector.count > 0) {
+        console.warn(`⚠️  发现 ${detector.count} 个重复的键`);
+      }
+    } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        console.error(`❌ ${error.message}`);
+        throw error;
+      }
+      const diagnostic = await attachDiagnostic(filePath, error, {
+        multipleValues: true,
+      });
+      if (diagnostic) {
+        console.error(`❌ JSON 语法错误:\n${formatDiagnostic(diagnostic)}`);
+      } else {
+        console.error("❌ 流式处理错误:", error);
+      }
+      throw error;
+    }
+
+    this.stats.processingTime = Date.now() - startTime;
+    const report = this.generateReport(filePath);
+    console.log(`✅ 分析完成，耗时: ${this.stats.processingTime}ms`);
+    return report;
+  }
 
-        pipeline.on("error", (error) => {
-          console.error("❌ 流式处理错误:", error);
-          reject(error);
+  /**
+   * 使用 JSON Schema 流式校验 JSON 文件
+   *
+   * 词法单元与 analyzeJSON 使用的 stream-json 格式相同，但来自带字节偏移的
+   * JSONTokenizer，因此每个错误都能定位到文件中的具体位置。
+   * @param {string} filePath - JSON文件路径（支持压缩文件）
+   * @param {object|boolean|string} schema - JSON Schema，或 schema 文件路径
+   * @param {object} options - 配置选项
+   * @param {number} [options.maxErrors=Infinity] - 收集到多少个错误后停止读取，语法错误也计入其中
+   * @returns {Promise<{valid: boolean, errors: Array<{pointer: string, offset: number|null, keyword: string, message: string}>, truncated: boolean, processingTime: number}>} - truncated 为 true 表示因达到 maxErrors 而提前停止
+   */
+  async validateJSON(filePath, schema, options = {}) {
+    console.log(`🔍 开始校验JSON文件: ${filePath}`);
+    const startTime = Date.now();
+
+    if (typeof schema === "string") {
+      schema = JSON.parse(await fs.promises.readFile(schema, "utf8"));
+    }
+
+    const validator = new StreamingSchemaValidator(schema, options);
+    const tokenizer = new JSONTokenizer();
+    const stream = createJSONReadStream(filePath);
+
+    try {
+      for await (const data of stream) {
+        for (const token of tokenizer.write(data)) {
+          validator.write(token);
+        }
+        if (validator.stopped) {
+          break;
+        }
+      }
+      if (!validator.stopped) {
+        for (const token of tokenizer.end()) {
+          validator.write(token);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof JSONSyntaxError)) {
+        throw error;
+      }
+      // 语法错误之后无法继续校验，作为最后一个错误报告；
+      // 已达到 maxErrors 时不再报告，结果中 truncated 为 true
+      for (const token of error.tokens ?? []) {
+        validator.write(token);
+      }
+      if (!validator.stopped) {
+        validator.errors.push({
+          pointer: validator.pointer,
+          offset: error.offset,
+          keyword: "syntax",
+          message: error.message,
         });
-      } catch (error) {
-        console.error("❌ 创建分析管道失败:", error);
-        reject(error);
       }
-    });
+    } finally {
+      stream.destroy();
+    }
+
+    const result = {
+      valid: validator.valid,
+      errors: validator.errors,
+      truncated: validator.stopped,
+      processingTime: Date.now() - startTime,
+    };
+
+    if (result.valid) {
+      console.log(`✅ 校验通过，耗时: ${result.processingTime}ms`);
+    } else {
+      console.log(
+        `❌ 发现 ${result.errors.length} 个错误${
+          result.truncated ? "（已达到上限，提前停止）" : ""
+        }，耗时: ${result.processingTime}ms`,
+      );
+    }
+    return result;
+  }
+
+  /**
+   * 从 JSON 文件推断 JSON Schema 和 TypeScript 类型
+   *
+   * 只扫描一遍文件，数组的所有元素（以及 NDJSON 的所有记录）合并为同一个形状。
+   * @param {string} filePath - JSON文件路径（支持压缩文件和 NDJSON）
+   * @param {object} options - 配置选项，其余选项传给 SchemaInferrer
+   * @param {string} [options.typeName="Root"] - TypeScript 根类型名称，同时作为 schema 的 title
+   * @param {string} [options.schemaPath] - JSON Schema 的输出路径
+   * @param {string} [options.typesPath] - .d.ts 的输出路径
+   * @returns {Promise<{schema: object, typescript: string, processingTime: number}>}
+   */
+  async inferSchema(filePath, options = {}) {
+    const { typeName = "Root", schemaPath, typesPath, ...inferOptions } =
+      options;
+    console.log(`🔍 开始推断Schema: ${filePath}`);
+    const startTime = Date.now();
+
+    const inferrer = new SchemaInferrer(inferOptions);
+    for await (const token of streamJSONStrategy.tokens(filePath)) {
+      inferrer.write(token);
+    }
+
+    const schema = inferrer.toJSONSchema({ title: typeName });
+    const typescript = inferrer.toTypeScript(typeName);
+
+    if (schemaPath) {
+      await fs.promises.writeFile(
+        schemaPath,
+        JSON.stringify(schema, null, 2) + "\n",
+      );
+      console.log(`💾 JSON Schema 已保存到: ${schemaPath}`);
+    }
+    if (typesPath) {
+      await fs.promises.writeFile(typesPath, typescript);
+      console.log(`💾 类型声明已保存到: ${typesPath}`);
+    }
+
+    const processingTime = Date.now() - startTime;
+    console.log(`✅ 推断完成，耗时: ${processingTime}ms`);
+    return { schema, typescript, processingTime };
   }
 
   /**
@@ -125,6 +285,85 @@ export default class JSONAnalyzer {
         (this.stats.keyFrequency.get(lastKey) || 0) + 1,
       );
     }
+
+    // 数值的分布，path 为顶层值的序号，各个顶层值的相同路径合并统计
+    this.updateNumericStats(value, "$");
+  }
+
+  /**
+   * 统计值中每个数值路径的分布
+   *
+   * 数组元素的路径使用通配符，例如 "$.items[*].metadata.score"，
+   * 统计结果见 getNumericStats。
+   * @param {*} value - 值
+   * @param {string} fieldPath - 值的路径
+   */
+  updateNumericStats(value, fieldPath) {
+    if (typeof value === "number" || isLosslessNumber(value)) {
+      let field = this.stats.numericFields.get(fieldPath);
+      if (!field) {
+        if (
+          this.stats.numericFields.size >=
+            (this.options.maxNumericFields ?? 256)
+        ) {
+          return;
+        }
+        field = new NumericStats(this.options);
+        this.stats.numericFields.set(fieldPath, field);
+      }
+      field.add(value);
+    } else if (Array.isArray(value)) {
+      for (const item of value) {
+        this.updateNumericStats(item, `${fieldPath}[*]`);
+      }
+    } else if (typeof value === "object" && value !== null) {
+      for (const [key, item] of Object.entries(value)) {
+        this.updateNumericStats(item, fieldPath + memberPath(key));
+      }
+    }
+  }
+
+  /**
+   * 每个数值路径的分布
+   * @param {object} options - 配置选项，见 NumericStats.summary
+   * @returns {object} - 路径到 { count, min, max, mean, quantiles, distinct, histogram } 的映射
+   */
+  getNumericStats(options = {}) {
+    return Object.fromEntries(
+      [...this.stats.numericFields].map((
+        [fieldPath, field],
+      ) => [fieldPath, field.summary(options)]),
+    );
+  }
+
+  /**
+   * 导出数值分布的统计状态，可以保存为 JSON，之后用 mergeNumericStats 合并
+   * @returns {{fields: object}}
+   */
+  exportNumericStats() {
+    return {
+      fields: Object.fromEntries(
+        [...this.stats.numericFields].map((
+          [fieldPath, field],
+        ) => [fieldPath, field.toJSON()]),
+      ),
+    };
+  }
+
+  /**
+   * 合并其他文件的数值分布
+   * @param {{fields: object}} state - exportNumericStats 的结果
+   */
+  mergeNumericStats(state) {
+    for (const [fieldPath, fieldState] of Object.entries(state.fields)) {
+      const field = NumericStats.fromJSON(fieldState);
+      const existing = this.stats.numericFields.get(fieldPath);
+      if (existing) {
+        existing.merge(field);
+      } else {
+        this.stats.numericFields.set(fieldPath, field);
+      }
+    }
   }
 
   /**
@@ -153,6 +392,7 @@ export default class JSONAnalyzer {
    */
   getValueType(value) {
     if (value === null) return "null";
+    if (isLosslessNumber(value)) return "number";
     if (Array.isArray(value)) return "array";
     if (typeof value === "object") return "object";
     if (typeof value === "string") return "string";
@@ -175,7 +415,7 @@ export default class JSONAnalyzer {
       return;
     }
 
-    if (typeof obj === "number") {
+    if (typeof obj === "number" || isLosslessNumber(obj)) {
       this.stats.numbers++;
       return;
     }
@@ -203,62 +443,100 @@ export default class JSONAnalyzer {
 
   /**
    * 分析数据库表结构
+   *
+   * 表是根对象的成员：成员本身是数组时，数组的元素就是记录；成员是对象时，
+   * 其中每个数组成员的元素都是该表的记录。每条记录的每个顶层字段都参与统计，
+   * 结果见 json-field-stats.js，记录在 stats.tableAnalysis 中并写入报告。
+   *
+   * source 为文件路径时流式读取，记录逐条组装后立即统计，内存占用只取决于
+   * 最大的一条记录；记录大小是它在文件中占用的字节数。也可以传入已解析的对象。
+   * @param {string|object} source - JSON文件路径（支持压缩文件），或已解析的数据
+   * @param {object} options - 配置选项，另见 TableProfiler
+   * @param {string} [options.numbers="number"] - 记录中数字的表示方式（number、bigint、string），见 json-values.js
+   * @returns {Promise<object>} - 表名到统计结果的映射
    */
-  analyzeTables(data) {
-    Object.entries(data).forEach(([tableName, tableData]) => {
-      if (typeof tableData === "object" && tableData !== null) {
-        const tableStats = this.analyzeTable(tableName, tableData);
-        this.stats.tableAnalysis[tableName] = tableStats;
-        this.stats.largestTables.push({
-          name: tableName,
-          recordCount: tableStats.recordCount,
-          size: tableStats.estimatedSize,
-        });
+  async analyzeTables(source, options = {}) {
+    const profilers = new Map();
+    const profilerFor = (tableName) => {
+      if (!profilers.has(tableName)) {
+        profilers.set(tableName, new TableProfiler(options));
       }
-    });
+      return profilers.get(tableName);
+    };
+
+    if (typeof source === "string") {
+      const numbers = checkNumberMode(options.numbers);
+      const frames = [];
+      let record = null;
+
+      for await (const token of chunkStrategy.tokens(source)) {
+        if (record === null) {
+          const tableName = recordTableName(frames);
+          if (tableName === null || token.name === "endArray") {
+            trackFrame(frames, token);
+            continue;
+          }
+          record = {
+            assembler: new ValueAssembler({ numbers }),
+            profiler: profilerFor(tableName),
+            start: token.start,
+          };
+        }
+
+        record.assembler.consume(token);
+        if (record.assembler.done) {
+          record.profiler.addRecord(
+            record.assembler.value,
+            token.end - record.start,
+          );
+          record = null;
+        }
+      }
+    } else {
+      Object.entries(source).forEach(([tableName, tableData]) => {
+        if (typeof tableData === "object" && tableData !== null) {
+          this.analyzeTable(tableName, tableData, profilerFor(tableName));
+        }
+      });
+    }
+
+    for (const [tableName, profiler] of profilers) {
+      const tableStats = profiler.summary();
+      this.stats.tableAnalysis[tableName] = tableStats;
+      this.stats.largestTables.push({
+        name: tableName,
+        recordCount: tableStats.recordCount,
+        size: tableStats.bytes,
+      });
+    }
 
     // 按记录数量排序
     this.stats.largestTables.sort((a, b) => b.recordCount - a.recordCount);
+    return this.stats.tableAnalysis;
   }
 
   /**
    * 分析单个表
+   *
+   * 统计已解析的表数据中的所有记录，记录大小按 JSON 文本的字节数计算。
+   * @param {string} tableName - 表名
+   * @param {Array|object} tableData - 记录数组，或包含记录数组的对象
+   * @param {TableProfiler} [profiler] - 累加统计结果的对象，省略时新建
+   * @returns {object} - 统计结果，见 TableProfiler.summary
    */
-  analyzeTable(tableName, tableData) {
-    const stats = {
-      recordCount: 0,
-      hasRecords: false,
-      isEmpty: true,
-      fields: new Set(),
-      estimatedSize: 0,
-      structure: {},
-    };
-
-    // 查找实际的记录数组
-    Object.entries(tableData).forEach(([key, value]) => {
-      if (Array.isArray(value)) {
-        stats.recordCount = value.length;
-        stats.hasRecords = stats.recordCount > 0;
-        stats.isEmpty = stats.recordCount === 0;
-        stats.fields = new Set();
-
-        if (stats.hasRecords && value.length > 0) {
-          // 分析第一条记录的结构
-          const firstRecord = value[0];
-          if (typeof firstRecord === "object" && firstRecord !== null) {
-            Object.keys(firstRecord).forEach((field) => {
-              stats.fields.add(field);
-              stats.structure[field] = typeof firstRecord[field];
-            });
-          }
-        }
-
-        // 估算大小（简化计算）
-        stats.estimatedSize = value.length * 200; // 假设每条记录平均200字节
+  analyzeTable(tableName, tableData, profiler = new TableProfiler()) {
+    const recordArrays = Array.isArray(tableData)
+      ? [tableData]
+      : Object.values(tableData).filter(Array.isArray);
+
+    for (const records of recordArrays) {
+      for (const record of records) {
+        const text = stringifyJSON(record) ?? "";
+        profiler.addRecord(record, Buffer.byteLength(text));
       }
-    });
+    }
 
-    return stats;
+    return profiler.summary();
   }
 
   /**
@@ -399,7 +677,7 @@ export default class JSONAnalyzer {
           const example = info.examples[0];
           const exampleStr = typeof example === "string"
             ? `"${example}"`
-            : JSON.stringify(example);
+            : stringifyJSON(example);
           report += `- **示例:** ${exampleStr}\n`;
         }
         report += `\n`;
@@ -424,6 +702,47 @@ export default class JSONAnalyzer {
       report += `\n**平均数组大小:** ${avgArraySize.toFixed(1)} 个元素\n\n`;
     }
 
+    // 重复的键
+    report += formatDuplicateKeyReport(this.stats.duplicateKeys, {
+      summary:
+        `共 ${this.stats.duplicateKeys.count} 处，解析时按 duplicateKeys 选项处理（默认保留最后一个值）`,
+    });
+
+    // 数值分布
+    if (this.stats.numericFields.size > 0) {
+      const fields = [...this.stats.numericFields]
+        .sort((a, b) => b[1].count - a[1].count)
+        .slice(0, 30);
+      report += `## 📐 数值分布\n\n`;
+      report +=
+        `| 路径 | 数量 | 最小值 | p50 | p90 | p99 | 最大值 | 平均值 | 不同值（约） | 直方图 |\n`;
+      report += `|---|---|---|---|---|---|---|---|---|---|\n`;
+      const format = (number) => Number(number.toPrecision(6));
+      fields.forEach(([fieldPath, field]) => {
+        const { count, min, max, mean, quantiles, distinct, histogram } = field
+          .summary();
+        report += `| \`${fieldPath.replaceAll("|", "\\|")}\` | ${count} | ${
+          format(min)
+        } | ${format(quantiles.p50)} | ${format(quantiles.p90)} | ${
+          format(quantiles.p99)
+        } | ${format(max)} | ${format(mean)} | ${distinct} | ${
+          sparkline(histogram)
+        } |\n`;
+      });
+      if (this.stats.numericFields.size > fields.length) {
+        report += `\n*只列出数量最多的 ${fields.length} 个路径*\n`;
+      }
+      report += `\n`;
+    }
+
+    // 表字段统计（调用过 analyzeTables 时）
+    if (this.stats.largestTables.length > 0) {
+      report += `## 🧮 表字段统计\n\n`;
+      this.stats.largestTables.forEach(({ name }) => {
+        report += this.formatTableStats(name, this.stats.tableAnalysis[name]);
+      });
+    }
+
     // 性能指标
     report += `## ⚡ 性能指标\n\n`;
     report += `- **处理时间:** ${this.stats.processingTime}ms\n`;
@@ -470,6 +789,50 @@ export default class JSONAnalyzer {
     return report;
   }
 
+  /**
+   * 格式化一个表的字段统计
+   */
+  formatTableStats(tableName, tableStats) {
+    const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+    const cell = (value) => String(value).replaceAll("|", "\\|");
+
+    let report = `### ${tableName}\n\n`;
+    report += `- **记录数:** ${tableStats.recordCount.toLocaleString()}`;
+    if (tableStats.nonObjectRecords > 0) {
+      report += `（其中 ${tableStats.nonObjectRecords} 条不是对象）`;
+    }
+    report += `\n- **大小:** ${this.formatFileSize(tableStats.bytes)}\n`;
+    if (tableStats.skippedValues > 0) {
+      report +=
+        `- **未统计:** 字段过多，${tableStats.skippedValues} 个值未参与统计\n`;
+    }
+    report += `\n`;
+
+    report +=
+      `| 字段 | 出现 | null | 类型 | 最小值 | 最大值 | 平均值 | 不同值（约） | 最常见的值 | 字符串长度 |\n`;
+    report += `|---|---|---|---|---|---|---|---|---|---|\n`;
+    Object.entries(tableStats.fields).forEach(([field, stats]) => {
+      const types = Object.entries(stats.types)
+        .map(([type, count]) => `${type} ${count}`)
+        .join(", ");
+      const { numbers, stringLengths } = stats;
+      const top = stats.top.slice(0, 3)
+        .map(({ value, count }) => `${stringifyJSON(value)} ×${count}`)
+        .join(", ");
+      const lengths = stringLengths
+        ? `${stringLengths.min}-${stringLengths.max}，平均 ${
+          stringLengths.mean.toFixed(1)
+        }`
+        : "";
+      report += `| \`${cell(field)}\` | ${percent(stats.presence)} | ${
+        percent(stats.nullRatio)
+      } | ${types} | ${numbers?.min ?? ""} | ${numbers?.max ?? ""} | ${
+        numbers ? Number(numbers.mean.toFixed(2)) : ""
+      } | ${stats.distinct} | ${cell(top)} | ${lengths} |\n`;
+    });
+    return report + `\n`;
+  }
+
   /**
    * 格式化文件大小
    */
@@ -500,6 +863,9 @@ export default class JSONAnalyzer {
     console.log(`📊 总元素数: ${report.totalElements}`);
     console.log(`🔑 唯一键数: ${report.uniqueKeys}`);
     console.log(`📈 最大深度: ${report.maxDepth}`);
+    if (report.duplicateKeys > 0) {
+      console.log(`🔁 重复的键: ${report.duplicateKeys}`);
+    }
     console.log(`💾 处理速度: ${report.processingSpeed} KB/s`);
   }
 
@@ -525,6 +891,7 @@ export default class JSONAnalyzer {
             filePath,
             success: true,
             reportPath: outputFileName,
+            numericStats: this.exportNumericStats(),
           });
 
           // 打印摘要
@@ -537,6 +904,7 @@ export default class JSONAnalyzer {
               this.stats.numbers + this.stats.booleans + this.stats.nulls,
             uniqueKeys: this.stats.keyFrequency.size,
             maxDepth: this.stats.maxDepth,
+            duplicateKeys: this.stats.duplicateKeys.count,
             processingSpeed:
               (this.stats.totalSize / 1024 / (this.stats.processingTime / 1000))
                 .toFixed(2),
@@ -558,6 +926,10 @@ export default class JSONAnalyzer {
             arraySizes: new Map(),
             objectDepths: new Map(),
             paths: new Map(),
+            duplicateKeys: { count: 0, duplicates: [] },
+            tableAnalysis: {},
+            numericFields: new Map(),
+            largestTables: [],
             maxDepth: 0,
             processingTime: 0,
           };
@@ -583,6 +955,65 @@ export default class JSONAnalyzer {
   }
 }
 
+/**
+ * 对象成员的路径片段，键是标识符时使用点号
+ */
+function memberPath(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `.${key}`
+    : formatJSONPath([key]).slice(1);
+}
+
+/**
+ * 直方图的文本形式，每个桶一个字符
+ */
+function sparkline(histogram) {
+  const bars = "▁▂▃▄▅▆▇█";
+  const peak = Math.max(...histogram.map(({ count }) => count));
+  return histogram
+    .map(({ count }) =>
+      count === 0 ? " " : bars[Math.ceil(count / peak * bars.length) - 1]
+    )
+    .join("");
+}
+
+/**
+ * 当前位置的值是否为记录，是则返回所属的表名
+ * @param {Array<{type: string, key: string|null}>} frames - 从根开始未结束的容器
+ * @returns {string|null}
+ */
+function recordTableName(frames) {
+  if (frames[0]?.type !== "object") {
+    return null;
+  }
+  const shape = frames.map(({ type }) => type).join("/");
+  return shape === "object/array" || shape === "object/object/array"
+    ? frames[0].key
+    : null;
+}
+
+/**
+ * 记录之外的词法单元只用于维护容器的层级和当前的键
+ */
+function trackFrame(frames, token) {
+  switch (token.name) {
+    case "keyValue":
+      frames[frames.length - 1].key = token.value;
+      break;
+    case "startObject":
+    case "startArray":
+      frames.push({
+        type: token.name === "startObject" ? "object" : "array",
+        key: null,
+      });
+      break;
+    case "endObject":
+    case "endArray":
+      frames.pop();
+      break;
+  }
+}
+
 // 如果直接运行此文件，执行分析
 if (import.meta.main) {
   async function main() {
@@ -1,109 +1,46 @@
-import LargeJSONHandler from "./index.js";
 import fs from "fs/promises";
+import JSONIndex from "./json-index.js";
+import JSONSearch from "./json-search.js";
+import {
+  formatJSONPath,
+  parseJSONPath,
+  parseJSONPointer,
+  toJSONPointer,
+} from "./json-path.js";
+import { isLosslessNumber, parseJSON, stringifyJSON } from "./json-values.js";
 
 class JSONStructureBrowser {
   constructor(options = {}) {
     this.maxDisplayLength = options.maxDisplayLength || 300;
     this.maxArrayItems = options.maxArrayItems || 5;
     this.maxObjectKeys = options.maxObjectKeys || 5;
-    this.jsonHandler = new LargeJSONHandler();
+    this.indexDepth = options.indexDepth ?? 3; // 字节偏移索引记录容器的最大深度
+    this.numbers = options.numbers ?? "number"; // 数字模式，见 json-values.js
+    this.indexes = new Map(); // 文件路径 -> JSONIndex
   }
 
   /**
    * 分析 JSON 文件结构
+   *
+   * 通过字节偏移索引（见 getIndex()）得到各层容器的成员数和前几个成员，
+   * 不需要把整个文件读入内存。
    * @param {string} filePath - 文件路径
-   * @returns {Promise<object>} - 结构信息
+   * @returns {Promise<object>} - 结构信息，格式同 buildStructure()，size 为文件大小
    */
   async analyzeStructure(filePath) {
     console.log(`开始分析 JSON 文件结构: ${filePath}`);
 
-    const structure = {
-      type: "root",
-      path: "",
-      size: 0,
-      children: [],
-      summary: {},
-    };
-
     try {
       // 获取文件大小
       const stats = await fs.stat(filePath);
+      const index = await this.getIndex(filePath);
+      const structure = await this.buildIndexedStructure(
+        index,
+        await index.lookup([]),
+        "",
+      );
       structure.size = stats.size;
 
-      // 分块读取并解析结构
-      let buffer = "";
-      let braceCount = 0;
-      let bracketCount = 0;
-      let inString = false;
-      let escapeNext = false;
-
-      for await (
-        const { chunk } of this.jsonHandler.readJSONInChunks(filePath, {
-          chunkSize: 1000,
-          pretty: true,
-        })
-      ) {
-        buffer += chunk;
-
-        // 解析结构
-        for (let i = 0; i < buffer.length; i++) {
-          const char = buffer[i];
-
-          if (escapeNext) {
-            escapeNext = false;
-            continue;
-          }
-
-          if (char === "\\" && inString) {
-            escapeNext = true;
-            continue;
-          }
-
-          if (char === '"') {
-            inString = !inString;
-            continue;
-          }
-
-          if (!inString) {
-            if (char === "{") {
-              braceCount++;
-            } else if (char === "}") {
-              braceCount--;
-            } else if (char === "[") {
-              bracketCount++;
-            } else if (char === "]") {
-              bracketCount--;
-            }
-          }
-        }
-
-        // 如果缓冲区太大，处理已收集的数据
-        if (buffer.length > 5000) {
-          const partialStructure = this.parseStructure(buffer, structure);
-          if (partialStructure) {
-            structure.children = partialStructure.children;
-            structure.summary = partialStructure.summary;
-          }
-          buffer = buffer.slice(-1000); // 保留部分内容用于继续解析
-        }
-
-        // 如果 JSON 解析完成，退出循环
-        if (
-          braceCount === 0 && bracketCount === 0 && buffer.trim().length > 0
-        ) {
-          break;
-        }
-      }
-
-      // 处理剩余的缓冲区
-      if (buffer.length > 0) {
-        const finalStructure = this.parseStructure(buffer, structure);
-        if (finalStructure) {
-          structure.children = finalStructure.children;
-          structure.summary = finalStructure.summary;
-        }
-      }
-
       console.log(`结构分析完成`);
       return structure;
     } catch (error) {
@@ -113,16 +50,78 @@ class JSONStructureBrowser {
   }
 
   /**
-   * 解析 JSON 结构片段
+   * 根据索引构建结构
+   *
+   * 与 buildStructure() 一样每层只展开前几个成员，summary.keys 也只包含这些
+   * 成员的键，键的总数见 summary.keyCount。深度超过 indexDepth 的容器不再展开，
+   * 以免为了很深的成员反复扫描文件。
    */
-  parseStructure(jsonString, parentStructure) {
-    try {
-      const data = JSON.parse(jsonString);
-      return this.buildStructure(data, parentStructure.path);
-    } catch (error) {
-      // 如果解析失败，返回部分结构
-      return this.buildPartialStructure(jsonString);
+  async buildIndexedStructure(index, entry, path, depth = 0) {
+    const structure = {
+      type: entry.type,
+      path: path,
+      children: [],
+      summary: {},
+    };
+
+    if (!isContainerType(entry.type)) {
+      const value = parseJSON(await index.readText(entry.start, entry.end), {
+        numbers: this.numbers,
+      });
+      structure.summary.value = value;
+      if (value !== null) {
+        structure.summary.display = this.truncateValue(value);
+      }
+      return structure;
+    }
+
+    const isArray = entry.type === "array";
+    const shown = isArray ? this.maxArrayItems : this.maxObjectKeys;
+    // 数组的元素类型按前 10 个元素判断，与 getArrayItemType() 一致
+    const members = await index.members(
+      entry.keys,
+      0,
+      isArray ? Math.max(shown, 10) : shown,
+    );
+
+    if (isArray) {
+      structure.summary.length = entry.size;
+      structure.summary.type = summarizeItemTypes(members);
+    } else {
+      structure.summary.keys = members.map(({ key }) => key);
+      structure.summary.keyCount = entry.size;
+    }
+    if (depth >= this.indexDepth) {
+      return structure;
+    }
+
+    for (const member of members.slice(0, shown)) {
+      const memberPath = isArray
+        ? `${path}[${member.key}]`
+        : path
+        ? `${path}.${member.key}`
+        : member.key;
+      const child = await this.buildIndexedStructure(
+        index,
+        member,
+        memberPath,
+        depth + 1,
+      );
+      if (!isArray) {
+        child.summary.key = member.key;
+      }
+      structure.children.push(child);
+    }
+
+    // 成员很多时添加省略标记
+    if (entry.size > shown) {
+      structure.children.push({
+        type: "ellipsis",
+        path: isArray ? `${path}[${shown}...${entry.size - 1}]` : `${path}...`,
+        summary: { omitted: entry.size - shown },
+      });
     }
+    return structure;
   }
 
   /**
@@ -139,6 +138,10 @@ class JSONStructureBrowser {
     if (data === null) {
       structure.type = "null";
       structure.summary.value = null;
+    } else if (isLosslessNumber(data)) {
+      structure.type = "number";
+      structure.summary.value = data;
+      structure.summary.display = this.truncateValue(data);
     } else if (typeof data === "object") {
       if (Array.isArray(data)) {
         structure.type = "array";
@@ -192,97 +195,6 @@ class JSONStructureBrowser {
     return structure;
   }
 
-  /**
-   * 构建部分结构（用于解析失败时）
-   */
-  buildPartialStructure(jsonString) {
-    const structure = {
-      type: "partial",
-      path: "",
-      children: [],
-      summary: {},
-    };
-
-    // 尝试提取一些关键信息
-    const paths = this.extractPaths(jsonString);
-    structure.summary.paths = paths.slice(0, 10);
-    structure.summary.estimatedKeys = this.estimateKeys(jsonString);
-    structure.summary.containsArray = jsonString.includes("[");
-    structure.summary.containsObject = jsonString.includes("{");
-
-    return structure;
-  }
-
-  /**
-   * 提取 JSON 路径
-   */
-  extractPaths(jsonString) {
-    const paths = [];
-    const stack = [];
-    let currentPath = "";
-    let inString = false;
-    let escapeNext = false;
-
-    for (let i = 0; i < jsonString.length; i++) {
-      const char = jsonString[i];
-
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === "\\" && inString) {
-        escapeNext = true;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (!inString) {
-        if (char === "{" || char === "[") {
-          stack.push(char);
-          if (paths.length < 20) {
-            paths.push(currentPath);
-          }
-        } else if (char === "}" || char === "]") {
-          stack.pop();
-          currentPath = this.getParentPath(currentPath);
-        } else if (char === ":") {
-          // 可能是对象的键
-          const keyMatch = jsonString.slice(0, i).match(/"([^"]+)"\s*:$/);
-          if (keyMatch && stack.length > 0) {
-            currentPath = currentPath
-              ? `${currentPath}.${keyMatch[1]}`
-              : keyMatch[1];
-          }
-        }
-      }
-    }
-
-    return paths;
-  }
-
-  /**
-   * 估计键的数量
-   */
-  estimateKeys(jsonString) {
-    const keyMatches = jsonString.match(/"([^"]+)"\s*:/g);
-    return keyMatches ? keyMatches.length : 0;
-  }
-
-  /**
-   * 获取父路径
-   */
-  getParentPath(path) {
-    const lastDot = path.lastIndexOf(".");
-    const lastBracket = path.lastIndexOf("[");
-    const cutIndex = Math.max(lastDot, lastBracket);
-    return cutIndex > 0 ? path.substring(0, cutIndex) : "";
-  }
-
   /**
    * 获取数组项类型
    */
@@ -292,6 +204,7 @@ class JSONStructureBrowser {
     const types = array.slice(0, 10).map((item) => {
       if (item === null) return "null";
       if (Array.isArray(item)) return "array";
+      if (isLosslessNumber(item)) return "number";
       if (typeof item === "object") return "object";
       return typeof item;
     });
@@ -314,15 +227,19 @@ class JSONStructureBrowser {
   /**
    * 导航到指定路径
    * @param {string} filePath - 文件路径
-   * @param {string} path - JSON 路径
+   * @param {string|Array<string|number>} path - JSON 路径，或键和下标序列
    * @returns {Promise<object>} - 指定路径的数据
    */
   async navigateToPath(filePath, path) {
-    console.log(`导航到路径: ${path}`);
+    const label = Array.isArray(path) ? formatJSONPath(path) : path;
+    console.log(`导航到路径: ${label}`);
 
     try {
       const data = await this.readPartialJSON(filePath, path);
-      return this.buildStructure(data, path);
+      if (data === undefined) {
+        return null;
+      }
+      return this.buildStructure(data, label);
     } catch (error) {
       console.error(`导航失败: ${error.message}`);
       throw error;
@@ -331,73 +248,169 @@ class JSONStructureBrowser {
 
   /**
    * 读取 JSON 的部分内容
+   *
+   * 通过字节偏移索引直接定位到目标值，只解析该值所在的区间；
+   * 索引在第一次访问文件时建立，源文件变化后自动重建。
+   * @param {string} filePath - 文件路径
+   * @param {string|Array<string|number>} targetPath - 路径，例如 "info.title"、"paths[0]"，或键和下标序列
+   * @returns {Promise<*>} - 路径不存在时为 undefined
    */
   async readPartialJSON(filePath, targetPath) {
-    // 实现读取特定路径的数据
-    // 这里使用流式解析
-    let buffer = "";
-    let inString = false;
-    let escapeNext = false;
-    let braceCount = 0;
-    let bracketCount = 0;
-
-    for await (
-      const { chunk } of this.jsonHandler.readJSONInChunks(filePath, {
-        chunkSize: 5000,
-      })
-    ) {
-      buffer += chunk;
-
-      // 检查 JSON 是否完整
-      for (let i = 0; i < buffer.length; i++) {
-        const char = buffer[i];
-
-        if (escapeNext) {
-          escapeNext = false;
-          continue;
-        }
+    const index = await this.getIndex(filePath);
+    return index.read(targetPath);
+  }
 
-        if (char === "\\" && inString) {
-          escapeNext = true;
-          continue;
-        }
+  /**
+   * 读取数组中 [start, end) 的元素，不读取其余元素，见 JSONIndex.readSlice()
+   * @param {string} filePath - 文件路径
+   * @param {string|Array<string|number>} path - 数组的路径，格式同 resolveKeys()
+   * @param {number} [start=0] - 第一个元素的下标
+   * @param {number} [end=Infinity] - 结束下标（不包含）
+   * @returns {Promise<{items: Array<*>, start: number, end: number, length: number} | null>} - 路径不存在时为 null；length 为数组长度
+   * @throws {RangeError} - start 或 end 不是非负整数
+   */
+  async readArraySlice(filePath, path, start = 0, end = Infinity) {
+    const index = await this.getIndex(filePath);
+    return index.readSlice(await this.resolveKeys(filePath, path), start, end);
+  }
 
-        if (char === '"') {
-          inString = !inString;
-          continue;
-        }
+  /**
+   * 列出指定路径的直接成员，用于补全
+   * @param {string} filePath - 文件路径
+   * @param {string|Array<string|number>} path - JSON 路径，或键和下标序列
+   * @param {object} options - 配置选项，见 JSONIndex.children()
+   * @param {number} [options.offset=0] - 第一个成员的位置
+   * @param {number} [options.limit=Infinity] - 最多列出的成员数
+   * @returns {Promise<Array<string|number>|null>} - 对象的键或数组的下标，不是容器时为 null
+   */
+  async listChildren(filePath, path, options = {}) {
+    const index = await this.getIndex(filePath);
+    return index.children(path, options);
+  }
 
-        if (!inString) {
-          if (char === "{") {
-            braceCount++;
-          } else if (char === "}") {
-            braceCount--;
-          } else if (char === "[") {
-            bracketCount++;
-          } else if (char === "]") {
-            bracketCount--;
-          }
-        }
-      }
+  /**
+   * 把路径解析为键和下标序列
+   *
+   * JSON Pointer 的各段和不带方括号的数字（如 items.0）按所在容器的类型确定
+   * 是下标还是成员名。
+   * @param {string} filePath - 文件路径
+   * @param {string|Array<string|number>} path - 键和下标序列、JSON Pointer（以 "/" 开头）、JSONPath（以 "$" 开头），或相对于 base 的旧式路径
+   * @param {Array<string|number>} [base=[]] - 旧式路径的起点
+   * @returns {Promise<Array<string|number>>}
+   */
+  async resolveKeys(filePath, path, base = []) {
+    if (Array.isArray(path)) {
+      return path;
+    }
 
-      // 如果 JSON 完整，尝试解析
-      if (braceCount === 0 && bracketCount === 0 && buffer.trim().length > 0) {
-        try {
-          const data = JSON.parse(buffer);
-          return this.navigateData(data, targetPath);
-        } catch (e) {
-          // 如果解析失败，继续读取
-          continue;
-        }
+    const keys = [];
+    if (path.startsWith("/")) {
+      for (const token of parseJSONPointer(path)) {
+        keys.push(
+          /^(0|[1-9]\d*)$/.test(token) && await this.isArray(filePath, keys)
+            ? Number(token)
+            : token,
+        );
       }
+      return keys;
+    }
+    if (!path.startsWith("$")) {
+      keys.push(...base);
+    }
+    if (path === "" || path === "$") {
+      return keys;
+    }
 
-      // 如果缓冲区太大，重置
-      if (buffer.length > 100000) {
-        buffer = "";
+    for (const { descendant, selectors } of parseJSONPath(path)) {
+      const [selector] = selectors;
+      if (
+        descendant || selectors.length !== 1 ||
+        (selector.type !== "name" && selector.type !== "index")
+      ) {
+        throw new Error(`路径只能由成员名和下标组成: ${path}`);
+      }
+      if (selector.type === "index") {
+        keys.push(selector.index);
+      } else if (selector.loose && await this.isArray(filePath, keys)) {
+        keys.push(Number(selector.name));
+      } else {
+        keys.push(selector.name);
       }
     }
+    return keys;
+  }
 
-    throw new Error("无法解析 JSON 数据");
+  /**
+   * 指定路径的值是否为数组
+   */
+  async isArray(filePath, keys) {
+    const index = await this.getIndex(filePath);
+    return (await index.lookup(keys))?.type === "array";
+  }
+
+  /**
+   * 描述指定路径的值，容器同时列出一页成员
+   *
+   * 成员从索引中最近的采样点开始扫描得到，基本类型值只读取开头的一段文本，
+   * 不读取整个容器。
+   * @param {string} filePath - 文件路径
+   * @param {string|Array<string|number>} path - 路径，格式同 resolveKeys()
+   * @param {object} options - 配置选项
+   * @param {number} [options.offset=0] - 第一个成员的位置
+   * @param {number} [options.limit=100] - 最多列出的成员数
+   * @param {number} [options.snippetBytes=256] - 基本类型值最多显示的字节数
+   * @returns {Promise<object|null>} - 路径不存在时为 null
+   */
+  async describePath(filePath, path, options = {}) {
+    const offset = options.offset ?? 0;
+    const limit = options.limit ?? 100;
+    const snippetBytes = options.snippetBytes ?? 256;
+    const index = await this.getIndex(filePath);
+    const keys = await this.resolveKeys(filePath, path);
+
+    const describeEntry = async (entry) => ({
+      ...describeKeys(entry.keys),
+      type: entry.type,
+      count: isContainerType(entry.type) ? entry.size : null,
+      start: entry.start,
+      end: entry.end,
+      text: isContainerType(entry.type)
+        ? null
+        : await index.readText(entry.start, entry.end, snippetBytes),
+    });
+
+    const entry = await index.lookup(keys);
+    if (!entry) {
+      return null;
+    }
+    const node = await describeEntry(entry);
+    if (node.count === null) {
+      return node;
+    }
+
+    node.offset = offset;
+    node.children = [];
+    for (const member of await index.members(keys, offset, limit)) {
+      node.children.push(await describeEntry(member));
+    }
+    return node;
+  }
+
+  /**
+   * 获取文件的字节偏移索引，同一文件只加载一次
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<JSONIndex>}
+   */
+  async getIndex(filePath) {
+    let index = this.indexes.get(filePath);
+    if (!index) {
+      index = new JSONIndex(filePath, {
+        maxDepth: this.indexDepth,
+        numbers: this.numbers,
+      });
+      this.indexes.set(filePath, index);
+    }
+    return index.open();
   }
 
   /**
@@ -409,24 +422,35 @@ class JSONStructureBrowser {
     }
 
     const pathParts = path.split(".").map((part) => {
-      // 处理数组索引 [0]
-      const match = part.match(/([^\[]+)(\[(\d+)\])?/);
+      // 处理数组索引 [0] 和切片 [10:20]
+      const match = part.match(/([^\[]+)(\[(\d*)(:(\d*))?\])?/);
       if (match) {
         return {
           key: match[1],
-          index: match[3] ? parseInt(match[3]) : null,
+          index: match[3] && !match[4] ? parseInt(match[3]) : null,
+          slice: match[4]
+            ? [
+              parseInt(match[3] || "0"),
+              match[5] ? parseInt(match[5]) : undefined,
+            ]
+            : null,
         };
       }
-      return { key: part, index: null };
+      return { key: part, index: null, slice: null };
     });
 
     let current = data;
 
     for (const part of pathParts) {
-      if (part.index !== null) {
+      if (part.index !== null || part.slice) {
         // 数组访问
+        if (current && typeof current === "object" && !Array.isArray(current)) {
+          current = current[part.key];
+        }
         if (current && Array.isArray(current)) {
-          current = current[part.index];
+          current = part.slice
+            ? current.slice(...part.slice)
+            : current[part.index];
         } else {
           return null;
         }
@@ -486,19 +510,9 @@ class JSONStructureBrowser {
         output += `${spaces}... ${structure.summary.omitted} more items\n`;
         break;
 
-      case "partial":
-        output +=
-          `${spaces}📊 Partial structure (estimated keys: ${structure.summary.estimatedKeys})\n`;
-        if (structure.summary.paths) {
-          structure.summary.paths.forEach((p) => {
-            output += `${spaces}  - ${p}\n`;
-          });
-        }
-        break;
-
       default:
         output += `${spaces}${structure.type}: ${
-          JSON.stringify(structure.summary)
+          stringifyJSON(structure.summary)
         }\n`;
     }
 
@@ -506,53 +520,36 @@ class JSONStructureBrowser {
   }
 
   /**
-   * 搜索 JSON 结构
+   * 搜索键名和值，结果逐个产出
+   * @param {string} filePath - 文件路径
+   * @param {string|RegExp|object} query - 查询，见 json-search.js
+   * @param {object} options - 配置选项，见 JSONSearch
+   * @returns {AsyncGenerator<{match: string, path: string, keys: Array<string|number>, offset: number, type: string, value: *}>}
    */
-  async search(filePath, searchTerm) {
-    console.log(`搜索: "${searchTerm}"`);
-
-    const results = [];
-    let buffer = "";
-
-    for await (
-      const { chunk } of this.jsonHandler.readJSONInChunks(filePath, {
-        chunkSize: 2000,
-      })
-    ) {
-      buffer += chunk;
-
-      // 搜索键
-      const keyMatches = [...buffer.matchAll(/"([^"]+)"\s*:/g)];
-      for (const match of keyMatches) {
-        if (match[1].toLowerCase().includes(searchTerm.toLowerCase())) {
-          results.push({
-            type: "key",
-            value: match[1],
-            position: match.index,
-          });
-        }
-      }
+  search(filePath, query, options = {}) {
+    return new JSONSearch(query, { numbers: this.numbers, ...options })
+      .search(filePath);
+  }
+}
 
-      // 搜索值
-      const valueMatches = [...buffer.matchAll(/:\s*"([^"]*)"/g)];
-      for (const match of valueMatches) {
-        if (match[1].toLowerCase().includes(searchTerm.toLowerCase())) {
-          results.push({
-            type: "value",
-            value: match[1],
-            position: match.index,
-          });
-        }
-      }
+function describeKeys(keys) {
+  return {
+    key: keys.length > 0 ? keys[keys.length - 1] : null,
+    keys,
+    path: formatJSONPath(keys),
+    pointer: toJSONPointer(keys),
+  };
+}
 
-      // 清理缓冲区，避免过大
-      if (buffer.length > 10000) {
-        buffer = buffer.slice(-5000);
-      }
-    }
+function isContainerType(type) {
+  return type === "object" || type === "array";
+}
 
-    return results;
-  }
+function summarizeItemTypes(members) {
+  if (members.length === 0) return "empty";
+
+  const types = [...new Set(members.map(({ type }) => type))];
+  return types.length === 1 ? types[0] : "mixed";
 }
 
 export default JSONStructureBrowser;
@@ -0,0 +1,437 @@
+import JSONTokenizer, { JSONSyntaxError } from "./json-tokenizer.js";
+import { formatJSONPath } from "./json-path.js";
+import { createJSONReadStream } from "./compression.js";
+
+/**
+ * JSON 语法错误诊断
+ *
+ * 用 JSONTokenizer 扫描输入，出错时给出行号、列号、字节偏移、出错时正在解析的
+ * 值的 JSONPath，以及用 ^ 标出错误位置的上下文片段。扫描过程只保留最近的少量
+ * 字节用于生成片段，内存占用与文件大小无关。
+ *
+ * 行号和列号从 1 开始，列号按 Unicode 码位计算。
+ *
+ * @typedef {object} JSONDiagnostic
+ * @property {boolean} valid - 是否没有语法错误
+ * @property {string} [message] - 错误说明
+ * @property {number} [offset] - 出错的字节偏移
+ * @property {number|null} [line] - 行号，出错位置超出保留的范围时为 null
+ * @property {number|null} [column] - 列号，同上
+ * @property {string} [path] - 出错时正在解析的值的 JSONPath，例如 "$['items'][3]"
+ * @property {Array<string|number>} [keys] - 同 path 的键序列
+ * @property {string} [excerpt] - 带行号和 ^ 标记的上下文片段
+ */
+
+const NEWLINE = 0x0a;
+const WHITESPACE = new Set([0x20, 0x09, 0x0a, 0x0d]);
+
+/**
+ * 诊断 JSON 文本
+ * @param {string|Buffer} text - JSON 文本
+ * @param {object} options - 配置选项，见 JSONDiagnoser
+ * @returns {JSONDiagnostic}
+ */
+export function diagnoseJSON(text, options = {}) {
+  const diagnoser = new JSONDiagnoser(options);
+  return diagnoser.write(text) ?? diagnoser.end();
+}
+
+/**
+ * 流式诊断 JSON 文件，遇到第一个语法错误即停止读取
+ * @param {string} filePath - 文件路径（支持压缩文件，偏移为解压后的位置）
+ * @param {object} options - 配置选项，见 JSONDiagnoser
+ * @param {number} [options.chunkSize=65536] - 读取块大小
+ * @returns {Promise<JSONDiagnostic>}
+ */
+export async function diagnoseJSONFile(filePath, options = {}) {
+  const diagnoser = new JSONDiagnoser(options);
+  const stream = createJSONReadStream(filePath, {
+    highWaterMark: options.chunkSize ?? 64 * 1024,
+  });
+
+  try {
+    for await (const data of stream) {
+      const diagnostic = diagnoser.write(data);
+      if (diagnostic) {
+        return diagnostic;
+      }
+    }
+  } finally {
+    stream.destroy();
+  }
+  return diagnoser.end();
+}
+
+/**
+ * 解析文件出错后重新扫描该文件，发现语法错误时附加到 error.diagnostic
+ *
+ * 供基于 stream-json 的分析器使用，它们的错误信息不包含行列号和路径。
+ * @param {string} filePath - 出错的文件
+ * @param {Error} error - 解析时抛出的错误
+ * @param {object} options - 配置选项，同 diagnoseJSONFile
+ * @returns {Promise<JSONDiagnostic|null>} - 文件没有语法错误或无法读取时为 null
+ */
+export async function attachDiagnostic(filePath, error, options = {}) {
+  let diagnostic;
+  try {
+    diagnostic = await diagnoseJSONFile(filePath, options);
+  } catch {
+    return null;
+  }
+  if (diagnostic.valid) {
+    return null;
+  }
+  error.diagnostic = diagnostic;
+  return diagnostic;
+}
+
+/**
+ * 把诊断结果格式化为便于阅读的多行文本
+ * @param {JSONDiagnostic} diagnostic - 诊断结果
+ * @returns {string}
+ */
+export function formatDiagnostic(diagnostic) {
+  if (diagnostic.valid) {
+    return "JSON 语法正确";
+  }
+
+  const position = diagnostic.line === null
+    ? `字节偏移 ${diagnostic.offset}`
+    : `第 ${diagnostic.line} 行，第 ${diagnostic.column} 列（字节偏移 ${diagnostic.offset}）`;
+  const lines = [
+    `语法错误: ${diagnostic.message}`,
+    `位置: ${position}`,
+    `路径: ${diagnostic.path}`,
+  ];
+  if (diagnostic.excerpt) {
+    lines.push(diagnostic.excerpt);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * 逐块扫描 JSON，出错时生成诊断信息
+ */
+export class JSONDiagnoser {
+  /**
+   * @param {object} options - 配置选项
+   * @param {boolean} [options.multipleValues=false] - 是否允许多个顶层值（例如 NDJSON）
+   * @param {boolean} [options.lenient=false] - 是否接受 JSON5 / JSONC 的写法
+   * @param {number} [options.contextLines=2] - 片段中错误行之前显示的行数
+   * @param {number} [options.maxWidth=80] - 片段每行最多显示的字符数
+   * @param {number} [options.contextBytes=65536] - 为生成片段保留的已扫描字节数
+   */
+  constructor(options = {}) {
+    this.tokenizer = new JSONTokenizer({
+      multipleValues: options.multipleValues || false,
+      lenient: options.lenient || false,
+    });
+    this.contextLines = options.contextLines ?? 2;
+    this.maxWidth = options.maxWidth ?? 80;
+    this.contextBytes = options.contextBytes ?? 64 * 1024;
+    this.frames = []; // 当前路径上的容器
+    this.window = Buffer.alloc(0); // 已扫描内容的末尾部分
+    this.windowStart = 0; // window[0] 的字节偏移
+    this.line = 1; // 已扫描内容末尾所在的行
+    this.column = 1; // 已扫描内容末尾所在的列
+  }
+
+  /**
+   * 扫描一个数据片段
+   * @param {Buffer|string} data - 数据片段
+   * @returns {JSONDiagnostic|null} - 发现语法错误时返回诊断结果
+   */
+  write(data) {
+    const buffer = typeof data === "string" ? Buffer.from(data) : data;
+    try {
+      this.track(this.tokenizer.write(buffer));
+    } catch (error) {
+      return this.fail(error, buffer);
+    }
+
+    this.advance(buffer);
+    return null;
+  }
+
+  /**
+   * 结束输入
+   * @returns {JSONDiagnostic}
+   */
+  end() {
+    try {
+      this.track(this.tokenizer.end());
+    } catch (error) {
+      return this.fail(error, Buffer.alloc(0));
+    }
+    return { valid: true };
+  }
+
+  /**
+   * 根据词法单元更新当前路径
+   */
+  track(tokens) {
+    for (const token of tokens) {
+      const parent = this.frames[this.frames.length - 1];
+      switch (token.name) {
+        case "keyValue":
+          parent.key = token.value;
+          break;
+        case "startObject":
+        case "startArray":
+          if (parent?.type === "array") {
+            parent.index++;
+          }
+          this.frames.push({
+            type: token.name === "startObject" ? "object" : "array",
+            key: null,
+            index: -1,
+          });
+          break;
+        case "endObject":
+        case "endArray":
+          this.frames.pop();
+          this.closeValue(this.frames[this.frames.length - 1]);
+          break;
+        default:
+          if (parent?.type === "array") {
+            parent.index++;
+          }
+          this.closeValue(parent);
+      }
+    }
+  }
+
+  /**
+   * 一个值结束后，对象中等待的键随之结束
+   */
+  closeValue(parent) {
+    if (parent?.type === "object") {
+      parent.key = null;
+    }
+  }
+
+  /**
+   * 更新行列号并保留片段的末尾部分
+   */
+  advance(buffer) {
+    Object.assign(this, locateForward(this.line, this.column, buffer));
+
+    if (buffer.length >= this.contextBytes) {
+      this.windowStart += this.window.length +
+        buffer.length - this.contextBytes;
+      this.window = Buffer.from(buffer.subarray(-this.contextBytes));
+    } else {
+      const window = Buffer.concat([this.window, buffer]);
+      const excess = Math.max(0, window.length - this.contextBytes);
+      this.windowStart += excess;
+      this.window = window.subarray(excess);
+    }
+  }
+
+  /**
+   * 生成诊断结果
+   */
+  fail(error, buffer) {
+    if (!(error instanceof JSONSyntaxError)) {
+      throw error;
+    }
+    this.track(error.tokens ?? []);
+
+    // 片段由保留的末尾部分和当前片段组成，target 为出错位置在其中的下标
+    const text = Buffer.concat([this.window, buffer]);
+    const target = error.offset - this.windowStart;
+    const { line, column } = this.locate(text, target);
+    const keys = this.currentKeys(text, target);
+
+    return {
+      valid: false,
+      message: error.reason,
+      offset: error.offset,
+      line,
+      column,
+      path: formatJSONPath(keys),
+      keys,
+      excerpt: target >= 0 ? this.excerpt(text, target, line) : "",
+    };
+  }
+
+  /**
+   * 计算 text[target] 的行列号，text 中 window.length 处的行列号已知
+   */
+  locate(text, target) {
+    const known = this.window.length;
+    if (target >= known) {
+      return locateForward(
+        this.line,
+        this.column,
+        text.subarray(known, target),
+      );
+    }
+    if (target < 0) {
+      return { line: null, column: null };
+    }
+
+    // 出错位置在之前的片段中（例如跨越多个片段的无效字符串）
+    const between = text.subarray(target, known);
+    const newlines = countNewlines(between);
+    if (newlines === 0) {
+      return {
+        line: this.line,
+        column: this.column - countCodePoints(between),
+      };
+    }
+
+    const lineStart = target > 0 ? text.lastIndexOf(NEWLINE, target - 1) : -1;
+    return {
+      line: this.line - newlines,
+      column: lineStart >= 0 || this.windowStart === 0
+        ? countCodePoints(text.subarray(lineStart + 1, target)) + 1
+        : null,
+    };
+  }
+
+  /**
+   * 出错时正在解析的值的路径
+   *
+   * 对象中已经读到键时包含该键；数组中紧跟在 [ 或 , 之后出错时包含下一个下标。
+   */
+  currentKeys(text, target) {
+    const keys = [];
+    const innermost = this.frames.length - 1;
+
+    this.frames.forEach((frame, depth) => {
+      if (frame.type === "object") {
+        if (frame.key !== null) {
+          keys.push(frame.key);
+        }
+      } else if (depth < innermost) {
+        keys.push(frame.index);
+      } else {
+        let i = Math.min(target, text.length) - 1;
+        while (i >= 0 && WHITESPACE.has(text[i])) {
+          i--;
+        }
+        if (i >= 0 && (text[i] === 0x2c || text[i] === 0x5b)) {
+          keys.push(frame.index + 1);
+        }
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * 生成带行号和 ^ 标记的上下文片段
+   */
+  excerpt(text, target, line) {
+    target = Math.min(target, text.length);
+
+    // 错误行及之前的 contextLines 行
+    const lineEnd = text.indexOf(NEWLINE, target);
+    const rows = [{
+      start: target > 0 ? text.lastIndexOf(NEWLINE, target - 1) + 1 : 0,
+      end: lineEnd === -1 ? text.length : lineEnd,
+    }];
+    while (rows.length <= this.contextLines && rows[0].start > 0) {
+      const end = rows[0].start - 1;
+      const start = end > 0 ? text.lastIndexOf(NEWLINE, end - 1) : -1;
+      if (start === -1 && this.windowStart > 0) {
+        break; // 该行的开头已不在保留的范围内
+      }
+      rows.unshift({ start: start + 1, end });
+    }
+
+    const errorRow = rows[rows.length - 1];
+    const caret = [...text.toString("utf8", errorRow.start, target)].length;
+    const lines = rows.map(({ start, end }) =>
+      [...text.toString("utf8", start, end).replace(/\r$/, "")]
+        .map((char) => char === "\t" ? " " : char)
+    );
+
+    // 过长的行只显示错误位置附近的部分，省略的部分用 … 表示
+    const longest = Math.max(...lines.map((chars) => chars.length));
+    const from = longest > this.maxWidth
+      ? Math.max(0, caret - Math.floor(this.maxWidth / 2))
+      : 0;
+    const to = from + this.maxWidth;
+    // 第一行的开头不在保留的范围内
+    const cut = rows[0].start === 0 && this.windowStart > 0;
+    const indent = from > 0 || cut ? 1 : 0;
+
+    const gutterWidth = line === null ? 0 : String(line).length;
+    const gutter = (number) =>
+      line === null ? "" : `${String(number ?? "").padStart(gutterWidth)} | `;
+
+    const output = lines.map((chars, index) => {
+      const omitted = (from > 0 && chars.length > 0) || (cut && index === 0);
+      const lead = indent ? (omitted ? "…" : " ") : "";
+      const tail = chars.length > to ? "…" : "";
+      return gutter(line - lines.length + 1 + index) + lead +
+        chars.slice(from, to).join("") + tail;
+    });
+    output.push(gutter(null) + " ".repeat(caret - from + indent) + "^");
+    return output.join("\n");
+  }
+}
+
+/**
+ * 从 (line, column) 开始经过 buffer 后的行列号
+ */
+function locateForward(line, column, buffer) {
+  const newlines = countNewlines(buffer);
+  if (newlines === 0) {
+    return { line, column: column + countCodePoints(buffer) };
+  }
+  const lastNewline = buffer.lastIndexOf(NEWLINE);
+  return {
+    line: line + newlines,
+    column: countCodePoints(buffer.subarray(lastNewline + 1)) + 1,
+  };
+}
+
+function countNewlines(buffer) {
+  let count = 0;
+  let index = buffer.indexOf(NEWLINE);
+  while (index !== -1) {
+    count++;
+    index = buffer.indexOf(NEWLINE, index + 1);
+  }
+  return count;
+}
+
+/**
+ * UTF-8 字节序列中的码位数（不计续字节）
+ */
+function countCodePoints(buffer) {
+  let count = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    if ((buffer[i] & 0xc0) !== 0x80) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// 命令行: node json-diagnostics.js <文件>...
+// .ndjson / .jsonl 按多值文件检查，.json5 / .jsonc 按宽松模式检查
+if (import.meta.main) {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    console.log("用法: node json-diagnostics.js <json文件路径>...");
+    process.exit(1);
+  }
+
+  let failed = false;
+  for (const filePath of files) {
+    const diagnostic = await diagnoseJSONFile(filePath, {
+      multipleValues: /\.(ndjson|jsonl)(\.gz|\.br)?$/i.test(filePath),
+      lenient: /\.(json5|jsonc)(\.gz|\.br)?$/i.test(filePath),
+    });
+    console.log(`${diagnostic.valid ? "✅" : "❌"} ${filePath}`);
+    if (!diagnostic.valid) {
+      failed = true;
+      console.log(formatDiagnostic(diagnostic));
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
@@ -0,0 +1,251 @@
+import JSONTokenizer from "./json-tokenizer.js";
+import { formatJSONPath } from "./json-path.js";
+import { createJSONReadStream } from "./compression.js";
+
+/**
+ * 重复键的检测和处理
+ *
+ * JSON 规范没有规定对象中出现重复的键时如何处理，JSON.parse 保留最后一个值且
+ * 不给出任何提示。读取接口和 JsonMerger 的 duplicateKeys 选项决定处理方式：
+ *
+ * - "last-wins"（默认）：与 JSON.parse 相同，保留最后一个值
+ * - "first-wins"：保留第一个值
+ * - "collect-as-array"：按出现顺序把所有值收集为一个数组
+ * - "error"：抛出 DuplicateKeyError，带有重复的键的路径和字节偏移
+ */
+
+export const DUPLICATE_KEY_POLICIES = [
+  "last-wins",
+  "first-wins",
+  "collect-as-array",
+  "error",
+];
+
+/**
+ * 检查 duplicateKeys 选项
+ * @param {string} [policy="last-wins"] - 重复键的处理方式
+ * @returns {string}
+ */
+export function checkDuplicateKeyPolicy(policy = "last-wins") {
+  if (!DUPLICATE_KEY_POLICIES.includes(policy)) {
+    throw new Error(
+      `未知的重复键处理方式: ${policy}（可用: ${
+        DUPLICATE_KEY_POLICIES.join(", ")
+      }）`,
+    );
+  }
+  return policy;
+}
+
+/**
+ * duplicateKeys 为 "error" 时遇到重复的键
+ */
+export class DuplicateKeyError extends Error {
+  /**
+   * @param {string} key - 重复的键
+   * @param {Array<string|number>} keys - 重复的成员的路径
+   * @param {number|null} offset - 重复的键的字节偏移，词法单元不带偏移时为 null
+   */
+  constructor(key, keys, offset = null) {
+    const path = formatJSONPath(keys);
+    super(
+      offset === null
+        ? `重复的键 "${key}": ${path}`
+        : `重复的键 "${key}": ${path}（字节偏移 ${offset}）`,
+    );
+    this.name = "DuplicateKeyError";
+    this.key = key;
+    this.keys = keys;
+    this.path = path;
+    this.offset = offset;
+  }
+}
+
+/**
+ * 流式检测重复的键
+ *
+ * 与 StructureCollector 等相同逐个接收 stream-json 格式的词法单元，只为当前路径上
+ * 未结束的对象保存已出现的键。来自 JSONTokenizer 的词法单元带有字节偏移；
+ * stream-json 的词法单元没有偏移，此时 offset 为 null，可以再用
+ * findDuplicateKeys 扫描文件得到偏移。
+ *
+ * @typedef {object} DuplicateKey
+ * @property {string} path - 重复的成员的 JSONPath，例如 "$['items'][3]['id']"
+ * @property {string} key - 重复的键
+ * @property {number|null} offset - 重复的键的字节偏移
+ * @property {number|null} firstOffset - 该键第一次出现的字节偏移
+ */
+export class DuplicateKeyDetector {
+  /**
+   * @param {object} options - 配置选项
+   * @param {number} [options.limit=1000] - 最多记录的重复键数，超出的只计数
+   */
+  constructor(options = {}) {
+    this.limit = options.limit ?? 1000;
+    this.frames = [];
+    /** @type {DuplicateKey[]} */
+    this.duplicates = [];
+    this.count = 0;
+  }
+
+  /**
+   * 接收一个词法单元
+   */
+  write(token) {
+    const parent = this.frames[this.frames.length - 1];
+    switch (token.name) {
+      case "keyValue": {
+        const first = parent.keys.get(token.value);
+        if (first !== undefined) {
+          this.record(token, first);
+        } else {
+          parent.keys.set(token.value, token.start ?? null);
+        }
+        parent.key = token.value;
+        break;
+      }
+      case "startObject":
+      case "startArray":
+        this.enterValue(parent);
+        this.frames.push({
+          type: token.name === "startObject" ? "object" : "array",
+          keys: token.name === "startObject" ? new Map() : null,
+          key: null,
+          index: -1,
+        });
+        break;
+      case "endObject":
+      case "endArray":
+        this.frames.pop();
+        break;
+      // 只处理打包后的值，stream-json 的 startString、stringChunk 等分段词法单元不影响路径
+      case "stringValue":
+      case "numberValue":
+      case "trueValue":
+      case "falseValue":
+      case "nullValue":
+        this.enterValue(parent);
+        break;
+    }
+  }
+
+  enterValue(parent) {
+    if (parent?.type === "array") {
+      parent.index++;
+    }
+  }
+
+  record(token, firstOffset) {
+    this.count++;
+    if (this.duplicates.length >= this.limit) {
+      return;
+    }
+    const keys = this.frames.map((frame) =>
+      frame.type === "object" ? frame.key : frame.index
+    );
+    keys[keys.length - 1] = token.value;
+    this.duplicates.push({
+      path: formatJSONPath(keys),
+      key: token.value,
+      offset: token.start ?? null,
+      firstOffset,
+    });
+  }
+}
+
+// 报告中重复的键一节的文字，按报告的语言选择
+const REPORT_TEXT = {
+  zh: {
+    title: "重复的键",
+    summary: (count) => `共 ${count} 处，JSON.parse 只保留最后一个值`,
+    item: ({ path, offset, firstOffset }) =>
+      `- **\`${path}\`:** 字节偏移 ${offset}，第一次出现于 ${firstOffset}`,
+    more: (count) => `- ... 还有 ${count} 处`,
+  },
+  en: {
+    title: "Duplicate Keys",
+    summary: (count) => `${count} found, JSON.parse keeps only the last value`,
+    item: ({ path, offset, firstOffset }) =>
+      `- **\`${path}\`:** byte offset ${offset}, first seen at ${firstOffset}`,
+    more: (count) => `- ... and ${count} more`,
+  },
+};
+
+/**
+ * 生成 Markdown 报告中重复的键一节，没有重复的键时返回空字符串
+ * @param {{count: number, duplicates: DuplicateKey[]}} result - 检测结果
+ * @param {object} options - 配置选项
+ * @param {string} [options.language="zh"] - 报告的语言（zh、en）
+ * @param {string} [options.summary] - 标题下的说明，默认说明 JSON.parse 的行为
+ * @param {number} [options.limit=20] - 最多列出的重复键数，其余的只计数
+ * @returns {string}
+ */
+export function formatDuplicateKeyReport({ count, duplicates }, options = {}) {
+  if (count === 0) {
+    return "";
+  }
+  const { language = "zh", limit = 20 } = options;
+  const text = REPORT_TEXT[language];
+  const listed = duplicates.slice(0, limit);
+
+  let report = `## 🔁 ${text.title}\n\n`;
+  report += `${options.summary ?? text.summary(count)}\n\n`;
+  for (const duplicate of listed) {
+    report += `${text.item(duplicate)}\n`;
+  }
+  if (count > listed.length) {
+    report += `${text.more(count - listed.length)}\n`;
+  }
+  return `${report}\n`;
+}
+
+/**
+ * 扫描文件中所有重复的键
+ * @param {string} filePath - 文件路径（支持压缩文件，偏移为解压后的位置）
+ * @param {object} options - 配置选项，另见 DuplicateKeyDetector
+ * @param {boolean} [options.multipleValues=false] - 是否允许多个顶层值（例如 NDJSON）
+ * @param {number} [options.chunkSize=65536] - 读取块大小
+ * @returns {Promise<{count: number, duplicates: DuplicateKey[]}>}
+ */
+export async function findDuplicateKeys(filePath, options = {}) {
+  const detector = new DuplicateKeyDetector(options);
+  const tokenizer = new JSONTokenizer({
+    multipleValues: options.multipleValues || false,
+  });
+  const stream = createJSONReadStream(filePath, {
+    highWaterMark: options.chunkSize ?? 64 * 1024,
+  });
+
+  try {
+    for await (const data of stream) {
+      for (const token of tokenizer.write(data)) {
+        detector.write(token);
+      }
+    }
+    for (const token of tokenizer.end()) {
+      detector.write(token);
+    }
+  } finally {
+    stream.destroy();
+  }
+  return { count: detector.count, duplicates: detector.duplicates };
+}
+
+/**
+ * 取得带字节偏移的检测结果
+ *
+ * 供基于 stream-json 的分析器使用：解析时用 DuplicateKeyDetector 检测，
+ * 发现重复的键时再用 findDuplicateKeys 扫描一遍文件得到偏移；
+ * 没有重复的键时不会重新扫描。
+ * @param {string} filePath - 已检测的文件
+ * @param {DuplicateKeyDetector} detector - 解析时使用的检测器
+ * @param {object} options - 配置选项，同 findDuplicateKeys
+ * @returns {Promise<{count: number, duplicates: DuplicateKey[]}>}
+ */
+export async function locateDuplicateKeys(filePath, detector, options = {}) {
+  const { count, duplicates } = detector;
+  if (duplicates.every(({ offset }) => offset !== null)) {
+    return { count, duplicates };
+  }
+  return findDuplicateKeys(filePath, { limit: detector.limit, ...options });
+}
@@ -0,0 +1,321 @@
+import { HyperLogLog, TDigest, TopValues } from "./json-sketches.js";
+import { isLosslessNumber } from "./json-values.js";
+
+/**
+ * 记录数组的逐字段统计
+ *
+ * 记录（对象）逐条交给 TableProfiler，统计每个顶层字段的出现比例、null 比例、
+ * 类型分布、数值的最小/最大/平均值、近似的不同值个数、最常见的值和字符串长度
+ * 分布。每个字段只保存固定大小的状态，记录本身不会被保留，因此可以在一次流式
+ * 扫描中处理任意多条记录。
+ *
+ * 不同值个数和最常见的值只统计字符串、数字、布尔值和 null；嵌套的对象和数组
+ * 只计入类型分布。
+ *
+ * NumericStats 统计单个数值字段的分位数和直方图，JSONAnalyzer 用它统计文件中
+ * 每个数值路径的分布。
+ */
+
+const MAX_VALUE_LENGTH = 100; // 最常见的值中字符串保留的最大长度
+
+/**
+ * 单个字段的统计
+ */
+export class FieldProfile {
+  /**
+   * @param {object} options - 配置选项，见 TableProfiler
+   */
+  constructor(options = {}) {
+    this.present = 0;
+    this.nulls = 0;
+    this.types = {};
+    this.numbers = null; // { min, max, sum, count }
+    this.strings = null; // { min, max, sum, count, histogram }
+    this.distinct = new HyperLogLog(options.precision ?? 10);
+    this.topValues = new TopValues(options.topCapacity ?? 64);
+  }
+
+  /**
+   * 加入字段的一个值
+   */
+  add(value) {
+    this.present++;
+    const type = valueType(value);
+    this.types[type] = (this.types[type] ?? 0) + 1;
+
+    switch (type) {
+      case "null":
+        this.nulls++;
+        this.count("null", null);
+        break;
+      case "boolean":
+        this.count(`b:${value}`, value);
+        break;
+      case "number": {
+        const number = Number(value);
+        this.numbers ??= { min: number, max: number, sum: 0, count: 0 };
+        this.numbers.min = Math.min(this.numbers.min, number);
+        this.numbers.max = Math.max(this.numbers.max, number);
+        this.numbers.sum += number;
+        this.numbers.count++;
+        this.count(`n:${value}`, value);
+        break;
+      }
+      case "string": {
+        const length = value.length;
+        this.strings ??= {
+          min: length,
+          max: length,
+          sum: 0,
+          count: 0,
+          histogram: [],
+        };
+        this.strings.min = Math.min(this.strings.min, length);
+        this.strings.max = Math.max(this.strings.max, length);
+        this.strings.sum += length;
+        this.strings.count++;
+        // 按 2 的幂分桶：0、1、2-3、4-7 ...
+        const bucket = 32 - Math.clz32(length);
+        this.strings.histogram[bucket] = (this.strings.histogram[bucket] ?? 0) +
+          1;
+
+        this.distinct.add(`s:${value}`);
+        // 过长的字符串只按开头部分统计次数
+        const shown = value.length > MAX_VALUE_LENGTH
+          ? `${value.slice(0, MAX_VALUE_LENGTH)}…`
+          : value;
+        this.topValues.add(`s:${shown}`, shown);
+        break;
+      }
+    }
+  }
+
+  count(key, value) {
+    this.distinct.add(key);
+    this.topValues.add(key, value);
+  }
+
+  /**
+   * @param {number} records - 参与统计的记录数
+   * @param {number} [topN=10] - 最常见的值的最大个数，只返回确定重复出现的值
+   */
+  summary(records, topN = 10) {
+    const { numbers, strings } = this;
+    return {
+      present: this.present,
+      presence: ratio(this.present, records),
+      nulls: this.nulls,
+      nullRatio: ratio(this.nulls, this.present),
+      types: this.types,
+      numbers: numbers && {
+        min: numbers.min,
+        max: numbers.max,
+        mean: numbers.sum / numbers.count,
+      },
+      distinct: this.distinct.estimate(),
+      top: this.topValues.top(this.topValues.capacity)
+        .filter(isSignificant)
+        .slice(0, topN),
+      stringLengths: strings && {
+        min: strings.min,
+        max: strings.max,
+        mean: strings.sum / strings.count,
+        histogram: Object.fromEntries(
+          strings.histogram.flatMap((count, bucket) =>
+            count ? [[bucketLabel(bucket), count]] : []
+          ),
+        ),
+      },
+    };
+  }
+}
+
+/**
+ * 一个数值字段的分布
+ *
+ * 精确的数量、最小/最大/平均值，加上 TDigest 估计的分位数和直方图、
+ * HyperLogLog 估计的不同值个数。状态可以用 toJSON 保存，用 merge 与其他
+ * 文件的统计合并。
+ */
+export class NumericStats {
+  /**
+   * @param {object} options - 配置选项
+   * @param {number} [options.compression=100] - 分位数的精度，见 TDigest
+   * @param {number} [options.precision=10] - 不同值个数估计的精度，见 HyperLogLog
+   */
+  constructor(options = {}) {
+    this.count = 0;
+    this.sum = 0;
+    this.digest = new TDigest(options.compression ?? 100);
+    this.distinct = new HyperLogLog(options.precision ?? 10);
+  }
+
+  /**
+   * 加入一个数值，也接受无损模式下的 BigInt 和 JSONDecimal
+   */
+  add(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      return;
+    }
+    this.count++;
+    this.sum += number;
+    this.digest.add(number);
+    this.distinct.add(`n:${value}`);
+  }
+
+  /**
+   * 合并另一个 NumericStats
+   * @param {NumericStats} other
+   * @returns {this}
+   */
+  merge(other) {
+    this.count += other.count;
+    this.sum += other.sum;
+    this.digest.merge(other.digest);
+    this.distinct.merge(other.distinct);
+    return this;
+  }
+
+  /**
+   * @param {object} options - 配置选项
+   * @param {number[]} [options.quantiles=[0.5, 0.9, 0.99]] - 需要的分位数
+   * @param {number} [options.bins=10] - 直方图的桶数
+   * @returns {{count: number, min: number, max: number, mean: number, quantiles: object, distinct: number, histogram: Array<{from: number, to: number, count: number}>}}
+   */
+  summary(options = {}) {
+    const quantiles = options.quantiles ?? [0.5, 0.9, 0.99];
+    return {
+      count: this.count,
+      min: this.count > 0 ? this.digest.min : null,
+      max: this.count > 0 ? this.digest.max : null,
+      mean: this.count > 0 ? this.sum / this.count : null,
+      // 键为 "p50"、"p99.9" 等
+      quantiles: Object.fromEntries(
+        quantiles.map((
+          q,
+        ) => [`p${+(q * 100).toFixed(4)}`, this.digest.quantile(q)]),
+      ),
+      distinct: this.distinct.estimate(),
+      histogram: this.digest.histogram(options.bins ?? 10),
+    };
+  }
+
+  toJSON() {
+    return {
+      count: this.count,
+      sum: this.sum,
+      digest: this.digest.toJSON(),
+      distinct: this.distinct.toJSON(),
+    };
+  }
+
+  /**
+   * @param {object} state - toJSON 的结果
+   * @returns {NumericStats}
+   */
+  static fromJSON(state) {
+    const stats = new NumericStats();
+    stats.count = state.count;
+    stats.sum = state.sum;
+    stats.digest = TDigest.fromJSON(state.digest);
+    stats.distinct = HyperLogLog.fromJSON(state.distinct);
+    return stats;
+  }
+}
+
+/**
+ * 一个记录数组（表）的统计
+ */
+export class TableProfiler {
+  /**
+   * @param {object} options - 配置选项
+   * @param {number} [options.maxFields=256] - 最多统计的字段数，之后出现的新字段只计数
+   * @param {number} [options.topN=10] - 每个字段返回的最常见的值的个数
+   * @param {number} [options.topCapacity=64] - 统计最常见的值时保留的计数器个数
+   * @param {number} [options.precision=10] - 不同值个数估计的精度，见 HyperLogLog
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.maxFields = options.maxFields ?? 256;
+    this.topN = options.topN ?? 10;
+    this.recordCount = 0;
+    this.nonObjectRecords = 0;
+    this.bytes = 0;
+    this.fields = new Map();
+    this.skippedValues = 0; // 超出 maxFields 的字段的值的个数
+  }
+
+  /**
+   * 加入一条记录
+   * @param {*} record - 记录，不是对象时只计数
+   * @param {number} [bytes=0] - 记录在文件中占用的字节数
+   */
+  addRecord(record, bytes = 0) {
+    this.recordCount++;
+    this.bytes += bytes;
+    if (valueType(record) !== "object") {
+      this.nonObjectRecords++;
+      return;
+    }
+
+    for (const [name, value] of Object.entries(record)) {
+      let field = this.fields.get(name);
+      if (!field) {
+        if (this.fields.size >= this.maxFields) {
+          this.skippedValues++;
+          continue;
+        }
+        field = new FieldProfile(this.options);
+        this.fields.set(name, field);
+      }
+      field.add(value);
+    }
+  }
+
+  /**
+   * @returns {{recordCount: number, nonObjectRecords: number, bytes: number, skippedValues: number, fields: object}}
+   */
+  summary() {
+    const records = this.recordCount - this.nonObjectRecords;
+    return {
+      recordCount: this.recordCount,
+      nonObjectRecords: this.nonObjectRecords,
+      bytes: this.bytes,
+      skippedValues: this.skippedValues,
+      fields: Object.fromEntries(
+        [...this.fields].map((
+          [name, field],
+        ) => [name, field.summary(records, this.topN)]),
+      ),
+    };
+  }
+}
+
+function valueType(value) {
+  if (value === null) return "null";
+  if (isLosslessNumber(value)) return "number";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * 最常见的值是否可信：保证的出现次数 count - error 至少为 2，且不小于 error
+ *
+ * 值都不重复时 Space-Saving 的计数器不断被替换，计数几乎全部来自继承的误差
+ * （例如 count 16、error 15），这样的值没有意义。
+ */
+function isSignificant({ count, error }) {
+  return count - error >= Math.max(2, error);
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round(part / total * 10000) / 10000 : 0;
+}
+
+function bucketLabel(bucket) {
+  if (bucket <= 1) {
+    return String(bucket);
+  }
+  return `${2 ** (bucket - 1)}-${2 ** bucket - 1}`;
+}
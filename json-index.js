@@ -0,0 +1,803 @@
+import fs from "fs/promises";
+import { createReadStream, createWriteStream } from "fs";
+import { once } from "events";
+import readline from "readline";
+import { Readable } from "stream";
+import JSONTokenizer from "./json-tokenizer.js";
+import {
+  checkSliceBounds,
+  formatJSONPath,
+  parseJSONPath,
+} from "./json-path.js";
+import { createJSONReadStream } from "./compression.js";
+import { checkNumberMode, parseJSON } from "./json-values.js";
+
+/**
+ * JSON 字节偏移索引
+ *
+ * 扫描一遍文件，把根值和不超过 maxDepth 层、至少 blockSize 字节的对象和数组
+ * 记录到 `<文件>.jsonidx` 中：起止字节偏移、类型、成员数，以及成员的采样偏移
+ * （大约每 blockSize 字节一个）。没有记录的值从所在容器最近的采样点开始扫描，
+ * 大约只需要读取 blockSize 字节就能找到；读取某个路径时直接定位到它的字节区间，
+ * 只解析这一段内容。因此索引的大小与文件大小成比例地小，数组再长也不会逐个
+ * 记录元素。
+ *
+ * 索引文件每行一个 JSON 值：第一行是版本、源文件信息等，之后每行一条记录，
+ * 加载时逐行读取。源文件的大小或修改时间变化后索引会自动重建。
+ */
+
+const INDEX_VERSION = 2;
+
+const DEFAULT_BLOCK_SIZE = 64 * 1024;
+
+// 扫描得到的大容器（超出索引深度）在内存中缓存的条数
+const SCANNED_CACHE_SIZE = 256;
+
+// 索引文件第一行的最大长度，超过时视为旧格式
+const HEADER_BYTES = 4096;
+
+const VALUE_TYPES = {
+  startObject: "object",
+  startArray: "array",
+  stringValue: "string",
+  numberValue: "number",
+  trueValue: "boolean",
+  falseValue: "boolean",
+  nullValue: "null",
+};
+
+export default class JSONIndex {
+  /**
+   * @param {string} filePath - JSON 文件路径（支持压缩文件，但无法随机访问，读取时需要从头解压）
+   * @param {object} options - 配置选项
+   * @param {number} [options.maxDepth=3] - 记录容器的最大深度，根值为 0
+   * @param {number} [options.blockSize=65536] - 记录容器的最小字节数和成员采样的间隔
+   * @param {string} [options.indexPath] - 索引文件路径，默认为 `${filePath}.jsonidx`
+   * @param {string} [options.numbers="number"] - read() 返回的数字的表示方式，见 json-values.js
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxDepth = options.maxDepth ?? 3;
+    this.blockSize = options.blockSize ?? DEFAULT_BLOCK_SIZE;
+    this.indexPath = options.indexPath || `${filePath}.jsonidx`;
+    this.numbers = checkNumberMode(options.numbers);
+    this.depth = null; // 已加载索引的深度
+    this.source = null; // 建立索引时源文件的 size 和 mtimeMs
+    this.compression = null;
+    this.records = null; // 规范化路径 -> { start, end, type, size, samples }
+    this.scanned = new Map(); // 扫描得到的大容器，最近使用的在后
+  }
+
+  /**
+   * 确保索引可用：内存中的索引仍然有效时直接返回，否则加载索引文件，
+   * 索引文件不存在或已过期时重新建立
+   * @returns {Promise<JSONIndex>}
+   * @throws {Error} - 索引文件存在但无法读取或已损坏
+   */
+  async open() {
+    const stats = await fs.stat(this.filePath);
+    if (this.records && this.isFresh(this.source, stats)) {
+      return this;
+    }
+
+    this.scanned.clear();
+    if (!(await this.load(stats))) {
+      await this.build(stats);
+    }
+    return this;
+  }
+
+  /**
+   * 索引是否与源文件一致
+   */
+  isFresh(source, stats) {
+    return source != null && source.size === stats.size &&
+      source.mtimeMs === stats.mtimeMs;
+  }
+
+  /**
+   * 逐行加载索引文件
+   * @returns {Promise<boolean>} - 索引文件存在且与源文件和选项一致时为 true
+   * @throws {Error} - 索引文件无法读取或内容损坏
+   */
+  async load(stats) {
+    let header;
+    let headerLength;
+    try {
+      const file = await fs.open(this.indexPath, "r");
+      try {
+        const buffer = Buffer.alloc(HEADER_BYTES);
+        const { bytesRead } = await file.read(buffer, 0, HEADER_BYTES, 0);
+        headerLength = buffer.subarray(0, bytesRead).indexOf(0x0a) + 1;
+        if (headerLength === 0) {
+          return false; // 旧格式或其他文件，重新建立
+        }
+        header = JSON.parse(buffer.toString("utf8", 0, headerLength));
+      } finally {
+        await file.close();
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw new Error(`无法读取索引文件 ${this.indexPath}: ${error.message}`);
+    }
+
+    if (
+      header?.version !== INDEX_VERSION ||
+      !this.isFresh(header.source, stats) ||
+      header.maxDepth < this.maxDepth || header.blockSize !== this.blockSize
+    ) {
+      return false;
+    }
+
+    const records = new Map();
+    const input = createReadStream(this.indexPath, { start: headerLength });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 1;
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        const [path, start, end, type, size, samples] = JSON.parse(line);
+        records.set(path, { start, end, type, size, samples: pairs(samples) });
+      }
+    } catch (error) {
+      throw new Error(
+        `索引文件损坏 ${this.indexPath}（第 ${lineNumber} 行，删除后会重新建立）: ${error.message}`,
+      );
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+    if (!records.has("$")) {
+      throw new Error(
+        `索引文件不完整 ${this.indexPath}（删除后会重新建立）`,
+      );
+    }
+
+    this.depth = header.maxDepth;
+    this.source = header.source;
+    this.compression = header.compression;
+    this.records = records;
+    return true;
+  }
+
+  /**
+   * 扫描源文件并写出索引文件
+   */
+  async build(stats = null) {
+    stats = stats || await fs.stat(this.filePath);
+    console.log(`正在建立索引: ${this.filePath}`);
+
+    const records = new Map();
+    const tokenizer = new JSONTokenizer();
+    // 当前路径上的容器；samples 为 null 的容器超出索引深度，不会被记录
+    const frames = [];
+
+    const addMember = (frame, offset) => {
+      if (frame.samples && offset - frame.sampleOffset >= this.blockSize) {
+        frame.samples.push([frame.size, offset]);
+        frame.sampleOffset = offset;
+      }
+    };
+
+    const handleToken = (token) => {
+      const parent = frames[frames.length - 1];
+
+      switch (token.name) {
+        case "keyValue":
+          parent.key = token.value;
+          addMember(parent, token.start);
+          return;
+        case "endObject":
+        case "endArray": {
+          const frame = frames.pop();
+          if (
+            frame.samples &&
+            (frames.length === 0 || token.end - frame.start >= this.blockSize)
+          ) {
+            const keys = frames.slice(1).map(({ memberKey }) => memberKey);
+            if (frames.length > 0) {
+              keys.push(frame.memberKey);
+            }
+            const path = formatJSONPath(keys);
+            // 重复的键取第一个，与查找时一致
+            if (records.has(path)) {
+              return;
+            }
+            records.set(path, {
+              start: frame.start,
+              end: token.end,
+              type: frame.type,
+              size: frame.size,
+              samples: frame.samples,
+            });
+          }
+          return;
+        }
+      }
+
+      let memberKey = null;
+      if (parent) {
+        if (parent.type === "array") {
+          addMember(parent, token.start);
+          memberKey = parent.size;
+        } else {
+          memberKey = parent.key;
+        }
+        parent.size++;
+      }
+
+      const type = VALUE_TYPES[token.name];
+      if (type === "object" || type === "array") {
+        frames.push({
+          type,
+          start: token.start,
+          memberKey,
+          size: 0,
+          key: null,
+          samples: frames.length <= this.maxDepth ? [] : null,
+          sampleOffset: token.start,
+        });
+      } else if (!parent) {
+        // 根值是基本类型
+        records.set("$", {
+          start: token.start,
+          end: token.end,
+          type,
+          size: null,
+          samples: [],
+        });
+      }
+    };
+
+    const stream = createJSONReadStream(this.filePath);
+    for await (const data of stream) {
+      for (const token of tokenizer.write(data)) {
+        handleToken(token);
+      }
+    }
+    for (const token of tokenizer.end()) {
+      handleToken(token);
+    }
+
+    this.depth = this.maxDepth;
+    this.source = { size: stats.size, mtimeMs: stats.mtimeMs };
+    this.compression = stream.compression;
+    this.records = records;
+
+    try {
+      await this.save();
+      console.log(`索引已保存: ${this.indexPath}`);
+    } catch (error) {
+      // 索引文件写不进去时仍然可以使用内存中的索引
+      console.warn(`索引文件保存失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 写出索引文件：先写入临时文件，完成后再替换，避免留下不完整的索引
+   */
+  async save() {
+    const temporaryPath = `${this.indexPath}.tmp`;
+    const output = createWriteStream(temporaryPath);
+    let error = null;
+    output.on("error", (outputError) => {
+      error = outputError;
+    });
+
+    try {
+      let pending = JSON.stringify({
+        version: INDEX_VERSION,
+        source: this.source,
+        maxDepth: this.depth,
+        blockSize: this.blockSize,
+        compression: this.compression,
+      }) + "\n";
+      for (const [path, record] of this.records) {
+        pending += JSON.stringify([
+          path,
+          record.start,
+          record.end,
+          record.type,
+          record.size,
+          record.samples.flat(),
+        ]) + "\n";
+        if (pending.length >= 64 * 1024) {
+          if (!output.write(pending) && !error) {
+            await once(output, "drain");
+          }
+          pending = "";
+        }
+        if (error) {
+          throw error;
+        }
+      }
+      output.end(pending);
+      await once(output, "close");
+      if (error) {
+        throw error;
+      }
+      await fs.rename(temporaryPath, this.indexPath);
+    } catch (saveError) {
+      output.destroy();
+      await fs.rm(temporaryPath, { force: true });
+      throw saveError;
+    }
+  }
+
+  /**
+   * 查询路径对应的值的位置
+   *
+   * 没有记录的值从最近的已记录祖先开始扫描得到；比索引更深的大容器扫描后
+   * 会缓存在内存中。对象中有重复的键时取第一个。
+   * @param {string|Array<string|number>} path - JSONPath（如 "$.items[3]"）、旧式路径（如 "items[3].name"）或键序列
+   * @returns {Promise<{path: string, keys: Array<string|number>, start: number, end: number, type: string, size: number|null} | null>} - size 为容器的成员数；路径不存在时为 null
+   */
+  async lookup(path) {
+    await this.open();
+    return this.locate(this.parsePath(path));
+  }
+
+  /**
+   * 读取指定路径的值，只解析该值所在的字节区间
+   * @param {string|Array<string|number>} path - 路径，格式同 lookup()
+   * @returns {Promise<*>} - 路径不存在时为 undefined
+   */
+  async read(path) {
+    const entry = await this.lookup(path);
+    if (!entry) {
+      return undefined;
+    }
+    return parseJSON(await this.readText(entry.start, entry.end), {
+      numbers: this.numbers,
+    });
+  }
+
+  /**
+   * 读取数组中 [start, end) 的元素，不读取其余元素
+   *
+   * 从最近的采样点开始找到第 start 个元素，再读取到第 end - 1 个元素结束。
+   * @param {string|Array<string|number>} path - 数组的路径，格式同 lookup()
+   * @param {number} [start=0] - 第一个元素的下标
+   * @param {number} [end=Infinity] - 结束下标（不包含）
+   * @returns {Promise<{items: Array<*>, start: number, end: number, length: number} | null>} - 路径不存在时为 null；length 为数组长度
+   * @throws {TypeError} - 路径指向的值不是数组
+   * @throws {RangeError} - start 或 end 不是非负整数
+   */
+  async readSlice(path, start = 0, end = Infinity) {
+    checkSliceBounds(start, end);
+    const entry = await this.lookup(path);
+    if (!entry) {
+      return null;
+    }
+    if (entry.type !== "array") {
+      throw new TypeError(`不是数组: ${entry.path}`);
+    }
+
+    end = Math.min(end, entry.size);
+    start = Math.min(start, end);
+    if (start === end) {
+      return { items: [], start, end, length: entry.size };
+    }
+
+    let first = null;
+    let last = null;
+    for await (const member of this.scanMembers(entry, start)) {
+      first ??= member;
+      last = member;
+      if (member.key === end - 1) {
+        break;
+      }
+    }
+
+    // 相邻元素之间只有逗号和空白，加上方括号即可作为一个数组解析
+    const text = await this.readText(first.start, last.end);
+    return {
+      items: parseJSON(`[${text}]`, { numbers: this.numbers }),
+      start,
+      end,
+      length: entry.size,
+    };
+  }
+
+  /**
+   * 列出容器中从 offset 开始的 limit 个直接成员的位置
+   * @param {string|Array<string|number>} path - 路径，格式同 lookup()
+   * @param {number} [offset=0] - 第一个成员的位置
+   * @param {number} [limit=Infinity] - 最多列出的成员数
+   * @returns {Promise<Array<{key: string|number, index: number, path: string, keys: Array<string|number>, start: number, end: number, type: string, size: number|null}>|null>} - 路径不存在或不是容器时为 null
+   */
+  async members(path, offset = 0, limit = Infinity) {
+    const entry = await this.lookup(path);
+    if (!entry || !isContainerType(entry.type)) {
+      return null;
+    }
+
+    const members = [];
+    if (limit <= 0 || offset >= entry.size) {
+      return members;
+    }
+    for await (const member of this.scanMembers(entry, offset)) {
+      members.push(member);
+      if (members.length >= limit) {
+        break;
+      }
+    }
+    return members;
+  }
+
+  /**
+   * 列出容器中从 offset 开始的 limit 个对象的键或数组的下标
+   * @param {string|Array<string|number>} path - 路径，格式同 lookup()
+   * @param {object} options - 配置选项
+   * @param {number} [options.offset=0] - 第一个成员的位置
+   * @param {number} [options.limit=Infinity] - 最多列出的成员数
+   * @returns {Promise<Array<string|number>|null>} - 路径不存在或不是容器时为 null
+   */
+  async children(path, options = {}) {
+    const offset = options.offset ?? 0;
+    const limit = options.limit ?? Infinity;
+    const entry = await this.lookup(path);
+    if (!entry || !isContainerType(entry.type)) {
+      return null;
+    }
+    if (entry.type === "array") {
+      const end = Math.min(entry.size, offset + limit);
+      return Array.from(
+        { length: Math.max(end - offset, 0) },
+        (_, index) => offset + index,
+      );
+    }
+    return (await this.members(entry.keys, offset, limit))
+      .map(({ key }) => key);
+  }
+
+  /**
+   * 从根开始逐层定位选择器对应的值
+   */
+  async locate(selectors) {
+    let entry = this.known([]);
+    for (const selector of selectors) {
+      let key;
+      if (entry.type === "array") {
+        key = selector.type === "index"
+          ? selector.index
+          : selector.loose && /^(0|[1-9]\d*)$/.test(selector.name)
+          ? Number(selector.name)
+          : null;
+        if (key === null || key >= entry.size) {
+          return null;
+        }
+      } else if (entry.type === "object" && selector.type === "name") {
+        key = selector.name;
+      } else {
+        return null;
+      }
+
+      const keys = entry.keys.concat([key]);
+      // 已记录容器的祖先一定也已记录，因此逐层查找即可
+      const child = this.known(keys) ?? await this.findMember(entry, key);
+      if (!child) {
+        return null;
+      }
+      entry = child;
+    }
+    return entry;
+  }
+
+  /**
+   * 取出已记录或已缓存的容器
+   */
+  known(keys) {
+    const path = formatJSONPath(keys);
+    let record = this.records.get(path);
+    if (!record) {
+      record = this.scanned.get(path);
+      if (!record) {
+        return null;
+      }
+      // 移到最后，表示最近使用
+      this.scanned.delete(path);
+      this.scanned.set(path, record);
+    }
+    return { path, keys, ...record };
+  }
+
+  /**
+   * 在容器中查找一个成员，对象中有重复的键时取第一个
+   */
+  async findMember(entry, key) {
+    const from = typeof key === "number" ? key : 0;
+    for await (const member of this.scanMembers(entry, from)) {
+      if (member.key === key) {
+        return member;
+      }
+      if (typeof key === "number") {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 按顺序扫描容器的直接成员，从第 from 个成员开始产出
+   *
+   * 从不超过 from 的最近采样点开始读取；遇到已记录的大成员时直接取用记录，
+   * 并从它后面的采样点继续，不扫描它的内容。
+   * @returns {AsyncGenerator<object>} - 成员的位置，格式同 members()
+   */
+  async *scanMembers(entry, from = 0) {
+    const samples = entry.samples ?? [];
+    const recorded = this.records.has(entry.path);
+    let index = 0;
+    let offset = null; // null 表示从容器本身开始读取
+    for (const [sampleIndex, sampleOffset] of samples) {
+      if (sampleIndex > from) {
+        break;
+      }
+      index = sampleIndex;
+      offset = sampleOffset;
+    }
+
+    while (offset !== undefined) {
+      // 从采样点开始读取时补上容器的开括号，使之成为一个完整的容器
+      const prefix = offset === null ? "" : entry.type === "array" ? "[" : "{";
+      const start = offset ?? entry.start;
+      const scanner = new MemberScanner(
+        entry,
+        start - prefix.length,
+        index,
+        this.blockSize,
+      );
+      const input = this.createRangeStream(start, entry.end);
+      const tokenizer = new JSONTokenizer();
+      offset = undefined;
+
+      try {
+        if (prefix) {
+          tokenizer.write(Buffer.from(prefix));
+        }
+        scan: for await (const data of input) {
+          for (const token of tokenizer.write(data)) {
+            const event = scanner.write(token);
+            if (!event) {
+              continue;
+            }
+
+            const { member } = event;
+            if (event.started) {
+              const record = recorded && this.records.get(member.path);
+              // 重复的键只有第一个有记录
+              if (!record || record.start !== member.start) {
+                continue;
+              }
+              if (member.index >= from) {
+                yield { ...member, ...record };
+              }
+              // 大成员之后的成员一定是采样点；没有采样点说明它是最后一个成员
+              const next = samples.find(([sampleIndex]) =>
+                sampleIndex === member.index + 1
+              );
+              if (next) {
+                [index, offset] = next;
+              }
+              break scan;
+            }
+
+            if (member.samples && member.end - member.start >= this.blockSize) {
+              this.remember(member.path, member);
+            }
+            if (member.index >= from) {
+              yield member;
+            }
+          }
+        }
+      } finally {
+        input.destroy();
+      }
+    }
+  }
+
+  /**
+   * 缓存扫描得到的大容器，超出数量时丢弃最久未使用的
+   */
+  remember(path, member) {
+    const { start, end, type, size, samples } = member;
+    this.scanned.delete(path);
+    this.scanned.set(path, { start, end, type, size, samples });
+    if (this.scanned.size > SCANNED_CACHE_SIZE) {
+      this.scanned.delete(this.scanned.keys().next().value);
+    }
+  }
+
+  /**
+   * 把路径参数转换为成员名和下标选择器
+   */
+  parsePath(path) {
+    if (!this.records) {
+      throw new Error("索引尚未加载，请先调用 open()");
+    }
+    if (Array.isArray(path)) {
+      return path.map((key) =>
+        typeof key === "number"
+          ? { type: "index", index: key }
+          : { type: "name", name: key, loose: false }
+      );
+    }
+    if (!path || path === "$") {
+      return [];
+    }
+
+    return parseJSONPath(path).map(({ descendant, selectors }) => {
+      if (
+        descendant || selectors.length !== 1 ||
+        (selectors[0].type !== "name" && selectors[0].type !== "index")
+      ) {
+        throw new Error(`索引只支持由成员名和下标组成的路径: ${path}`);
+      }
+      return selectors[0];
+    });
+  }
+
+  /**
+   * 读取 [start, end) 字节区间的前 limit 个字节，超出时以 "…" 结尾
+   * @returns {Promise<string>}
+   */
+  async readText(start, end, limit = Infinity) {
+    const chunks = [];
+    for await (
+      const chunk of this.createRangeStream(start, Math.min(end, start + limit))
+    ) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString("utf8");
+    // 截断处可能切开了一个多字节字符
+    return end - start > limit ? `${text.replace(/�$/, "")}…` : text;
+  }
+
+  /**
+   * 打开源文件中 [start, end) 字节区间的读取流
+   *
+   * 压缩文件无法随机访问，只能从头解压并跳过区间之前的内容。
+   */
+  createRangeStream(start, end) {
+    if (end <= start) {
+      return Readable.from([]);
+    }
+    if (!this.compression) {
+      return createReadStream(this.filePath, { start, end: end - 1 });
+    }
+
+    const source = createJSONReadStream(this.filePath);
+    return Readable.from(
+      (async function* () {
+        let offset = 0;
+        try {
+          for await (const chunk of source) {
+            const chunkStart = offset;
+            offset += chunk.length;
+            if (offset <= start) {
+              continue;
+            }
+            yield chunk.subarray(
+              Math.max(start - chunkStart, 0),
+              Math.min(end - chunkStart, chunk.length),
+            );
+            if (offset >= end) {
+              return;
+            }
+          }
+        } finally {
+          source.destroy();
+        }
+      })(),
+    );
+  }
+}
+
+/**
+ * 从容器（或补上开括号的采样点）开始的词法单元中识别直接成员
+ *
+ * 成员位于第 1 层。write() 在成员是容器且刚开始时返回 { started: true, member }，
+ * 在成员结束时返回 { member }，其余情况返回 null。
+ */
+class MemberScanner {
+  /**
+   * @param {object} entry - 容器的位置
+   * @param {number} base - 词法单元偏移 0 对应的文件偏移
+   * @param {number} index - 第一个成员的位置
+   * @param {number} blockSize - 成员采样的间隔
+   */
+  constructor(entry, base, index, blockSize) {
+    this.entry = entry;
+    this.base = base;
+    this.index = index - 1;
+    this.blockSize = blockSize;
+    this.member = null;
+  }
+
+  write(token) {
+    const offset = this.base + token.start;
+    const end = this.base + token.end;
+    const member = this.member;
+
+    if (token.depth === 1) {
+      switch (token.name) {
+        case "keyValue":
+          this.index++;
+          this.member = this.createMember(token.value, offset);
+          return null;
+        case "endObject":
+        case "endArray":
+          member.end = end;
+          this.member = null;
+          return { member };
+      }
+
+      if (this.entry.type === "array") {
+        this.index++;
+        this.member = this.createMember(this.index, offset);
+      }
+      // 对象成员从键开始，位置记录的是值本身
+      const type = VALUE_TYPES[token.name];
+      this.member.start = offset;
+      this.member.type = type;
+      if (isContainerType(type)) {
+        this.member.size = 0;
+        this.member.samples = [];
+        this.member.sampleOffset = offset;
+        return { started: true, member: this.member };
+      }
+      this.member.end = end;
+      const completed = this.member;
+      this.member = null;
+      return { member: completed };
+    }
+
+    // 第 2 层是当前成员的成员，用于计数和采样
+    if (token.depth === 2 && member) {
+      const isKey = token.name === "keyValue";
+      if (isKey || (member.type === "array" && !token.name.startsWith("end"))) {
+        if (offset - member.sampleOffset >= this.blockSize) {
+          member.samples.push([member.size, offset]);
+          member.sampleOffset = offset;
+        }
+      }
+      if (!isKey && !token.name.startsWith("end")) {
+        member.size++;
+      }
+    }
+    return null;
+  }
+
+  createMember(key, offset) {
+    const keys = this.entry.keys.concat([key]);
+    return {
+      key,
+      index: this.index,
+      path: formatJSONPath(keys),
+      keys,
+      start: offset,
+      end: null,
+      type: null,
+      size: null,
+      samples: null,
+    };
+  }
+}
+
+function isContainerType(type) {
+  return type === "object" || type === "array";
+}
+
+/**
+ * 把索引文件中展平的 [下标, 偏移, 下标, 偏移, ...] 还原为二元组
+ */
+function pairs(flat) {
+  const result = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    result.push([flat[i], flat[i + 1]]);
+  }
+  return result;
+}
@@ -0,0 +1,143 @@
+import streamChain from "stream-chain";
+import streamJson from "stream-json";
+import JSONTokenizer from "./json-tokenizer.js";
+import { createJSONReadStream } from "./compression.js";
+
+/**
+ * JSON 解析策略
+ *
+ * 每个策略负责把文件转换为 stream-json 格式的词法单元序列（startObject、
+ * keyValue、stringValue、numberValue ...，字符串和数字为打包后的形式），
+ * 再由 JSONParser 统一汇总为相同结构的结果，因此调用方不需要关心具体
+ * 使用了哪种策略。自定义策略实现同样的接口后通过
+ * JSONParser#registerStrategy() 注册即可。
+ *
+ * @typedef {object} ParseStrategy
+ * @property {string} name - 策略名称，parse() 的 strategy 选项使用该名称
+ * @property {string} description - 结果中 method 字段显示的说明
+ * @property {function(string, object): AsyncIterable<object>} tokens - 读取文件并产出词法单元
+ */
+
+/**
+ * 直接解析：整个文件读入内存后 JSON.parse
+ *
+ * 速度最快，但内存占用是文件大小的数倍，只适合小文件；
+ * 不支持包含多个顶层值的文件（例如 NDJSON）。
+ * options.numbers 不是 "number" 时 JSON.parse 会丢失数字的原文，
+ * options.duplicateKeys 不是 "last-wins" 时 JSON.parse 会丢弃重复的键，
+ * 这两种情况改为用 JSONTokenizer 对内存中的文本分词。
+ * @type {ParseStrategy}
+ */
+export const directStrategy = {
+  name: "direct",
+  description: "直接解析",
+  async *tokens(filePath, options = {}) {
+    const chunks = [];
+    for await (const chunk of createJSONReadStream(filePath)) {
+      chunks.push(chunk);
+    }
+
+    let text = Buffer.concat(chunks).toString("utf8");
+    if (text.charCodeAt(0) === 0xfeff) {
+      text = text.slice(1);
+    }
+    if (
+      (options.numbers ?? "number") === "number" &&
+      (options.duplicateKeys ?? "last-wins") === "last-wins"
+    ) {
+      yield* valueTokens(JSON.parse(text));
+      return;
+    }
+
+    const tokenizer = new JSONTokenizer();
+    yield* tokenizer.write(text);
+    yield* tokenizer.end();
+  },
+};
+
+/**
+ * stream-json 流式解析，内存占用与文件大小无关
+ * @type {ParseStrategy}
+ */
+export const streamJSONStrategy = {
+  name: "stream-json",
+  description: "stream-json流式解析",
+  async *tokens(filePath, options = {}) {
+    const pipeline = streamChain.chain([
+      createJSONReadStream(filePath, { highWaterMark: options.chunkSize }),
+      streamJson.parser({ jsonStreaming: true, streamValues: false }),
+    ]);
+
+    try {
+      yield* pipeline;
+    } finally {
+      pipeline.destroy();
+    }
+  },
+};
+
+/**
+ * 分块解析：按块读取文件，由 JSONTokenizer 逐块产生词法单元
+ *
+ * 与 stream-json 相同只占用常量内存，另外每个词法单元带有 start / end
+ * 字节偏移，语法错误会报告出错的字节位置。
+ * @type {ParseStrategy}
+ */
+export const chunkStrategy = {
+  name: "chunk",
+  description: "分块解析",
+  async *tokens(filePath, options = {}) {
+    const tokenizer = new JSONTokenizer({ multipleValues: true });
+    const stream = createJSONReadStream(filePath, {
+      highWaterMark: options.chunkSize,
+    });
+
+    try {
+      for await (const data of stream) {
+        yield* tokenizer.write(data);
+      }
+      yield* tokenizer.end();
+    } finally {
+      stream.destroy();
+    }
+  },
+};
+
+/**
+ * 内置策略
+ */
+export const defaultStrategies = [
+  directStrategy,
+  streamJSONStrategy,
+  chunkStrategy,
+];
+
+/**
+ * 把已经解析好的值转换为词法单元序列
+ * @param {*} value - JSON 值
+ * @returns {Generator<object>}
+ */
+export function* valueTokens(value) {
+  if (value === null) {
+    yield { name: "nullValue", value: null };
+  } else if (Array.isArray(value)) {
+    yield { name: "startArray" };
+    for (const item of value) {
+      yield* valueTokens(item);
+    }
+    yield { name: "endArray" };
+  } else if (typeof value === "object") {
+    yield { name: "startObject" };
+    for (const [key, item] of Object.entries(value)) {
+      yield { name: "keyValue", value: key };
+      yield* valueTokens(item);
+    }
+    yield { name: "endObject" };
+  } else if (typeof value === "string") {
+    yield { name: "stringValue", value };
+  } else if (typeof value === "number") {
+    yield { name: "numberValue", value: String(value) };
+  } else if (typeof value === "boolean") {
+    yield { name: value ? "trueValue" : "falseValue", value };
+  }
+}
@@ -1,242 +1,319 @@
+import fs from "fs/promises";
+import v8 from "v8";
 import LargeJSONHandler from "./index.js";
-
-class StreamingJSONParser {
+import JSONPathQuery, { formatJSONPath } from "./json-path.js";
+import { checkNumberMode, ValueAssembler } from "./json-values.js";
+import { checkDuplicateKeyPolicy } from "./json-duplicate-keys.js";
+import JSONTokenizer from "./json-tokenizer.js";
+import { defaultStrategies } from "./json-parse-strategies.js";
+import { createJSONReadStream, detectCompression } from "./compression.js";
+
+const VALUE_TYPES = {
+  startObject: "object",
+  startArray: "array",
+  stringValue: "string",
+  numberValue: "number",
+  trueValue: "boolean",
+  falseValue: "boolean",
+  nullValue: "null",
+};
+
+const TYPE_COUNTERS = {
+  object: "objects",
+  array: "arrays",
+  string: "strings",
+  number: "numbers",
+  boolean: "booleans",
+  null: "nulls",
+};
+
+const OUTPUTS = ["stats", "value", "path"];
+
+// 直接解析时的峰值内存约为文本大小的倍数（文本、解析出的对象和临时分配）
+const DIRECT_MEMORY_FACTOR = 8;
+// 直接解析最多使用可用堆内存的比例
+const DIRECT_HEAP_RATIO = 0.5;
+// 无法得知解压后大小时假定的压缩比
+const ASSUMED_COMPRESSION_RATIO = 10;
+// 嗅探文件结构时读取的字节数
+const SNIFF_SIZE = 64 * 1024;
+
+/**
+ * JSON 解析入口
+ *
+ * parse() 通过可替换的解析策略（direct、stream-json、chunk，见
+ * json-parse-strategies.js）读取文件，无论使用哪种策略都返回相同结构的结果。
+ */
+class JSONParser {
   constructor(options = {}) {
     this.maxChunkSize = options.maxChunkSize || 10000;
     this.jsonHandler = new LargeJSONHandler();
+    this.strategies = new Map(
+      defaultStrategies.map((strategy) => [strategy.name, strategy]),
+    );
   }
 
   /**
-   * 流式解析 JSON 文件并提取指定路径的数据
+   * 注册解析策略，同名策略会被替换
+   * @param {import("./json-parse-strategies.js").ParseStrategy} strategy - 解析策略
    */
-  async extractPath(filePath, targetPath) {
-    console.log(`提取路径: ${targetPath}`);
-
-    const pathStack = this.parsePath(targetPath);
-    let buffer = "";
-    let currentState = null;
-
-    for await (
-      const { chunk } of this.jsonHandler.readJSONInChunks(filePath, {
-        chunkSize: this.maxChunkSize,
-      })
-    ) {
-      buffer += chunk;
-
-      try {
-        const result = this.parseChunk(buffer, pathStack);
-        if (result.found) {
-          return result.data;
-        }
-      } catch (error) {
-        // 继续读取更多数据
-        continue;
-      }
-
-      // 防止缓冲区过大
-      if (buffer.length > 50000) {
-        buffer = buffer.slice(-20000);
-      }
+  registerStrategy(strategy) {
+    if (!strategy?.name || typeof strategy.tokens !== "function") {
+      throw new TypeError("解析策略需要提供 name 和 tokens()");
     }
-
-    throw new Error(`路径未找到: ${targetPath}`);
+    this.strategies.set(strategy.name, strategy);
   }
 
   /**
-   * 解析路径字符串
+   * 按名称取出解析策略
    */
-  parsePath(path) {
-    const stack = [];
-    const parts = path.split(".");
-
-    for (const part of parts) {
-      // 处理数组索引 path[0] 或 path[1].item[2]
-      const arrayMatch = part.match(/([^\[]+)(?:\[(\d+)\])?/);
-      if (arrayMatch) {
-        const [_, key, index] = arrayMatch;
-        if (index !== undefined) {
-          stack.push({ type: "key", value: key });
-          stack.push({ type: "index", value: parseInt(index) });
-        } else {
-          stack.push({ type: "key", value: key });
-        }
-      } else if (part.match(/^\d+$/)) {
-        // 纯数字索引
-        stack.push({ type: "index", value: parseInt(part) });
-      }
+  getStrategy(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new Error(
+        `未知的解析策略: ${name}（可用: ${
+          [...this.strategies.keys()].join(", ")
+        }）`,
+      );
     }
-
-    return stack;
+    return strategy;
   }
 
   /**
-   * 解析数据块
+   * strategy 为 "auto" 时选择解析策略
+   *
+   * 综合考虑直接解析的预计内存占用与当前可用堆内存、需要的输出
+   * （完整的值、统计信息或单一路径）以及文件开头的结构，并说明选择的理由。
+   * @param {string} filePath - 文件路径
+   * @param {object} options - 配置选项
+   * @param {string} [options.output="stats"] - 需要的输出，同 parse()
+   * @param {string} [options.path] - output 为 "path" 时的 JSONPath 表达式
+   * @returns {Promise<{strategy: string, reason: string, factors: object}>}
    */
-  parseChunk(chunk, pathStack) {
-    let braceLevel = 0;
-    let bracketLevel = 0;
-    let inString = false;
-    let escapeNext = false;
-    let currentPath = [];
-
-    for (let i = 0; i < chunk.length; i++) {
-      const char = chunk[i];
+  async selectStrategy(filePath, options = {}) {
+    const { output = "stats", path = null } = options;
+    const fileSize = (await fs.stat(filePath)).size;
+    const estimatedSize = await estimateDecodedSize(filePath, fileSize);
+    const { heap_size_limit, used_heap_size } = v8.getHeapStatistics();
+    const availableHeap = heap_size_limit - used_heap_size;
+    const estimatedMemory = estimatedSize * DIRECT_MEMORY_FACTOR;
+    const shape = await sniffJSON(filePath);
+    const singularPath = output === "path" &&
+      new JSONPathQuery(path).singular;
+
+    const factors = {
+      fileSize,
+      estimatedSize,
+      estimatedMemory,
+      availableHeap,
+      output,
+      shape,
+    };
+    const select = (strategy, reason) => ({ strategy, reason, factors });
+    const memory = `预计内存占用 ${formatMB(estimatedMemory)}，可用堆内存 ${
+      formatMB(availableHeap)
+    }`;
+
+    if (!shape.valid) {
+      return select(
+        "chunk",
+        "文件开头已经存在语法错误，分块解析可以报告出错的字节偏移",
+      );
+    }
+    if (shape.multipleValues) {
+      return select(
+        "stream-json",
+        "文件包含多个顶层值（如 NDJSON），无法直接解析",
+      );
+    }
+    if (singularPath) {
+      return select(
+        "stream-json",
+        "只需要单一路径的值，流式读取在找到后即可停止，无需读完整个文件",
+      );
+    }
+    if (estimatedMemory <= availableHeap * DIRECT_HEAP_RATIO) {
+      return select("direct", `${memory}，足以直接解析`);
+    }
+    if (output === "value") {
+      return select(
+        "stream-json",
+        `${memory}，直接解析需要额外保存整个文本；流式组装只保留最终的值`,
+      );
+    }
+    return select(
+      "stream-json",
+      `${memory}，超过直接解析的安全范围，使用常量内存的流式解析`,
+    );
+  }
 
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
+  /**
+   * 解析 JSON 文件
+   *
+   * 解析失败（文件不存在、语法错误等）不会抛出异常，而是返回
+   * success 为 false 的结果；只有选项错误才会抛出。
+   * @param {string} filePath - 文件路径（支持压缩文件）
+   * @param {object} options - 配置选项
+   * @param {string} [options.strategy="auto"] - 解析策略名称，"auto" 表示自动选择
+   * @param {string} [options.output="stats"] - "stats" 只统计结构，"value" 同时返回完整的值，"path" 同时返回 path 的匹配结果
+   * @param {string} [options.path] - output 为 "path" 时的 JSONPath 表达式
+   * @param {number} [options.chunkSize=20480] - 流式策略的读取块大小
+   * @param {number} [options.maxDepth=5] - structure 记录的最大深度，根值为 0
+   * @param {number} [options.maxPaths=1000] - structure 最多记录的路径数
+   * @param {string} [options.numbers="number"] - value 和 matches 中数字的表示方式（number、bigint、string），见 json-values.js
+   * @param {string} [options.duplicateKeys="last-wins"] - 组装 value 和 matches 时重复键的处理方式，见 json-duplicate-keys.js
+   *
+   * output 为 "path" 且路径只由成员名和下标组成时，找到匹配后即停止读取，
+   * 此时 stats.complete 为 false，统计信息只包含已读取的部分。
+   * @returns {Promise<object>} - 见 README 中的“统一解析结果”
+   */
+  async parse(filePath, options = {}) {
+    const {
+      strategy: strategyName = "auto",
+      output = "stats",
+      path = null,
+      chunkSize = 1024 * 20,
+      maxDepth = 5,
+      maxPaths = 1000,
+    } = options;
+    const numbers = checkNumberMode(options.numbers);
+    const duplicateKeys = checkDuplicateKeyPolicy(options.duplicateKeys);
+
+    if (!OUTPUTS.includes(output)) {
+      throw new Error(`未知的输出类型: ${output}`);
+    }
+    if (output === "path" && !path) {
+      throw new Error('output 为 "path" 时需要提供 path 选项');
+    }
 
-      if (char === "\\" && inString) {
-        escapeNext = true;
-        continue;
-      }
+    console.log(`🔍 开始解析: ${filePath}`);
+    const startTime = Date.now();
+    let strategy = strategyName === "auto"
+      ? null
+      : this.getStrategy(strategyName);
+    const query = output === "path"
+      ? new JSONPathQuery(path, { numbers, duplicateKeys })
+      : null;
+    let selection = null;
+    let fileSize = 0;
 
-      if (char === '"') {
-        inString = !inString;
-        continue;
+    try {
+      fileSize = (await fs.stat(filePath)).size;
+      if (!strategy) {
+        selection = await this.selectStrategy(filePath, { output, path });
+        strategy = this.getStrategy(selection.strategy);
+        console.log(`🧭 自动选择${strategy.description}: ${selection.reason}`);
       }
-
-      if (!inString) {
-        if (char === "{") {
-          braceLevel++;
-          // 开始一个新对象
-          const key = this.parseKey(chunk, i);
-          if (key) {
-            currentPath.push(key);
-            if (this.pathMatches(currentPath, pathStack)) {
-              // 找到目标路径
-              return {
-                found: true,
-                data: this.extractValue(chunk, i),
-              };
-            }
+      console.log(
+        `📏 文件大小: ${
+          (fileSize / 1024).toFixed(2)
+        } KB，使用${strategy.description}`,
+      );
+
+      const collector = new StructureCollector({ maxDepth, maxPaths });
+      const values = [];
+      let assembler = output === "value"
+        ? new ValueAssembler({ numbers, duplicateKeys })
+        : null;
+      const matches = [];
+
+      const tokens = strategy.tokens(filePath, {
+        chunkSize,
+        numbers,
+        duplicateKeys,
+      });
+      for await (const token of tokens) {
+        collector.write(token);
+        if (assembler) {
+          assembler.consume(token);
+          if (assembler.done) {
+            values.push(assembler.value);
+            assembler = new ValueAssembler({ numbers, duplicateKeys });
           }
-        } else if (char === "}") {
-          braceLevel--;
-          if (currentPath.length > 0) {
-            currentPath.pop();
+        }
+        if (query) {
+          for (const { value, path } of query.write(token)) {
+            matches.push({ value, path });
+          }
+          if (query.singular && matches.length > 0) {
+            collector.complete = false;
+            break;
           }
-        } else if (char === "[") {
-          bracketLevel++;
-        } else if (char === "]") {
-          bracketLevel--;
         }
       }
-    }
 
-    return { found: false };
-  }
-
-  /**
-   * 解析键名
-   */
-  parseKey(chunk, position) {
-    // 向后查找键名
-    let keyStart = -1;
-    let keyEnd = -1;
-
-    for (let i = position - 1; i >= 0; i--) {
-      if (chunk[i] === '"' && (i === 0 || chunk[i - 1] !== "\\")) {
-        if (keyEnd === -1) {
-          keyEnd = i;
-        } else {
-          keyStart = i + 1;
-          break;
-        }
+      const summary = collector.summary();
+      const result = {
+        success: true,
+        strategy: strategy.name,
+        method: strategy.description,
+        selection,
+        fileSizeKB: (fileSize / 1024).toFixed(2),
+        topLevelKeys: summary.topLevelKeys,
+        structure: summary.structure,
+        stats: summary.stats,
+        complexity: {
+          depth: summary.stats.maxDepth,
+          breadth: summary.breadth,
+          density: fileSize > 0
+            ? (summary.stats.typeDistribution.objects +
+              summary.stats.typeDistribution.arrays) / (fileSize / 1024)
+            : 0,
+        },
+        processingTime: Date.now() - startTime,
+        parseTime: new Date().toISOString(),
+      };
+      if (output === "value") {
+        // 包含多个顶层值的文件（例如 NDJSON）返回由这些值组成的数组
+        result.value = values.length > 1 ? values : values[0];
+      } else if (output === "path") {
+        result.matches = matches;
       }
-    }
 
-    if (keyStart !== -1 && keyEnd !== -1) {
-      return chunk.slice(keyStart, keyEnd);
+      console.log(`✅ 解析完成，耗时: ${result.processingTime}ms`);
+      return result;
+    } catch (error) {
+      console.error(`❌ 解析失败: ${error.message}`);
+      return {
+        success: false,
+        strategy: strategy?.name ?? null,
+        method: strategy?.description ?? null,
+        selection,
+        fileSizeKB: (fileSize / 1024).toFixed(2),
+        error: error.message,
+        processingTime: Date.now() - startTime,
+        parseTime: new Date().toISOString(),
+      };
     }
-
-    return null;
   }
 
   /**
-   * 检查路径是否匹配
+   * 流式解析 JSON 文件并提取指定路径的数据
+   *
+   * targetPath 为 JSONPath 表达式，也兼容 "info.title"、"items[0].name"
+   * 这样省略 $ 的写法。返回第一个匹配的值，需要全部匹配时使用 query()。
    */
-  pathMatches(currentPath, targetPath) {
-    if (currentPath.length < targetPath.length) {
-      return false;
-    }
+  async extractPath(filePath, targetPath) {
+    console.log(`提取路径: ${targetPath}`);
 
-    for (let i = 0; i < targetPath.length; i++) {
-      if (currentPath[i] !== targetPath[i].value) {
-        return false;
-      }
+    for await (const { value } of this.query(filePath, targetPath)) {
+      return value;
     }
 
-    return currentPath.length === targetPath.length;
+    throw new Error(`路径未找到: ${targetPath}`);
   }
 
   /**
-   * 提取值
+   * 使用 JSONPath 查询 JSON 文件
+   *
+   * 只扫描一遍文件，匹配结果按值在文件中结束的顺序产出，
+   * 因此嵌套的匹配会先于包含它的值出现。
+   * @param {string} filePath - 文件路径
+   * @param {string} expression - JSONPath 表达式，例如 "$.items[?(@.score > 0.5)].name"
+   * @returns {AsyncGenerator<{value: *, path: string, keys: Array<string|number>}>} - path 为规范化路径，例如 "$['items'][3]['name']"
    */
-  extractValue(chunk, position) {
-    // 简化的值提取，实际应该更复杂
-    let value = "";
-    let braceLevel = 0;
-    let bracketLevel = 0;
-    let inString = false;
-    let escapeNext = false;
-
-    for (let i = position; i < chunk.length; i++) {
-      const char = chunk[i];
-
-      if (escapeNext) {
-        value += char;
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === "\\" && inString) {
-        escapeNext = true;
-        value += char;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        value += char;
-        continue;
-      }
-
-      if (!inString) {
-        if (char === "{") {
-          braceLevel++;
-          value += char;
-        } else if (char === "}") {
-          braceLevel--;
-          value += char;
-          if (braceLevel === 0) {
-            break;
-          }
-        } else if (char === "[") {
-          bracketLevel++;
-          value += char;
-        } else if (char === "]") {
-          bracketLevel--;
-          value += char;
-          if (bracketLevel === 0) {
-            break;
-          }
-        } else if (char === "," && braceLevel === 0 && bracketLevel === 0) {
-          break;
-        } else {
-          value += char;
-        }
-      } else {
-        value += char;
-      }
-    }
-
-    try {
-      return JSON.parse(value);
-    } catch {
-      return value;
-    }
+  query(filePath, expression) {
+    return new JSONPathQuery(expression).query(filePath);
   }
 
   /**
@@ -381,4 +458,219 @@ class StreamingJSONParser {
   }
 }
 
-export default StreamingJSONParser;
+/**
+ * 从词法单元流中统计结构信息，内存占用只与嵌套深度和记录的路径数有关
+ */
+class StructureCollector {
+  constructor({ maxDepth, maxPaths }) {
+    this.maxDepth = maxDepth;
+    this.maxPaths = maxPaths;
+    this.frames = []; // 当前路径上的容器
+    this.topLevelKeys = new Set();
+    this.structure = new Map(); // 路径模式 -> 统计
+    this.rootType = null;
+    this.rootValues = 0;
+    this.rootSize = 0;
+    this.complete = true; // 是否读完了整个文件
+    this.deepest = 0;
+    this.totalElements = 0;
+    this.typeCounts = {
+      objects: 0,
+      arrays: 0,
+      strings: 0,
+      numbers: 0,
+      booleans: 0,
+      nulls: 0,
+    };
+  }
+
+  write(token) {
+    const parent = this.frames[this.frames.length - 1];
+
+    switch (token.name) {
+      case "keyValue":
+        parent.key = token.value;
+        if (this.frames.length === 1) {
+          this.topLevelKeys.add(token.value);
+        }
+        return;
+      case "endObject":
+      case "endArray": {
+        const frame = this.frames.pop();
+        if (frame.entry) {
+          frame.entry.maxSize = Math.max(frame.entry.maxSize ?? 0, frame.size);
+        }
+        if (this.frames.length === 0) {
+          this.rootSize = frame.size;
+        }
+        return;
+      }
+    }
+
+    const type = VALUE_TYPES[token.name];
+    if (!type) {
+      return;
+    }
+
+    // 数组元素统一记为 [*]，超出 maxDepth 的部分不再记录路径
+    let pattern;
+    if (!parent) {
+      pattern = "$";
+      this.rootValues++;
+      this.rootType = this.rootType ?? type;
+    } else {
+      pattern = parent.pattern === null
+        ? null
+        : parent.type === "array"
+        ? `${parent.pattern}[*]`
+        : parent.pattern + formatMember(parent.key);
+      parent.size++;
+    }
+
+    const depth = this.frames.length;
+    this.deepest = Math.max(this.deepest, depth);
+    this.typeCounts[TYPE_COUNTERS[type]]++;
+    this.totalElements++;
+
+    const entry = pattern === null ? null : this.record(pattern, type, token);
+    if (type === "object" || type === "array") {
+      this.frames.push({
+        type,
+        pattern: depth < this.maxDepth ? pattern : null,
+        key: null,
+        size: 0,
+        entry,
+      });
+    }
+  }
+
+  /**
+   * 更新路径模式的统计，达到 maxPaths 后不再记录新路径
+   */
+  record(pattern, type, token) {
+    let entry = this.structure.get(pattern);
+    if (!entry) {
+      if (this.structure.size >= this.maxPaths) {
+        return null;
+      }
+      entry = { type, count: 0 };
+      this.structure.set(pattern, entry);
+    } else if (!entry.type.split("|").includes(type)) {
+      entry.type += `|${type}`;
+    }
+
+    entry.count++;
+    if (type === "string" && entry.sample === undefined) {
+      entry.sample = token.value.substring(0, 50);
+    }
+    return entry;
+  }
+
+  summary() {
+    return {
+      topLevelKeys: [...this.topLevelKeys],
+      breadth: this.rootType === "object"
+        ? this.topLevelKeys.size
+        : this.rootType === "array"
+        ? this.rootSize
+        : this.rootValues,
+      structure: Object.fromEntries(this.structure),
+      stats: {
+        rootType: this.rootType,
+        rootValues: this.rootValues,
+        complete: this.complete,
+        maxDepth: this.deepest,
+        totalElements: this.totalElements,
+        typeDistribution: { ...this.typeCounts },
+      },
+    };
+  }
+}
+
+/**
+ * 估算解压后的文件大小
+ *
+ * gzip 文件末尾记录了原始大小（对 2^32 取模），其它压缩格式按假定的压缩比估算。
+ */
+async function estimateDecodedSize(filePath, fileSize) {
+  const compression = await detectCompression(filePath);
+  if (!compression) {
+    return fileSize;
+  }
+
+  if (compression === "gzip" && fileSize >= 18) {
+    const handle = await fs.open(filePath, "r");
+    try {
+      const { buffer } = await handle.read(Buffer.alloc(4), 0, 4, fileSize - 4);
+      const size = buffer.readUInt32LE(0);
+      // 超过 4GB 时该字段已经溢出，不再可信
+      if (size >= fileSize) {
+        return size;
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+  return fileSize * ASSUMED_COMPRESSION_RATIO;
+}
+
+/**
+ * 读取文件开头的一段内容，粗略判断结构
+ * @returns {Promise<{rootType: string|null, multipleValues: boolean, sampleDepth: number, valid: boolean}>} - valid 为 false 表示开头部分已经存在语法错误
+ */
+async function sniffJSON(filePath) {
+  const tokenizer = new JSONTokenizer({ multipleValues: true });
+  const stream = createJSONReadStream(filePath, { highWaterMark: SNIFF_SIZE });
+  const shape = {
+    rootType: null,
+    multipleValues: false,
+    sampleDepth: 0,
+    valid: true,
+  };
+  let rootValues = 0;
+
+  try {
+    let sample = Buffer.alloc(0);
+    for await (const data of stream) {
+      sample = Buffer.concat([sample, data]);
+      if (sample.length >= SNIFF_SIZE) {
+        break;
+      }
+    }
+    for (const token of tokenizer.write(sample.subarray(0, SNIFF_SIZE))) {
+      if (token.depth === 0) {
+        const type = VALUE_TYPES[token.name];
+        shape.rootType = shape.rootType ?? type ?? null;
+        // 顶层的标量或容器结束标志着一个完整的顶层值
+        if (token.name !== "startObject" && token.name !== "startArray") {
+          rootValues++;
+        }
+      }
+      shape.sampleDepth = Math.max(shape.sampleDepth, token.depth);
+    }
+  } catch {
+    shape.valid = false;
+  } finally {
+    stream.destroy();
+  }
+
+  shape.multipleValues = rootValues > 1 ||
+    (rootValues === 1 &&
+      (tokenizer.depth > 0 || tokenizer.pending !== null));
+  return shape;
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 路径模式中的成员名部分，例如 .name 或 ['a b']
+ */
+function formatMember(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `.${key}`
+    : formatJSONPath([key]).slice(1);
+}
+
+export default JSONParser;
@@ -0,0 +1,1009 @@
+import streamChain from "stream-chain";
+import streamJson from "stream-json";
+import { createJSONReadStream } from "./compression.js";
+import {
+  checkNumberMode,
+  JSONDecimal,
+  tokenValue,
+  ValueAssembler,
+} from "./json-values.js";
+import { checkDuplicateKeyPolicy } from "./json-duplicate-keys.js";
+
+/**
+ * 流式 JSONPath 查询
+ *
+ * 支持的语法：
+ *   $.store.book[0].title        成员名和数组下标
+ *   $['store']["book"]           带引号的成员名
+ *   $.store.*  $.items[*]        通配符
+ *   $..author  $..[0]            递归下降
+ *   $.items[10:20:2]  [0,3,'a']  切片和并集
+ *   $.items[?(@.score > 0.5)]    过滤表达式（== != < <= > >= =~ && || ! 和括号）
+ *
+ * 为了兼容旧的路径写法，可以省略开头的 $（例如 "info.title"、"items[0]"），
+ * 点号后面的纯数字成员名同时匹配同名的键和该下标的数组元素。
+ * 因为只扫描一遍，数组长度未知，所以不支持负数下标和负数步长。
+ *
+ * 查询过程只维护当前路径上每一层的匹配状态，只有命中的值和需要过滤的
+ * 候选元素才会被组装到内存中。
+ */
+
+// 过滤表达式中缺失的值
+const NOTHING = Symbol("nothing");
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const INTEGER_PATTERN = /-?\d+/y;
+const NAME_PATTERN = /[^.[\]\s]+/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/y;
+const COMPARISON_PATTERN = /==|!=|<=|>=|<|>|=~/y;
+
+/**
+ * 递归下降的 JSONPath 表达式解析器
+ */
+class JSONPathParser {
+  constructor(expression) {
+    this.expression = expression;
+    this.index = 0;
+  }
+
+  /**
+   * 解析完整的查询表达式
+   * @returns {Array<{descendant: boolean, selectors: Array<object>}>}
+   */
+  parse() {
+    const segments = [];
+    this.skipSpaces();
+
+    if (this.peek() === "$") {
+      this.index++;
+    } else if (this.peek() !== "[" && this.peek() !== ".") {
+      // 省略了 "$." 的旧式路径
+      segments.push({ descendant: false, selectors: [this.parseName()] });
+    }
+
+    while (this.skipSpaces() < this.expression.length) {
+      if (this.expression.startsWith("..", this.index)) {
+        this.index += 2;
+        const selectors = this.peek() === "["
+          ? this.parseBracket()
+          : [this.parseDotSelector()];
+        segments.push({ descendant: true, selectors });
+      } else if (this.peek() === ".") {
+        this.index++;
+        segments.push({
+          descendant: false,
+          selectors: [this.parseDotSelector()],
+        });
+      } else if (this.peek() === "[") {
+        segments.push({ descendant: false, selectors: this.parseBracket() });
+      } else {
+        this.fail(`意外的字符 ${JSON.stringify(this.peek())}`);
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * 解析点号后的成员名或通配符
+   */
+  parseDotSelector() {
+    if (this.peek() === "*") {
+      this.index++;
+      return { type: "wildcard" };
+    }
+    return this.parseName();
+  }
+
+  /**
+   * 解析不带引号的成员名
+   */
+  parseName() {
+    const name = this.match(NAME_PATTERN);
+    if (name === null) {
+      this.fail("缺少成员名");
+    }
+    return { type: "name", name, loose: /^\d+$/.test(name) };
+  }
+
+  /**
+   * 解析方括号中逗号分隔的选择器
+   */
+  parseBracket() {
+    this.expect("[");
+    const selectors = [];
+
+    do {
+      this.skipSpaces();
+      selectors.push(this.parseBracketSelector());
+      this.skipSpaces();
+    } while (this.accept(","));
+
+    this.expect("]");
+    return selectors;
+  }
+
+  /**
+   * 解析方括号中的单个选择器
+   */
+  parseBracketSelector() {
+    const char = this.peek();
+
+    if (char === "'" || char === '"') {
+      return { type: "name", name: this.parseString(), loose: false };
+    }
+    if (char === "*") {
+      this.index++;
+      return { type: "wildcard" };
+    }
+    if (char === "?") {
+      this.index++;
+      return { type: "filter", expression: this.parseLogicalOr() };
+    }
+
+    const start = this.parseInteger();
+    this.skipSpaces();
+    if (this.peek() !== ":") {
+      if (start === null) {
+        this.fail("无效的选择器");
+      }
+      return { type: "index", index: start };
+    }
+
+    // 切片 start:end:step
+    this.expect(":");
+    this.skipSpaces();
+    const end = this.parseInteger();
+    let step = null;
+    this.skipSpaces();
+    if (this.accept(":")) {
+      this.skipSpaces();
+      step = this.parseInteger();
+    }
+    if (step === 0) {
+      this.fail("切片步长不能为 0");
+    }
+
+    return {
+      type: "slice",
+      start: start ?? 0,
+      end,
+      step: step ?? 1,
+    };
+  }
+
+  /**
+   * 解析非负整数，不存在时返回 null
+   */
+  parseInteger() {
+    const text = this.match(INTEGER_PATTERN);
+    if (text === null) {
+      return null;
+    }
+    const value = Number(text);
+    if (value < 0) {
+      this.index -= text.length;
+      this.fail("流式查询不支持负数下标和负数步长");
+    }
+    return value;
+  }
+
+  /**
+   * 解析单引号或双引号字符串
+   */
+  parseString() {
+    const quote = this.expression[this.index];
+    const start = this.index;
+    let raw = "";
+    this.index++;
+
+    while (this.index < this.expression.length) {
+      const char = this.expression[this.index];
+      if (char === "\\") {
+        const next = this.expression[this.index + 1];
+        // 单引号字符串中的 \' 在 JSON 中不是合法转义
+        raw += next === "'" ? "'" : char + (next ?? "");
+        this.index += 2;
+        continue;
+      }
+      this.index++;
+      if (char === quote) {
+        try {
+          return JSON.parse(`"${raw}"`);
+        } catch {
+          this.index = start;
+          this.fail("无效的字符串");
+        }
+      }
+      raw += char === '"' ? '\\"' : char;
+    }
+
+    this.index = start;
+    this.fail("字符串未结束");
+  }
+
+  /**
+   * 过滤表达式: a || b
+   */
+  parseLogicalOr() {
+    let left = this.parseLogicalAnd();
+    for (;;) {
+      this.skipSpaces();
+      if (!this.accept("||")) {
+        return left;
+      }
+      left = { type: "or", left, right: this.parseLogicalAnd() };
+    }
+  }
+
+  /**
+   * 过滤表达式: a && b
+   */
+  parseLogicalAnd() {
+    let left = this.parseUnary();
+    for (;;) {
+      this.skipSpaces();
+      if (!this.accept("&&")) {
+        return left;
+      }
+      left = { type: "and", left, right: this.parseUnary() };
+    }
+  }
+
+  /**
+   * 过滤表达式: !a
+   */
+  parseUnary() {
+    this.skipSpaces();
+    if (this.peek() === "!" && this.expression[this.index + 1] !== "=") {
+      this.index++;
+      return { type: "not", operand: this.parseUnary() };
+    }
+    return this.parseComparison();
+  }
+
+  /**
+   * 过滤表达式: a op b
+   */
+  parseComparison() {
+    const left = this.parsePrimary();
+    this.skipSpaces();
+
+    const operator = this.match(COMPARISON_PATTERN);
+    if (operator === null) {
+      return left;
+    }
+
+    this.skipSpaces();
+    const right = operator === "=~" && this.peek() === "/"
+      ? this.parseRegex()
+      : this.parsePrimary();
+    return { type: "compare", operator, left, right };
+  }
+
+  /**
+   * 过滤表达式中的字面量、相对路径或括号
+   */
+  parsePrimary() {
+    this.skipSpaces();
+    const char = this.peek();
+
+    if (char === "(") {
+      this.index++;
+      const expression = this.parseLogicalOr();
+      this.skipSpaces();
+      this.expect(")");
+      return expression;
+    }
+    if (char === "@") {
+      this.index++;
+      return { type: "path", keys: this.parseRelativePath() };
+    }
+    if (char === "$") {
+      this.fail("过滤表达式中不支持以 $ 开头的绝对路径");
+    }
+    if (char === "'" || char === '"') {
+      return { type: "literal", value: this.parseString() };
+    }
+
+    const number = this.match(NUMBER_PATTERN);
+    if (number !== null) {
+      return { type: "literal", value: Number(number) };
+    }
+
+    const word = this.match(IDENTIFIER_PATTERN);
+    if (word === "true" || word === "false" || word === "null") {
+      return { type: "literal", value: JSON.parse(word) };
+    }
+    if (word !== null) {
+      this.index -= word.length;
+    }
+    this.fail("无效的过滤表达式");
+  }
+
+  /**
+   * 解析 @ 之后的相对路径，只允许成员名和下标
+   */
+  parseRelativePath() {
+    const keys = [];
+
+    for (;;) {
+      if (this.peek() === "." && this.expression[this.index + 1] !== ".") {
+        this.index++;
+        const name = this.match(IDENTIFIER_PATTERN);
+        if (name === null) {
+          this.fail("缺少成员名");
+        }
+        keys.push(name);
+      } else if (this.peek() === "[") {
+        this.index++;
+        this.skipSpaces();
+        if (this.peek() === "'" || this.peek() === '"') {
+          keys.push(this.parseString());
+        } else {
+          const index = this.parseInteger();
+          if (index === null) {
+            this.fail("过滤表达式中的路径只支持成员名和下标");
+          }
+          keys.push(index);
+        }
+        this.skipSpaces();
+        this.expect("]");
+      } else {
+        return keys;
+      }
+    }
+  }
+
+  /**
+   * 解析 /pattern/flags 正则字面量
+   */
+  parseRegex() {
+    const start = this.index;
+    let source = "";
+    this.index++;
+
+    while (this.index < this.expression.length) {
+      const char = this.expression[this.index++];
+      if (char === "\\") {
+        source += char + (this.expression[this.index++] ?? "");
+      } else if (char === "/") {
+        const flags = this.match(/[a-z]*/y);
+        try {
+          return { type: "literal", value: new RegExp(source, flags) };
+        } catch (error) {
+          this.index = start;
+          this.fail(`无效的正则表达式: ${error.message}`);
+        }
+      } else {
+        source += char;
+      }
+    }
+
+    this.index = start;
+    this.fail("正则表达式未结束");
+  }
+
+  peek() {
+    return this.expression[this.index];
+  }
+
+  skipSpaces() {
+    while (/\s/.test(this.expression[this.index] ?? "")) {
+      this.index++;
+    }
+    return this.index;
+  }
+
+  accept(text) {
+    if (this.expression.startsWith(text, this.index)) {
+      this.index += text.length;
+      return true;
+    }
+    return false;
+  }
+
+  expect(text) {
+    if (!this.accept(text)) {
+      this.fail(`缺少 "${text}"`);
+    }
+  }
+
+  match(pattern) {
+    pattern.lastIndex = this.index;
+    const match = pattern.exec(this.expression);
+    if (!match) {
+      return null;
+    }
+    this.index += match[0].length;
+    return match[0];
+  }
+
+  fail(message) {
+    throw new SyntaxError(
+      `无效的 JSONPath 表达式 ${
+        JSON.stringify(this.expression)
+      }: ${message} (位置 ${this.index})`,
+    );
+  }
+}
+
+/**
+ * 解析 JSONPath 表达式
+ * @param {string} expression - JSONPath 表达式
+ * @returns {Array<{descendant: boolean, selectors: Array<object>}>} - 路径段列表
+ */
+export function parseJSONPath(expression) {
+  return new JSONPathParser(expression).parse();
+}
+
+/**
+ * 把键和下标序列格式化为规范化路径，例如 $['items'][0]['name']
+ * @param {Array<string|number>} keys - 键和下标
+ * @returns {string}
+ */
+export function formatJSONPath(keys) {
+  let path = "$";
+  for (const key of keys) {
+    if (typeof key === "number") {
+      path += `[${key}]`;
+    } else {
+      const escaped = JSON.stringify(key).slice(1, -1)
+        .replace(/\\"/g, '"')
+        .replace(/'/g, "\\'");
+      path += `['${escaped}']`;
+    }
+  }
+  return path;
+}
+
+/**
+ * 把键序列转换为 JSON Pointer，例如 ["items", 3, "a/b"] -> "/items/3/a~1b"
+ * @param {Array<string|number>} keys - 键和下标
+ * @returns {string}
+ */
+export function toJSONPointer(keys) {
+  return keys.map((key) =>
+    "/" + String(key).replace(/~/g, "~0").replace(/\//g, "~1")
+  ).join("");
+}
+
+/**
+ * 把 JSON Pointer（RFC 6901）拆分为键，例如 "/paths/~1users/0" -> ["paths", "/users", "0"]
+ *
+ * 下标和数字形式的成员名无法区分，都以字符串返回。
+ * @param {string} pointer - JSON Pointer，空字符串表示根
+ * @returns {string[]}
+ */
+export function parseJSONPointer(pointer) {
+  if (pointer === "") {
+    return [];
+  }
+  if (!pointer.startsWith("/")) {
+    throw new Error(`JSON Pointer 必须以 "/" 开头: ${pointer}`);
+  }
+  return pointer.slice(1).split("/").map((token) =>
+    token.replace(/~1/g, "/").replace(/~0/g, "~")
+  );
+}
+
+/**
+ * 查询 JSON 文件，逐个产出匹配的值
+ * @param {string} filePath - 文件路径（支持压缩文件）
+ * @param {string} expression - JSONPath 表达式
+ * @param {object} options - 配置选项，见 JSONPathQuery
+ * @returns {AsyncGenerator<{value: *, path: string, keys: Array<string|number>}>}
+ */
+export function queryJSONPath(filePath, expression, options = {}) {
+  return new JSONPathQuery(expression, options).query(filePath);
+}
+
+export default class JSONPathQuery {
+  /**
+   * @param {string} expression - JSONPath 表达式
+   * @param {object} options - 配置选项
+   * @param {string} [options.numbers="number"] - 数字模式（number、bigint、string），见 json-values.js
+   * @param {string} [options.duplicateKeys="last-wins"] - 组装匹配的值时重复键的处理方式，见 json-duplicate-keys.js
+   */
+  constructor(expression, options = {}) {
+    this.expression = expression;
+    this.numbers = checkNumberMode(options.numbers);
+    this.duplicateKeys = checkDuplicateKeyPolicy(options.duplicateKeys);
+    this.segments = parseJSONPath(expression);
+    // 只由成员名和下标组成的路径最多只有一个匹配，找到后即可停止读取
+    this.singular = this.segments.every(({ descendant, selectors }) =>
+      !descendant && selectors.length === 1 &&
+      (selectors[0].type === "name" || selectors[0].type === "index")
+    );
+    this.reset();
+  }
+
+  /**
+   * 重置匹配状态，以便查询下一个文档
+   */
+  reset() {
+    this.frames = []; // 当前路径上每一层容器的匹配状态
+    this.captures = []; // 正在组装的值
+  }
+
+  /**
+   * 在文件上执行查询
+   * @param {string} filePath - 文件路径（支持压缩文件）
+   * @returns {AsyncGenerator<{value: *, path: string, keys: Array<string|number>}>}
+   */
+  async *query(filePath) {
+    yield* this.queryStream(createJSONReadStream(filePath));
+  }
+
+  /**
+   * 在字节流上执行查询，流的内容必须是一个完整的 JSON 值
+   * @param {import("stream").Readable} input - 可读字节流
+   * @returns {AsyncGenerator<{value: *, path: string, keys: Array<string|number>}>}
+   */
+  async *queryStream(input) {
+    this.reset();
+    const pipeline = streamChain.chain([
+      input,
+      streamJson.parser({ streamValues: false }),
+    ]);
+
+    try {
+      for await (const token of pipeline) {
+        const matches = this.write(token);
+        for (const match of matches) {
+          yield match;
+        }
+        if (this.singular && matches.length > 0) {
+          return;
+        }
+      }
+    } finally {
+      pipeline.destroy();
+    }
+  }
+
+  /**
+   * 处理一个 stream-json 词法单元
+   * @param {{name: string, value?: *}} token - 词法单元（keyValue 需为打包后的形式）
+   * @returns {Array<{value: *, path: string, keys: Array<string|number>}>} - 本次完成的匹配
+   */
+  write(token) {
+    const matches = [];
+
+    for (const capture of this.captures) {
+      capture.assembler.consume(token);
+    }
+
+    switch (token.name) {
+      case "keyValue":
+        this.frames[this.frames.length - 1].key = token.value;
+        break;
+      case "startObject":
+      case "startArray": {
+        const node = this.enterValue();
+        node.type = token.name === "startObject" ? "object" : "array";
+        node.index = 0;
+        node.key = null;
+        if (node.states.has(this.segments.length) || node.candidates.length) {
+          node.assembler = new ValueAssembler({
+            numbers: this.numbers,
+            duplicateKeys: this.duplicateKeys,
+          });
+          node.assembler.consume(token);
+          this.captures.push(node);
+        }
+        this.frames.push(node);
+        break;
+      }
+      case "endObject":
+      case "endArray": {
+        const node = this.frames.pop();
+        if (node.assembler) {
+          this.captures.splice(this.captures.indexOf(node), 1);
+          this.complete(node, node.assembler.value, matches);
+        }
+        break;
+      }
+      default:
+        this.complete(
+          this.enterValue(),
+          tokenValue(token, this.numbers),
+          matches,
+        );
+    }
+
+    return matches;
+  }
+
+  /**
+   * 计算新开始的值的路径和匹配状态
+   *
+   * 状态 i 表示前 i 个路径段已经匹配、当前值等待匹配第 i 段的子元素；
+   * candidates 中的 i 表示第 i 段是过滤器，需要等值组装完成后再判断。
+   */
+  enterValue() {
+    const parent = this.frames[this.frames.length - 1];
+    if (!parent) {
+      return { keys: [], states: new Set([0]), candidates: [] };
+    }
+
+    const key = parent.type === "array" ? parent.index++ : parent.key;
+    const keys = parent.keys.concat([key]);
+    const states = new Set();
+    const candidates = [];
+
+    for (const state of parent.states) {
+      if (state === this.segments.length) {
+        continue;
+      }
+      const { descendant, selectors } = this.segments[state];
+      if (descendant) {
+        states.add(state);
+      }
+      for (const selector of selectors) {
+        if (selector.type === "filter") {
+          if (!candidates.includes(state)) {
+            candidates.push(state);
+          }
+        } else if (matchesSelector(selector, key)) {
+          states.add(state + 1);
+        }
+      }
+    }
+
+    return { keys, states, candidates };
+  }
+
+  /**
+   * 值组装完成后输出匹配，并对过滤候选求值
+   */
+  complete(node, value, matches) {
+    const emit = (matchValue, keys) => {
+      matches.push({ value: matchValue, path: formatJSONPath(keys), keys });
+    };
+
+    if (node.states.has(this.segments.length)) {
+      emit(value, node.keys);
+    }
+
+    for (const state of node.candidates) {
+      const passed = this.segments[state].selectors.some((selector) =>
+        selector.type === "filter" && testFilter(selector.expression, value)
+      );
+      if (passed) {
+        evaluateSegments(this.segments, state + 1, value, node.keys, emit);
+      }
+    }
+  }
+}
+
+/**
+ * 读取数组中 [start, end) 的元素
+ *
+ * 流式找到 path 指向的数组，start 之前的元素只跳过、不组装，读到 end 之后
+ * 立即停止。只有读到数组末尾时才知道数组的长度。
+ * @param {import("stream").Readable} input - 可读字节流，内容必须是一个完整的 JSON 值
+ * @param {string|Array<string|number>} path - 只由成员名和下标组成的 JSONPath，或键和下标序列
+ * @param {number} [start=0] - 第一个元素的下标
+ * @param {number} [end=Infinity] - 结束下标（不包含）
+ * @param {object} options - 配置选项
+ * @param {string} [options.numbers="number"] - 数字模式，见 json-values.js
+ * @returns {Promise<{items: Array<*>, start: number, end: number, length: number|null} | null>} - 路径不存在时为 null；length 在没有读到数组末尾时为 null
+ * @throws {RangeError} - start 或 end 不是非负整数
+ */
+export async function readArraySliceStream(
+  input,
+  path,
+  start = 0,
+  end = Infinity,
+  options = {},
+) {
+  checkSliceBounds(start, end);
+  const numbers = checkNumberMode(options.numbers);
+  const selectors = Array.isArray(path)
+    ? path.map((key) =>
+      typeof key === "number"
+        ? { type: "index", index: key }
+        : { type: "name", name: key, loose: false }
+    )
+    : parseJSONPath(path).map(({ descendant, selectors }) => {
+      if (
+        descendant || selectors.length !== 1 ||
+        (selectors[0].type !== "name" && selectors[0].type !== "index")
+      ) {
+        throw new Error(`数组路径只能由成员名和下标组成: ${path}`);
+      }
+      return selectors[0];
+    });
+
+  const pipeline = streamChain.chain([
+    input,
+    streamJson.parser({ streamValues: false }),
+  ]);
+  // 当前路径上的容器；level 为已匹配的路径段数，不在目标路径上时为 null
+  const frames = [];
+  const items = [];
+  const result = (length) => ({
+    items,
+    start,
+    end: start + items.length,
+    length,
+  });
+  let assembler = null;
+
+  try {
+    for await (const token of pipeline) {
+      if (assembler) {
+        assembler.consume(token);
+        if (assembler.done) {
+          items.push(assembler.value);
+          assembler = null;
+        }
+        continue;
+      }
+
+      const parent = frames[frames.length - 1];
+      switch (token.name) {
+        case "keyValue":
+          parent.key = token.value;
+          continue;
+        case "endObject":
+        case "endArray": {
+          const frame = frames.pop();
+          if (frame.level === selectors.length) {
+            return result(frame.index);
+          }
+          if (frame.level !== null) {
+            // 目标路径上的容器已经结束
+            return null;
+          }
+          continue;
+        }
+      }
+
+      let level = null;
+      if (!parent) {
+        level = 0;
+      } else {
+        const key = parent.type === "array" ? parent.index++ : parent.key;
+        if (parent.level === selectors.length) {
+          if (key >= end) {
+            return result(null);
+          }
+          if (key >= start) {
+            assembler = new ValueAssembler({ numbers });
+            assembler.consume(token);
+            if (assembler.done) {
+              items.push(assembler.value);
+              assembler = null;
+            }
+            continue;
+          }
+        } else if (
+          parent.level !== null &&
+          matchesSelector(selectors[parent.level], key)
+        ) {
+          level = parent.level + 1;
+        }
+      }
+
+      if (level === selectors.length && token.name !== "startArray") {
+        throw new TypeError(`不是数组: ${formatSelectors(selectors)}`);
+      }
+      if (token.name === "startObject" || token.name === "startArray") {
+        frames.push({
+          type: token.name === "startObject" ? "object" : "array",
+          index: 0,
+          key: null,
+          level,
+        });
+      }
+    }
+  } finally {
+    pipeline.destroy();
+  }
+  return null;
+}
+
+/**
+ * 检查数组切片的下标：start 和 end 都必须是非负整数，end 还可以是 Infinity；
+ * end 不大于 start 时切片为空
+ * @param {number} start - 第一个元素的下标
+ * @param {number} end - 结束下标（不包含）
+ * @throws {RangeError}
+ */
+export function checkSliceBounds(start, end) {
+  if (!Number.isSafeInteger(start) || start < 0) {
+    throw new RangeError(`切片的起始下标必须是非负整数: ${start}`);
+  }
+  if (end !== Infinity && (!Number.isSafeInteger(end) || end < 0)) {
+    throw new RangeError(`切片的结束下标必须是非负整数: ${end}`);
+  }
+}
+
+function formatSelectors(selectors) {
+  return formatJSONPath(
+    selectors.map((selector) =>
+      selector.type === "index" ? selector.index : selector.name
+    ),
+  );
+}
+
+/**
+ * 判断非过滤选择器是否选中指定的键或下标
+ */
+function matchesSelector(selector, key) {
+  switch (selector.type) {
+    case "wildcard":
+      return true;
+    case "name":
+      return key === selector.name ||
+        (selector.loose && key === Number(selector.name));
+    case "index":
+      return key === selector.index;
+    case "slice":
+      return typeof key === "number" && key >= selector.start &&
+        (selector.end === null || key < selector.end) &&
+        (key - selector.start) % selector.step === 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * 在已经组装到内存中的值上继续匹配剩余的路径段
+ */
+function evaluateSegments(segments, state, value, keys, emit) {
+  if (state === segments.length) {
+    emit(value, keys);
+    return;
+  }
+  if (value === null || typeof value !== "object") {
+    return;
+  }
+
+  const { descendant, selectors } = segments[state];
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : Object.entries(value);
+
+  for (const [key, child] of entries) {
+    const childKeys = keys.concat([key]);
+    const selected = selectors.some((selector) =>
+      selector.type === "filter"
+        ? testFilter(selector.expression, child)
+        : matchesSelector(selector, key)
+    );
+    if (selected) {
+      evaluateSegments(segments, state + 1, child, childKeys, emit);
+    }
+    if (descendant) {
+      evaluateSegments(segments, state, child, childKeys, emit);
+    }
+  }
+}
+
+/**
+ * 计算过滤表达式的真假
+ */
+function testFilter(node, current) {
+  switch (node.type) {
+    case "or":
+      return testFilter(node.left, current) || testFilter(node.right, current);
+    case "and":
+      return testFilter(node.left, current) &&
+        testFilter(node.right, current);
+    case "not":
+      return !testFilter(node.operand, current);
+    case "compare":
+      return compareValues(
+        node.operator,
+        filterValue(node.left, current),
+        filterValue(node.right, current),
+      );
+    case "path":
+      // 单独出现的路径表示存在性判断
+      return filterValue(node, current) !== NOTHING;
+    default:
+      return Boolean(node.value);
+  }
+}
+
+/**
+ * 计算过滤表达式中的操作数，路径不存在时返回 NOTHING
+ */
+function filterValue(node, current) {
+  if (node.type === "literal") {
+    return node.value;
+  }
+  if (node.type !== "path") {
+    return testFilter(node, current);
+  }
+
+  let value = current;
+  for (const key of node.keys) {
+    if (
+      value === null || typeof value !== "object" ||
+      value instanceof JSONDecimal
+    ) {
+      return NOTHING;
+    }
+    if (Array.isArray(value) && key === "length") {
+      value = value.length;
+    } else if (Object.hasOwn(value, key)) {
+      value = value[key];
+    } else {
+      return NOTHING;
+    }
+  }
+  // 无损模式下的小数按数值比较
+  return value instanceof JSONDecimal ? Number(value.text) : value;
+}
+
+/**
+ * 比较两个操作数，类型不同的大小比较结果为 false
+ */
+function compareValues(operator, left, right) {
+  switch (operator) {
+    case "==":
+      return deepEqual(left, right);
+    case "!=":
+      return !deepEqual(left, right);
+    case "<":
+      return isComparable(left, right) && left < right;
+    case "<=":
+      return isComparable(left, right) && left <= right;
+    case ">":
+      return isComparable(left, right) && left > right;
+    case ">=":
+      return isComparable(left, right) && left >= right;
+    case "=~": {
+      if (typeof left !== "string") {
+        return false;
+      }
+      const pattern = right instanceof RegExp
+        ? right
+        : typeof right === "string"
+        ? new RegExp(right)
+        : null;
+      if (!pattern) {
+        return false;
+      }
+      pattern.lastIndex = 0;
+      return pattern.test(left);
+    }
+  }
+  return false;
+}
+
+function isComparable(left, right) {
+  return (isNumeric(left) && isNumeric(right)) ||
+    (typeof left === "string" && typeof right === "string");
+}
+
+function isNumeric(value) {
+  return typeof value === "number" || typeof value === "bigint";
+}
+
+function deepEqual(left, right) {
+  if (left === right) {
+    return true;
+  }
+  if (isNumeric(left) && isNumeric(right)) {
+    // BigInt 与 Number 按数值相等比较
+    return left == right;
+  }
+  if (
+    left === null || right === null || typeof left !== "object" ||
+    typeof right !== "object" || Array.isArray(left) !== Array.isArray(right)
+  ) {
+    return false;
+  }
+
+  const leftKeys = Object.keys(left);
+  const rightKeys = Object.keys(right);
+  return leftKeys.length === rightKeys.length &&
+    leftKeys.every((key) =>
+      Object.hasOwn(right, key) && deepEqual(left[key], right[key])
+    );
+}
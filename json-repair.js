@@ -0,0 +1,377 @@
+import fs from "fs/promises";
+import path from "path";
+import { once } from "events";
+import { JSONDiagnoser } from "./json-diagnostics.js";
+import { formatJSONPath } from "./json-path.js";
+import { createJSONReadStream, createJSONWriteStream } from "./compression.js";
+
+/**
+ * 修复被截断或损坏的 JSON 文件
+ *
+ * 下载中断等原因留下的文件只有前半部分是合法的。修复时流式扫描输入，保留出错位置
+ * 之前所有完整的值，为未结束的字符串、数组和对象补上结束符号，写出一个合法的 JSON
+ * 文件。保留的部分与原文件逐字节一致，只在末尾追加结束符号。
+ *
+ * 默认保留尽可能多的内容：未结束的容器中已完整的成员都会保留，截断在字符串值中间时
+ * 保留已读到的部分。dropIncomplete 为 true 时，最外层未结束的数组（多值文件中为
+ * 顶层值序列）中不完整的最后一个元素整体丢弃，只保留完整的元素；截断位置紧接在
+ * 数字之后时，该数字也视为不完整。
+ *
+ * 遇到语法错误（文件中间损坏）时，从错误位置起的内容都会被丢弃。
+ *
+ * @typedef {object} JSONRepairReport
+ * @property {boolean} repaired - 是否做了修复，输入本身合法时为 false
+ * @property {object|null} error - 截断或出错的位置，见 JSONDiagnostic
+ * @property {number} inputBytes - 输入的字节数（压缩文件为解压后的字节数）
+ * @property {number} keptBytes - 保留的原始字节数
+ * @property {number} discardedBytes - 丢弃的字节数
+ * @property {string} discarded - 丢弃内容的开头部分
+ * @property {string|null} droppedElement - dropIncomplete 丢弃的元素的 JSONPath
+ * @property {boolean} closedString - 是否补全了截断的字符串
+ * @property {number} closed - 补全的数组和对象的个数
+ * @property {string} appended - 追加在保留内容之后的文本
+ */
+
+const WHITESPACE = new Set([0x20, 0x09, 0x0a, 0x0d]);
+const QUOTE = 0x22;
+const PREVIEW_LENGTH = 200;
+
+/**
+ * 流式修复 JSON 文件
+ * @param {string} inputPath - 损坏的文件（支持压缩文件）
+ * @param {string} outputPath - 修复后的文件，按扩展名压缩
+ * @param {object} options - 配置选项，另见 JSONRepairer
+ * @param {string|null} [options.reportPath] - 报告的保存路径，默认为 `<输出文件>.report.json`，为 null 时不保存
+ * @param {number} [options.chunkSize=65536] - 读取块大小
+ * @returns {Promise<JSONRepairReport>}
+ */
+export async function repairJSONFile(inputPath, outputPath, options = {}) {
+  const { reportPath = `${outputPath}.report.json`, chunkSize = 64 * 1024 } =
+    options;
+  if (path.resolve(inputPath) === path.resolve(outputPath)) {
+    throw new Error("输出文件不能与输入文件相同");
+  }
+
+  const repairer = new JSONRepairer(options);
+  const input = createJSONReadStream(inputPath, { highWaterMark: chunkSize });
+  const { stream: output, done } = createJSONWriteStream(outputPath);
+
+  const write = async (data) => {
+    if (data.length > 0 && !output.write(data)) {
+      await once(output, "drain");
+    }
+  };
+
+  // 尚未确定是否保留的内容，pending[0] 的字节偏移为 pendingStart
+  let pending = Buffer.alloc(0);
+  let pendingStart = 0;
+  let inputBytes = 0;
+  let diagnostic = null;
+  let result;
+
+  try {
+    for await (const data of input) {
+      inputBytes += data.length;
+      if (diagnostic) {
+        continue; // 出错之后只统计字节数
+      }
+
+      pending = Buffer.concat([pending, data]);
+      diagnostic = repairer.write(data);
+      if (diagnostic) {
+        continue;
+      }
+
+      // 确定保留的部分直接写出
+      const commit = repairer.commitPoint - pendingStart;
+      if (commit > 0) {
+        await write(pending.subarray(0, commit));
+        pending = pending.subarray(commit);
+        pendingStart += commit;
+      }
+    }
+    diagnostic ??= repairer.end();
+
+    result = repairer.repair(diagnostic, pending, pendingStart, inputBytes);
+    await write(pending.subarray(0, result.keptBytes - pendingStart));
+    await write(Buffer.from(result.appended));
+    output.end();
+    await done;
+  } catch (error) {
+    output.destroy();
+    throw error;
+  } finally {
+    input.destroy();
+  }
+
+  const { appended, keptBytes } = result;
+  const report = {
+    repaired: !diagnostic.valid,
+    error: diagnostic.valid ? null : {
+      message: diagnostic.message,
+      offset: diagnostic.offset,
+      line: diagnostic.line,
+      column: diagnostic.column,
+      path: diagnostic.path,
+    },
+    inputBytes,
+    keptBytes,
+    discardedBytes: inputBytes - keptBytes,
+    discarded: result.discarded,
+    droppedElement: result.droppedElement,
+    closedString: result.closedString,
+    closed: result.closed,
+    appended,
+  };
+
+  if (reportPath) {
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  }
+  return report;
+}
+
+/**
+ * 扫描 JSON 并记录可以截断的位置
+ *
+ * 在 JSONDiagnoser 的基础上为每个容器记录起始位置和最近完整的成员的结束位置，
+ * 出错时由诊断结果得到行列号和路径。
+ */
+export class JSONRepairer extends JSONDiagnoser {
+  /**
+   * @param {object} options - 配置选项，另见 JSONDiagnoser
+   * @param {boolean} [options.dropIncomplete=false] - 是否丢弃最外层数组中不完整的最后一个元素
+   */
+  constructor(options = {}) {
+    super(options);
+    this.multipleValues = options.multipleValues || false;
+    this.dropIncomplete = options.dropIncomplete || false;
+    // 顶层值序列，多值文件中相当于最外层的数组
+    this.root = { type: "values", lastEnd: 0, prevEnd: 0, count: 0 };
+    this.safeEnd = 0; // 最近一个可以截断的位置
+    this.lastToken = null;
+  }
+
+  /**
+   * 此位置之前的内容一定会保留，可以先写出
+   * @returns {number}
+   */
+  get commitPoint() {
+    const holder = this.dropIncomplete ? this.outermostArray() : null;
+    return holder ? holder.prevEnd : this.safeEnd;
+  }
+
+  track(tokens) {
+    for (const token of tokens) {
+      super.track([token]);
+      this.mark(token);
+    }
+  }
+
+  /**
+   * 在 JSONDiagnoser 更新路径之后记录截断位置
+   */
+  mark(token) {
+    this.lastToken = token;
+    const frame = this.frames[this.frames.length - 1] ?? this.root;
+
+    switch (token.name) {
+      case "keyValue":
+        return; // 只有键没有值时不能在这里截断
+      case "startObject":
+      case "startArray":
+        frame.start = token.start;
+        frame.lastEnd = token.end;
+        frame.prevEnd = token.end;
+        frame.count = 0;
+        break;
+      default:
+        // 基本类型的值或容器结束，当前容器多了一个完整的成员
+        frame.prevEnd = frame.lastEnd;
+        frame.lastEnd = token.end;
+        frame.count++;
+    }
+    this.safeEnd = token.end;
+  }
+
+  /**
+   * 最外层未结束的数组，多值文件中为顶层值序列
+   */
+  outermostArray() {
+    if (this.multipleValues) {
+      return this.root;
+    }
+    return this.frames.find((frame) => frame.type === "array") ?? null;
+  }
+
+  /**
+   * 扫描结束后计算修复方案
+   * @param {import("./json-diagnostics.js").JSONDiagnostic} diagnostic - 扫描结果
+   * @param {Buffer} tail - 从 commitPoint 起已读到的内容
+   * @param {number} tailStart - tail[0] 的字节偏移
+   * @param {number} inputBytes - 输入的总字节数
+   * @returns {{keptBytes: number, appended: string, discarded: string, droppedElement: string|null, closedString: boolean, closed: number}}
+   */
+  repair(diagnostic, tail, tailStart, inputBytes) {
+    const result = {
+      keptBytes: inputBytes,
+      appended: "",
+      discarded: "",
+      droppedElement: null,
+      closedString: false,
+      closed: 0,
+    };
+    if (diagnostic.valid) {
+      return result;
+    }
+
+    const truncated = diagnostic.offset >= inputBytes;
+    const holder = this.dropIncomplete ? this.outermostArray() : null;
+    let depth = this.frames.length;
+    let quote = "";
+
+    if (holder) {
+      // 截断在数字之后时无法确定数字是否完整
+      const last = this.lastToken;
+      const cutNumber = truncated && last?.name === "numberValue" &&
+        last.end === inputBytes && holder.lastEnd === inputBytes;
+      result.keptBytes = cutNumber ? holder.prevEnd : holder.lastEnd;
+      depth = holder === this.root ? 0 : this.frames.indexOf(holder) + 1;
+
+      const rest = tail.subarray(result.keptBytes - tailStart);
+      if (rest.some((byte) => !WHITESPACE.has(byte) && byte !== 0x2c)) {
+        // holder 之外各层的键，最后是被丢弃的元素的下标
+        const outer = this.frames.slice(0, Math.max(0, depth - 1));
+        const keys = outer.map((frame) =>
+          frame.type === "object" ? frame.key : frame.index
+        );
+        keys.push(cutNumber ? holder.count - 1 : holder.count);
+        result.droppedElement = formatJSONPath(keys);
+      }
+    } else {
+      result.keptBytes = this.safeEnd;
+      const string = truncated ? this.truncatedString(tail, tailStart) : null;
+      if (string !== null) {
+        result.keptBytes = string;
+        result.closedString = true;
+        quote = '"';
+      }
+    }
+
+    if (result.keptBytes === 0 && depth === 0) {
+      throw new Error("没有可以恢复的 JSON 内容");
+    }
+
+    result.closed = depth;
+    result.appended = quote + this.frames.slice(0, depth).reverse()
+      .map((frame) => frame.type === "object" ? "}" : "]")
+      .join("");
+    result.discarded = [
+      ...tail.toString(
+        "utf8",
+        result.keptBytes - tailStart,
+        result.keptBytes - tailStart + PREVIEW_LENGTH * 4,
+      ),
+    ].slice(0, PREVIEW_LENGTH).join("");
+    return result;
+  }
+
+  /**
+   * 截断在字符串值中间时，返回可以保留到的字节偏移（不含补上的引号）
+   *
+   * 键中间截断、剩余部分不是合法的字符串内容时返回 null。
+   */
+  truncatedString(tail, tailStart) {
+    const frame = this.frames[this.frames.length - 1];
+    const isValue = frame
+      ? frame.type === "array" || frame.key !== null
+      : this.multipleValues || this.safeEnd === 0;
+    if (!isValue) {
+      return null;
+    }
+
+    // 最后一个词法单元之后只能是空白、逗号、冒号，然后是字符串的开头
+    let i = (this.lastToken?.end ?? 0) - tailStart;
+    while (
+      i < tail.length &&
+      (WHITESPACE.has(tail[i]) || tail[i] === 0x2c || tail[i] === 0x3a)
+    ) {
+      i++;
+    }
+    if (tail[i] !== QUOTE) {
+      return null;
+    }
+
+    const content = tail.subarray(i + 1, completeUTF8Length(tail));
+    let text = content.toString("utf8");
+    // 末尾可能是不完整的转义序列
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        JSON.parse(`"${text}"`);
+        return tailStart + i + 1 + Buffer.byteLength(text);
+      } catch {
+        text = text.replace(/\\(?:u[0-9a-fA-F]{0,3})?$/, "");
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * 去掉末尾不完整的 UTF-8 字符后的长度
+ */
+function completeUTF8Length(buffer) {
+  const limit = Math.max(0, buffer.length - 4);
+  for (let i = buffer.length - 1; i >= limit; i--) {
+    const byte = buffer[i];
+    if ((byte & 0xc0) === 0x80) {
+      continue;
+    }
+    const size = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    return i + size <= buffer.length ? buffer.length : i;
+  }
+  return buffer.length;
+}
+
+// 命令行: node json-repair.js <输入文件> [输出文件] [--drop-incomplete]
+if (import.meta.main) {
+  const args = process.argv.slice(2);
+  const dropIncomplete = args.includes("--drop-incomplete");
+  const [inputPath, outputPath] = args.filter((arg) => !arg.startsWith("--"));
+  if (!inputPath) {
+    console.log(
+      "用法: node json-repair.js <输入文件> [输出文件] [--drop-incomplete]",
+    );
+    process.exit(1);
+  }
+
+  const target = outputPath ??
+    inputPath.replace(
+      /(\.(?:json|ndjson|jsonl))?(\.gz|\.br)?$/i,
+      ".repaired$&",
+    );
+  const report = await repairJSONFile(inputPath, target, {
+    dropIncomplete,
+    multipleValues: /\.(ndjson|jsonl)(\.gz|\.br)?$/i.test(inputPath),
+  });
+
+  if (!report.repaired) {
+    console.log(`✅ ${inputPath} 是完整的 JSON，已原样复制到 ${target}`);
+  } else {
+    const { error } = report;
+    const position = error.line === null
+      ? `字节偏移 ${error.offset}`
+      : `第 ${error.line} 行，第 ${error.column} 列`;
+    console.log(`🔧 已修复: ${target}`);
+    console.log(`  问题: ${error.message}（${position}，路径 ${error.path}）`);
+    console.log(
+      `  保留 ${report.keptBytes} 字节，丢弃 ${report.discardedBytes} 字节`,
+    );
+    if (report.droppedElement) {
+      console.log(`  丢弃不完整的元素: ${report.droppedElement}`);
+    }
+    if (report.appended) {
+      console.log(`  追加: ${report.appended}`);
+    }
+    console.log(`  报告: ${target}.report.json`);
+  }
+}
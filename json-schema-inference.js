@@ -0,0 +1,440 @@
+import { setOwnProperty } from "./json-values.js";
+
+/**
+ * 流式 JSON Schema 推断
+ *
+ * 逐个接收 stream-json 格式的词法单元（字符串和数字需为打包后的形式），
+ * 把同一位置上观察到的所有值（例如数组的全部元素、NDJSON 的全部记录）合并为
+ * 一个形状：出现在每个对象中的属性为必需属性，其余为可选；多种类型合并为联合
+ * 类型，null 表示可为空；取值很少的字符串推断为枚举，全部符合某种格式的字符串
+ * 推断出 format。内存占用只与形状的大小有关，与数据量无关。
+ *
+ * 推断结果可以输出为 JSON Schema（draft 2020-12），也可以转换为 TypeScript
+ * 类型声明。
+ */
+
+const VALUE_TYPES = {
+  startObject: "object",
+  startArray: "array",
+  stringValue: "string",
+  numberValue: "number",
+  trueValue: "boolean",
+  falseValue: "boolean",
+  nullValue: "null",
+};
+
+// 输出时类型的排列顺序
+const TYPE_ORDER = ["object", "array", "string", "number", "boolean", "null"];
+
+// 按顺序检测，每个字符串最多匹配一种格式
+const STRING_FORMATS = [
+  [
+    "date-time",
+    /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/,
+  ],
+  ["date", /^\d{4}-\d{2}-\d{2}$/],
+  ["time", /^\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?$/],
+  ["email", /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ["uuid", /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ["uri", /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i],
+];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+export default class SchemaInferrer {
+  /**
+   * @param {object} options - 配置选项
+   * @param {number} [options.enumMaxValues=10] - 不同取值不超过该数量、且每个取值平均至少出现两次的字符串推断为枚举，0 表示不推断枚举
+   * @param {number} [options.maxProperties=1000] - 同一位置的对象出现的不同属性超过该数量时，视为以任意字符串为键的映射
+   */
+  constructor(options = {}) {
+    this.enumMaxValues = options.enumMaxValues ?? 10;
+    this.maxProperties = options.maxProperties ?? 1000;
+    this.reset();
+  }
+
+  /**
+   * 清空已推断的形状
+   */
+  reset() {
+    this.root = createShape();
+    this.frames = []; // 当前路径上的容器
+  }
+
+  /**
+   * 处理一个词法单元
+   * @param {{name: string, value?: *}} token - 词法单元
+   */
+  write(token) {
+    const parent = this.frames[this.frames.length - 1];
+
+    switch (token.name) {
+      case "keyValue":
+        parent.key = token.value;
+        return;
+      case "endObject":
+      case "endArray":
+        this.frames.pop();
+        return;
+    }
+
+    const type = VALUE_TYPES[token.name];
+    if (!type) {
+      // 未打包的 startString、stringChunk 等
+      return;
+    }
+
+    let shape;
+    if (!parent) {
+      shape = this.root;
+    } else if (parent.type === "array") {
+      parent.shape.items = parent.shape.items || createShape();
+      shape = parent.shape.items;
+    } else {
+      shape = this.propertyShape(parent);
+    }
+
+    shape.count++;
+    shape.types[type] = (shape.types[type] || 0) + 1;
+
+    switch (type) {
+      case "object":
+        shape.objects++;
+        this.frames.push({ type, shape, key: null, seen: new Set() });
+        return;
+      case "array":
+        this.frames.push({ type, shape });
+        return;
+      case "string":
+        this.observeString(shape, token.value);
+        return;
+      case "number":
+        // 没有小数点和指数的数字视为整数
+        if (!/^-?\d+$/.test(String(token.value))) {
+          shape.integer = false;
+        }
+        return;
+    }
+  }
+
+  /**
+   * 取出当前对象中 parent.key 对应的属性形状
+   */
+  propertyShape(parent) {
+    const owner = parent.shape;
+    const { key } = parent;
+
+    if (owner.additionalProperties) {
+      return owner.additionalProperties;
+    }
+
+    let property = owner.properties.get(key);
+    if (!property) {
+      property = { shape: createShape(), present: 0 };
+      owner.properties.set(key, property);
+    }
+    // 同一个对象中重复的键只计一次
+    if (!parent.seen.has(key)) {
+      parent.seen.add(key);
+      property.present++;
+    }
+
+    if (owner.properties.size > this.maxProperties) {
+      // 属性过多，通常是以 ID 等为键的映射，把所有属性合并为一个形状
+      const merged = createShape();
+      for (const { shape } of owner.properties.values()) {
+        mergeShape(merged, shape);
+      }
+      owner.properties = new Map();
+      owner.additionalProperties = merged;
+      return merged;
+    }
+    return property.shape;
+  }
+
+  /**
+   * 记录字符串的取值和格式
+   */
+  observeString(shape, value) {
+    if (shape.values) {
+      shape.values.set(value, (shape.values.get(value) || 0) + 1);
+      if (shape.values.size > this.enumMaxValues) {
+        shape.values = null;
+      }
+    }
+
+    if (shape.format !== null) {
+      const format = STRING_FORMATS.find(([, pattern]) => pattern.test(value));
+      const name = format ? format[0] : null;
+      shape.format = shape.format === undefined || shape.format === name
+        ? name
+        : null;
+    }
+  }
+
+  /**
+   * 输出 JSON Schema
+   * @param {object} options - 配置选项
+   * @param {string} [options.title] - schema 的 title
+   * @returns {object}
+   */
+  toJSONSchema(options = {}) {
+    const schema = {
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+    };
+    if (options.title) {
+      schema.title = options.title;
+    }
+    return Object.assign(schema, this.shapeToSchema(this.root));
+  }
+
+  /**
+   * 输出 TypeScript 类型声明
+   * @param {string} [typeName="Root"] - 根类型的名称
+   * @returns {string}
+   */
+  toTypeScript(typeName = "Root") {
+    return schemaToTypeScript(this.shapeToSchema(this.root), typeName);
+  }
+
+  shapeToSchema(shape) {
+    if (shape.count === 0) {
+      return {};
+    }
+
+    const types = TYPE_ORDER.filter((type) => shape.types[type]).map((type) =>
+      type === "number" && shape.integer ? "integer" : type
+    );
+    const schema = { type: types.length === 1 ? types[0] : types };
+
+    if (shape.types.object) {
+      this.addObjectKeywords(schema, shape);
+    }
+    if (shape.types.array && shape.items) {
+      schema.items = this.shapeToSchema(shape.items);
+    }
+    if (shape.types.string && shape.format) {
+      schema.format = shape.format;
+    }
+
+    const values = this.enumValues(shape);
+    if (!values) {
+      return schema;
+    }
+
+    // 只有字符串（可为空）时直接使用 enum，混有其它类型时用 anyOf 把枚举限定在字符串上
+    const others = types.filter((type) => type !== "string");
+    if (others.every((type) => type === "null")) {
+      schema.enum = others.length ? [...values, null] : values;
+      delete schema.format;
+      return schema;
+    }
+
+    const rest = { ...schema, type: others.length === 1 ? others[0] : others };
+    delete rest.format;
+    return { anyOf: [{ type: "string", enum: values }, rest] };
+  }
+
+  addObjectKeywords(schema, shape) {
+    if (shape.additionalProperties) {
+      schema.additionalProperties = this.shapeToSchema(
+        shape.additionalProperties,
+      );
+      return;
+    }
+
+    const properties = {};
+    const required = [];
+    for (const [key, { shape: property, present }] of shape.properties) {
+      setOwnProperty(properties, key, this.shapeToSchema(property));
+      if (present === shape.objects) {
+        required.push(key);
+      }
+    }
+    schema.properties = properties;
+    if (required.length > 0) {
+      schema.required = required;
+    }
+  }
+
+  /**
+   * 满足枚举条件时返回字符串的全部取值
+   */
+  enumValues(shape) {
+    const strings = shape.types.string || 0;
+    if (!shape.values || strings === 0 || shape.values.size === 0) {
+      return null;
+    }
+    return strings >= shape.values.size * 2 ? [...shape.values.keys()] : null;
+  }
+}
+
+/**
+ * 同一位置上观察到的值的形状
+ */
+function createShape() {
+  return {
+    count: 0, // 观察到的值的数量
+    types: {}, // 类型 -> 出现次数
+    objects: 0, // 对象出现次数，用于判断必需属性
+    properties: new Map(), // 属性名 -> { shape, present }
+    additionalProperties: null, // 属性过多时合并后的形状
+    items: null, // 数组元素的形状
+    integer: true, // 数字是否都是整数
+    values: new Map(), // 字符串取值 -> 次数，超过上限后为 null
+    format: undefined, // 字符串格式，undefined 表示尚未确定，null 表示没有统一格式
+  };
+}
+
+/**
+ * 把 source 合并到 target 中
+ */
+function mergeShape(target, source) {
+  target.count += source.count;
+  for (const [type, count] of Object.entries(source.types)) {
+    target.types[type] = (target.types[type] || 0) + count;
+  }
+  target.objects += source.objects;
+  target.integer = target.integer && source.integer;
+
+  if (target.values && source.values) {
+    for (const [value, count] of source.values) {
+      target.values.set(value, (target.values.get(value) || 0) + count);
+    }
+  } else {
+    target.values = null;
+  }
+
+  if (source.format !== undefined) {
+    target.format = target.format === undefined ||
+        target.format === source.format
+      ? source.format
+      : null;
+  }
+
+  if (source.items) {
+    target.items = target.items || createShape();
+    mergeShape(target.items, source.items);
+  }
+
+  if (source.additionalProperties || target.additionalProperties) {
+    target.additionalProperties = target.additionalProperties ||
+      createShape();
+    for (const { shape } of target.properties.values()) {
+      mergeShape(target.additionalProperties, shape);
+    }
+    for (const { shape } of source.properties.values()) {
+      mergeShape(target.additionalProperties, shape);
+    }
+    if (source.additionalProperties) {
+      mergeShape(target.additionalProperties, source.additionalProperties);
+    }
+    target.properties = new Map();
+    return;
+  }
+
+  for (const [key, { shape, present }] of source.properties) {
+    const property = target.properties.get(key);
+    if (property) {
+      mergeShape(property.shape, shape);
+      property.present += present;
+    } else {
+      const copy = createShape();
+      mergeShape(copy, shape);
+      target.properties.set(key, { shape: copy, present });
+    }
+  }
+}
+
+/**
+ * 把 JSON Schema 转换为 TypeScript 类型声明
+ *
+ * 支持 SchemaInferrer 输出的关键字：type、properties、required、
+ * additionalProperties、items、enum、format 和 anyOf。
+ * @param {object} schema - JSON Schema
+ * @param {string} [typeName="Root"] - 根类型的名称
+ * @returns {string}
+ */
+export function schemaToTypeScript(schema, typeName = "Root") {
+  const type = tsType(schema, "");
+  // 只有对象字面量能声明为 interface，空对象、映射等使用类型别名
+  const isInterface = !schema.anyOf && !schema.enum &&
+    schema.type === "object" && type.startsWith("{");
+  return [
+    "// 由 SchemaInferrer 根据数据推断生成",
+    isInterface
+      ? `export interface ${typeName} ${type}`
+      : `export type ${typeName} = ${type};`,
+    "",
+  ].join("\n");
+}
+
+function tsType(schema, indent) {
+  if (schema === true || !schema || typeof schema !== "object") {
+    return "unknown";
+  }
+  if (schema.anyOf) {
+    return schema.anyOf.map((branch) => tsType(branch, indent)).join(" | ");
+  }
+  if (schema.enum) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  }
+  if (schema.type === undefined) {
+    return "unknown";
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.map((type) => {
+    switch (type) {
+      case "object":
+        return tsObject(schema, indent);
+      case "array": {
+        const items = schema.items ?? {};
+        const item = tsType(items, indent);
+        return isUnion(items) ? `(${item})[]` : `${item}[]`;
+      }
+      case "integer":
+        return "number";
+      default:
+        return type;
+    }
+  }).join(" | ");
+}
+
+/**
+ * 转换后的 TypeScript 类型是否为联合类型
+ */
+function isUnion(schema) {
+  return Boolean(
+    schema.anyOf ||
+      (schema.enum && schema.enum.length > 1) ||
+      (Array.isArray(schema.type) && schema.type.length > 1 &&
+        !schema.enum),
+  );
+}
+
+function tsObject(schema, indent) {
+  const inner = indent + "  ";
+  const required = new Set(schema.required || []);
+  const lines = [];
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (property?.format) {
+      lines.push(`${inner}/** @format ${property.format} */`);
+    }
+    const name = IDENTIFIER.test(key) ? key : JSON.stringify(key);
+    const optional = required.has(key) ? "" : "?";
+    lines.push(`${inner}${name}${optional}: ${tsType(property, inner)};`);
+  }
+
+  if (schema.additionalProperties !== undefined) {
+    lines.push(
+      `${inner}[key: string]: ${tsType(schema.additionalProperties, inner)};`,
+    );
+  }
+
+  if (lines.length === 0) {
+    return "Record<string, unknown>";
+  }
+  return `{\n${lines.join("\n")}\n${indent}}`;
+}
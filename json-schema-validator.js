@@ -0,0 +1,459 @@
+import Assembler from "stream-json/Assembler.js";
+import { toJSONPointer } from "./json-path.js";
+
+/**
+ * 流式 JSON Schema 校验器
+ *
+ * 逐个接收 stream-json 格式的词法单元（keyValue、stringValue、numberValue
+ * 需为打包后的形式），边读边校验，内存占用只与嵌套深度有关；只有带 enum 的
+ * 对象或数组才会被组装出来比较。
+ *
+ * 支持 draft 2020-12 的子集：type、properties、required、items、enum、
+ * minimum、maximum、exclusiveMinimum、exclusiveMaximum、minLength、
+ * maxLength、minItems、maxItems、pattern 以及指向同一文档内的 $ref
+ * （例如 "#/$defs/item"），布尔 schema 同样可用。其它关键字会被忽略。
+ */
+
+const TOKEN_TYPES = {
+  startObject: "object",
+  startArray: "array",
+  stringValue: "string",
+  numberValue: "number",
+  trueValue: "boolean",
+  falseValue: "boolean",
+  nullValue: "null",
+};
+
+export default class StreamingSchemaValidator {
+  /**
+   * @param {object|boolean} schema - JSON Schema
+   * @param {object} options - 配置选项
+   * @param {number} [options.maxErrors=Infinity] - 收集到多少个错误后停止校验
+   */
+  constructor(schema, options = {}) {
+    this.root = schema;
+    this.maxErrors = options.maxErrors ?? Infinity;
+    this.patterns = new Map(); // pattern 字符串 -> RegExp
+    this.expansions = new Map(); // schema -> 展开 $ref 后的列表
+    this.reset();
+  }
+
+  /**
+   * 重置状态，以便校验下一个文档
+   */
+  reset() {
+    this.frames = []; // 当前路径上的容器
+    this.captures = []; // 需要比较 enum 的容器
+    this.errors = [];
+  }
+
+  /**
+   * 是否已经达到错误数量上限
+   */
+  get stopped() {
+    return this.errors.length >= this.maxErrors;
+  }
+
+  /**
+   * 是否没有发现错误
+   */
+  get valid() {
+    return this.errors.length === 0;
+  }
+
+  /**
+   * 当前所在容器的 JSON Pointer
+   */
+  get pointer() {
+    return toJSONPointer(
+      this.frames.slice(0, -1).map((frame) => frame.childKey),
+    );
+  }
+
+  /**
+   * 处理一个词法单元
+   * @param {{name: string, value?: *, start?: number}} token - 词法单元，start 为字节偏移（可选）
+   */
+  write(token) {
+    if (this.stopped) {
+      return;
+    }
+
+    for (const capture of this.captures) {
+      capture.assembler.consume(token);
+    }
+
+    const parent = this.frames[this.frames.length - 1];
+    switch (token.name) {
+      case "keyValue":
+        parent.key = token.value;
+        parent.keys?.add(token.value);
+        return;
+      case "endObject":
+      case "endArray":
+        this.closeContainer();
+        return;
+    }
+
+    const type = TOKEN_TYPES[token.name];
+    if (!type) {
+      // 未打包的 startString、stringChunk 等
+      return;
+    }
+
+    let schemas;
+    if (parent) {
+      parent.childKey = parent.type === "array" ? parent.count : parent.key;
+      parent.count++;
+      schemas = this.childSchemas(parent);
+    } else {
+      schemas = this.expand([this.root]);
+    }
+
+    const offset = token.start ?? null;
+    if (type === "object" || type === "array") {
+      const frame = {
+        type,
+        schemas,
+        offset,
+        count: 0,
+        key: null,
+        childKey: null,
+        // 只有用到 required 时才记录出现过的键
+        keys: type === "object" &&
+            schemas.some((schema) => Array.isArray(schema.required))
+          ? new Set()
+          : null,
+        assembler: null,
+      };
+
+      this.checkValue(schemas, type, null, offset, this.frames.length);
+      this.frames.push(frame);
+
+      if (schemas.some((schema) => Array.isArray(schema.enum))) {
+        frame.assembler = new Assembler();
+        frame.assembler.consume(token);
+        this.captures.push(frame);
+      }
+      return;
+    }
+
+    const value = token.name === "numberValue"
+      ? Number(token.value)
+      : token.value;
+    this.checkValue(schemas, type, value, offset, this.frames.length, token);
+    for (const schema of schemas) {
+      if (Array.isArray(schema.enum)) {
+        this.checkEnum(schema, value, offset, this.frames.length);
+      }
+    }
+  }
+
+  /**
+   * 容器结束时检查 required、minItems 等需要完整信息的关键字
+   */
+  closeContainer() {
+    const depth = this.frames.length - 1;
+    const frame = this.frames[depth];
+
+    for (const schema of frame.schemas) {
+      if (frame.type === "object" && Array.isArray(schema.required)) {
+        for (const name of schema.required) {
+          if (!frame.keys.has(name)) {
+            this.report(
+              "required",
+              `缺少必需的属性 ${JSON.stringify(name)}`,
+              frame.offset,
+              depth,
+            );
+          }
+        }
+      }
+
+      if (frame.type === "array") {
+        if (schema.minItems !== undefined && frame.count < schema.minItems) {
+          this.report(
+            "minItems",
+            `数组长度 ${frame.count} 小于 ${schema.minItems}`,
+            frame.offset,
+            depth,
+          );
+        }
+        if (schema.maxItems !== undefined && frame.count > schema.maxItems) {
+          this.report(
+            "maxItems",
+            `数组长度 ${frame.count} 大于 ${schema.maxItems}`,
+            frame.offset,
+            depth,
+          );
+        }
+      }
+    }
+
+    if (frame.assembler) {
+      this.captures.splice(this.captures.indexOf(frame), 1);
+      const value = frame.assembler.current;
+      for (const schema of frame.schemas) {
+        if (Array.isArray(schema.enum)) {
+          this.checkEnum(schema, value, frame.offset, depth);
+        }
+      }
+    }
+
+    this.frames.pop();
+  }
+
+  /**
+   * 计算子元素适用的 schema
+   */
+  childSchemas(parent) {
+    const schemas = [];
+    for (const schema of parent.schemas) {
+      if (parent.type === "object") {
+        if (
+          schema.properties && Object.hasOwn(schema.properties, parent.key)
+        ) {
+          schemas.push(schema.properties[parent.key]);
+        }
+      } else if (schema.items !== undefined) {
+        schemas.push(schema.items);
+      }
+    }
+    return this.expand(schemas);
+  }
+
+  /**
+   * 展开 $ref，返回需要逐个检查的 schema 对象列表
+   *
+   * 布尔 schema true 不产生任何约束，false 会保留下来以便报告错误。
+   * 每个 schema 的展开结果会被缓存，大数组中的元素无需重复解析 $ref。
+   */
+  expand(schemas) {
+    const result = [];
+    for (const schema of schemas) {
+      let expanded = this.expansions.get(schema);
+      if (!expanded) {
+        expanded = [];
+        this.expandInto(schema, expanded, new Set());
+        this.expansions.set(schema, expanded);
+      }
+      result.push(...expanded);
+    }
+    return result;
+  }
+
+  expandInto(schema, result, seen) {
+    if (schema === true || schema === undefined) {
+      return;
+    }
+    result.push(schema);
+    if (schema !== false && typeof schema.$ref === "string") {
+      if (seen.has(schema.$ref)) {
+        throw new Error(`$ref 存在循环引用: ${schema.$ref}`);
+      }
+      this.expandInto(
+        this.resolveRef(schema.$ref),
+        result,
+        new Set(seen).add(schema.$ref),
+      );
+    }
+  }
+
+  /**
+   * 解析文档内的 $ref（"#" 或 "#/..." 形式的 JSON Pointer）
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith("#")) {
+      throw new Error(`不支持外部 $ref: ${ref}`);
+    }
+
+    let target = this.root;
+    const pointer = ref.slice(1);
+    if (pointer === "") {
+      return target;
+    }
+
+    for (const part of pointer.split("/").slice(1)) {
+      const key = decodeURIComponent(part).replace(/~1/g, "/").replace(
+        /~0/g,
+        "~",
+      );
+      if (
+        target === null || typeof target !== "object" ||
+        !Object.hasOwn(target, key)
+      ) {
+        throw new Error(`无法解析 $ref: ${ref}`);
+      }
+      target = target[key];
+    }
+    return target;
+  }
+
+  /**
+   * 检查 type 和只依赖值本身的关键字
+   */
+  checkValue(schemas, type, value, offset, depth, token = null) {
+    for (const schema of schemas) {
+      if (schema === false) {
+        this.report("false", "此处不允许出现任何值", offset, depth);
+        continue;
+      }
+
+      if (schema.type !== undefined) {
+        const allowed = Array.isArray(schema.type)
+          ? schema.type
+          : [schema.type];
+        const matched = allowed.some((expected) =>
+          expected === type ||
+          (expected === "integer" && type === "number" &&
+            Number.isInteger(value))
+        );
+        if (!matched) {
+          const actual = type === "number" && Number.isInteger(value)
+            ? "integer"
+            : type;
+          this.report(
+            "type",
+            `类型应为 ${allowed.join(" | ")}，实际为 ${actual}`,
+            offset,
+            depth,
+          );
+        }
+      }
+
+      if (type === "string") {
+        this.checkString(schema, value, offset, depth);
+      } else if (type === "number") {
+        this.checkNumber(schema, value, offset, depth, token);
+      }
+    }
+  }
+
+  /**
+   * 检查 minLength、maxLength 和 pattern
+   */
+  checkString(schema, value, offset, depth) {
+    // 长度按 Unicode 码位计算
+    const length = schema.minLength !== undefined ||
+        schema.maxLength !== undefined
+      ? [...value].length
+      : 0;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      this.report(
+        "minLength",
+        `字符串长度 ${length} 小于 ${schema.minLength}`,
+        offset,
+        depth,
+      );
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      this.report(
+        "maxLength",
+        `字符串长度 ${length} 大于 ${schema.maxLength}`,
+        offset,
+        depth,
+      );
+    }
+    if (
+      typeof schema.pattern === "string" &&
+      !this.getPattern(schema.pattern).test(value)
+    ) {
+      this.report(
+        "pattern",
+        `字符串不匹配模式 ${schema.pattern}`,
+        offset,
+        depth,
+      );
+    }
+  }
+
+  /**
+   * 检查 minimum、maximum、exclusiveMinimum 和 exclusiveMaximum
+   */
+  checkNumber(schema, value, offset, depth, token) {
+    const display = token ? token.value : value;
+    const checks = [
+      ["minimum", (limit) => value >= limit, "小于"],
+      ["maximum", (limit) => value <= limit, "大于"],
+      ["exclusiveMinimum", (limit) => value > limit, "不大于"],
+      ["exclusiveMaximum", (limit) => value < limit, "不小于"],
+    ];
+
+    for (const [keyword, test, relation] of checks) {
+      if (typeof schema[keyword] === "number" && !test(schema[keyword])) {
+        this.report(
+          keyword,
+          `数值 ${display} ${relation} ${schema[keyword]}`,
+          offset,
+          depth,
+        );
+      }
+    }
+  }
+
+  /**
+   * 检查 enum
+   */
+  checkEnum(schema, value, offset, depth) {
+    if (!schema.enum.some((candidate) => deepEqual(candidate, value))) {
+      this.report(
+        "enum",
+        `值不在允许的枚举中: ${JSON.stringify(schema.enum)}`,
+        offset,
+        depth,
+      );
+    }
+  }
+
+  /**
+   * 缓存编译后的正则表达式
+   */
+  getPattern(pattern) {
+    let regex = this.patterns.get(pattern);
+    if (!regex) {
+      regex = new RegExp(pattern, "u");
+      this.patterns.set(pattern, regex);
+    }
+    return regex;
+  }
+
+  /**
+   * 记录一个错误，depth 为出错的值所在的嵌套深度
+   */
+  report(keyword, message, offset, depth) {
+    if (this.stopped) {
+      return;
+    }
+
+    const keys = this.frames.slice(0, depth).map((frame) => frame.childKey);
+    this.errors.push({
+      pointer: toJSONPointer(keys),
+      offset,
+      keyword,
+      message,
+    });
+  }
+}
+
+/**
+ * 按 JSON 语义比较两个值
+ */
+function deepEqual(left, right) {
+  if (left === right) {
+    return true;
+  }
+  if (
+    left === null || right === null || typeof left !== "object" ||
+    typeof right !== "object" || Array.isArray(left) !== Array.isArray(right)
+  ) {
+    return false;
+  }
+
+  const leftKeys = Object.keys(left);
+  const rightKeys = Object.keys(right);
+  return leftKeys.length === rightKeys.length &&
+    leftKeys.every((key) =>
+      Object.hasOwn(right, key) && deepEqual(left[key], right[key])
+    );
+}
@@ -0,0 +1,249 @@
+import JSONTokenizer from "./json-tokenizer.js";
+import { createJSONReadStream } from "./compression.js";
+import { formatJSONPath } from "./json-path.js";
+import { checkNumberMode, tokenValue } from "./json-values.js";
+
+/**
+ * 基于词法单元的流式搜索
+ *
+ * 逐个词法单元匹配键名和基本类型的值，每个结果带有完整的路径、字节偏移和值。
+ * 搜索过程只维护当前路径，内存占用与文件大小和结果数量无关；结果逐个产出，
+ * 调用方可以随时停止读取。
+ *
+ * 查询可以是：
+ *   "title"                        字符串：默认为不区分大小写的子串匹配
+ *   /^user_\d+$/i                  正则表达式
+ *   { operator: ">=", value: 100 } 数值比较，只匹配数字（== != < <= > >=）
+ *
+ * parseSearchQuery() 把 "/^user_\d+$/i"、">= 100" 这样的输入文本转换为查询。
+ */
+
+const COMPARISONS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+const VALUE_TYPES = {
+  startObject: "object",
+  startArray: "array",
+  stringValue: "string",
+  numberValue: "number",
+  trueValue: "boolean",
+  falseValue: "boolean",
+  nullValue: "null",
+};
+
+const SEARCH_TARGETS = ["all", "keys", "values"];
+
+export default class JSONSearch {
+  /**
+   * @param {string|RegExp|{operator: string, value: number}} query - 查询，见模块说明
+   * @param {object} options - 配置选项
+   * @param {string} [options.target="all"] - 搜索范围："all"、"keys"（只搜索键名）或 "values"（只搜索值）
+   * @param {boolean} [options.caseSensitive=false] - 字符串查询是否区分大小写
+   * @param {boolean} [options.exact=false] - 字符串查询是否要求整个键名或值相同
+   * @param {string[]} [options.types] - 只返回这些类型的值（string、number、boolean、null、object、array），键名按成员值的类型过滤
+   * @param {string} [options.numbers="number"] - 结果中数字的表示方式，见 json-values.js
+   * @param {boolean} [options.lenient=false] - 是否接受 JSON5 / JSONC 的写法，见 JSONTokenizer
+   */
+  constructor(query, options = {}) {
+    this.target = options.target ?? "all";
+    if (!SEARCH_TARGETS.includes(this.target)) {
+      throw new Error(
+        `未知的搜索范围: ${this.target}（可用: ${SEARCH_TARGETS.join(", ")}）`,
+      );
+    }
+    this.types = options.types ? new Set(options.types) : null;
+    const known = new Set(Object.values(VALUE_TYPES));
+    for (const type of this.types ?? []) {
+      if (!known.has(type)) {
+        throw new Error(
+          `未知的值类型: ${type}（可用: ${[...known].join(", ")}）`,
+        );
+      }
+    }
+    this.numbers = checkNumberMode(options.numbers);
+    this.lenient = options.lenient ?? false;
+    this.matcher = createMatcher(query, options);
+    if (!this.matcher.text && this.target === "keys") {
+      throw new Error("数值比较只能用于搜索值");
+    }
+    this.reset();
+  }
+
+  /**
+   * 重置路径状态，以便搜索下一个文档
+   */
+  reset() {
+    this.frames = []; // 当前路径上的容器
+    this.keyToken = null; // 已匹配、等待值的类型的键名
+  }
+
+  /**
+   * 搜索文件
+   * @param {string} filePath - 文件路径（支持压缩文件，偏移为解压后的字节偏移）
+   * @returns {AsyncGenerator<{match: string, path: string, keys: Array<string|number>, offset: number, type: string, value: *}>}
+   */
+  async *search(filePath) {
+    yield* this.searchStream(createJSONReadStream(filePath));
+  }
+
+  /**
+   * 搜索字节流，流的内容必须是一个完整的 JSON 值
+   * @param {import("stream").Readable} input - 可读字节流
+   * @returns {AsyncGenerator<{match: string, path: string, keys: Array<string|number>, offset: number, type: string, value: *}>} - match 为 "key" 或 "value"；offset 为匹配的键名或值的起始字节偏移；value 为基本类型的值，容器为 undefined
+   */
+  async *searchStream(input) {
+    this.reset();
+    const tokenizer = new JSONTokenizer({ lenient: this.lenient });
+    try {
+      for await (const data of input) {
+        for (const token of tokenizer.write(data)) {
+          for (const match of this.write(token)) {
+            yield match;
+          }
+        }
+      }
+      for (const token of tokenizer.end()) {
+        for (const match of this.write(token)) {
+          yield match;
+        }
+      }
+    } finally {
+      input.destroy();
+    }
+  }
+
+  /**
+   * 处理一个词法单元
+   * @param {object} token - JSONTokenizer 产生的词法单元
+   * @returns {Array<object>} - 本次产生的结果
+   */
+  write(token) {
+    const matches = [];
+    const parent = this.frames[this.frames.length - 1];
+
+    switch (token.name) {
+      case "keyValue":
+        parent.key = token.value;
+        // 键名的结果要等到值开始时才知道值的类型
+        if (
+          this.target !== "values" && this.matcher.text &&
+          this.matcher.text(token.value)
+        ) {
+          this.keyToken = token;
+        }
+        return matches;
+      case "endObject":
+      case "endArray":
+        this.frames.pop();
+        return matches;
+    }
+
+    if (parent?.type === "array") {
+      parent.index++;
+    }
+    const type = VALUE_TYPES[token.name];
+    const isContainer = type === "object" || type === "array";
+    const selected = !this.types || this.types.has(type);
+
+    if (this.keyToken) {
+      if (selected) {
+        matches.push(this.result("key", this.keyToken, type, token));
+      }
+      this.keyToken = null;
+    }
+    if (
+      !isContainer && selected && this.target !== "keys" &&
+      this.matcher.value(token)
+    ) {
+      matches.push(this.result("value", token, type, token));
+    }
+
+    if (isContainer) {
+      this.frames.push({ type, index: -1, key: null });
+    }
+    return matches;
+  }
+
+  result(match, matchedToken, type, valueToken) {
+    const keys = this.frames.map((frame) =>
+      frame.type === "array" ? frame.index : frame.key
+    );
+    return {
+      match,
+      path: formatJSONPath(keys),
+      keys,
+      offset: matchedToken.start,
+      type,
+      value: type === "object" || type === "array"
+        ? undefined
+        : tokenValue(valueToken, this.numbers),
+    };
+  }
+}
+
+/**
+ * 把输入的查询文本转换为 JSONSearch 的查询
+ *
+ * "/pattern/flags" 为正则表达式，以比较运算符开头、后面是数字的（如 ">= 100"）
+ * 为数值比较，其余为普通字符串。
+ * @param {string} text - 查询文本
+ * @returns {string|RegExp|{operator: string, value: number}}
+ * @throws {SyntaxError} - 正则表达式无效
+ */
+export function parseSearchQuery(text) {
+  const regex = /^\/(.+)\/([a-z]*)$/s.exec(text);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  const comparison = /^(==|!=|<=|>=|<|>)\s*(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)$/
+    .exec(text.trim());
+  if (comparison) {
+    return { operator: comparison[1], value: Number(comparison[2]) };
+  }
+  return text;
+}
+
+/**
+ * 创建匹配函数：text 匹配键名，value 匹配基本类型值的词法单元
+ */
+function createMatcher(query, options) {
+  if (query instanceof RegExp) {
+    // 去掉 g 和 y 标志，避免 lastIndex 影响下一次匹配
+    const regex = new RegExp(query.source, query.flags.replace(/[gy]/g, ""));
+    const text = (value) => regex.test(value);
+    return { text, value: (token) => text(String(token.value)) };
+  }
+
+  if (typeof query === "object" && query !== null) {
+    const compare = COMPARISONS[query.operator];
+    if (!compare) {
+      throw new Error(`未知的比较运算符: ${query.operator}`);
+    }
+    const target = Number(query.value);
+    if (Number.isNaN(target)) {
+      throw new Error(`比较的值不是数字: ${query.value}`);
+    }
+    return {
+      text: null,
+      value: (token) =>
+        token.name === "numberValue" && compare(Number(token.value), target),
+    };
+  }
+
+  const caseSensitive = options.caseSensitive ?? false;
+  const normalize = (value) => caseSensitive ? value : value.toLowerCase();
+  const term = normalize(String(query ?? ""));
+  if (term === "") {
+    throw new Error("搜索内容不能为空");
+  }
+  const text = options.exact
+    ? (value) => normalize(value) === term
+    : (value) => normalize(value).includes(term);
+  return { text, value: (token) => text(String(token.value)) };
+}
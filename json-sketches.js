@@ -0,0 +1,416 @@
+/**
+ * 固定内存的近似统计结构
+ *
+ * 用于在一次流式扫描中统计任意多个值：占用的内存只取决于构造参数，
+ * 与输入的数量无关。HyperLogLog 和 TDigest 可以合并：分别统计多个文件后
+ * 用 merge 合并，结果与一起统计相同（在近似误差范围内）。toJSON 的结果可以
+ * 保存为 JSON，之后用 fromJSON 恢复再合并。
+ */
+
+/**
+ * HyperLogLog 基数估计（近似的不同值个数）
+ *
+ * 2^precision 个寄存器，每个 1 字节；标准误差约为 1.04 / sqrt(2^precision)，
+ * 默认精度 10（1KB）时约 3%。
+ */
+export class HyperLogLog {
+  /**
+   * @param {number} [precision=10] - 寄存器个数的对数，4 ~ 16
+   */
+  constructor(precision = 10) {
+    if (!Number.isInteger(precision) || precision < 4 || precision > 16) {
+      throw new RangeError(
+        `HyperLogLog 精度必须是 4 ~ 16 的整数: ${precision}`,
+      );
+    }
+    this.precision = precision;
+    this.registers = new Uint8Array(1 << precision);
+  }
+
+  /**
+   * 加入一个值
+   * @param {string} key - 值的文本形式，不同类型的值应使用不同的前缀
+   */
+  add(key) {
+    const hash = hashString(key);
+    const index = hash >>> (32 - this.precision);
+    // 剩余位中第一个 1 的位置，全为 0 时取最大值
+    const rest = (hash << this.precision) >>> 0;
+    const rank = rest === 0 ? 32 - this.precision + 1 : Math.clz32(rest) + 1;
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+  }
+
+  /**
+   * 估计的不同值个数
+   * @returns {number}
+   */
+  estimate() {
+    const m = this.registers.length;
+    let sum = 0;
+    let zeros = 0;
+    for (const register of this.registers) {
+      sum += 2 ** -register;
+      if (register === 0) {
+        zeros++;
+      }
+    }
+
+    const alpha = m === 16
+      ? 0.673
+      : m === 32
+      ? 0.697
+      : m === 64
+      ? 0.709
+      : 0.7213 / (1 + 1.079 / m);
+    const estimate = alpha * m * m / sum;
+    // 基数较小时改用线性计数
+    if (estimate <= 2.5 * m && zeros > 0) {
+      return Math.round(m * Math.log(m / zeros));
+    }
+    return Math.round(estimate);
+  }
+
+  /**
+   * 合并另一个相同精度的 HyperLogLog
+   * @param {HyperLogLog} other
+   * @returns {this}
+   */
+  merge(other) {
+    if (other.precision !== this.precision) {
+      throw new RangeError(
+        `无法合并精度不同的 HyperLogLog: ${this.precision} 和 ${other.precision}`,
+      );
+    }
+    for (let i = 0; i < this.registers.length; i++) {
+      this.registers[i] = Math.max(this.registers[i], other.registers[i]);
+    }
+    return this;
+  }
+
+  /**
+   * @returns {{precision: number, registers: string}} - 寄存器以 base64 保存
+   */
+  toJSON() {
+    return {
+      precision: this.precision,
+      registers: Buffer.from(this.registers).toString("base64"),
+    };
+  }
+
+  /**
+   * @param {{precision: number, registers: string}} state - toJSON 的结果
+   * @returns {HyperLogLog}
+   */
+  static fromJSON(state) {
+    const sketch = new HyperLogLog(state.precision);
+    const registers = Buffer.from(state.registers, "base64");
+    if (registers.length !== sketch.registers.length) {
+      throw new RangeError("HyperLogLog 寄存器个数与精度不符");
+    }
+    sketch.registers.set(registers);
+    return sketch;
+  }
+}
+
+/**
+ * t-digest 近似分位数
+ *
+ * 把值聚合为至多约 compression 个质心（均值和权重）。靠近两端的质心更小，
+ * 因此 p1、p99 等极端分位数也较准确。默认 compression 为 100，
+ * 分位数的误差通常在 1% 以内。
+ */
+export class TDigest {
+  /**
+   * @param {number} [compression=100] - 压缩参数，越大越精确、占用越多
+   */
+  constructor(compression = 100) {
+    if (!(compression >= 10)) {
+      throw new RangeError(`TDigest 压缩参数不能小于 10: ${compression}`);
+    }
+    this.compression = compression;
+    this.centroids = []; // 按均值排序的 { mean, weight }
+    this.buffer = []; // 尚未合并的值
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * 加入一个值
+   * @param {number} value - 有限的数值
+   * @param {number} [weight=1] - 权重
+   */
+  add(value, weight = 1) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    this.buffer.push({ mean: value, weight });
+    this.count += weight;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+    if (this.buffer.length >= this.compression * 5) {
+      this.compress();
+    }
+  }
+
+  /**
+   * 把缓冲区中的值合并到质心中
+   */
+  compress() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+    const items = this.centroids.concat(this.buffer)
+      .sort((a, b) => a.mean - b.mean);
+    this.buffer = [];
+
+    // 按 k1 尺度函数合并相邻的值：每个质心在 k 上最多跨 1
+    const scale = this.compression / (2 * Math.PI);
+    const k = (q) => scale * Math.asin(2 * q - 1);
+    const limitOf = (q) => {
+      const next = k(q) + 1;
+      return next >= scale * Math.PI / 2 ? 1 : (Math.sin(next / scale) + 1) / 2;
+    };
+
+    const centroids = [];
+    let current = { ...items[0] };
+    let before = 0;
+    let limit = limitOf(0);
+    for (let i = 1; i < items.length; i++) {
+      const item = items[i];
+      if ((before + current.weight + item.weight) / this.count <= limit) {
+        current.weight += item.weight;
+        current.mean += (item.mean - current.mean) * item.weight /
+          current.weight;
+      } else {
+        centroids.push(current);
+        before += current.weight;
+        limit = limitOf(before / this.count);
+        current = { ...item };
+      }
+    }
+    centroids.push(current);
+    this.centroids = centroids;
+  }
+
+  /**
+   * 估计分位数
+   * @param {number} q - 0 ~ 1，例如 0.99
+   * @returns {number|null} - 没有值时为 null
+   */
+  quantile(q) {
+    this.compress();
+    const centroids = this.centroids;
+    if (centroids.length === 0) {
+      return null;
+    }
+    const rank = Math.min(Math.max(q, 0), 1) * this.count;
+
+    // 质心的权重集中在其中心，在相邻的中心之间线性插值，两端分别插值到最小值和最大值
+    let left = { value: this.min, rank: 0 };
+    let cumulative = 0;
+    for (const { mean, weight } of centroids) {
+      const center = { value: mean, rank: cumulative + weight / 2 };
+      if (rank < center.rank) {
+        return interpolate(left, center, rank);
+      }
+      left = center;
+      cumulative += weight;
+    }
+    return interpolate(left, { value: this.max, rank: this.count }, rank);
+  }
+
+  /**
+   * 估计小于等于 value 的值所占的比例
+   * @param {number} value
+   * @returns {number} - 0 ~ 1
+   */
+  cdf(value) {
+    this.compress();
+    if (this.count === 0 || value < this.min) {
+      return 0;
+    }
+    if (value >= this.max) {
+      return 1;
+    }
+
+    let left = { value: this.min, rank: 0 };
+    let cumulative = 0;
+    for (const { mean, weight } of this.centroids) {
+      const center = { value: mean, rank: cumulative + weight / 2 };
+      if (value < center.value) {
+        return interpolateRank(left, center, value) / this.count;
+      }
+      left = center;
+      cumulative += weight;
+    }
+    const right = { value: this.max, rank: this.count };
+    return interpolateRank(left, right, value) / this.count;
+  }
+
+  /**
+   * 在最小值和最大值之间等宽分桶的近似直方图
+   * @param {number} [bins=10] - 桶的个数
+   * @returns {Array<{from: number, to: number, count: number}>}
+   */
+  histogram(bins = 10) {
+    if (this.count === 0) {
+      return [];
+    }
+    if (this.min === this.max) {
+      return [{ from: this.min, to: this.max, count: this.count }];
+    }
+
+    const width = (this.max - this.min) / bins;
+    const result = [];
+    let previous = 0;
+    for (let i = 1; i <= bins; i++) {
+      const from = this.min + width * (i - 1);
+      const to = i === bins ? this.max : this.min + width * i;
+      const cumulative = Math.round(this.cdf(to) * this.count);
+      result.push({ from, to, count: cumulative - previous });
+      previous = cumulative;
+    }
+    return result;
+  }
+
+  /**
+   * 合并另一个 TDigest
+   * @param {TDigest} other
+   * @returns {this}
+   */
+  merge(other) {
+    other.compress();
+    for (const centroid of other.centroids) {
+      this.buffer.push({ ...centroid });
+    }
+    this.count += other.count;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this.compress();
+    return this;
+  }
+
+  /**
+   * @returns {{compression: number, count: number, min: number|null, max: number|null, centroids: Array<[number, number]>}}
+   */
+  toJSON() {
+    this.compress();
+    return {
+      compression: this.compression,
+      count: this.count,
+      min: this.count > 0 ? this.min : null,
+      max: this.count > 0 ? this.max : null,
+      centroids: this.centroids.map(({ mean, weight }) => [mean, weight]),
+    };
+  }
+
+  /**
+   * @param {object} state - toJSON 的结果
+   * @returns {TDigest}
+   */
+  static fromJSON(state) {
+    const digest = new TDigest(state.compression);
+    digest.centroids = state.centroids.map(([mean, weight]) => ({
+      mean,
+      weight,
+    }));
+    digest.count = state.count;
+    digest.min = state.min ?? Infinity;
+    digest.max = state.max ?? -Infinity;
+    return digest;
+  }
+}
+
+/**
+ * Space-Saving 算法统计出现次数最多的值
+ *
+ * 最多保存 capacity 个计数器。出现次数超过总数 1/capacity 的值一定会被保留；
+ * count 可能偏大，偏大的上限为 error。
+ */
+export class TopValues {
+  /**
+   * @param {number} [capacity=64] - 计数器个数
+   */
+  constructor(capacity = 64) {
+    this.capacity = capacity;
+    this.counters = new Map(); // key -> { value, count, error }
+  }
+
+  /**
+   * 加入一个值
+   * @param {string} key - 用于区分值的文本
+   * @param {*} value - 结果中显示的值
+   */
+  add(key, value) {
+    const counter = this.counters.get(key);
+    if (counter) {
+      counter.count++;
+      return;
+    }
+    if (this.counters.size < this.capacity) {
+      this.counters.set(key, { value, count: 1, error: 0 });
+      return;
+    }
+
+    // 替换计数最小的值，新值继承它的计数
+    let minKey = null;
+    let min = null;
+    for (const [key, counter] of this.counters) {
+      if (min === null || counter.count < min.count) {
+        minKey = key;
+        min = counter;
+      }
+    }
+    this.counters.delete(minKey);
+    this.counters.set(key, { value, count: min.count + 1, error: min.count });
+  }
+
+  /**
+   * 出现次数最多的 n 个值
+   * @param {number} [n=10] - 个数
+   * @returns {Array<{value: *, count: number, error: number}>}
+   */
+  top(n = 10) {
+    return [...this.counters.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, n)
+      .map(({ value, count, error }) => ({ value, count, error }));
+  }
+}
+
+function interpolate(left, right, rank) {
+  if (right.rank === left.rank) {
+    return right.value;
+  }
+  return left.value +
+    (right.value - left.value) * (rank - left.rank) / (right.rank - left.rank);
+}
+
+function interpolateRank(left, right, value) {
+  if (right.value === left.value) {
+    return right.rank;
+  }
+  return left.rank +
+    (right.rank - left.rank) * (value - left.value) /
+      (right.value - left.value);
+}
+
+/**
+ * 32 位哈希：FNV-1a 后再做一次 murmur3 的 fmix32 混合，使高位分布均匀
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
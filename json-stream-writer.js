@@ -0,0 +1,269 @@
+import { once } from "events";
+import { JSONDecimal, resolveJSONValue } from "./json-values.js";
+
+/**
+ * 流式 JSON 序列化器
+ *
+ * 逐层遍历对象图并把结果分块写入可写流，不会构建完整的 JSON 字符串。
+ * 输出与 JSON.stringify(value, null, indent) 完全一致（toJSON、undefined、
+ * NaN 等规则相同），此外数组位置上还可以使用异步可迭代对象或
+ * 对象模式的 Node 可读流，其元素会被逐个写出；用 JSONEntries 包装的键值对
+ * 序列同样逐个写出，输出为对象。
+ * BigInt 和 JSONDecimal（见 json-values.js）按原始数字写出，
+ * 无损读取的数据写回后数字与原文一致。
+ */
+/**
+ * 逐个产出成员的对象
+ *
+ * 异步可迭代对象默认写为数组；需要边产出边写入对象的成员时，用 JSONEntries
+ * 包装产出 [key, value] 的（异步）可迭代对象。
+ */
+export class JSONEntries {
+  /**
+   * @param {Iterable<[string, *]>|AsyncIterable<[string, *]>} entries - 键值对
+   */
+  constructor(entries) {
+    this.entries = entries;
+  }
+}
+
+export default class JSONStreamWriter {
+  /**
+   * @param {import("stream").Writable} output - 目标可写流
+   * @param {object} options - 配置选项
+   * @param {boolean} [options.pretty=false] - 是否美化输出（缩进 2 个空格）
+   * @param {number} [options.chunkSize=500] - 累积多少字符后写入一次
+   * @param {function} [options.progressCallback] - 进度回调，参数为已写入字节数
+   */
+  constructor(output, options = {}) {
+    this.output = output;
+    this.indent = options.pretty ? "  " : "";
+    this.chunkSize = options.chunkSize || 500;
+    this.progressCallback = options.progressCallback || null;
+    this.buffer = "";
+    this.bytesWritten = 0;
+    this.ancestors = new Set(); // 用于检测循环引用
+    this.error = null;
+
+    // 记录输出流错误，在下一次写入时抛出，避免未处理的 error 事件
+    this.output.on("error", (error) => {
+      this.error = error;
+    });
+  }
+
+  /**
+   * 序列化一个值并写入输出流
+   * @param {*} value - 要写入的数据
+   * @returns {Promise<void>}
+   */
+  async write(value) {
+    const resolved = this.resolveValue(value, "");
+    if (this.isSkipped(resolved)) {
+      throw new TypeError(`无法序列化的值: ${typeof resolved}`);
+    }
+
+    await this.writeValue(resolved, "");
+    await this.flush();
+  }
+
+  /**
+   * 写出剩余内容并关闭输出流
+   * @returns {Promise<void>}
+   */
+  async end() {
+    await this.flush();
+    if (this.error) {
+      throw this.error;
+    }
+    this.output.end();
+    await once(this.output, "finish");
+  }
+
+  /**
+   * 写入单个已解析的值
+   */
+  async writeValue(value, currentIndent) {
+    if (value === null) {
+      return this.push("null");
+    }
+    if (value instanceof JSONDecimal) {
+      return this.push(value.text);
+    }
+
+    switch (typeof value) {
+      case "string":
+        return this.push(JSON.stringify(value));
+      case "number":
+        return this.push(Number.isFinite(value) ? String(value) : "null");
+      case "boolean":
+      case "bigint":
+        return this.push(String(value));
+    }
+
+    if (this.ancestors.has(value)) {
+      throw new TypeError("无法序列化循环引用的结构");
+    }
+
+    this.ancestors.add(value);
+    try {
+      if (Array.isArray(value)) {
+        await this.writeArray(value, currentIndent);
+      } else if (value instanceof JSONEntries) {
+        await this.writeEntries(value.entries, currentIndent);
+      } else if (typeof value[Symbol.asyncIterator] === "function") {
+        await this.writeAsyncIterable(value, currentIndent);
+      } else {
+        await this.writeObject(value, currentIndent);
+      }
+    } finally {
+      this.ancestors.delete(value);
+    }
+  }
+
+  /**
+   * 写入数组
+   */
+  async writeArray(array, currentIndent) {
+    if (array.length === 0) {
+      return this.push("[]");
+    }
+
+    const innerIndent = currentIndent + this.indent;
+    const separator = this.indent ? `,\n${innerIndent}` : ",";
+
+    await this.push(this.indent ? `[\n${innerIndent}` : "[");
+    for (let i = 0; i < array.length; i++) {
+      if (i > 0) {
+        await this.push(separator);
+      }
+      await this.writeArrayItem(array[i], i, innerIndent);
+    }
+    await this.push(this.indent ? `\n${currentIndent}]` : "]");
+  }
+
+  /**
+   * 写入异步可迭代对象（包括对象模式的可读流），输出为数组
+   */
+  async writeAsyncIterable(iterable, currentIndent) {
+    const innerIndent = currentIndent + this.indent;
+    let index = 0;
+
+    for await (const item of iterable) {
+      if (index === 0) {
+        await this.push(this.indent ? `[\n${innerIndent}` : "[");
+      } else {
+        await this.push(this.indent ? `,\n${innerIndent}` : ",");
+      }
+      await this.writeArrayItem(item, index, innerIndent);
+      index++;
+    }
+
+    if (index === 0) {
+      return this.push("[]");
+    }
+    await this.push(this.indent ? `\n${currentIndent}]` : "]");
+  }
+
+  /**
+   * 写入数组元素，无法序列化的元素按 JSON.stringify 的规则写为 null
+   */
+  async writeArrayItem(item, index, innerIndent) {
+    const resolved = this.resolveValue(item, String(index));
+    if (this.isSkipped(resolved)) {
+      return this.push("null");
+    }
+    await this.writeValue(resolved, innerIndent);
+  }
+
+  /**
+   * 写入普通对象
+   */
+  writeObject(object, currentIndent) {
+    return this.writeEntries(ownEntries(object), currentIndent);
+  }
+
+  /**
+   * 写入 [key, value] 序列组成的对象，序列可以是异步可迭代对象
+   */
+  async writeEntries(entries, currentIndent) {
+    const innerIndent = currentIndent + this.indent;
+    const colon = this.indent ? ": " : ":";
+    let written = 0;
+
+    for await (const [key, value] of entries) {
+      const resolved = this.resolveValue(value, key);
+      if (this.isSkipped(resolved)) {
+        continue;
+      }
+
+      if (written === 0) {
+        await this.push(this.indent ? `{\n${innerIndent}` : "{");
+      } else {
+        await this.push(this.indent ? `,\n${innerIndent}` : ",");
+      }
+      await this.push(JSON.stringify(key) + colon);
+      await this.writeValue(resolved, innerIndent);
+      written++;
+    }
+
+    if (written === 0) {
+      return this.push("{}");
+    }
+    await this.push(this.indent ? `\n${currentIndent}}` : "}");
+  }
+
+  /**
+   * 按 JSON.stringify 的规则调用 toJSON 并拆箱包装对象
+   */
+  resolveValue(value, key) {
+    return resolveJSONValue(value, key);
+  }
+
+  /**
+   * 是否为 JSON 中无法表示、需要跳过的值
+   */
+  isSkipped(value) {
+    return value === undefined || typeof value === "function" ||
+      typeof value === "symbol";
+  }
+
+  /**
+   * 追加文本，累积到 chunkSize 后写入输出流
+   */
+  async push(text) {
+    this.buffer += text;
+    if (this.buffer.length >= this.chunkSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * 把缓冲区写入输出流，并在流背压时等待 drain 事件
+   */
+  async flush() {
+    if (this.error) {
+      throw this.error;
+    }
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    const chunk = this.buffer;
+    this.buffer = "";
+    this.bytesWritten += Buffer.byteLength(chunk);
+
+    if (!this.output.write(chunk)) {
+      await once(this.output, "drain");
+    }
+
+    if (this.progressCallback) {
+      this.progressCallback(this.bytesWritten);
+    }
+  }
+}
+
+function* ownEntries(object) {
+  for (const key of Object.keys(object)) {
+    yield [key, object[key]];
+  }
+}
@@ -0,0 +1,715 @@
+/**
+ * 可恢复的字节级 JSON 词法分析器
+ *
+ * 每次 write() 接收一个 Buffer 片段并返回其中已经完整的词法单元，
+ * 跨越片段边界的字符串、数字和字面量会在下一次 write() 时继续拼接，
+ * 因此内存占用只取决于单个词法单元的大小，而不是文件大小。
+ *
+ * 词法单元沿用 stream-json 的命名（startObject、keyValue、stringValue、
+ * numberValue ...），并额外附带 start / end 字节偏移和 depth。
+ *
+ * 默认只接受一个顶层值；开启 multipleValues 后可以连续读取多个以空白分隔的
+ * 顶层值（例如 NDJSON），与 stream-json 的 jsonStreaming 选项相同。输入开头的
+ * UTF-8 BOM 会被跳过。
+ *
+ * 开启 lenient 后接受 JSON5 / JSONC 的写法：// 和 /* *\/ 注释、尾随逗号、
+ * 单引号字符串及 JSON5 转义、无引号的键，以及十六进制、前导或末尾的小数点、
+ * 正号、Infinity 和 NaN 等数字。产生的词法单元与严格模式相同：字符串为解码后的值，
+ * 数字转换为标准的 JSON 写法（0x1F -> "31"、.5 -> "0.5"、+1 -> "1"），
+ * Infinity、-Infinity 和 NaN 保持原样。
+ */
+
+// 语法状态：下一个期望的输入
+const EXPECT_VALUE = "value";
+const EXPECT_VALUE_OR_END = "valueOrEnd";
+const EXPECT_KEY = "key";
+const EXPECT_KEY_OR_END = "keyOrEnd";
+const EXPECT_COLON = "colon";
+const EXPECT_COMMA_OR_END = "commaOrEnd";
+const EXPECT_DONE = "done";
+
+const BOM = [0xef, 0xbb, 0xbf];
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const JSON5_NUMBER_PATTERN =
+  /^([+-]?)(?:(0|[1-9]\d*)(?:\.(\d*))?|\.(\d+))([eE][+-]?\d+)?$/;
+const JSON5_HEX_PATTERN = /^([+-]?)0[xX]([0-9a-fA-F]+)$/;
+const JSON5_SPECIAL_PATTERN = /^([+-]?)(Infinity|NaN)$/;
+const IDENTIFIER_PATTERN =
+  /^[\p{L}\p{Nl}$_][\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200c\u200d]*$/u;
+const LITERALS = {
+  true: { name: "trueValue", value: true },
+  false: { name: "falseValue", value: false },
+  null: { name: "nullValue", value: null },
+};
+
+/**
+ * 带字节偏移的 JSON 语法错误
+ */
+export class JSONSyntaxError extends SyntaxError {
+  constructor(message, offset) {
+    super(`${message} (字节偏移 ${offset})`);
+    this.name = "JSONSyntaxError";
+    this.reason = message; // 不含偏移的错误说明
+    this.offset = offset;
+  }
+}
+
+export default class JSONTokenizer {
+  /**
+   * @param {object} options - 配置选项
+   * @param {boolean} [options.multipleValues=false] - 是否允许多个顶层值
+   * @param {boolean} [options.lenient=false] - 是否接受 JSON5 / JSONC 的写法
+   */
+  constructor(options = {}) {
+    this.multipleValues = options.multipleValues || false;
+    this.lenient = options.lenient || false;
+    this.offset = 0; // 已处理的字节数
+    this.bomLength = 0; // 已跳过的 BOM 字节数
+    this.stack = []; // 当前嵌套的容器类型: "object" | "array"
+    this.expect = EXPECT_VALUE;
+    this.pending = null; // 尚未结束的字符串/数字/字面量/注释
+  }
+
+  /**
+   * 当前嵌套深度
+   */
+  get depth() {
+    return this.stack.length;
+  }
+
+  /**
+   * 是否已经读完一个完整的顶层值
+   */
+  get done() {
+    return this.expect === EXPECT_DONE;
+  }
+
+  /**
+   * 写入一个数据片段
+   * @param {Buffer|string} data - 数据片段
+   * @returns {Array<object>} - 本次产生的完整词法单元
+   * @throws {JSONSyntaxError} - 语法错误，error.tokens 为同一片段中出错前的词法单元
+   */
+  write(data) {
+    const buffer = typeof data === "string" ? Buffer.from(data) : data;
+    const tokens = [];
+    let i = 0;
+
+    try {
+      while (i < buffer.length) {
+        if (this.pending) {
+          i = this.continuePending(buffer, i, tokens);
+          continue;
+        }
+
+        const byte = buffer[i];
+        const offset = this.offset + i;
+
+        // 跳过输入开头的 UTF-8 BOM，偏移仍然从 BOM 开始计算
+        if (
+          offset < BOM.length && offset === this.bomLength &&
+          byte === BOM[offset]
+        ) {
+          this.bomLength++;
+          i++;
+          continue;
+        }
+
+        // 空白字符，宽松模式下还包括 \v 和 \f
+        if (
+          byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09 ||
+          (this.lenient && (byte === 0x0b || byte === 0x0c))
+        ) {
+          i++;
+          continue;
+        }
+
+        if (this.lenient && this.startLenient(byte, offset)) {
+          i++;
+          continue;
+        }
+
+        switch (byte) {
+          case 0x7b: // {
+            this.beforeValue(offset, "{");
+            tokens.push({
+              name: "startObject",
+              start: offset,
+              end: offset + 1,
+              depth: this.depth,
+            });
+            this.stack.push("object");
+            this.expect = EXPECT_KEY_OR_END;
+            break;
+          case 0x5b: // [
+            this.beforeValue(offset, "[");
+            tokens.push({
+              name: "startArray",
+              start: offset,
+              end: offset + 1,
+              depth: this.depth,
+            });
+            this.stack.push("array");
+            this.expect = EXPECT_VALUE_OR_END;
+            break;
+          case 0x7d: // }
+            this.closeContainer("object", offset, "}");
+            tokens.push({
+              name: "endObject",
+              start: offset,
+              end: offset + 1,
+              depth: this.depth,
+            });
+            this.afterValue();
+            break;
+          case 0x5d: // ]
+            this.closeContainer("array", offset, "]");
+            tokens.push({
+              name: "endArray",
+              start: offset,
+              end: offset + 1,
+              depth: this.depth,
+            });
+            this.afterValue();
+            break;
+          case 0x3a: // :
+            if (this.expect !== EXPECT_COLON) {
+              throw new JSONSyntaxError('意外的字符 ":"', offset);
+            }
+            this.expect = EXPECT_VALUE;
+            break;
+          case 0x2c: // ,
+            if (this.expect !== EXPECT_COMMA_OR_END) {
+              throw new JSONSyntaxError('意外的字符 ","', offset);
+            }
+            // 宽松模式下逗号之后可以直接结束容器（尾随逗号）
+            if (this.stack[this.stack.length - 1] === "object") {
+              this.expect = this.lenient ? EXPECT_KEY_OR_END : EXPECT_KEY;
+            } else {
+              this.expect = this.lenient ? EXPECT_VALUE_OR_END : EXPECT_VALUE;
+            }
+            break;
+          case 0x22: // "
+            if (
+              this.expect !== EXPECT_KEY && this.expect !== EXPECT_KEY_OR_END
+            ) {
+              this.beforeValue(offset, '"');
+            }
+            this.pending = {
+              type: "string",
+              start: offset,
+              parts: [],
+              escape: false,
+              quote: byte,
+            };
+            i++;
+            continue;
+          default:
+            if (
+              this.lenient && this.isKeyPosition() && isIdentifierByte(byte)
+            ) {
+              this.pending = { type: "identifier", start: offset, parts: [] };
+              continue;
+            }
+            if (
+              byte === 0x2d || (byte >= 0x30 && byte <= 0x39) ||
+              // 宽松模式: +1、.5、Infinity、NaN
+              (this.lenient &&
+                (byte === 0x2b || byte === 0x2e || byte === 0x49 ||
+                  byte === 0x4e))
+            ) {
+              this.beforeValue(offset, String.fromCharCode(byte));
+              this.pending = { type: "number", start: offset, parts: [] };
+              continue;
+            }
+            if (byte >= 0x61 && byte <= 0x7a) {
+              this.beforeValue(offset, String.fromCharCode(byte));
+              this.pending = { type: "literal", start: offset, parts: [] };
+              continue;
+            }
+            throw new JSONSyntaxError(
+              `意外的字符 ${JSON.stringify(String.fromCharCode(byte))}`,
+              offset,
+            );
+        }
+
+        i++;
+      }
+    } catch (error) {
+      // 保留出错前已经完整的词法单元，便于调用方确定出错位置所在的路径
+      if (error instanceof JSONSyntaxError) {
+        error.tokens = tokens;
+      }
+      throw error;
+    }
+
+    this.offset += buffer.length;
+    return tokens;
+  }
+
+  /**
+   * 结束输入，返回最后一个词法单元（例如文件末尾的数字）
+   * @returns {Array<object>}
+   * @throws {JSONSyntaxError} - 输入不完整，error.tokens 同 write()
+   */
+  end() {
+    const tokens = [];
+    try {
+      this.finish(tokens);
+    } catch (error) {
+      if (error instanceof JSONSyntaxError) {
+        error.tokens = tokens;
+      }
+      throw error;
+    }
+    return tokens;
+  }
+
+  /**
+   * 检查输入是否完整并输出最后的词法单元
+   */
+  finish(tokens) {
+    if (this.pending?.type === "comment") {
+      if (this.pending.state === "block") {
+        throw new JSONSyntaxError("注释未结束", this.pending.start);
+      }
+      if (this.pending.state === "slash") {
+        throw new JSONSyntaxError('意外的字符 "/"', this.pending.start);
+      }
+      this.pending = null; // 文件末尾的 // 注释
+    }
+
+    if (this.pending) {
+      if (this.pending.type === "string") {
+        throw new JSONSyntaxError("字符串未结束", this.offset);
+      }
+      this.finishPending(this.offset, tokens);
+    }
+
+    if (this.stack.length > 0) {
+      throw new JSONSyntaxError(
+        `${
+          this.stack[this.stack.length - 1] === "object" ? "对象" : "数组"
+        }未闭合`,
+        this.offset,
+      );
+    }
+
+    // 多值模式下允许输入为空
+    const empty = this.multipleValues && this.expect === EXPECT_VALUE;
+    if (this.expect !== EXPECT_DONE && !empty) {
+      throw new JSONSyntaxError("意外的文件结尾", this.offset);
+    }
+  }
+
+  /**
+   * 继续读取跨片段的字符串、数字或字面量
+   * @returns {number} - 下一个待处理字节的下标
+   */
+  continuePending(buffer, index, tokens) {
+    const pending = this.pending;
+    let i = index;
+
+    if (pending.type === "comment") {
+      return this.continueComment(buffer, index);
+    }
+
+    if (pending.type === "string") {
+      for (; i < buffer.length; i++) {
+        const byte = buffer[i];
+        if (pending.escape) {
+          pending.escape = false;
+        } else if (byte === 0x5c) {
+          pending.escape = true;
+        } else if (byte === pending.quote) {
+          pending.parts.push(buffer.subarray(index, i + 1));
+          this.finishPending(this.offset + i + 1, tokens);
+          return i + 1;
+        }
+      }
+    } else {
+      const isPart = pending.type === "identifier"
+        ? isIdentifierByte
+        : pending.type === "number"
+        ? (byte) =>
+          (byte >= 0x30 && byte <= 0x39) || byte === 0x2d || byte === 0x2b ||
+          byte === 0x2e || byte === 0x65 || byte === 0x45 ||
+          // 宽松模式: 十六进制、Infinity、NaN
+          (this.lenient &&
+            ((byte >= 0x41 && byte <= 0x5a) || (byte >= 0x61 && byte <= 0x7a)))
+        : (byte) => byte >= 0x61 && byte <= 0x7a;
+
+      for (; i < buffer.length; i++) {
+        if (!isPart(buffer[i])) {
+          pending.parts.push(buffer.subarray(index, i));
+          this.finishPending(this.offset + i, tokens);
+          return i;
+        }
+      }
+    }
+
+    pending.parts.push(buffer.subarray(index));
+    return buffer.length;
+  }
+
+  /**
+   * 结束当前挂起的词法单元
+   */
+  finishPending(end, tokens) {
+    const { type, start, parts } = this.pending;
+    const raw = Buffer.concat(parts).toString("utf8");
+    this.pending = null;
+
+    if (type === "string") {
+      let value;
+      try {
+        value = this.lenient
+          ? decodeJSON5String(raw.slice(0, -1))
+          : JSON.parse(`"${raw}`);
+      } catch {
+        throw new JSONSyntaxError("无效的字符串", start);
+      }
+
+      if (this.expect === EXPECT_KEY || this.expect === EXPECT_KEY_OR_END) {
+        tokens.push({ name: "keyValue", value, start, end, depth: this.depth });
+        this.expect = EXPECT_COLON;
+        return;
+      }
+
+      tokens.push({
+        name: "stringValue",
+        value,
+        start,
+        end,
+        depth: this.depth,
+      });
+    } else if (type === "identifier") {
+      if (!IDENTIFIER_PATTERN.test(raw)) {
+        throw new JSONSyntaxError(`无效的键 ${raw}`, start);
+      }
+      tokens.push({
+        name: "keyValue",
+        value: raw,
+        start,
+        end,
+        depth: this.depth,
+      });
+      this.expect = EXPECT_COLON;
+      return;
+    } else if (type === "number") {
+      const value = NUMBER_PATTERN.test(raw)
+        ? raw
+        : this.lenient
+        ? normalizeJSON5Number(raw)
+        : null;
+      if (value === null) {
+        throw new JSONSyntaxError(`无效的数字 ${raw}`, start);
+      }
+      tokens.push({
+        name: "numberValue",
+        value,
+        start,
+        end,
+        depth: this.depth,
+      });
+    } else {
+      const literal = Object.hasOwn(LITERALS, raw) ? LITERALS[raw] : null;
+      if (!literal) {
+        throw new JSONSyntaxError(`无效的字面量 ${raw}`, start);
+      }
+      tokens.push({
+        name: literal.name,
+        value: literal.value,
+        start,
+        end,
+        depth: this.depth,
+      });
+    }
+
+    this.afterValue();
+  }
+
+  /**
+   * 宽松模式下开始注释或单引号字符串
+   * @returns {boolean} - 是否已处理该字节
+   */
+  startLenient(byte, offset) {
+    if (byte === 0x2f) { // /
+      this.pending = { type: "comment", start: offset, state: "slash" };
+      return true;
+    }
+    if (byte === 0x27) { // '
+      if (!this.isKeyPosition()) {
+        this.beforeValue(offset, "'");
+      }
+      this.pending = {
+        type: "string",
+        start: offset,
+        parts: [],
+        escape: false,
+        quote: byte,
+      };
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 继续读取注释，注释不产生词法单元
+   * @returns {number} - 下一个待处理字节的下标
+   */
+  continueComment(buffer, index) {
+    const pending = this.pending;
+    for (let i = index; i < buffer.length; i++) {
+      const byte = buffer[i];
+      if (pending.state === "slash") {
+        if (byte === 0x2f) {
+          pending.state = "line";
+        } else if (byte === 0x2a) {
+          pending.state = "block";
+          pending.star = false;
+        } else {
+          throw new JSONSyntaxError('意外的字符 "/"', pending.start);
+        }
+      } else if (pending.state === "line") {
+        if (byte === 0x0a) {
+          this.pending = null;
+          return i + 1;
+        }
+      } else if (byte === 0x2f && pending.star) {
+        this.pending = null;
+        return i + 1;
+      } else {
+        pending.star = byte === 0x2a;
+      }
+    }
+    return buffer.length;
+  }
+
+  /**
+   * 当前位置是否期望一个键
+   */
+  isKeyPosition() {
+    return this.expect === EXPECT_KEY || this.expect === EXPECT_KEY_OR_END;
+  }
+
+  /**
+   * 检查当前位置是否允许出现一个值
+   */
+  beforeValue(offset, char) {
+    if (
+      this.expect !== EXPECT_VALUE && this.expect !== EXPECT_VALUE_OR_END &&
+      !(this.multipleValues && this.expect === EXPECT_DONE)
+    ) {
+      throw new JSONSyntaxError(`意外的字符 ${JSON.stringify(char)}`, offset);
+    }
+  }
+
+  /**
+   * 一个值结束后更新语法状态
+   */
+  afterValue() {
+    this.expect = this.stack.length > 0 ? EXPECT_COMMA_OR_END : EXPECT_DONE;
+  }
+
+  /**
+   * 关闭一个容器
+   */
+  closeContainer(type, offset, char) {
+    const current = this.stack[this.stack.length - 1];
+    const allowed = type === "object"
+      ? this.expect === EXPECT_KEY_OR_END || this.expect === EXPECT_COMMA_OR_END
+      : this.expect === EXPECT_VALUE_OR_END ||
+        this.expect === EXPECT_COMMA_OR_END;
+
+    if (current !== type || !allowed) {
+      throw new JSONSyntaxError(`意外的字符 ${JSON.stringify(char)}`, offset);
+    }
+
+    this.stack.pop();
+  }
+}
+
+/**
+ * 无引号的键中可以出现的字节（非 ASCII 字符在结束时统一校验）
+ */
+function isIdentifierByte(byte) {
+  return (byte >= 0x61 && byte <= 0x7a) || (byte >= 0x41 && byte <= 0x5a) ||
+    (byte >= 0x30 && byte <= 0x39) || byte === 0x5f || byte === 0x24 ||
+    byte >= 0x80;
+}
+
+/**
+ * 把 JSON5 数字转换为标准的 JSON 写法，无效时返回 null
+ */
+function normalizeJSON5Number(raw) {
+  const special = JSON5_SPECIAL_PATTERN.exec(raw);
+  if (special) {
+    return special[2] === "NaN"
+      ? "NaN"
+      : `${special[1] === "-" ? "-" : ""}Infinity`;
+  }
+
+  const hex = JSON5_HEX_PATTERN.exec(raw);
+  if (hex) {
+    return `${hex[1] === "-" ? "-" : ""}${BigInt(`0x${hex[2]}`)}`;
+  }
+
+  const decimal = JSON5_NUMBER_PATTERN.exec(raw);
+  if (!decimal) {
+    return null;
+  }
+  const [, sign, integer, fraction, leadingFraction, exponent = ""] = decimal;
+  const digits = integer === undefined
+    ? `0.${leadingFraction}`
+    : fraction
+    ? `${integer}.${fraction}`
+    : integer;
+  return `${sign === "-" ? "-" : ""}${digits}${exponent}`;
+}
+
+/**
+ * 解码 JSON5 字符串的内容（不含引号）
+ */
+function decodeJSON5String(raw) {
+  let result = "";
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (char !== "\\") {
+      if (char === "\n" || char === "\r") {
+        throw new SyntaxError("字符串中不能直接换行");
+      }
+      result += char;
+      continue;
+    }
+
+    const next = raw[++i];
+    switch (next) {
+      case "b":
+        result += "\b";
+        break;
+      case "f":
+        result += "\f";
+        break;
+      case "n":
+        result += "\n";
+        break;
+      case "r":
+        result += "\r";
+        break;
+      case "t":
+        result += "\t";
+        break;
+      case "v":
+        result += "\v";
+        break;
+      case "x":
+      case "u": {
+        const length = next === "x" ? 2 : 4;
+        const hex = raw.slice(i + 1, i + 1 + length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+          throw new SyntaxError(`无效的转义 \\${next}${hex}`);
+        }
+        result += String.fromCharCode(parseInt(hex, 16));
+        i += length;
+        break;
+      }
+      case "0":
+        if (/[0-9]/.test(raw[i + 1] ?? "")) {
+          throw new SyntaxError("不支持八进制转义");
+        }
+        result += "\0";
+        break;
+      case "\r":
+        // 续行: 反斜杠后的 \r\n 或 \r
+        if (raw[i + 1] === "\n") {
+          i++;
+        }
+        break;
+      case "\n":
+      case "\u2028":
+      case "\u2029":
+        break; // 续行
+      case undefined:
+        throw new SyntaxError("字符串以反斜杠结束");
+      default:
+        if (/[1-9]/.test(next)) {
+          throw new SyntaxError("不支持八进制转义");
+        }
+        result += next;
+    }
+  }
+  return result;
+}
+
+/**
+ * 扫描 JSON 文本中的所有对象和数组
+ *
+ * 使用词法分析器扫描一遍，因此字符串中的括号、转义字符和多字节 Unicode 字符
+ * 都不会影响结果。字节偏移在扫描的同时按顺序换算为字符下标。
+ * @param {string} content - JSON 文本
+ * @returns {Array<{start: number, end: number}>} - 字符下标区间 [start, end)，按闭合的顺序排列（内层在外层之前）；遇到语法错误时只包含错误之前已经闭合的容器
+ */
+export function scanContainers(content) {
+  const buffer = Buffer.from(content, "utf8");
+  // 词法单元的偏移单调递增，逐段解码即可换算，总共只解码一遍
+  let byteOffset = 0;
+  let charIndex = 0;
+  const toCharIndex = (offset) => {
+    charIndex += buffer.toString("utf8", byteOffset, offset).length;
+    byteOffset = offset;
+    return charIndex;
+  };
+
+  const tokenizer = new JSONTokenizer();
+  const openStarts = [];
+  const containers = [];
+  const sliceSize = 64 * 1024;
+  const consume = (tokens) => {
+    for (const token of tokens) {
+      if (token.name === "startObject" || token.name === "startArray") {
+        openStarts.push(toCharIndex(token.start));
+      } else if (token.name === "endObject" || token.name === "endArray") {
+        containers.push({
+          start: openStarts.pop(),
+          end: toCharIndex(token.end),
+        });
+      }
+    }
+  };
+
+  try {
+    for (let i = 0; i < buffer.length; i += sliceSize) {
+      consume(tokenizer.write(buffer.subarray(i, i + sliceSize)));
+    }
+  } catch (error) {
+    if (!(error instanceof JSONSyntaxError)) {
+      throw error;
+    }
+    // 同一片段中出错之前闭合的容器仍然有效，之后的容器无法确定边界
+    consume(error.tokens);
+  }
+
+  return containers;
+}
+
+/**
+ * 在 JSON 文本中查找包含指定位置的最内层完整容器（对象或数组）
+ *
+ * 返回的区间截取出来即是一个语法完整的 JSON 值。对同一段文本多次查找时，
+ * 可以传入 scanContainers() 的结果，避免重复扫描。
+ * @param {string} content - JSON 文本
+ * @param {number} position - 字符下标
+ * @param {Array<{start: number, end: number}>} [containers] - scanContainers(content) 的结果
+ * @returns {{start: number, end: number} | null} - 字符下标区间 [start, end)，找不到时为 null
+ */
+export function findValueBoundaries(
+  content,
+  position,
+  containers = scanContainers(content),
+) {
+  // 容器按闭合顺序排列，第一个包含目标位置的即为最内层容器
+  return containers.find(({ start, end }) =>
+    start <= position && position < end
+  ) ?? null;
+}
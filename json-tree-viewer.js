@@ -0,0 +1,828 @@
+import os from "os";
+import readline from "readline";
+import JSONStructureBrowser from "./json-browser.js";
+import { formatJSONPath, toJSONPointer } from "./json-path.js";
+import { parseJSON, stringifyJSON } from "./json-values.js";
+
+/**
+ * 全屏终端树状浏览器
+ *
+ * 左侧是可以展开和收起的树，右侧是选中值的预览。只使用 ANSI 转义序列，
+ * 不依赖原生模块。子节点通过字节偏移索引（见 json-index.js）按页读取，
+ * 每页只扫描成员所在的字节区间，不读取整个容器。数组和对象的成员按页显示，
+ * 每页 pageSize 个，上下各有一行可以翻页，也可以直接跳转到指定下标，因此
+ * 几百万个元素的数组也只加载当前一页。
+ *
+ * 按键：
+ * - ↑ ↓ / k j 移动，PgUp PgDn 翻屏，Home End 到首尾
+ * - → / l / Enter 展开，再按一次进入第一个成员；← / h 收起或回到父节点
+ * - / 输入时在已展开的节点中增量搜索，Enter 后已展开的节点中没有匹配时搜索
+ *   整个文件；n N 在整个文件中查找下一个和上一个匹配并展开到该节点
+ * - : 跳转到数组下标，J K 滚动预览，q 退出
+ */
+
+const SNIPPET_BYTES = 256; // 树中基本类型值读取的最大字节数
+const PREVIEW_BYTES = 64 * 1024; // 预览读取的最大字节数
+const PREVIEW_LINES = 2000; // 预览的最大行数
+
+const HELP =
+  "↑↓ 移动  → 展开  ← 收起  / 搜索  n/N 下一个  : 跳转下标  J/K 滚动预览  q 退出";
+
+export default class JSONTreeViewer {
+  /**
+   * @param {string} filePath - JSON 文件路径
+   * @param {object} options - 配置选项
+   * @param {JSONStructureBrowser} [options.browser] - 共用的浏览器（及其索引），省略时新建
+   * @param {number} [options.pageSize=200] - 每页显示的成员数
+   * @param {NodeJS.ReadStream} [options.input=process.stdin] - 输入终端
+   * @param {NodeJS.WriteStream} [options.output=process.stdout] - 输出终端
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.browser = options.browser ?? new JSONStructureBrowser();
+    this.pageSize = options.pageSize ?? 200;
+    this.input = options.input ?? process.stdin;
+    this.output = options.output ?? process.stdout;
+
+    this.root = null;
+    this.rows = [];
+    this.selected = 0;
+    this.top = 0; // 树的第一行对应的行号
+    this.preview = { node: null, lines: [] };
+    this.previewTop = 0;
+    this.mode = null; // null、"search" 或 "goto"
+    this.query = "";
+    this.lastQuery = "";
+    this.message = "";
+    this.closed = false;
+  }
+
+  /**
+   * 进入全屏模式，按 q 退出后返回
+   * @param {Array<string|number>} [startKeys=[]] - 初始选中的路径
+   * @returns {Promise<void>}
+   */
+  async run(startKeys = []) {
+    if (!this.input.isTTY || !this.output.isTTY) {
+      throw new Error("全屏模式需要在终端中运行");
+    }
+
+    await this.open(startKeys);
+
+    return new Promise((resolve, reject) => {
+      let queue = Promise.resolve();
+      let restored = false;
+
+      // 显示光标，离开备用屏幕；进程意外退出时也要执行
+      const restoreTerminal = () => {
+        if (restored) {
+          return;
+        }
+        restored = true;
+        this.input.setRawMode(false);
+        this.output.write("\x1b[?25h\x1b[?1049l");
+      };
+      // 有其它处理函数时重新发送信号不会退出，因此直接以 128 + 信号值退出
+      const onSignal = (signal) => {
+        restoreTerminal();
+        process.exit(128 + os.constants.signals[signal]);
+      };
+      const signals = ["SIGINT", "SIGTERM", "SIGHUP"];
+
+      const finish = (error = null) => {
+        this.closed = true;
+        this.input.off("keypress", onKeypress);
+        this.output.off("resize", draw);
+        process.off("exit", restoreTerminal);
+        for (const signal of signals) {
+          process.off(signal, onSignal);
+        }
+        this.input.pause();
+        restoreTerminal();
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      // 绘制失败时恢复终端并结束，不把终端留在原始模式
+      const draw = () => {
+        try {
+          this.render();
+        } catch (error) {
+          finish(error);
+        }
+      };
+
+      const onKeypress = (text, key = {}) => {
+        queue = queue.then(async () => {
+          if (this.closed) {
+            return;
+          }
+          try {
+            if (await this.handleKey(text, key) === false) {
+              finish();
+              return;
+            }
+          } catch (error) {
+            this.message = `错误: ${error.message}`;
+          }
+          draw();
+        });
+      };
+
+      process.once("exit", restoreTerminal);
+      for (const signal of signals) {
+        process.once(signal, onSignal);
+      }
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.resume();
+      this.input.on("keypress", onKeypress);
+      this.output.on("resize", draw);
+      // 进入备用屏幕，隐藏光标
+      this.output.write("\x1b[?1049h\x1b[?25l");
+      draw();
+    });
+  }
+
+  /**
+   * 加载根节点并选中初始路径
+   */
+  async open(startKeys = []) {
+    this.index = await this.browser.getIndex(this.filePath);
+    this.root = await this.createNode(null, await this.index.lookup([]));
+    await this.expand(this.root);
+    this.refreshRows();
+    if (startKeys.length > 0) {
+      await this.reveal(startKeys);
+    }
+    await this.updatePreview();
+  }
+
+  /**
+   * 处理一个按键，返回 false 表示退出
+   */
+  async handleKey(text, key) {
+    this.message = "";
+
+    if (key.ctrl && key.name === "c") {
+      return false;
+    }
+    if (this.mode) {
+      await this.handlePromptKey(text, key);
+      return true;
+    }
+
+    const height = this.treeHeight();
+    switch (key.name) {
+      case "up":
+      case "k":
+        if (key.shift) {
+          this.previewTop = Math.max(0, this.previewTop - 1);
+          return true;
+        }
+        this.select(this.selected - 1);
+        break;
+      case "down":
+      case "j":
+        if (key.shift) {
+          this.previewTop++;
+          return true;
+        }
+        this.select(this.selected + 1);
+        break;
+      case "pageup":
+        this.select(this.selected - height);
+        break;
+      case "pagedown":
+        this.select(this.selected + height);
+        break;
+      case "home":
+        this.select(0);
+        break;
+      case "end":
+        this.select(this.rows.length - 1);
+        break;
+      case "right":
+      case "l":
+      case "return":
+        await this.enter();
+        break;
+      case "left":
+      case "h":
+        this.leave();
+        break;
+      case "n":
+        await this.searchFile(this.lastQuery, key.shift ? -1 : 1);
+        break;
+      case "q":
+        return false;
+      default:
+        if (text === "/") {
+          this.mode = "search";
+          this.query = "";
+          this.searchFrom = this.selected;
+        } else if (text === ":") {
+          this.mode = "goto";
+          this.query = "";
+        }
+        return true;
+    }
+
+    await this.updatePreview();
+    return true;
+  }
+
+  /**
+   * 搜索和跳转提示符中的输入
+   */
+  async handlePromptKey(text, key) {
+    if (key.name === "escape") {
+      if (this.mode === "search") {
+        this.select(this.searchFrom);
+      }
+      this.mode = null;
+    } else if (key.name === "return") {
+      const { mode, query } = this;
+      this.mode = null;
+      if (mode === "search") {
+        this.lastQuery = query;
+        // 已展开的节点中没有匹配时搜索整个文件
+        if (query && !this.rowMatches(this.rows[this.selected], query)) {
+          this.select(this.searchFrom);
+          await this.searchFile(query, 1);
+        }
+      } else if (query) {
+        await this.gotoIndex(Number(query));
+      }
+    } else if (key.name === "backspace") {
+      this.query = this.query.slice(0, -1);
+    } else if (text && !key.ctrl && !key.meta && text >= " ") {
+      if (this.mode === "goto" && !/^\d$/.test(text)) {
+        return;
+      }
+      this.query += text;
+    } else {
+      return;
+    }
+
+    if (this.mode === "search") {
+      // 每输入一个字符，从开始搜索的位置重新查找
+      this.findNext(this.query, 1, this.searchFrom);
+    }
+    await this.updatePreview();
+  }
+
+  /**
+   * 展开选中的节点；已展开时进入第一个成员；在翻页行上翻页
+   */
+  async enter() {
+    const row = this.rows[this.selected];
+    if (row.kind !== "node") {
+      await this.turnPage(row);
+      return;
+    }
+
+    const { node } = row;
+    if (!isContainer(node)) {
+      return;
+    }
+    if (!node.expanded) {
+      await this.expand(node);
+      this.refreshRows();
+    } else if (node.children.length > 0) {
+      this.select(this.selected + 1);
+    }
+  }
+
+  /**
+   * 收起选中的节点，已收起时回到父节点
+   */
+  leave() {
+    const row = this.rows[this.selected];
+    const node = row.kind === "node" ? row.node : row.parent;
+    if (row.kind === "node" && node.expanded) {
+      node.expanded = false;
+      this.refreshRows();
+      return;
+    }
+
+    const parent = row.kind === "node" ? node.parent : node;
+    if (parent) {
+      this.select(this.rows.findIndex((item) => item.node === parent));
+    }
+  }
+
+  /**
+   * 在"前面/后面还有 N 个"行上移动到上一页或下一页
+   */
+  async turnPage(row) {
+    const { parent } = row;
+    const offset = row.kind === "before"
+      ? Math.max(0, parent.offset - this.pageSize)
+      : parent.offset + this.pageSize;
+    await this.loadChildren(parent, offset);
+    this.refreshRows();
+
+    // 选中新一页中与原来的翻页行相邻的成员
+    const first = this.rows.findIndex((item) => item.node?.parent === parent);
+    const last = first + parent.children.length - 1;
+    this.select(row.kind === "before" ? last : first);
+  }
+
+  /**
+   * 跳转到选中的数组（或选中值所在的数组）中的指定下标
+   */
+  async gotoIndex(position) {
+    const row = this.rows[this.selected];
+    let array = row.kind === "node" ? row.node : row.parent;
+    if (array.type !== "array") {
+      array = array.parent;
+    }
+    if (!array || array.type !== "array") {
+      this.message = "选中的值不在数组中";
+      return;
+    }
+    if (position >= array.size) {
+      this.message =
+        `下标超出范围: ${position}（共 ${array.size.toLocaleString()} 个元素）`;
+      return;
+    }
+    await this.reveal(array.keys.concat([position]));
+  }
+
+  /**
+   * 逐级展开并选中指定路径，路径不存在时停在最深的已找到的节点
+   */
+  async reveal(keys) {
+    let node = this.root;
+    for (const key of keys) {
+      if (!isContainer(node)) {
+        break;
+      }
+      if (!node.children) {
+        await this.loadChildren(node, 0);
+      }
+      // 对象成员的位置需要从最近的采样点扫描得到
+      const position = node.type === "array"
+        ? key
+        : (await this.index.findMember(node.entry, key))?.index ?? -1;
+      if (
+        typeof position !== "number" || position < 0 ||
+        position >= node.size
+      ) {
+        this.message = `路径不存在: ${formatJSONPath(keys)}`;
+        break;
+      }
+      const offset = Math.floor(position / this.pageSize) * this.pageSize;
+      if (offset !== node.offset) {
+        await this.loadChildren(node, offset);
+      }
+      node.expanded = true;
+      node = node.children[position - offset];
+    }
+
+    this.refreshRows();
+    this.select(this.rows.findIndex((row) => row.node === node));
+  }
+
+  /**
+   * 在已展开的行中从 from 开始查找下一个（direction 为 -1 时上一个）匹配的行
+   */
+  findNext(query, direction, from = this.selected + direction) {
+    if (!query) {
+      return;
+    }
+    const count = this.rows.length;
+    for (let step = 0; step < count; step++) {
+      const row = (((from + step * direction) % count) + count) % count;
+      if (this.rowMatches(this.rows[row], query)) {
+        this.select(row);
+        return;
+      }
+    }
+    this.message = `已展开的节点中未找到: ${query}（按 Enter 搜索整个文件）`;
+  }
+
+  rowMatches(row, query) {
+    return this.rowText(row).toLowerCase().includes(query.toLowerCase());
+  }
+
+  /**
+   * 在整个文件中查找选中节点之后（direction 为 -1 时之前）的键名或值，
+   * 到达文件末尾（开头）时从另一端继续，找到后展开到匹配的节点
+   *
+   * 使用流式搜索（见 json-search.js），向前查找时读到第一个匹配就停止，
+   * 向后查找需要读到选中的节点为止。
+   */
+  async searchFile(query, direction) {
+    if (!query) {
+      return;
+    }
+    const row = this.rows[this.selected];
+    const current = row.kind === "node" ? row.node : row.parent;
+    const currentPath = formatJSONPath(current.keys);
+    this.message = `正在搜索: ${query}`;
+    this.render();
+
+    let first = null;
+    let last = null;
+    let found = null;
+    let matchesCurrent = false;
+    for await (const match of this.browser.search(this.filePath, query)) {
+      if (match.path === currentPath) {
+        matchesCurrent = true;
+        continue;
+      }
+      if (match.offset > current.start) {
+        if (direction > 0) {
+          found = match;
+          break;
+        }
+        if (found) {
+          break;
+        }
+      } else if (direction < 0) {
+        found = match;
+      }
+      first ??= match;
+      last = match;
+    }
+
+    this.message = "";
+    if (!found) {
+      found = direction > 0 ? first : last;
+      if (!found) {
+        this.message = matchesCurrent
+          ? `只有选中的节点匹配: ${query}`
+          : `未找到: ${query}`;
+        return;
+      }
+      this.message = direction > 0
+        ? "已从文件开头继续搜索"
+        : "已从文件末尾继续搜索";
+    }
+    await this.reveal(found.keys);
+  }
+
+  select(row) {
+    this.selected = Math.max(0, Math.min(row, this.rows.length - 1));
+  }
+
+  /**
+   * 展开节点，第一次展开时加载第一页成员
+   */
+  async expand(node) {
+    if (!node.children) {
+      await this.loadChildren(node, 0);
+    }
+    node.expanded = true;
+  }
+
+  /**
+   * 加载从 offset 开始的一页成员，只扫描这一页所在的字节区间
+   */
+  async loadChildren(node, offset) {
+    const children = [];
+    for (
+      const member of await this.index.members(node.keys, offset, this.pageSize)
+    ) {
+      children.push(await this.createNode(node, member));
+    }
+    node.offset = offset;
+    node.children = children;
+  }
+
+  /**
+   * 由索引查到的位置创建节点
+   */
+  async createNode(parent, entry) {
+    const node = {
+      keys: entry.keys,
+      key: parent ? entry.key : null,
+      parent,
+      entry,
+      type: entry.type,
+      size: entry.size, // 容器的成员数
+      start: entry.start,
+      end: entry.end,
+      text: null, // 基本类型值的 JSON 文本
+      expanded: false,
+      offset: 0,
+      children: null,
+    };
+    if (!isContainer(node)) {
+      node.text = await this.index.readText(
+        entry.start,
+        entry.end,
+        SNIPPET_BYTES,
+      );
+    }
+    return node;
+  }
+
+  /**
+   * 把展开的树展平为行
+   */
+  refreshRows() {
+    const selectedNode = this.rows[this.selected]?.node;
+    const rows = [];
+    const visit = (node, depth) => {
+      rows.push({ kind: "node", node, depth });
+      if (!node.expanded) {
+        return;
+      }
+      if (node.offset > 0) {
+        rows.push({
+          kind: "before",
+          parent: node,
+          depth: depth + 1,
+          count: node.offset,
+        });
+      }
+      for (const child of node.children) {
+        visit(child, depth + 1);
+      }
+      const after = node.size - node.offset - node.children.length;
+      if (after > 0) {
+        rows.push({
+          kind: "after",
+          parent: node,
+          depth: depth + 1,
+          count: after,
+        });
+      }
+    };
+    visit(this.root, 0);
+    this.rows = rows;
+
+    // 翻页行没有 node，不能用 undefined 匹配
+    const row = selectedNode
+      ? rows.findIndex((item) => item.node === selectedNode)
+      : -1;
+    this.select(row >= 0 ? row : this.selected);
+  }
+
+  /**
+   * 行的文本（不含缩进和展开标记），也用于搜索
+   */
+  rowText(row) {
+    if (row.kind === "before") {
+      return `… 前面还有 ${row.count.toLocaleString()} 个`;
+    }
+    if (row.kind === "after") {
+      return `… 后面还有 ${row.count.toLocaleString()} 个`;
+    }
+
+    const { node } = row;
+    const label = node.parent === null
+      ? "$"
+      : typeof node.key === "number"
+      ? `[${node.key}]`
+      : node.key;
+    let summary;
+    if (node.type === "object") {
+      summary = `{${node.size.toLocaleString()}}`;
+    } else if (node.type === "array") {
+      summary = `[${node.size.toLocaleString()}]`;
+    } else {
+      summary = node.text;
+    }
+    return `${label}: ${summary}`;
+  }
+
+  /**
+   * 加载选中值的预览
+   */
+  async updatePreview() {
+    const row = this.rows[this.selected];
+    const node = row?.kind === "node" ? row.node : null;
+    if (node && node === this.preview.node) {
+      return;
+    }
+    this.previewTop = 0;
+    if (!node) {
+      this.preview = { node: null, lines: [this.rowText(row)] };
+      return;
+    }
+
+    const lines = [
+      `JSONPath: ${formatJSONPath(node.keys)}`,
+      `JSON Pointer: ${toJSONPointer(node.keys) || "(根)"}`,
+      `类型: ${node.type}${
+        isContainer(node)
+          ? `，${node.size.toLocaleString()} 个${
+            node.type === "array" ? "元素" : "键"
+          }`
+          : ""
+      }`,
+    ];
+    if (node.start !== null) {
+      lines.push(
+        `字节: ${node.start.toLocaleString()} - ${node.end.toLocaleString()}（${
+          (node.end - node.start).toLocaleString()
+        } 字节）`,
+      );
+    }
+    lines.push("");
+
+    let body;
+    if (node.end - node.start <= PREVIEW_BYTES) {
+      const text = await this.index.readText(
+        node.start,
+        node.end,
+        PREVIEW_BYTES,
+      );
+      const value = parseJSON(text, { numbers: this.index.numbers });
+      body = typeof value === "string" ? value : stringifyJSON(value, "  ");
+    } else {
+      body = await this.index.readText(node.start, node.end, PREVIEW_BYTES);
+      lines.push(`（只显示前 ${PREVIEW_BYTES / 1024} KB）`);
+    }
+    lines.push(...body.split("\n").slice(0, PREVIEW_LINES));
+
+    this.preview = { node, lines };
+  }
+
+  treeHeight() {
+    return Math.max(1, (this.output.rows || 24) - 2);
+  }
+
+  /**
+   * 绘制整个屏幕
+   */
+  render() {
+    if (this.closed) {
+      return;
+    }
+    const width = this.output.columns || 80;
+    const height = this.treeHeight();
+    const treeWidth = Math.max(20, Math.floor(width * 0.55));
+    const previewWidth = Math.max(1, width - treeWidth - 1);
+
+    // 保持选中行可见
+    if (this.selected < this.top) {
+      this.top = this.selected;
+    } else if (this.selected >= this.top + height) {
+      this.top = this.selected - height + 1;
+    }
+
+    const previewLines = this.preview.lines.flatMap((line) =>
+      wrapText(sanitize(line), previewWidth)
+    );
+    this.previewTop = Math.max(
+      0,
+      Math.min(this.previewTop, previewLines.length - height),
+    );
+
+    const row = this.rows[this.selected];
+    const path = row?.kind === "node"
+      ? formatJSONPath(row.node.keys)
+      : formatJSONPath(row.parent.keys);
+    const screen = [inverse(fitText(` ${this.filePath}  ${path}`, width))];
+
+    for (let line = 0; line < height; line++) {
+      const index = this.top + line;
+      let left = "";
+      if (index < this.rows.length) {
+        left = fitText(this.formatRow(this.rows[index]), treeWidth);
+        if (index === this.selected) {
+          left = inverse(left);
+        }
+      } else {
+        left = " ".repeat(treeWidth);
+      }
+      const right = fitText(
+        previewLines[this.previewTop + line] ?? "",
+        previewWidth,
+      );
+      screen.push(`${left}│${right}`);
+    }
+
+    let status;
+    if (this.mode === "search") {
+      status = `/${this.query}`;
+    } else if (this.mode === "goto") {
+      status = `跳转到下标: ${this.query}`;
+    } else {
+      status = this.message || HELP;
+    }
+    screen.push(fitText(status, width));
+
+    this.output.write(
+      "\x1b[H" + screen.map((line) => `${line}\x1b[K`).join("\r\n"),
+    );
+  }
+
+  formatRow(row) {
+    const indent = "  ".repeat(row.depth);
+    if (row.kind !== "node") {
+      return `${indent}  ${this.rowText(row)}`;
+    }
+    const marker = isContainer(row.node)
+      ? (row.node.expanded ? "▾ " : "▸ ")
+      : "  ";
+    return sanitize(`${indent}${marker}${this.rowText(row)}`);
+  }
+}
+
+function isContainer(node) {
+  return node.type === "object" || node.type === "array";
+}
+
+function inverse(text) {
+  return `\x1b[7m${text}\x1b[0m`;
+}
+
+/**
+ * 把控制字符替换为可见字符，避免破坏屏幕
+ */
+function sanitize(text) {
+  return text.replace(/\p{Cc}/gu, "·");
+}
+
+/**
+ * 字符在终端中占用的列数，中日韩文字和全角符号占两列
+ */
+function charWidth(char) {
+  const code = char.codePointAt(0);
+  if (
+    (code >= 0x1100 && code <= 0x115f) ||
+    (code >= 0x2e80 && code <= 0xa4cf) ||
+    (code >= 0xac00 && code <= 0xd7a3) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0xfe30 && code <= 0xfe4f) ||
+    (code >= 0xff00 && code <= 0xff60) ||
+    (code >= 0xffe0 && code <= 0xffe6) ||
+    (code >= 0x1f300 && code <= 0x1faff) ||
+    (code >= 0x20000 && code <= 0x3fffd)
+  ) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * 截断或用空格补齐到正好 width 列
+ */
+function fitText(text, width) {
+  let result = "";
+  let used = 0;
+  for (const char of text) {
+    const charColumns = charWidth(char);
+    if (used + charColumns > width) {
+      // 放不下时用 "…" 结尾
+      while (used + 1 > width) {
+        const last = [...result].pop();
+        result = result.slice(0, -last.length);
+        used -= charWidth(last);
+      }
+      return result + "…" + " ".repeat(width - used - 1);
+    }
+    result += char;
+    used += charColumns;
+  }
+  return result + " ".repeat(width - used);
+}
+
+/**
+ * 按列数折行
+ */
+function wrapText(text, width) {
+  const lines = [];
+  let line = "";
+  let used = 0;
+  for (const char of text) {
+    const charColumns = charWidth(char);
+    if (used + charColumns > width) {
+      lines.push(line);
+      line = "";
+      used = 0;
+    }
+    line += char;
+    used += charColumns;
+  }
+  lines.push(line);
+  return lines;
+}
+
+// 如果直接运行此文件
+if (import.meta.main) {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.log("用法: node json-tree-viewer.js <json文件路径>");
+    console.log("示例: node json-tree-viewer.js openapi.json");
+    process.exit(1);
+  }
+
+  const viewer = new JSONTreeViewer(filePath);
+  viewer.run().then(
+    () => process.exit(0),
+    (error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    },
+  );
+}
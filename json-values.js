@@ -0,0 +1,367 @@
+import JSONTokenizer from "./json-tokenizer.js";
+import {
+  checkDuplicateKeyPolicy,
+  DuplicateKeyError,
+} from "./json-duplicate-keys.js";
+
+/**
+ * 由词法单元组装 JavaScript 值，以及无损的数字处理
+ *
+ * JSON.parse 会把所有数字转换为 double，超过 2^53 的整数和位数较多的小数
+ * 会被悄悄舍入。读取接口的 numbers 选项可以改变数字的表示方式：
+ *
+ * - "number"（默认）：与 JSON.parse 相同
+ * - "bigint"：转换为 Number 后原文不变的数字仍为 Number，超出安全范围的整数
+ *   为 BigInt，其余（如 0.10、1e400、-0）保留为 JSONDecimal
+ * - "string"：所有数字都保留为 JSONDecimal（原始的十进制文本）
+ *
+ * 后两种模式下再由 JSONStreamWriter 或 stringifyJSON 写出时，数字与原文逐字节一致。
+ */
+
+export const NUMBER_MODES = ["number", "bigint", "string"];
+
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const INTEGER_PATTERN = /^-?(?:0|[1-9]\d*)$/;
+
+/**
+ * 以原始十进制文本保存的 JSON 数字
+ */
+export class JSONDecimal {
+  /**
+   * @param {string} text - JSON 数字文本，例如 "12.50"
+   */
+  constructor(text) {
+    if (!NUMBER_PATTERN.test(text)) {
+      throw new SyntaxError(`无效的 JSON 数字: ${text}`);
+    }
+    this.text = text;
+  }
+
+  valueOf() {
+    return Number(this.text);
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  /**
+   * JSON.stringify 支持 JSON.rawJSON 时输出原始数字，否则输出为字符串
+   */
+  toJSON() {
+    return typeof JSON.rawJSON === "function"
+      ? JSON.rawJSON(this.text)
+      : this.text;
+  }
+
+  [Symbol.for("nodejs.util.inspect.custom")]() {
+    return `JSONDecimal(${this.text})`;
+  }
+}
+
+/**
+ * 检查 numbers 选项
+ * @param {string} [numbers="number"] - 数字模式
+ * @returns {string}
+ */
+export function checkNumberMode(numbers = "number") {
+  if (!NUMBER_MODES.includes(numbers)) {
+    throw new Error(
+      `未知的数字模式: ${numbers}（可用: ${NUMBER_MODES.join(", ")}）`,
+    );
+  }
+  return numbers;
+}
+
+/**
+ * 按数字模式转换 JSON 数字文本
+ * @param {string} text - JSON 数字文本
+ * @param {string} [numbers="number"] - 数字模式
+ * @returns {number|bigint|JSONDecimal}
+ */
+export function parseJSONNumber(text, numbers = "number") {
+  switch (numbers) {
+    case "string":
+      // 宽松模式下的 Infinity、NaN 没有对应的 JSON 写法
+      return NUMBER_PATTERN.test(text) ? new JSONDecimal(text) : Number(text);
+    case "bigint": {
+      const value = Number(text);
+      if (String(value) === text) {
+        return value;
+      }
+      // -0 作为 BigInt 会丢失符号
+      if (INTEGER_PATTERN.test(text) && text !== "-0") {
+        return BigInt(text);
+      }
+      return new JSONDecimal(text);
+    }
+    default:
+      return Number(text);
+  }
+}
+
+/**
+ * 是否为无损模式下产生的数字（BigInt 或 JSONDecimal）
+ */
+export function isLosslessNumber(value) {
+  return typeof value === "bigint" || value instanceof JSONDecimal;
+}
+
+/**
+ * 基本类型词法单元对应的值
+ */
+export function tokenValue(token, numbers = "number") {
+  return token.name === "numberValue"
+    ? parseJSONNumber(String(token.value), numbers)
+    : token.value;
+}
+
+/**
+ * 把 stream-json 词法单元组装成 JavaScript 值
+ */
+export class ValueAssembler {
+  /**
+   * @param {object} options - 配置选项
+   * @param {string} [options.numbers="number"] - 数字模式
+   * @param {string} [options.duplicateKeys="last-wins"] - 重复键的处理方式，见 json-duplicate-keys.js
+   */
+  constructor(options = {}) {
+    this.numbers = options.numbers ?? "number";
+    this.duplicateKeys = checkDuplicateKeyPolicy(options.duplicateKeys);
+    this.stack = [];
+    this.key = null;
+    this.value = undefined;
+    this.done = false;
+  }
+
+  consume(token) {
+    switch (token.name) {
+      case "keyValue":
+        this.key = token.value;
+        this.checkDuplicate(token);
+        return;
+      case "startObject":
+      case "startArray":
+        this.stack.push({
+          container: token.name === "startObject" ? {} : [],
+          key: this.key,
+        });
+        this.key = null;
+        return;
+      case "endObject":
+      case "endArray": {
+        const { container, key } = this.stack.pop();
+        this.key = key;
+        this.add(container);
+        return;
+      }
+      default:
+        this.add(tokenValue(token, this.numbers));
+    }
+  }
+
+  /**
+   * 对象中再次出现已有的键时，按 duplicateKeys 标记或抛出错误
+   */
+  checkDuplicate(token) {
+    const frame = this.stack[this.stack.length - 1];
+    if (!Object.hasOwn(frame.container, token.value)) {
+      return;
+    }
+    if (this.duplicateKeys === "error") {
+      throw new DuplicateKeyError(
+        token.value,
+        [...this.currentKeys(), token.value],
+        token.start ?? null,
+      );
+    }
+    frame.duplicate = true;
+  }
+
+  /**
+   * 当前对象的路径
+   */
+  currentKeys() {
+    return this.stack.slice(1).map(({ key }, depth) => {
+      const { container } = this.stack[depth];
+      return Array.isArray(container) ? container.length : key;
+    });
+  }
+
+  add(value) {
+    if (this.stack.length === 0) {
+      this.value = value;
+      this.done = true;
+      return;
+    }
+
+    const frame = this.stack[this.stack.length - 1];
+    const { container } = frame;
+    if (Array.isArray(container)) {
+      container.push(value);
+      return;
+    }
+
+    if (frame.duplicate) {
+      frame.duplicate = false;
+      switch (this.duplicateKeys) {
+        case "first-wins":
+          return;
+        case "collect-as-array":
+          // 已经收集为数组的键直接追加，避免与原本就是数组的值混淆
+          frame.collected ??= new Set();
+          if (frame.collected.has(this.key)) {
+            container[this.key].push(value);
+            return;
+          }
+          frame.collected.add(this.key);
+          value = [container[this.key], value];
+      }
+    }
+    setOwnProperty(container, this.key, value);
+  }
+}
+
+/**
+ * 设置对象自身的属性
+ *
+ * 与 object[key] = value 不同，键名为 "__proto__" 时不会触发原型的 setter，
+ * 而是和 JSON.parse 一样成为普通的可枚举属性。
+ * @param {object} object - 目标对象
+ * @param {string} key - 键名
+ * @param {*} value - 值
+ */
+export function setOwnProperty(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * 解析 JSON 文本，默认选项下等同于 JSON.parse
+ * @param {string|Buffer} text - JSON 文本
+ * @param {object} options - 配置选项
+ * @param {string} [options.numbers="number"] - 数字模式
+ * @param {boolean} [options.lenient=false] - 是否接受 JSON5 / JSONC 的写法，见 JSONTokenizer
+ * @param {string} [options.duplicateKeys="last-wins"] - 重复键的处理方式，见 json-duplicate-keys.js
+ * @returns {*}
+ */
+export function parseJSON(text, options = {}) {
+  const numbers = checkNumberMode(options.numbers);
+  const duplicateKeys = checkDuplicateKeyPolicy(options.duplicateKeys);
+  const lenient = options.lenient || false;
+  if (numbers === "number" && duplicateKeys === "last-wins" && !lenient) {
+    return JSON.parse(text);
+  }
+
+  const tokenizer = new JSONTokenizer({ lenient });
+  const assembler = new ValueAssembler({ numbers, duplicateKeys });
+  for (const token of tokenizer.write(text)) {
+    assembler.consume(token);
+  }
+  for (const token of tokenizer.end()) {
+    assembler.consume(token);
+  }
+  return assembler.value;
+}
+
+/**
+ * 序列化为 JSON 文本，规则与 JSON.stringify(value, null, indent) 相同，
+ * 此外 BigInt 和 JSONDecimal 按原始数字写出
+ * @param {*} value - 要序列化的值
+ * @param {string} [indent=""] - 缩进
+ * @returns {string|undefined} - 值无法序列化（如 undefined）时为 undefined
+ */
+export function stringifyJSON(value, indent = "") {
+  const ancestors = new Set();
+
+  const write = (value, currentIndent) => {
+    if (value === null) {
+      return "null";
+    }
+    if (value instanceof JSONDecimal) {
+      return value.text;
+    }
+
+    switch (typeof value) {
+      case "string":
+        return JSON.stringify(value);
+      case "number":
+        return Number.isFinite(value) ? String(value) : "null";
+      case "boolean":
+      case "bigint":
+        return String(value);
+    }
+
+    if (ancestors.has(value)) {
+      throw new TypeError("无法序列化循环引用的结构");
+    }
+    ancestors.add(value);
+
+    const innerIndent = currentIndent + indent;
+    const open = indent ? `\n${innerIndent}` : "";
+    const close = indent ? `\n${currentIndent}` : "";
+    const separator = indent ? `,\n${innerIndent}` : ",";
+    let text;
+
+    if (Array.isArray(value)) {
+      const items = value.map((item, index) => {
+        const resolved = resolveJSONValue(item, String(index));
+        return isSkipped(resolved) ? "null" : write(resolved, innerIndent);
+      });
+      text = items.length ? `[${open}${items.join(separator)}${close}]` : "[]";
+    } else {
+      const members = [];
+      for (const key of Object.keys(value)) {
+        const resolved = resolveJSONValue(value[key], key);
+        if (!isSkipped(resolved)) {
+          members.push(
+            `${JSON.stringify(key)}:${indent ? " " : ""}${
+              write(resolved, innerIndent)
+            }`,
+          );
+        }
+      }
+      text = members.length
+        ? `{${open}${members.join(separator)}${close}}`
+        : "{}";
+    }
+
+    ancestors.delete(value);
+    return text;
+  };
+
+  const resolved = resolveJSONValue(value, "");
+  return isSkipped(resolved) ? undefined : write(resolved, "");
+}
+
+/**
+ * 按 JSON.stringify 的规则调用 toJSON 并拆箱包装对象，JSONDecimal 保持不变
+ */
+export function resolveJSONValue(value, key) {
+  if (
+    value !== null && (typeof value === "object" ||
+      typeof value === "bigint") &&
+    !(value instanceof JSONDecimal) &&
+    typeof value.toJSON === "function"
+  ) {
+    value = value.toJSON(key);
+  }
+
+  if (
+    value instanceof Number || value instanceof String ||
+    value instanceof Boolean
+  ) {
+    value = value.valueOf();
+  }
+
+  return value;
+}
+
+function isSkipped(value) {
+  return value === undefined || typeof value === "function" ||
+    typeof value === "symbol";
+}
@@ -0,0 +1,584 @@
+import http from "http";
+import fs from "fs/promises";
+import path from "path";
+import JSONStructureBrowser from "./json-browser.js";
+import { parseJSON, stringifyJSON } from "./json-values.js";
+import { parseSearchQuery } from "./json-search.js";
+import { toJSONPointer } from "./json-path.js";
+
+/**
+ * 本地网页浏览器
+ *
+ * 启动一个只监听本机的 HTTP 服务器，提供查询文件结构的 JSON 接口，并在根路径
+ * 提供一个不依赖外部资源的网页：逐级展开节点、分页查看大数组、复制路径和
+ * 查看值。所有查询都通过 JSONStructureBrowser 的字节偏移索引完成，
+ * 不会把整个文件读入内存。
+ *
+ * 只接受 Host 为本机地址（localhost、127.0.0.1 或监听的地址）加端口的请求。
+ *
+ * 接口（path 为 JSONPath 或 JSON Pointer，省略时为根）：
+ *   GET /api/info                              文件名和大小
+ *   GET /api/node?path=&offset=0&limit=100     值的概要和一页成员，见 describePath()
+ *   GET /api/value?path=                       格式化的值，最多 maxValueBytes 字节
+ *   GET /api/search?q=&limit=100               搜索键名和值，见 JSONSearch；q 可以是
+ *                                              /正则/ 或 ">= 100"，另有 target=keys|values、
+ *                                              exact=1、case=1、type=string,number
+ */
+export default class JSONWebServer {
+  /**
+   * @param {string} filePath - JSON 文件路径
+   * @param {object} options - 配置选项
+   * @param {JSONStructureBrowser} [options.browser] - 共用的浏览器，复用已加载的索引
+   * @param {number} [options.pageSize=100] - 每页的成员数
+   * @param {number} [options.maxPageSize=1000] - 每页最多的成员数，也是一次最多返回的搜索结果数
+   * @param {number} [options.maxValueBytes=1048576] - 查看值时最多返回的字节数
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.browser = options.browser ?? new JSONStructureBrowser();
+    this.pageSize = options.pageSize ?? 100;
+    this.maxPageSize = options.maxPageSize ?? 1000;
+    this.maxValueBytes = options.maxValueBytes ?? 1024 * 1024;
+    this.hosts = new Set(); // 允许的 Host 请求头，开始监听后确定
+    this.server = http.createServer((request, response) =>
+      this.handle(request, response)
+    );
+  }
+
+  /**
+   * 建立索引并开始监听
+   * @param {number} [port=8080] - 端口，0 表示随机选择
+   * @param {string} [host="127.0.0.1"] - 监听的地址
+   * @returns {Promise<string>} - 网页的地址
+   */
+  async listen(port = 8080, host = "127.0.0.1") {
+    await this.browser.getIndex(this.filePath);
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+    const address = this.server.address();
+    const hostname = address.family === "IPv6"
+      ? `[${address.address}]`
+      : address.address;
+    this.hosts = new Set(
+      ["localhost", "127.0.0.1", "[::1]", hostname].map((name) =>
+        `${name}:${address.port}`
+      ),
+    );
+    return `http://${hostname}:${address.port}/`;
+  }
+
+  /**
+   * 停止监听
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => error ? reject(error) : resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  /**
+   * 处理一个请求
+   */
+  async handle(request, response) {
+    const url = new URL(request.url, "http://localhost");
+    try {
+      // 只接受以本机地址访问的请求，防止 DNS 重绑定让其它网页读取文件内容
+      const host = request.headers.host?.toLowerCase();
+      if (!this.hosts.has(host)) {
+        throw new HTTPError(403, `不允许的 Host: ${host ?? ""}`);
+      }
+      if (request.method !== "GET" && request.method !== "HEAD") {
+        throw new HTTPError(405, `不支持的请求方法: ${request.method}`);
+      }
+
+      switch (url.pathname) {
+        case "/":
+          send(response, 200, "text/html; charset=utf-8", PAGE);
+          return;
+        case "/api/info":
+          sendJSON(response, 200, await this.getInfo());
+          return;
+        case "/api/node":
+          sendJSON(response, 200, await this.getNode(url.searchParams));
+          return;
+        case "/api/value":
+          sendJSON(response, 200, await this.getValue(url.searchParams));
+          return;
+        case "/api/search":
+          sendJSON(response, 200, await this.search(url.searchParams));
+          return;
+        default:
+          throw new HTTPError(404, `没有这个地址: ${url.pathname}`);
+      }
+    } catch (error) {
+      const status = error instanceof HTTPError ? error.status : 500;
+      if (status === 500) {
+        console.error(`❌ ${request.url}: ${error.message}`);
+      }
+      sendJSON(response, status, { error: error.message });
+    }
+  }
+
+  async getInfo() {
+    const stats = await fs.stat(this.filePath);
+    return {
+      name: path.basename(this.filePath),
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+      pageSize: this.pageSize,
+    };
+  }
+
+  async getNode(params) {
+    const node = await this.browser.describePath(
+      this.filePath,
+      await this.resolveKeys(params),
+      {
+        offset: integerParam(params, "offset", 0),
+        limit: Math.min(
+          integerParam(params, "limit", this.pageSize),
+          this.maxPageSize,
+        ),
+      },
+    );
+    if (!node) {
+      throw new HTTPError(404, `路径不存在: ${params.get("path")}`);
+    }
+    return node;
+  }
+
+  /**
+   * 读取值的 JSON 文本，较小的值重新缩进，超过 maxValueBytes 时只返回开头部分
+   */
+  async getValue(params) {
+    const keys = await this.resolveKeys(params);
+    const index = await this.browser.getIndex(this.filePath);
+    const entry = await index.lookup(keys);
+    if (!entry) {
+      throw new HTTPError(404, `路径不存在: ${params.get("path")}`);
+    }
+
+    const bytes = entry.end - entry.start;
+    let text = await index.readText(entry.start, entry.end, this.maxValueBytes);
+    if (bytes <= this.maxValueBytes) {
+      // 以原始文本保留数字，避免大整数和高精度小数被舍入
+      text = stringifyJSON(parseJSON(text, { numbers: "string" }), "  ");
+    }
+
+    return {
+      path: params.get("path") ?? "$",
+      bytes,
+      truncated: bytes > this.maxValueBytes,
+      text,
+    };
+  }
+
+  async search(params) {
+    const text = params.get("q")?.trim();
+    if (!text) {
+      throw new HTTPError(400, "缺少搜索内容 q");
+    }
+    const limit = Math.min(
+      integerParam(params, "limit", 100),
+      this.maxPageSize,
+    );
+    const types = params.get("type");
+    let results;
+    try {
+      results = this.browser.search(this.filePath, parseSearchQuery(text), {
+        target: params.get("target") || "all",
+        exact: params.get("exact") === "1",
+        caseSensitive: params.get("case") === "1",
+        types: types ? types.split(",") : undefined,
+        numbers: "string", // 保持大数字的原文
+      });
+    } catch (error) {
+      throw new HTTPError(400, error.message);
+    }
+
+    // 多读一个结果来判断是否还有更多，之后停止扫描
+    const found = [];
+    for await (const result of results) {
+      if (found.length === limit) {
+        return { query: text, results: found, more: true };
+      }
+      found.push({ ...result, pointer: toJSONPointer(result.keys) });
+    }
+    return { query: text, results: found, more: false };
+  }
+
+  async resolveKeys(params) {
+    try {
+      return await this.browser.resolveKeys(
+        this.filePath,
+        params.get("path") ?? "",
+      );
+    } catch (error) {
+      throw new HTTPError(400, error.message);
+    }
+  }
+}
+
+class HTTPError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HTTPError";
+    this.status = status;
+  }
+}
+
+function integerParam(params, name, defaultValue) {
+  const text = params.get(name);
+  if (text === null || text === "") {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new HTTPError(400, `${name} 必须是非负整数: ${text}`);
+  }
+  return Number(text);
+}
+
+function send(response, status, contentType, body) {
+  response.writeHead(status, {
+    "Content-Type": contentType,
+    "Content-Length": Buffer.byteLength(body),
+    "Cache-Control": "no-store",
+  });
+  response.end(body);
+}
+
+function sendJSON(response, status, data) {
+  send(
+    response,
+    status,
+    "application/json; charset=utf-8",
+    stringifyJSON(data),
+  );
+}
+
+// 网页前端：只使用浏览器自带的接口，所有文本都通过 textContent 写入
+const PAGE = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>JSON 浏览器</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 system-ui, sans-serif; color: #222;
+    display: flex; flex-direction: column; height: 100vh; }
+  header { display: flex; gap: 12px; align-items: center; padding: 8px 12px;
+    border-bottom: 1px solid #ddd; background: #f6f8fa; }
+  header h1 { font-size: 16px; margin: 0; white-space: nowrap; }
+  header form { display: flex; gap: 4px; }
+  header input { width: 260px; padding: 3px 6px; }
+  #info { color: #666; margin-right: auto; }
+  main { flex: 1; display: flex; min-height: 0; }
+  #tree { width: 50%; overflow: auto; padding: 8px 0; border-right: 1px solid #ddd; }
+  #detail { flex: 1; overflow: auto; padding: 12px; }
+  ul { list-style: none; margin: 0; padding-left: 18px; }
+  #tree > ul { padding-left: 8px; }
+  .row { display: flex; gap: 6px; padding: 1px 4px; cursor: pointer;
+    white-space: nowrap; font-family: ui-monospace, monospace; }
+  .row:hover { background: #f0f4f8; }
+  .row.selected { background: #dbeafe; }
+  .toggle { width: 1em; color: #888; }
+  .key { color: #0550ae; }
+  .summary { color: #666; overflow: hidden; text-overflow: ellipsis; }
+  .string { color: #0a3069; }
+  .number { color: #953800; }
+  .boolean, .null { color: #8250df; }
+  .more { margin: 2px 0 2px 22px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0 0 12px; }
+  dt { color: #666; }
+  dd { margin: 0; font-family: ui-monospace, monospace; word-break: break-all; }
+  pre { margin: 0; padding: 8px; background: #f6f8fa; border: 1px solid #ddd;
+    white-space: pre-wrap; word-break: break-all; }
+  .actions { display: flex; gap: 6px; margin-bottom: 12px; }
+  .error { color: #cf222e; }
+  #results li { display: flex; gap: 6px; padding: 2px 0;
+    font-family: ui-monospace, monospace; }
+  #results a { color: #0550ae; cursor: pointer; }
+</style>
+</head>
+<body>
+<header>
+  <h1>JSON 浏览器</h1>
+  <span id="info"></span>
+  <form id="goto"><input name="path" placeholder="JSONPath 或 JSON Pointer"><button>打开</button></form>
+  <form id="search">
+    <input name="q" placeholder="搜索键名和值，/正则/ 或 >= 100">
+    <select name="target"><option value="all">键名和值</option><option value="keys">只搜键名</option><option value="values">只搜值</option></select>
+    <label><input type="checkbox" name="exact">完全匹配</label>
+    <label><input type="checkbox" name="case">区分大小写</label>
+    <button>搜索</button>
+  </form>
+</header>
+<main>
+  <div id="tree"></div>
+  <div id="detail"></div>
+</main>
+<script>
+const tree = document.getElementById("tree");
+const detail = document.getElementById("detail");
+let pageSize = 100;
+let selectedRow = null;
+
+async function api(name, params) {
+  const response = await fetch("/api/" + name + "?" + new URLSearchParams(params));
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error);
+  }
+  return data;
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+  return (unit ? bytes.toFixed(1) : bytes) + " " + units[unit];
+}
+
+function summaryText(node) {
+  if (node.type === "array") return "[" + node.count.toLocaleString() + "]";
+  if (node.type === "object") return "{" + node.count.toLocaleString() + "}";
+  return node.text;
+}
+
+function keyLabel(node) {
+  if (node.key === null) return "$";
+  return typeof node.key === "number" ? "[" + node.key + "]" : node.key;
+}
+
+function isContainer(node) {
+  return node.type === "object" || node.type === "array";
+}
+
+function createItem(node) {
+  const item = element("li");
+  const row = element("div", "row");
+  const toggle = element("span", "toggle", isContainer(node) && node.count > 0 ? "▸" : "");
+  row.append(
+    toggle,
+    element("span", "key", keyLabel(node)),
+    element("span", "summary " + node.type, summaryText(node)),
+  );
+  item.append(row);
+
+  row.addEventListener("click", () => {
+    select(row, node);
+    if (isContainer(node) && node.count > 0) {
+      const list = item.querySelector(":scope > ul");
+      if (list) {
+        list.remove();
+        toggle.textContent = "▸";
+      } else {
+        toggle.textContent = "▾";
+        expand(item, node, 0);
+      }
+    }
+  });
+  return item;
+}
+
+async function expand(item, node, offset) {
+  let list = item.querySelector(":scope > ul");
+  if (!list) {
+    list = element("ul");
+    item.append(list);
+  }
+  list.querySelector(":scope > .more")?.remove();
+  try {
+    const page = await api("node", { path: node.path, offset, limit: pageSize });
+    for (const child of page.children) {
+      list.append(createItem(child));
+    }
+    const loaded = offset + page.children.length;
+    if (loaded < page.count) {
+      const more = element("li", "more");
+      const button = element("button", "", "加载更多（还有 " + (page.count - loaded).toLocaleString() + " 个）");
+      button.addEventListener("click", () => expand(item, node, loaded));
+      more.append(button);
+      if (node.type === "array") {
+        const jump = element("input");
+        jump.type = "number";
+        jump.min = 0;
+        jump.max = page.count - 1;
+        jump.placeholder = "跳到下标";
+        jump.addEventListener("change", () => {
+          list.replaceChildren();
+          expand(item, node, Math.max(0, Math.min(Number(jump.value), page.count - 1)));
+        });
+        more.append(" ", jump);
+      }
+      list.append(more);
+    }
+  } catch (error) {
+    list.append(element("li", "error", error.message));
+  }
+}
+
+async function select(row, node) {
+  selectedRow?.classList.remove("selected");
+  selectedRow = row;
+  row?.classList.add("selected");
+
+  detail.replaceChildren();
+  const fields = element("dl");
+  const addField = (name, value) => fields.append(element("dt", "", name), element("dd", "", value));
+  addField("JSONPath", node.path);
+  addField("JSON Pointer", node.pointer || "（根）");
+  addField("类型", node.type + (isContainer(node) ? "，" + node.count.toLocaleString() + (node.type === "array" ? " 个元素" : " 个键") : ""));
+  if (node.start !== null) {
+    addField("字节", node.start.toLocaleString() + " - " + node.end.toLocaleString() + "（" + formatBytes(node.end - node.start) + "）");
+  }
+
+  const actions = element("div", "actions");
+  const pre = element("pre", "", "读取中…");
+  const copyButton = (label, text) => {
+    const button = element("button", "", label);
+    button.addEventListener("click", async () => {
+      try {
+        // 只有通过 localhost 或 HTTPS 打开的页面可以写入剪贴板
+        await navigator.clipboard.writeText(typeof text === "function" ? text() : text);
+        button.textContent = "已复制";
+      } catch {
+        button.textContent = "复制失败";
+      }
+      setTimeout(() => (button.textContent = label), 1000);
+    });
+    return button;
+  };
+  actions.append(
+    copyButton("复制 JSONPath", node.path),
+    copyButton("复制 JSON Pointer", node.pointer),
+    copyButton("复制值", () => pre.textContent),
+  );
+  detail.append(fields, actions, pre);
+
+  try {
+    const value = await api("value", { path: node.path });
+    pre.textContent = value.text;
+    if (value.truncated) {
+      detail.insertBefore(element("p", "", "值较大（" + formatBytes(value.bytes) + "），只显示开头部分"), pre);
+    }
+  } catch (error) {
+    pre.className = "error";
+    pre.textContent = error.message;
+  }
+}
+
+async function openPath(path) {
+  try {
+    const node = await api("node", { path, limit: 0 });
+    select(null, node);
+  } catch (error) {
+    detail.replaceChildren(element("p", "error", error.message));
+  }
+}
+
+document.getElementById("goto").addEventListener("submit", (event) => {
+  event.preventDefault();
+  openPath(event.target.path.value.trim());
+});
+
+document.getElementById("search").addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const form = event.target;
+  const q = form.q.value.trim();
+  if (!q) return;
+  const params = { q, target: form.target.value };
+  if (form.exact.checked) params.exact = 1;
+  if (form.case.checked) params.case = 1;
+  detail.replaceChildren(element("p", "", "搜索中…"));
+  try {
+    const data = await api("search", params);
+    const list = element("ul");
+    list.id = "results";
+    for (const result of data.results) {
+      const item = element("li");
+      const link = element("a", "", result.path);
+      link.addEventListener("click", () => openPath(result.path));
+      const value = result.value === undefined ? result.type : JSON.stringify(result.value);
+      item.append(
+        element("span", "key", result.match === "key" ? "键" : "值"),
+        link,
+        element("span", "summary " + result.type, value),
+      );
+      list.append(item);
+    }
+    const count = data.results.length + (data.more ? "+" : "");
+    const note = data.more ? "，只显示前 " + data.results.length + " 个" : "";
+    detail.replaceChildren(element("p", "", "找到 " + count + " 个结果" + note), list);
+  } catch (error) {
+    detail.replaceChildren(element("p", "error", error.message));
+  }
+});
+
+(async () => {
+  try {
+    const info = await api("info", {});
+    pageSize = info.pageSize;
+    document.title = info.name + " - JSON 浏览器";
+    document.getElementById("info").textContent = info.name + "（" + formatBytes(info.size) + "）";
+    const root = await api("node", { path: "", limit: 0 });
+    const list = element("ul");
+    const item = createItem(root);
+    list.append(item);
+    tree.append(list);
+    item.querySelector(".row").click();
+  } catch (error) {
+    tree.append(element("p", "error", error.message));
+  }
+})();
+</script>
+</body>
+</html>
+`;
+
+if (import.meta.main) {
+  const args = process.argv.slice(2);
+  const option = (name, defaultValue) => {
+    const position = args.indexOf(name);
+    return position >= 0 ? args[position + 1] : defaultValue;
+  };
+  const filePath = args.find((arg, position) =>
+    !arg.startsWith("--") && !args[position - 1]?.startsWith("--")
+  );
+  if (!filePath) {
+    console.log(
+      "用法: node json-web-server.js <json文件路径> [--port 8080] [--host 127.0.0.1]",
+    );
+    console.log("示例: node json-web-server.js openapi.json --port 3000");
+    process.exit(1);
+  }
+
+  const server = new JSONWebServer(filePath);
+  server.listen(Number(option("--port", 8080)), option("--host", "127.0.0.1"))
+    .then(
+      (url) => {
+        console.log(`🌐 正在浏览 ${filePath}: ${url}`);
+        console.log("按 Ctrl+C 停止");
+      },
+      (error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      },
+    );
+}
@@ -1,10 +1,13 @@
 import fs from "fs";
 import path from "path";
+import { parseJSON } from "./json-values.js";
+import { checkDuplicateKeyPolicy } from "./json-duplicate-keys.js";
 
 /**
  * 合并JSON文件工具
  * 将指定目录中的所有JSON文件合并成一个文件
  * 文件名作为key，文件内容作为value
+ * 文件中重复的键按 duplicateKeys 选项处理，见 json-duplicate-keys.js
  */
 
 class JsonMerger {
@@ -14,8 +17,10 @@ class JsonMerger {
       outputFile: "merged_output.json",
       excludeFiles: ["merged_output.json", "package.json"],
       verbose: false,
+      duplicateKeys: "last-wins",
       ...options,
     };
+    checkDuplicateKeyPolicy(this.options.duplicateKeys);
 
     this.stats = {
       totalFiles: 0,
@@ -62,7 +67,7 @@ class JsonMerger {
           path.join(this.options.inputDir, file),
           "utf8",
         );
-        JSON.parse(content);
+        this.parseContent(content);
         validFiles.push(file);
       } catch (error) {
         invalidFiles.push({ file, error: error.message });
@@ -79,6 +84,13 @@ class JsonMerger {
     return { validFiles, invalidFiles };
   }
 
+  /**
+   * 解析文件内容，duplicateKeys 为 "error" 时含有重复键的文件视为非法
+   */
+  parseContent(content) {
+    return parseJSON(content, { duplicateKeys: this.options.duplicateKeys });
+  }
+
   /**
    * 合并JSON文件
    */
@@ -92,7 +104,7 @@ class JsonMerger {
       try {
         const filePath = path.join(this.options.inputDir, file);
         const content = fs.readFileSync(filePath, "utf8");
-        const jsonData = JSON.parse(content);
+        const jsonData = this.parseContent(content);
 
         // 使用文件名（不带扩展名）作为key
         const key = path.basename(file, ".json");
@@ -179,6 +191,8 @@ function main() {
       options.outputFile = args[++i];
     } else if (args[i] === "-d" || args[i] === "--dir") {
       options.inputDir = args[++i];
+    } else if (args[i] === "--duplicate-keys") {
+      options.duplicateKeys = args[++i];
     } else if (args[i] === "-h" || args[i] === "--help") {
       showHelp();
       process.exit(0);
@@ -204,6 +218,9 @@ function showHelp() {
   -v, --verbose      显示详细处理过程
   -o, --output FILE  指定输出文件名 (默认: merged_output.json)
   -d, --dir DIR      指定输入目录 (默认: 当前目录)
+  --duplicate-keys POLICY
+                     重复键的处理方式: last-wins (默认)、first-wins、
+                     collect-as-array、error
   -h, --help         显示帮助信息
 
 示例:
@@ -211,6 +228,7 @@ function showHelp() {
   node merge-json-files.js -v                 # 显示详细过程
   node merge-json-files.js -o result.json    # 指定输出文件
   node merge-json-files.js -d ./data         # 指定输入目录
+  node merge-json-files.js --duplicate-keys error  # 含有重复键的文件视为非法
 
 功能:
   - 自动扫描目录中的所有JSON文件
@@ -222,15 +240,8 @@ function showHelp() {
 }
 
 // 如果直接运行此文件
-if (process.argv[1] && process.argv[1].endsWith("merge-json-files.js")) {
-  main();
-} else if (!process.argv[1]) {
-  // 直接运行时没有参数
+if (import.meta.main) {
   main();
-} else {
-  console.log("📋 JSON文件合并工具 - 使用方法:");
-  console.log("  node merge-json-files.js [选项]");
-  console.log("  node merge-json-files.js --help  查看详细帮助");
 }
 
 export { JsonMerger };
@@ -0,0 +1,120 @@
+import { createJSONReadStream } from "./compression.js";
+import { checkNumberMode, parseJSON } from "./json-values.js";
+import { checkDuplicateKeyPolicy } from "./json-duplicate-keys.js";
+
+/**
+ * NDJSON / JSON Lines 读取
+ *
+ * 按字节流逐行切分，每行单独解析，内存占用只取决于最长的一行。
+ * 空行会被忽略，行尾的 \r 会被去掉。
+ */
+
+/**
+ * NDJSON 中某一行不是合法 JSON 时的错误
+ */
+export class NDJSONError extends SyntaxError {
+  constructor(message, { line, position, text }) {
+    super(`第 ${line} 行: ${message} (字节偏移 ${position})`);
+    this.name = "NDJSONError";
+    this.line = line;
+    this.position = position;
+    this.text = text;
+  }
+}
+
+/**
+ * 逐行读取 NDJSON 文件
+ *
+ * 默认跳过无法解析的行并通过 onError 报告（未提供时输出警告），
+ * strict 模式下遇到第一个错误即抛出 NDJSONError。
+ * @param {string} filePath - 文件路径（支持压缩文件）
+ * @param {object} options - 配置选项
+ * @param {boolean} [options.strict=false] - 遇到无效行时是否抛出错误
+ * @param {function(NDJSONError): void} [options.onError] - 无效行的回调
+ * @param {number} [options.highWaterMark=65536] - 读取缓冲区大小
+ * @param {string} [options.numbers="number"] - 数字模式（number、bigint、string），见 json-values.js
+ * @param {string} [options.duplicateKeys="last-wins"] - 重复键的处理方式，为 "error" 时含有重复键的行按无效行处理
+ * @returns {AsyncGenerator<{value: *, line: number, position: number}>} - line 从 1 开始，position 为该行起始的字节偏移
+ */
+export async function* readNDJSON(filePath, options = {}) {
+  const {
+    strict = false,
+    onError = (error) => console.warn(`跳过无效的行: ${error.message}`),
+    highWaterMark = 64 * 1024,
+  } = options;
+  const numbers = checkNumberMode(options.numbers);
+  const duplicateKeys = checkDuplicateKeyPolicy(options.duplicateKeys);
+
+  const stream = createJSONReadStream(filePath, { highWaterMark });
+  let pending = [];
+  let lineNumber = 0;
+  let lineStart = 0; // 当前行起始的字节偏移
+
+  const parseLine = (buffer) => {
+    lineNumber++;
+    const position = lineStart;
+    lineStart += buffer.length + 1;
+
+    let text = buffer.toString("utf8");
+    if (lineNumber === 1 && text.charCodeAt(0) === 0xfeff) {
+      text = text.slice(1);
+    }
+    if (text.endsWith("\r")) {
+      text = text.slice(0, -1);
+    }
+    if (text.trim() === "") {
+      return null;
+    }
+
+    try {
+      return {
+        value: parseJSON(text, { numbers, duplicateKeys }),
+        line: lineNumber,
+        position,
+      };
+    } catch (error) {
+      const lineError = new NDJSONError(error.message, {
+        line: lineNumber,
+        position,
+        text,
+      });
+      if (strict) {
+        throw lineError;
+      }
+      onError(lineError);
+      return null;
+    }
+  };
+
+  try {
+    for await (const data of stream) {
+      let start = 0;
+      let newline = data.indexOf(0x0a);
+
+      while (newline !== -1) {
+        pending.push(data.subarray(start, newline));
+        const record = parseLine(Buffer.concat(pending));
+        pending = [];
+        if (record) {
+          yield record;
+        }
+        start = newline + 1;
+        newline = data.indexOf(0x0a, start);
+      }
+
+      if (start < data.length) {
+        pending.push(data.subarray(start));
+      }
+    }
+
+    // 最后一行可以没有换行符
+    if (pending.length > 0) {
+      const record = parseLine(Buffer.concat(pending));
+      if (record) {
+        yield record;
+      }
+    }
+  } finally {
+    stream.destroy();
+  }
+}
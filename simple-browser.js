@@ -1,4 +1,6 @@
 import LargeJSONHandler from "./index.js";
+import JSONSearch from "./json-search.js";
+import { stringifyJSON } from "./json-values.js";
 
 class SimpleJSONBrowser {
   constructor(options = {}) {
@@ -52,73 +54,50 @@ class SimpleJSONBrowser {
   }
 
   /**
-   * 搜索 JSON 中的特定键
+   * 搜索 JSON 中的特定键，匹配项边找边显示，只保留前 limit 个
+   * @param {string} filePath - 文件路径
+   * @param {string} searchTerm - 键名中包含的文本
+   * @param {number} [limit=20] - 显示和返回的最大匹配数，之后的匹配只计数
+   * @returns {Promise<{count: number, results: Array<object>}>} - count 为匹配总数
    */
-  async searchKey(filePath, searchTerm) {
+  async searchKey(filePath, searchTerm, limit = 20) {
     console.log(`🔍 搜索 "${searchTerm}":\n`);
 
-    let results = [];
-    let buffer = "";
-    let lineCount = 0;
-
-    for await (
-      const { chunk } of this.jsonHandler.readJSONInChunks(filePath, {
-        chunkSize: this.maxChunkSize * 2,
-      })
-    ) {
-      buffer += chunk;
-      lineCount++;
-
-      // 搜索匹配的键
-      const lines = chunk.split("\n");
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const keyMatch = line.match(/"([^"]+)"\s*:/);
-        if (keyMatch) {
-          const key = keyMatch[1];
-          if (key.toLowerCase().includes(searchTerm.toLowerCase())) {
-            // 提取值的一部分
-            const valueMatch = line.match(/:\s*"([^"]*)"/);
-            let value = "";
-            if (valueMatch) {
-              value = valueMatch[1].substring(0, 50) +
-                (valueMatch[1].length > 50 ? "..." : "");
-            }
-
-            results.push({
-              key: key,
-              value: value,
-              line: lineCount - lines.length + i + 1,
-            });
-          }
-        }
+    const results = [];
+    let count = 0;
+    const search = new JSONSearch(searchTerm, { target: "keys" });
+    for await (const result of search.search(filePath)) {
+      count++;
+      if (count > limit) {
+        continue;
       }
 
-      // 限制结果数量
-      if (results.length >= 20) {
-        break;
-      }
-
-      // 清理缓冲区
-      if (buffer.length > 20000) {
-        buffer = buffer.slice(-10000);
+      results.push({
+        key: result.keys[result.keys.length - 1],
+        path: result.path,
+        offset: result.offset,
+        type: result.type,
+        value: result.value,
+      });
+      console.log(`  ${count}. ${result.path} (字节 ${result.offset})`);
+      if (result.value !== undefined) {
+        const value = stringifyJSON(result.value);
+        console.log(
+          `     值: ${value.substring(0, 50)}${value.length > 50 ? "..." : ""}`,
+        );
       }
     }
 
-    if (results.length === 0) {
+    if (count === 0) {
       console.log("❌ 未找到匹配的键");
-      return [];
-    }
-
-    console.log(`✅ 找到 ${results.length} 个匹配项:`);
-    results.forEach((result, index) => {
-      console.log(`  ${index + 1}. "${result.key}" (行 ${result.line})`);
-      if (result.value) {
-        console.log(`     值: "${result.value}"`);
+    } else {
+      if (count > limit) {
+        console.log(`  ... 还有 ${count - limit} 个`);
       }
-    });
+      console.log(`✅ 共找到 ${count} 个匹配项`);
+    }
 
-    return results;
+    return { count, results };
   }
 
   /**
@@ -312,7 +291,9 @@ async function runSimpleBrowserExample() {
   console.log("\n✅ 示例完成！");
 }
 
-// 运行示例
-runSimpleBrowserExample().catch(console.error);
+// 如果直接运行此文件，执行示例
+if (import.meta.main) {
+  runSimpleBrowserExample().catch(console.error);
+}
 
 export default SimpleJSONBrowser;
@@ -3,6 +3,13 @@ import streamJson from "stream-json";
 import streamValuesModule from "stream-json/streamers/StreamValues.js";
 import fs from "fs";
 import path from "path";
+import { createJSONReadStream } from "./compression.js";
+import { attachDiagnostic, formatDiagnostic } from "./json-diagnostics.js";
+import {
+  DuplicateKeyDetector,
+  formatDuplicateKeyReport,
+  locateDuplicateKeys,
+} from "./json-duplicate-keys.js";
 
 class StreamJSONAnalyzer {
   constructor() {
@@ -16,6 +23,7 @@ class StreamJSONAnalyzer {
       nulls: 0,
       keyFrequency: new Map(),
       paths: new Map(),
+      duplicateKeys: { count: 0, duplicates: [] },
       maxDepth: 0,
       processingTime: 0,
     };
@@ -32,9 +40,15 @@ class StreamJSONAnalyzer {
 
     return new Promise((resolve, reject) => {
       try {
+        const duplicates = new DuplicateKeyDetector();
         const pipeline = streamChain.chain([
-          fs.createReadStream(filePath),
-          streamJson.parser(),
+          createJSONReadStream(filePath),
+          streamJson.parser({ jsonStreaming: true }),
+          (token) => {
+            // Detect duplicate keys while parsing
+            duplicates.write(token);
+            return token;
+          },
           new streamValuesModule(),
         ]);
 
@@ -53,15 +67,34 @@ class StreamJSONAnalyzer {
           }
         });
 
-        pipeline.on("end", () => {
+        pipeline.on("end", async () => {
+          try {
+            this.stats.duplicateKeys = await locateDuplicateKeys(
+              filePath,
+              duplicates,
+              { multipleValues: true },
+            );
+          } catch (error) {
+            reject(error);
+            return;
+          }
           this.stats.processingTime = Date.now() - startTime;
           const report = this.generateReport(filePath);
           console.log(`✅ Analysis complete: ${this.stats.processingTime}ms`);
           resolve(report);
         });
 
-        pipeline.on("error", (error) => {
-          console.error("❌ Stream processing error:", error);
+        pipeline.on("error", async (error) => {
+          const diagnostic = await attachDiagnostic(filePath, error, {
+            multipleValues: true,
+          });
+          if (diagnostic) {
+            console.error(
+              `❌ JSON syntax error:\n${formatDiagnostic(diagnostic)}`,
+            );
+          } else {
+            console.error("❌ Stream processing error:", error);
+          }
           reject(error);
         });
       } catch (error) {
@@ -230,6 +263,11 @@ class StreamJSONAnalyzer {
       });
     }
 
+    // Duplicate keys
+    report += formatDuplicateKeyReport(this.stats.duplicateKeys, {
+      language: "en",
+    });
+
     // Performance metrics
     report += `## ⚡ Performance Metrics\n\n`;
     report += `- **Processing Time:** ${this.stats.processingTime}ms\n`;
@@ -322,6 +360,7 @@ class StreamJSONAnalyzer {
             nulls: 0,
             keyFrequency: new Map(),
             paths: new Map(),
+            duplicateKeys: { count: 0, duplicates: [] },
             maxDepth: 0,
             processingTime: 0,
           };
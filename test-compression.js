@@ -0,0 +1,168 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import zlib from "zlib";
+import {
+  createJSONReadStream,
+  createJSONWriteStream,
+  detectCompression,
+} from "./compression.js";
+import LargeJSONHandler from "./index.js";
+import TestHarness from "./test-harness.js";
+
+const CONTENT = JSON.stringify({ items: [1, 2, 3], name: "压缩" });
+
+const COMPRESSORS = {
+  gzip: { extension: ".gz", compress: zlib.gzipSync },
+  deflate: { extension: ".zz", compress: zlib.deflateSync },
+  br: { extension: ".br", compress: zlib.brotliCompressSync },
+};
+
+export default class CompressionTester extends TestHarness {
+  constructor() {
+    super();
+    this.handler = new LargeJSONHandler();
+  }
+
+  async read(filePath, options) {
+    const chunks = [];
+    for await (const chunk of createJSONReadStream(filePath, options)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  }
+
+  async testDetect() {
+    console.log("\n=== 识别压缩格式 ===");
+
+    await this.check("按文件头识别 gzip 和 deflate", async () => {
+      const gzip = await this.writeFile("a.json", zlib.gzipSync(CONTENT));
+      assert.equal(await detectCompression(gzip), "gzip");
+      const deflate = await this.writeFile("b.json", zlib.deflateSync(CONTENT));
+      assert.equal(await detectCompression(deflate), "deflate");
+      const br = await this.writeFile(
+        "c.json.br",
+        zlib.brotliCompressSync(CONTENT),
+      );
+      assert.equal(await detectCompression(br), "br");
+    });
+
+    await this.check("碰巧满足 zlib 校验和的 JSON 按未压缩处理", async () => {
+      // "80" 的两个字节 0x38 0x30 能被 31 整除，但设置了 FDICT 位
+      const number = await this.writeFile("80.json", "80");
+      assert.equal(await detectCompression(number), null);
+      assert.equal(await this.read(number), "80");
+      const lines = await this.writeFile("80.ndjson", "80\n81\n");
+      assert.equal(await detectCompression(lines), null);
+      const empty = await this.writeFile("empty.json", "");
+      assert.equal(await detectCompression(empty), null);
+      assert.equal(await this.read(empty), "");
+    });
+
+    await this.check(".zz 扩展名时按 deflate 解压", async () => {
+      const filePath = await this.writeFile("80.zz", "80");
+      assert.equal(await detectCompression(filePath), "deflate");
+      await assert.rejects(this.read(filePath), /unexpected end of file/);
+    });
+  }
+
+  async testRead() {
+    console.log("\n=== 读取 ===");
+
+    await this.check("各种格式透明解压，记录压缩格式", async () => {
+      for (const compression of Object.keys(COMPRESSORS)) {
+        const { extension, compress } = COMPRESSORS[compression];
+        const filePath = await this.writeFile(
+          `data.json${extension}`,
+          compress(CONTENT),
+        );
+        const stream = createJSONReadStream(filePath);
+        const chunks = [];
+        for await (const chunk of stream) {
+          chunks.push(chunk);
+        }
+        assert.equal(Buffer.concat(chunks).toString(), CONTENT, compression);
+        assert.equal(stream.compression, compression);
+      }
+    });
+
+    await this.check("很小的缓冲区与默认缓冲区的结果相同", async () => {
+      const plain = await this.writeFile("plain.json", CONTENT);
+      assert.equal(await this.read(plain, { highWaterMark: 1 }), CONTENT);
+      const gzip = await this.writeFile("small.gz", zlib.gzipSync(CONTENT));
+      assert.equal(await this.read(gzip, { highWaterMark: 1 }), CONTENT);
+    });
+
+    await this.check("文件不存在时通过流报告错误", async () => {
+      const stream = createJSONReadStream(`${this.directory}/missing.json`);
+      await assert.rejects(stream.toArray(), { code: "ENOENT" });
+    });
+  }
+
+  async testWrite() {
+    console.log("\n=== 写入 ===");
+
+    await this.check("按扩展名压缩，读回的内容不变", async () => {
+      for (const [compression, { extension }] of Object.entries(COMPRESSORS)) {
+        const filePath = `${this.directory}/out.json${extension}`;
+        const { stream, done } = createJSONWriteStream(filePath);
+        stream.end(CONTENT);
+        await done;
+        assert.equal(await detectCompression(filePath), compression);
+        assert.equal(await this.read(filePath), CONTENT);
+      }
+    });
+
+    await this.check("显式指定压缩格式", async () => {
+      const filePath = `${this.directory}/explicit.json`;
+      const { stream, done } = createJSONWriteStream(filePath, {
+        compression: "br",
+      });
+      stream.end(CONTENT);
+      await done;
+      const content = await fs.readFile(filePath);
+      assert.equal(zlib.brotliDecompressSync(content).toString(), CONTENT);
+
+      const plainPath = `${this.directory}/plain.json.gz`;
+      const plain = createJSONWriteStream(plainPath, { compression: null });
+      plain.stream.end(CONTENT);
+      await plain.done;
+      assert.equal(await fs.readFile(plainPath, "utf8"), CONTENT);
+    });
+
+    await this.check("gzip 可以追加写入，其它格式不行", async () => {
+      const filePath = `${this.directory}/append.ndjson.gz`;
+      await this.handler.writeNDJSON(filePath, [{ a: 1 }]);
+      await this.handler.writeNDJSON(filePath, [{ a: 2 }], { append: true });
+      assert.equal(await this.read(filePath), '{"a":1}\n{"a":2}\n');
+      assert.throws(
+        () => createJSONWriteStream(`${this.directory}/x.br`, { flags: "a" }),
+        /br 格式不支持追加写入/,
+      );
+    });
+
+    await this.check("writeJSONInChunks 写入压缩文件", async () => {
+      const value = { items: Array.from({ length: 200 }, (_, id) => ({ id })) };
+      for (const { extension } of Object.values(COMPRESSORS)) {
+        const filePath = `${this.directory}/chunks.json${extension}`;
+        await this.handler.writeJSONInChunks(filePath, value, {
+          chunkSize: 100,
+        });
+        assert.deepEqual(JSON.parse(await this.read(filePath)), value);
+      }
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("compression-", async () => {
+      await this.testDetect();
+      await this.testRead();
+      await this.testWrite();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await CompressionTester.main();
+}
@@ -0,0 +1,356 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import path from "path";
+import zlib from "zlib";
+import LargeJSONHandler, { DownloadError } from "./index.js";
+import TestHarness from "./test-harness.js";
+
+/**
+ * 用本地 HTTP 服务器检查 downloadJSON 的断点续传和重试
+ *
+ * 服务器支持 Range 和 If-Range 请求；actions 中的动作按请求顺序依次执行：
+ * "truncate" 发送一半内容后断开连接，数字表示直接返回该状态码，对象表示原样
+ * 返回其中的 body 和 headers。设置 encoding 后，请求的 Accept-Encoding
+ * 包含该格式时完整内容以压缩形式发送。
+ */
+const ENCODERS = {
+  gzip: zlib.gzipSync,
+  deflate: zlib.deflateSync,
+  br: zlib.brotliCompressSync,
+};
+
+export default class DownloadTester extends TestHarness {
+  constructor() {
+    super();
+    this.handler = new LargeJSONHandler();
+    this.requests = [];
+    this.actions = [];
+    this.setContent({
+      items: Array.from({ length: 5000 }, (_, id) => ({ id })),
+    });
+  }
+
+  check(name, test) {
+    this.requests = [];
+    this.actions = [];
+    this.encoding = null;
+    return super.check(name, test);
+  }
+
+  setContent(value) {
+    this.body = Buffer.from(JSON.stringify(value));
+    this.etag = `"${this.body.length}-${Date.now()}"`;
+  }
+
+  handle(request, response) {
+    this.requests.push({
+      range: request.headers.range ?? null,
+      ifRange: request.headers["if-range"] ?? null,
+      acceptEncoding: request.headers["accept-encoding"] ?? null,
+    });
+    const action = this.actions.shift();
+    if (typeof action === "number") {
+      response.writeHead(action).end();
+      return;
+    }
+    if (typeof action === "object") {
+      response.writeHead(200, {
+        "Content-Type": "application/json",
+        "Content-Length": action.body.length,
+        ...action.headers,
+      }).end(action.body);
+      return;
+    }
+
+    const match = /^bytes=(\d+)-$/.exec(request.headers.range ?? "");
+    const ifRange = request.headers["if-range"];
+    // If-Range 与当前 ETag 不一致时忽略 Range，返回完整内容
+    const start = match && (!ifRange || ifRange === this.etag)
+      ? Number(match[1])
+      : 0;
+    const total = this.body.length;
+    if (start >= total && start > 0) {
+      response.writeHead(416, { "Content-Range": `bytes */${total}` }).end();
+      return;
+    }
+
+    let content = this.body.subarray(start);
+    const headers = {
+      "Content-Type": "application/json",
+      ETag: this.etag,
+    };
+    if (start > 0) {
+      headers["Content-Range"] = `bytes ${start}-${total - 1}/${total}`;
+    } else if (
+      this.encoding &&
+      request.headers["accept-encoding"]?.includes(this.encoding)
+    ) {
+      content = ENCODERS[this.encoding](content);
+      headers["Content-Encoding"] = this.encoding;
+    }
+    headers["Content-Length"] = content.length;
+    response.writeHead(start > 0 ? 206 : 200, headers);
+
+    if (action === "truncate") {
+      // 等客户端读完已发送的部分再断开，否则缓冲中的数据会随连接一起丢弃
+      response.write(
+        content.subarray(0, Math.floor(content.length / 2)),
+        () => setTimeout(() => request.socket.destroy(), 200),
+      );
+      return;
+    }
+    response.end(content);
+  }
+
+  download(options = {}, outputPath = this.outputPath) {
+    return this.handler.downloadJSON(this.url, outputPath, {
+      retryDelay: 10,
+      ...options,
+    });
+  }
+
+  async assertDownloaded() {
+    assert.deepEqual(await fs.readFile(this.outputPath), this.body);
+    await assert.rejects(
+      fs.access(`${this.outputPath}.download-state`),
+      { code: "ENOENT" },
+      "续传状态应在下载完成后删除",
+    );
+  }
+
+  async assertDiscarded() {
+    for (
+      const filePath of [this.outputPath, `${this.outputPath}.download-state`]
+    ) {
+      await assert.rejects(fs.access(filePath), { code: "ENOENT" }, filePath);
+    }
+  }
+
+  async testResume() {
+    console.log("\n=== 断点续传 ===");
+
+    await this.check("连接中断后重试，并通过 Range 继续", async () => {
+      this.actions = ["truncate"];
+      await this.download({ retries: 2 });
+      await this.assertDownloaded();
+
+      const half = Math.floor(this.body.length / 2);
+      assert.equal(this.requests.length, 2);
+      assert.equal(this.requests[1].range, `bytes=${half}-`);
+      assert.equal(this.requests[1].ifRange, this.etag);
+    });
+
+    await this.check("不重试时保留部分文件，再次调用从中断处继续", async () => {
+      this.actions = ["truncate"];
+      await assert.rejects(this.download({ retries: 0 }));
+      const { size } = await fs.stat(this.outputPath);
+      assert.equal(size, Math.floor(this.body.length / 2));
+
+      await this.download({ retries: 0 });
+      await this.assertDownloaded();
+      assert.equal(this.requests[1].range, `bytes=${size}-`);
+    });
+
+    await this.check("资源变化后重新下载完整内容", async () => {
+      this.actions = ["truncate"];
+      await assert.rejects(this.download({ retries: 0 }));
+
+      this.setContent({ changed: true, items: [1, 2, 3] });
+      await this.download({ retries: 0 });
+      await this.assertDownloaded();
+    });
+
+    await this.check("本地文件已经完整时不再下载", async () => {
+      this.actions = ["truncate"];
+      await assert.rejects(this.download({ retries: 0 }));
+      // 模拟最后一个请求写完文件后、删除续传状态前中断
+      await fs.writeFile(this.outputPath, this.body);
+
+      await this.download({ retries: 0 });
+      await this.assertDownloaded();
+      assert.equal(this.requests.length, 2);
+    });
+  }
+
+  async testRetry() {
+    console.log("\n=== 重试 ===");
+
+    await this.check("5xx 状态码按次数重试", async () => {
+      this.actions = [503, 502];
+      await this.download({ retries: 3 });
+      await this.assertDownloaded();
+      assert.equal(this.requests.length, 3);
+    });
+
+    await this.check("重试次数用尽后抛出最后的错误", async () => {
+      this.actions = [503, 503, 503, 503];
+      await assert.rejects(
+        this.download({ retries: 2 }),
+        (error) => error instanceof DownloadError && error.statusCode === 503,
+      );
+      assert.equal(this.requests.length, 3);
+    });
+
+    await this.check("4xx 状态码不重试", async () => {
+      this.actions = [404];
+      await assert.rejects(
+        this.download({ retries: 3 }),
+        (error) => error instanceof DownloadError && error.statusCode === 404,
+      );
+      assert.equal(this.requests.length, 1);
+    });
+
+    await this.check("文件系统错误不重试", async () => {
+      const outputPath = path.join(this.directory, "missing", "data.json");
+      await assert.rejects(this.download({ retries: 3 }, outputPath), {
+        code: "ENOENT",
+      });
+      assert.equal(this.requests.length, 1);
+    });
+
+    await this.check("连接被拒绝时重试", async () => {
+      const { port } = this.server.address();
+      const closed = http.createServer();
+      await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+      const closedPort = closed.address().port;
+      await new Promise((resolve) => closed.close(resolve));
+
+      const url = this.url.replace(`:${port}/`, `:${closedPort}/`);
+      let attempts = 0;
+      const warn = console.warn;
+      console.warn = () => attempts++;
+      try {
+        await assert.rejects(
+          this.handler.downloadJSON(url, this.outputPath, {
+            retries: 2,
+            retryDelay: 10,
+          }),
+          (error) =>
+            [error.code, ...(error.errors ?? []).map(({ code }) => code)]
+              .includes("ECONNREFUSED"),
+        );
+      } finally {
+        console.warn = warn;
+      }
+      assert.equal(attempts, 2);
+    });
+  }
+
+  async testCompression() {
+    console.log("\n=== 压缩传输 ===");
+
+    await this.check("解压后保存原始 JSON", async () => {
+      for (const encoding of Object.keys(ENCODERS)) {
+        this.encoding = encoding;
+        await this.download({ retries: 0, validate: true });
+        await this.assertDownloaded();
+      }
+      assert.equal(this.requests.length, 3);
+      assert.equal(this.requests[0].acceptEncoding, "gzip, deflate, br");
+    });
+
+    await this.check("compression 为 false 时不请求压缩", async () => {
+      this.encoding = "gzip";
+      await this.download({ retries: 0, compression: false });
+      await this.assertDownloaded();
+      assert.equal(this.requests[0].acceptEncoding, null);
+    });
+
+    await this.check("压缩传输中断后按解压后的长度续传未压缩内容", async () => {
+      this.encoding = "gzip";
+      this.actions = ["truncate"];
+      await assert.rejects(this.download({ retries: 0 }));
+      const { size } = await fs.stat(this.outputPath);
+      assert.ok(size > 0 && size < this.body.length);
+
+      await this.download({ retries: 0 });
+      await this.assertDownloaded();
+      assert.equal(this.requests[1].range, `bytes=${size}-`);
+      assert.equal(this.requests[1].acceptEncoding, "identity");
+    });
+  }
+
+  async testValidate() {
+    console.log("\n=== 校验下载内容 ===");
+
+    await this.check("拒绝 HTML 错误页", async () => {
+      const page = Buffer.from("<!DOCTYPE html><html>出错了</html>");
+      await fs.rm(this.outputPath, { force: true });
+      this.actions = [{ body: page, headers: { "Content-Type": "text/html" } }];
+      await assert.rejects(
+        this.download({ retries: 2, validate: true }),
+        /响应不是 JSON，Content-Type: text\/html/,
+      );
+      await this.assertDiscarded();
+
+      // Content-Type 声称是 JSON 时按内容拒绝
+      this.actions = [{ body: page }];
+      await assert.rejects(
+        this.download({ retries: 2, validate: true }),
+        /响应内容不是合法的 JSON/,
+      );
+      await this.assertDiscarded();
+      assert.equal(this.requests.length, 2);
+    });
+
+    await this.check("拒绝被截断和带有多余内容的响应", async () => {
+      for (const body of ['{"items":[1,2', '{"items":[]} <html>']) {
+        this.actions = [{ body: Buffer.from(body) }];
+        await assert.rejects(
+          this.download({ retries: 0, validate: true }),
+          /响应内容不是合法的 JSON/,
+          body,
+        );
+        await this.assertDiscarded();
+      }
+    });
+
+    await this.check("解压失败时删除文件和续传状态，不再重试", async () => {
+      const gzip = zlib.gzipSync(this.body);
+      const corrupt = [
+        // 压缩数据被截断，但 HTTP 传输完整
+        gzip.subarray(0, Math.floor(gzip.length / 2)),
+        Buffer.from("这不是 gzip"),
+      ];
+      for (const body of corrupt) {
+        this.actions = [{ body, headers: { "Content-Encoding": "gzip" } }];
+        await assert.rejects(this.download({ retries: 2 }), (error) => {
+          assert.ok(error instanceof DownloadError);
+          assert.match(error.message, /响应内容解压失败/);
+          assert.match(error.cause.code, /^Z_/);
+          return true;
+        });
+        await this.assertDiscarded();
+      }
+      assert.equal(this.requests.length, 2);
+    });
+  }
+
+  async testAll() {
+    this.server = http.createServer((request, response) =>
+      this.handle(request, response)
+    );
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}/data.json`;
+
+    try {
+      await this.inTemporaryDirectory("download-", async () => {
+        this.outputPath = path.join(this.directory, "data.json");
+        await this.testResume();
+        await this.testRetry();
+        await this.testCompression();
+        await this.testValidate();
+      });
+    } finally {
+      this.server.closeAllConnections();
+      await new Promise((resolve) => this.server.close(resolve));
+    }
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await DownloadTester.main();
+}
@@ -0,0 +1,79 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/**
+ * 检查脚本的公共部分
+ *
+ * 各个 test-*.js 继承此类并实现 testAll()：check() 运行一项检查并输出结果，
+ * inTemporaryDirectory() 在临时目录中运行一组检查，结束后删除该目录，
+ * report() 输出汇总。直接运行脚本时调用 main()，有失败时以非零状态退出。
+ */
+export default class TestHarness {
+  constructor() {
+    this.failures = 0;
+    this.directory = null; // inTemporaryDirectory() 创建的临时目录
+  }
+
+  /**
+   * 运行一项检查，抛出异常即为失败
+   * @param {string} name - 检查的名称
+   * @param {function(): (void|Promise<void>)} test - 检查
+   */
+  async check(name, test) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      this.failures++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 在新建的临时目录中运行，目录保存在 this.directory，结束后删除
+   * @param {string} prefix - 目录名的前缀
+   * @param {function(): Promise<*>} run
+   * @returns {Promise<*>} - run 的返回值
+   */
+  async inTemporaryDirectory(prefix, run) {
+    this.directory = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    try {
+      return await run();
+    } finally {
+      await fs.rm(this.directory, { recursive: true, force: true });
+      this.directory = null;
+    }
+  }
+
+  /**
+   * 在临时目录中写入文件
+   * @param {string} name - 文件名
+   * @param {string|Buffer} content - 内容
+   * @returns {Promise<string>} - 文件路径
+   */
+  async writeFile(name, content) {
+    const filePath = path.join(this.directory, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  /**
+   * 输出汇总
+   * @returns {boolean} - 是否全部通过
+   */
+  report() {
+    console.log(
+      this.failures === 0 ? "\n🎯 全部通过" : `\n⚠️  ${this.failures} 项失败`,
+    );
+    return this.failures === 0;
+  }
+
+  /**
+   * 运行 testAll()，有失败时以非零状态退出
+   */
+  static async main() {
+    const passed = await new this().testAll();
+    process.exit(passed ? 0 : 1);
+  }
+}
@@ -0,0 +1,218 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import InteractiveJSONBrowser from "./interactive-browser.js";
+import TestHarness from "./test-harness.js";
+
+const DATA = {
+  info: { title: "示例", version: "1.0" },
+  paths: { "/users": { get: { summary: "列出用户" } } },
+  items: [{ id: 1 }, { id: 2 }],
+  "a b": 1,
+};
+
+export default class InteractiveBrowserTester extends TestHarness {
+  /**
+   * 创建打开临时文件的浏览器，历史命令保存在临时目录中；
+   * 输出被丢弃，结束后关闭输入接口
+   */
+  async withBrowser(options, run) {
+    const browser = new InteractiveJSONBrowser({
+      historyFile: path.join(this.directory, "history"),
+      ...options,
+    });
+    browser.currentFile = this.filePath;
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+      return await run(browser);
+    } finally {
+      console.log = log;
+      console.error = error;
+      browser.rl.close();
+    }
+  }
+
+  async testComplete() {
+    console.log("\n=== Tab 补全 ===");
+
+    await this.check(
+      "第一个词补全命令",
+      () =>
+        this.withBrowser({}, async (browser) => {
+          assert.deepEqual(await browser.complete("c"), [
+            ["cd", "cat", "check"],
+            "c",
+          ]);
+          assert.deepEqual(await browser.complete("  t"), [
+            ["tree", "tui"],
+            "t",
+          ]);
+          assert.deepEqual(await browser.complete("ls i"), [[], "i"]);
+        }),
+    );
+
+    await this.check(
+      "cd 和 cat 的参数补全键名和下标",
+      () =>
+        this.withBrowser({}, async (browser) => {
+          assert.deepEqual(await browser.complete("cd i"), [
+            ["info", "items"],
+            "i",
+          ]);
+          assert.deepEqual(await browser.complete("cat info."), [
+            ["info.title", "info.version"],
+            "info.",
+          ]);
+          assert.deepEqual((await browser.complete("cd items["))[0], [
+            "items[0]",
+            "items[1]",
+          ]);
+          // 不是标识符的键使用带引号的方括号
+          assert.deepEqual((await browser.complete("cd paths"))[0], [
+            "paths",
+          ]);
+          assert.deepEqual((await browser.complete("cd paths["))[0], [
+            "paths['/users']",
+          ]);
+          assert.deepEqual((await browser.complete("cd ['a"))[0], [
+            "['a b']",
+          ]);
+          assert.deepEqual((await browser.complete("cd nope."))[0], []);
+        }),
+    );
+
+    await this.check(
+      "JSON Pointer 和相对路径",
+      () =>
+        this.withBrowser({}, async (browser) => {
+          assert.deepEqual((await browser.complete("cd /pa"))[0], ["/paths"]);
+          assert.deepEqual((await browser.complete("cd /paths/"))[0], [
+            "/paths/~1users",
+          ]);
+          assert.deepEqual((await browser.complete("cd /items/"))[0], [
+            "/items/0",
+            "/items/1",
+          ]);
+
+          await browser.changeDirectory("info");
+          assert.deepEqual((await browser.complete("cd t"))[0], ["title"]);
+          assert.deepEqual((await browser.complete("cd ../it"))[0], [
+            "../items",
+          ]);
+        }),
+    );
+  }
+
+  async testPreviousPath() {
+    console.log("\n=== cd - ===");
+
+    await this.check(
+      "在当前路径和上一个路径之间切换",
+      () =>
+        this.withBrowser({}, async (browser) => {
+          await browser.processCommand("cd items[1]");
+          await browser.processCommand("cd /info");
+          assert.deepEqual(browser.currentKeys, ["info"]);
+          assert.deepEqual(browser.previousKeys, ["items", 1]);
+
+          await browser.processCommand("cd -");
+          assert.deepEqual(browser.currentKeys, ["items", 1]);
+          assert.deepEqual(browser.previousKeys, ["info"]);
+          await browser.processCommand("cd -");
+          assert.deepEqual(browser.currentKeys, ["info"]);
+
+          // cd 回到根路径，同样可以返回
+          await browser.processCommand("cd");
+          assert.deepEqual(browser.currentKeys, []);
+          await browser.processCommand("cd -");
+          assert.deepEqual(browser.currentKeys, ["info"]);
+        }),
+    );
+
+    await this.check(
+      "路径不变或不存在时不更新上一个路径",
+      () =>
+        this.withBrowser({}, async (browser) => {
+          await browser.processCommand("cd info");
+          await browser.processCommand("cd $.info");
+          assert.deepEqual(browser.previousKeys, []);
+          await browser.processCommand("cd missing");
+          assert.deepEqual(browser.currentKeys, ["info"]);
+          assert.deepEqual(browser.previousKeys, []);
+        }),
+    );
+
+    await this.check(
+      "没有上一个路径",
+      () =>
+        this.withBrowser({}, async (browser) => {
+          await assert.rejects(browser.resolvePath("-"), /没有上一个路径/);
+          await browser.processCommand("cd -");
+          assert.deepEqual(browser.currentKeys, []);
+          assert.equal(browser.previousKeys, null);
+        }),
+    );
+  }
+
+  async testHistory() {
+    console.log("\n=== 历史命令 ===");
+
+    const historyFile = path.join(this.directory, "history");
+
+    await this.check(
+      "保存时最早的在前，只保留 historySize 条",
+      () =>
+        this.withBrowser({ historySize: 3 }, async (browser) => {
+          await browser.saveHistory(["cd -", "ls", "cd info", "pwd", "help"]);
+          assert.equal(
+            await fs.readFile(historyFile, "utf8"),
+            "cd info\nls\ncd -\n",
+          );
+          assert.deepEqual(browser.loadHistory(), ["cd -", "ls", "cd info"]);
+        }),
+    );
+
+    await this.check("启动时读取最近的 historySize 条", async () => {
+      await fs.writeFile(historyFile, "1\n2\n\n3\n4\n5\n");
+      await this.withBrowser({ historySize: 3 }, (browser) => {
+        assert.deepEqual(browser.loadHistory(), ["5", "4", "3"]);
+        assert.deepEqual(browser.rl.history, ["5", "4", "3"]);
+      });
+    });
+
+    await this.check("输入命令后保存历史", async () => {
+      await fs.rm(historyFile);
+      await this.withBrowser({}, (browser) => {
+        assert.deepEqual(browser.loadHistory(), []);
+        const saved = [];
+        browser.saveHistory = (lines) => saved.push(lines);
+        browser.rl.emit("history", ["pwd", "ls"]);
+        assert.deepEqual(saved, [["pwd", "ls"]]);
+      });
+    });
+
+    await this.check("historyFile 为 null 时不读写", async () => {
+      await this.withBrowser({ historyFile: null }, async (browser) => {
+        await browser.saveHistory(["quit"]);
+        assert.deepEqual(browser.loadHistory(), []);
+      });
+      await assert.rejects(fs.access(historyFile), { code: "ENOENT" });
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("interactive-browser-", async () => {
+      this.filePath = await this.writeFile("data.json", JSON.stringify(DATA));
+      await this.testComplete();
+      await this.testPreviousPath();
+      await this.testHistory();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await InteractiveBrowserTester.main();
+}
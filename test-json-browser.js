@@ -0,0 +1,76 @@
+import assert from "assert/strict";
+import JSONStructureBrowser from "./json-browser.js";
+import TestHarness from "./test-harness.js";
+
+export default class JSONBrowserTester extends TestHarness {
+  constructor() {
+    super();
+    this.browser = new JSONStructureBrowser({
+      maxArrayItems: 2,
+      maxObjectKeys: 2,
+    });
+  }
+
+  async testAnalyzeStructure() {
+    console.log("\n=== analyzeStructure ===");
+
+    await this.check("根对象的键数不受文件大小影响", async () => {
+      // 第一个成员很大，其余的键远在文件开头之后
+      const filePath = await this.writeFile(
+        "large.json",
+        JSON.stringify({
+          paths: Object.fromEntries(
+            Array.from({ length: 500 }, (_, i) => [`/p${i}`, { i }]),
+          ),
+          info: { title: "标题" },
+          tags: [1, "a"],
+          last: null,
+        }),
+      );
+      const structure = await this.browser.analyzeStructure(filePath);
+      assert.equal(structure.type, "object");
+      assert.equal(structure.summary.keyCount, 4);
+      assert.deepEqual(structure.summary.keys, ["paths", "info"]);
+      assert.deepEqual(
+        structure.children.map(({ type, path }) => [type, path]),
+        [["object", "paths"], ["object", "info"], ["ellipsis", "..."]],
+      );
+      assert.equal(structure.children[0].summary.keyCount, 500);
+      assert.equal(structure.children[1].children[0].summary.value, "标题");
+    });
+
+    await this.check("数组的长度、元素类型和省略标记", async () => {
+      const filePath = await this.writeFile(
+        "array.json",
+        '[1, 2.5, 12345678901234567890, {"a": true}]',
+      );
+      const structure = await this.browser.analyzeStructure(filePath);
+      assert.deepEqual(structure.summary, { length: 4, type: "mixed" });
+      assert.deepEqual(
+        structure.children.map(({ path, summary }) => [path, summary.display]),
+        [["[0]", "1"], ["[1]", "2.5"], ["[2...3]", undefined]],
+      );
+      assert.equal(structure.children[2].summary.omitted, 2);
+    });
+
+    await this.check("根值是基本类型", async () => {
+      const filePath = await this.writeFile("null.json", "null");
+      const structure = await this.browser.analyzeStructure(filePath);
+      assert.equal(structure.type, "null");
+      assert.equal(structure.summary.value, null);
+      assert.equal(structure.size, 4);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-browser-", async () => {
+      await this.testAnalyzeStructure();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONBrowserTester.main();
+}
@@ -0,0 +1,238 @@
+import assert from "assert/strict";
+import zlib from "zlib";
+import {
+  attachDiagnostic,
+  diagnoseJSON,
+  diagnoseJSONFile,
+  formatDiagnostic,
+  JSONDiagnoser,
+} from "./json-diagnostics.js";
+import TestHarness from "./test-harness.js";
+
+const NESTED = '{\n  "a": 1,\n  "b": [1, 2,, 3]\n}';
+
+export default class JSONDiagnosticsTester extends TestHarness {
+  async testLocation() {
+    console.log("\n=== 位置和路径 ===");
+
+    await this.check("行号、列号、路径和片段", () => {
+      const { excerpt, ...diagnostic } = diagnoseJSON(NESTED);
+      assert.deepEqual(diagnostic, {
+        valid: false,
+        message: '意外的字符 ","',
+        offset: 25,
+        line: 3,
+        column: 14,
+        path: "$['b'][2]",
+        keys: ["b", 2],
+      });
+      assert.equal(
+        excerpt,
+        [
+          "1 | {",
+          '2 |   "a": 1,',
+          '3 |   "b": [1, 2,, 3]',
+          "  |              ^",
+        ].join("\n"),
+      );
+    });
+
+    await this.check("列号按码位计算，偏移按字节计算", () => {
+      const { offset, column, path, excerpt } = diagnoseJSON(
+        '{"中文": "值", "b": tru}',
+      );
+      assert.equal(offset, 23);
+      assert.equal(column, 18);
+      assert.equal(path, "$['b']");
+      assert.equal(excerpt.split("\n")[1], "  |                  ^");
+    });
+
+    await this.check("对象和数组中的路径", () => {
+      // 数组中已经结束的元素
+      assert.equal(
+        diagnoseJSON('{"items": [{"id": 1}, {"id": 2 "x": 3}]}').path,
+        "$['items'][1]",
+      );
+      // 紧跟在 [ 或 , 之后出错时包含下一个下标
+      assert.deepEqual(diagnoseJSON("[1, 2, ").keys, [2]);
+      assert.deepEqual(diagnoseJSON("[ ]]").keys, []);
+      assert.deepEqual(diagnoseJSON('[{"a": [x]}]').keys, [0, "a", 0]);
+      assert.equal(diagnoseJSON('{"a": 1, }').path, "$");
+    });
+
+    await this.check("contextLines、制表符和 CRLF", () => {
+      const { excerpt } = diagnoseJSON(NESTED, { contextLines: 0 });
+      assert.equal(excerpt, '3 |   "b": [1, 2,, 3]\n  |              ^');
+
+      const tab = diagnoseJSON('\t{"a" 1}');
+      assert.equal(tab.column, 7);
+      assert.equal(tab.excerpt, '1 |  {"a" 1}\n  |       ^');
+
+      const crlf = diagnoseJSON('{"a": 1}\r\n{"b": }', {
+        multipleValues: true,
+      });
+      assert.equal(crlf.line, 2);
+      assert.equal(
+        crlf.excerpt,
+        '1 | {"a": 1}\n2 | {"b": }\n  |       ^',
+      );
+    });
+  }
+
+  async testLongLines() {
+    console.log("\n=== 过长的行 ===");
+
+    await this.check("只显示出错位置附近，两端用 … 表示", () => {
+      const text = '{"a": 1' + ', "k": 1'.repeat(30) + ', "bad": x' +
+        ', "k": 2'.repeat(30) + "}";
+      const { column, excerpt } = diagnoseJSON(text);
+      const [row, caret] = excerpt.split("\n");
+      assert.equal(column, 257);
+      assert.equal(
+        row,
+        '1 | … "k": 1, "k": 1, "k": 1, "k": 1, "bad": x, "k": 2, "k": 2, "k": 2, "k": 2, "k": …',
+      );
+      // 标记位于 maxWidth 的中间，指向 x
+      assert.equal(caret.indexOf("^"), row.indexOf("x"));
+      assert.equal(caret.indexOf("^"), "1 | ".length + 1 + 40);
+    });
+
+    await this.check("maxWidth 同时作用于上下文行", () => {
+      const text = `[\n"${"a".repeat(50)}",\n  ${"1".repeat(30)} x]`;
+      const { column, excerpt } = diagnoseJSON(text, { maxWidth: 10 });
+      assert.equal(column, 34);
+      assert.equal(
+        excerpt,
+        [
+          "1 | …",
+          "2 | …aaaaaaaaaa…",
+          "3 | …1111 x]",
+          "  |       ^",
+        ].join("\n"),
+      );
+    });
+
+    await this.check("行的开头超出保留范围", () => {
+      const diagnoser = new JSONDiagnoser({ contextBytes: 16 });
+      assert.equal(diagnoser.write(`[1,\n${"2".repeat(40)}`), null);
+      const diagnostic = diagnoser.write("2, x]");
+      assert.equal(diagnostic.line, 2);
+      assert.equal(diagnostic.column, 44);
+      assert.equal(diagnostic.offset, 47);
+      assert.equal(
+        diagnostic.excerpt,
+        `2 | …${"2".repeat(17)}, x]\n  | ${" ".repeat(20)}^`,
+      );
+    });
+
+    await this.check("跨多个片段的字符串未结束", () => {
+      const diagnoser = new JSONDiagnoser({ contextBytes: 16 });
+      diagnoser.write(`{"a": 1,\n"long": "${"y".repeat(50)}`);
+      diagnoser.write("z".repeat(50));
+      const diagnostic = diagnoser.end();
+      assert.equal(diagnostic.message, "字符串未结束");
+      assert.equal(diagnostic.path, "$['long']");
+      assert.deepEqual([diagnostic.line, diagnostic.column], [2, 110]);
+      assert.equal(
+        diagnostic.excerpt,
+        `2 | …${"z".repeat(16)}\n  | ${" ".repeat(17)}^`,
+      );
+    });
+  }
+
+  async testFiles() {
+    console.log("\n=== 文件 ===");
+
+    await this.check("分块读取与一次性诊断的结果相同", async () => {
+      const filePath = await this.writeFile("nested.json", NESTED);
+      assert.deepEqual(await diagnoseJSONFile(filePath), diagnoseJSON(NESTED));
+
+      // 读到出错的块即停止，片段只包含已读取的部分
+      const { excerpt, ...diagnostic } = await diagnoseJSONFile(filePath, {
+        chunkSize: 3,
+      });
+      const { excerpt: full, ...expected } = diagnoseJSON(NESTED);
+      assert.deepEqual(diagnostic, expected);
+      assert.equal(excerpt, full.replace("2,, 3]", "2,, "));
+      const gzip = await this.writeFile(
+        "nested.json.gz",
+        zlib.gzipSync(NESTED),
+      );
+      assert.deepEqual(await diagnoseJSONFile(gzip), diagnoseJSON(NESTED));
+    });
+
+    await this.check("合法的输入和选项", async () => {
+      assert.deepEqual(diagnoseJSON('{"a": [1, "二"]}'), { valid: true });
+      assert.deepEqual(diagnoseJSON("{a: 1, // 注释\n}", { lenient: true }), {
+        valid: true,
+      });
+      assert.equal(diagnoseJSON("1 2").valid, false);
+      assert.equal(diagnoseJSON("1 2", { multipleValues: true }).valid, true);
+      const filePath = await this.writeFile(
+        "lines.ndjson",
+        '{"a":1}\n{"a":2}\n',
+      );
+      assert.deepEqual(
+        await diagnoseJSONFile(filePath, { multipleValues: true }),
+        { valid: true },
+      );
+    });
+
+    await this.check("attachDiagnostic", async () => {
+      const broken = await this.writeFile("broken.json", NESTED);
+      const error = new Error("解析失败");
+      const diagnostic = await attachDiagnostic(broken, error);
+      assert.equal(error.diagnostic, diagnostic);
+      assert.equal(diagnostic.path, "$['b'][2]");
+
+      const valid = await this.writeFile("valid.json", "[]");
+      const other = new Error("其它错误");
+      assert.equal(await attachDiagnostic(valid, other), null);
+      assert.equal(
+        await attachDiagnostic(`${this.directory}/missing.json`, other),
+        null,
+      );
+      assert.equal(other.diagnostic, undefined);
+    });
+
+    await this.check("formatDiagnostic", () => {
+      assert.equal(formatDiagnostic({ valid: true }), "JSON 语法正确");
+      assert.equal(
+        formatDiagnostic(diagnoseJSON("[1,]")),
+        [
+          '语法错误: 意外的字符 "]"',
+          "位置: 第 1 行，第 4 列（字节偏移 3）",
+          "路径: $[1]",
+          "1 | [1,]",
+          "  |    ^",
+        ].join("\n"),
+      );
+      assert.equal(
+        formatDiagnostic({
+          valid: false,
+          message: "字符串未结束",
+          offset: 100,
+          line: null,
+          column: null,
+          path: "$",
+          excerpt: "",
+        }),
+        "语法错误: 字符串未结束\n位置: 字节偏移 100\n路径: $",
+      );
+    });
+  }
+
+  async testAll() {
+    await this.testLocation();
+    await this.testLongLines();
+    await this.inTemporaryDirectory("json-diagnostics-", async () => {
+      await this.testFiles();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONDiagnosticsTester.main();
+}
@@ -0,0 +1,192 @@
+import assert from "assert/strict";
+import zlib from "zlib";
+import JSONAnalyzer from "./json-analyzer.js";
+import StreamJSONAnalyzer from "./stream-analyzer.js";
+import DeepStreamAnalyzer from "./deep-stream-analyzer.js";
+import ComprehensiveStreamAnalyzer from "./comprehensive-stream-analyzer.js";
+import {
+  DuplicateKeyDetector,
+  DuplicateKeyError,
+  findDuplicateKeys,
+  formatDuplicateKeyReport,
+  locateDuplicateKeys,
+} from "./json-duplicate-keys.js";
+import JSONTokenizer from "./json-tokenizer.js";
+import TestHarness from "./test-harness.js";
+
+const DUPLICATES = '{"a": 1, "b": {"c": true, "c": null}, "a": "x"}';
+
+const EXPECTED = [
+  { path: "$['b']['c']", key: "c", offset: 26, firstOffset: 15 },
+  { path: "$['a']", key: "a", offset: 38, firstOffset: 1 },
+];
+
+export default class DuplicateKeysTester extends TestHarness {
+  async testDetect() {
+    console.log("\n=== 检测重复的键 ===");
+
+    await this.check("路径和字节偏移", async () => {
+      const filePath = await this.writeFile("dup.json", DUPLICATES);
+      assert.deepEqual(await findDuplicateKeys(filePath, { chunkSize: 3 }), {
+        count: 2,
+        duplicates: EXPECTED,
+      });
+      const gzip = await this.writeFile(
+        "dup.json.gz",
+        zlib.gzipSync(DUPLICATES),
+      );
+      assert.deepEqual((await findDuplicateKeys(gzip)).duplicates, EXPECTED);
+    });
+
+    await this.check("不同对象和数组元素中的同名键不算重复", async () => {
+      const filePath = await this.writeFile(
+        "items.json",
+        '[{"id": 1, "v": {"id": 2}}, {"id": 3}, [{"id": 4, "id": 5}]]',
+      );
+      const { count, duplicates } = await findDuplicateKeys(filePath);
+      assert.equal(count, 1);
+      assert.equal(duplicates[0].path, "$[2][0]['id']");
+    });
+
+    await this.check("多个顶层值和 limit", async () => {
+      const filePath = await this.writeFile(
+        "lines.ndjson",
+        '{"k":1,"k":2}\n{"k":1,"k":2,"k":3}\n',
+      );
+      await assert.rejects(findDuplicateKeys(filePath), /意外的字符 "\{"/);
+      const { count, duplicates } = await findDuplicateKeys(filePath, {
+        multipleValues: true,
+        limit: 2,
+      });
+      assert.equal(count, 3);
+      assert.deepEqual(duplicates.map(({ offset }) => offset), [7, 21]);
+    });
+
+    await this.check("stream-json 的词法单元没有偏移时重新扫描", async () => {
+      const filePath = await this.writeFile("dup.json", DUPLICATES);
+      // 模拟 stream-json：词法单元只有 name 和 value
+      const detector = new DuplicateKeyDetector();
+      const tokenizer = new JSONTokenizer();
+      for (const { name, value } of tokenizer.write(Buffer.from(DUPLICATES))) {
+        detector.write({ name, value });
+      }
+      assert.deepEqual(detector.duplicates.map(({ offset }) => offset), [
+        null,
+        null,
+      ]);
+      assert.deepEqual(await locateDuplicateKeys(filePath, detector), {
+        count: 2,
+        duplicates: EXPECTED,
+      });
+    });
+  }
+
+  async testReport() {
+    console.log("\n=== formatDuplicateKeyReport ===");
+
+    await this.check("中文和英文报告", () => {
+      const result = { count: 2, duplicates: EXPECTED };
+      assert.equal(formatDuplicateKeyReport({ count: 0, duplicates: [] }), "");
+      assert.equal(
+        formatDuplicateKeyReport(result),
+        "## 🔁 重复的键\n\n共 2 处，JSON.parse 只保留最后一个值\n\n" +
+          "- **`$['b']['c']`:** 字节偏移 26，第一次出现于 15\n" +
+          "- **`$['a']`:** 字节偏移 38，第一次出现于 1\n\n",
+      );
+      assert.equal(
+        formatDuplicateKeyReport(result, { language: "en", limit: 1 }),
+        "## 🔁 Duplicate Keys\n\n2 found, JSON.parse keeps only the last value\n\n" +
+          "- **`$['b']['c']`:** byte offset 26, first seen at 15\n" +
+          "- ... and 1 more\n\n",
+      );
+    });
+
+    await this.check("自定义说明，只计数的部分也算在省略中", () => {
+      const report = formatDuplicateKeyReport(
+        { count: 1500, duplicates: new Array(1000).fill(EXPECTED[0]) },
+        { summary: "说明" },
+      );
+      assert.match(report, /^## 🔁 重复的键\n\n说明\n\n/);
+      assert.equal(report.match(/字节偏移/g).length, 20);
+      assert.match(report, /- \.\.\. 还有 1480 处\n\n$/);
+    });
+  }
+
+  async testAnalyzers() {
+    console.log("\n=== 分析器 ===");
+
+    await this.check("JSONAnalyzer 按 duplicateKeys 组装示例值", async () => {
+      const filePath = await this.writeFile("dup.json", DUPLICATES);
+      const expected = {
+        "last-wins": { a: "x", b: { c: null } },
+        "first-wins": { a: 1, b: { c: true } },
+        "collect-as-array": { a: [1, "x"], b: { c: [true, null] } },
+      };
+      for (const [duplicateKeys, value] of Object.entries(expected)) {
+        const analyzer = new JSONAnalyzer();
+        const report = await analyzer.analyzeJSON(filePath, { duplicateKeys });
+        assert.deepEqual(analyzer.stats.paths.get("0").examples, [value]);
+        assert.deepEqual(analyzer.stats.duplicateKeys, {
+          count: 2,
+          duplicates: EXPECTED,
+        });
+        assert.match(report, /解析时按 duplicateKeys 选项处理/);
+        assert.match(report, /`\$\['a'\]`:\*\* 字节偏移 38，第一次出现于 1/);
+      }
+    });
+
+    await this.check(
+      'JSONAnalyzer 的 "error" 在第一个重复的键处停止',
+      async () => {
+        const filePath = await this.writeFile("dup.json", DUPLICATES);
+        await assert.rejects(
+          new JSONAnalyzer().analyzeJSON(filePath, { duplicateKeys: "error" }),
+          (error) => {
+            assert.ok(error instanceof DuplicateKeyError);
+            assert.equal(error.path, "$['b']['c']");
+            assert.equal(error.offset, 26);
+            return true;
+          },
+        );
+        await assert.rejects(
+          new JSONAnalyzer().analyzeJSON(filePath, { duplicateKeys: "x" }),
+          /未知的重复键处理方式: x/,
+        );
+      },
+    );
+
+    await this.check("流式分析器报告重复键的字节偏移", async () => {
+      const filePath = await this.writeFile("dup.json", DUPLICATES);
+      const analyzers = [
+        [new StreamJSONAnalyzer(), "## 🔁 Duplicate Keys"],
+        [new ComprehensiveStreamAnalyzer(), "## 🔁 Duplicate Keys"],
+        [new DeepStreamAnalyzer(), "## 🔁 重复的键"],
+      ];
+      for (const [analyzer, title] of analyzers) {
+        const report = await analyzer.analyzeFile(filePath);
+        assert.deepEqual(analyzer.stats.duplicateKeys.duplicates, EXPECTED);
+        assert.ok(report.includes(title), analyzer.constructor.name);
+      }
+
+      const clean = await this.writeFile("clean.json", '{"a": {"a": 1}}');
+      const analyzer = new StreamJSONAnalyzer();
+      const report = await analyzer.analyzeFile(clean);
+      assert.equal(analyzer.stats.duplicateKeys.count, 0);
+      assert.ok(!report.includes("Duplicate Keys"));
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-duplicate-keys-", async () => {
+      await this.testDetect();
+      await this.testReport();
+      await this.testAnalyzers();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await DuplicateKeysTester.main();
+}
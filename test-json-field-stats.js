@@ -0,0 +1,189 @@
+import assert from "assert/strict";
+import JSONAnalyzer from "./json-analyzer.js";
+import { NumericStats, TableProfiler } from "./json-field-stats.js";
+import TestHarness from "./test-harness.js";
+
+// 每条记录的 id 都不同，status 只有少数几种
+const USERS = Array.from({ length: 1000 }, (_, id) => ({
+  id,
+  status: id % 10 === 0 ? "banned" : "active",
+  email: id % 4 === 0 ? null : `u${id}@example.com`,
+}));
+
+export default class FieldStatsTester extends TestHarness {
+  async testTableProfiler() {
+    console.log("\n=== TableProfiler ===");
+
+    await this.check("出现比例、null、类型、数值和字符串长度", () => {
+      const profiler = new TableProfiler();
+      profiler.addRecord({ id: 1, name: "张三", tags: ["a"] }, 10);
+      profiler.addRecord({ id: 4, name: null }, 5);
+      profiler.addRecord(42);
+
+      const { fields, ...table } = profiler.summary();
+      assert.deepEqual(table, {
+        recordCount: 3,
+        nonObjectRecords: 1,
+        bytes: 15,
+        skippedValues: 0,
+      });
+      assert.deepEqual(fields.id.numbers, { min: 1, max: 4, mean: 2.5 });
+      assert.equal(fields.id.presence, 1);
+      assert.deepEqual(fields.name.types, { string: 1, null: 1 });
+      assert.equal(fields.name.nullRatio, 0.5);
+      assert.deepEqual(fields.name.stringLengths, {
+        min: 2,
+        max: 2,
+        mean: 2,
+        histogram: { "2-3": 1 },
+      });
+      // 嵌套的数组只计入类型分布
+      assert.deepEqual(fields.tags.types, { array: 1 });
+      assert.equal(fields.tags.presence, 0.5);
+      assert.equal(fields.tags.distinct, 0);
+    });
+
+    await this.check("超出 maxFields 的字段只计数", () => {
+      const profiler = new TableProfiler({ maxFields: 2 });
+      profiler.addRecord({ a: 1, b: 2, c: 3 });
+      profiler.addRecord({ c: 4, a: 5, d: 6 });
+      const summary = profiler.summary();
+      assert.deepEqual(Object.keys(summary.fields), ["a", "b"]);
+      assert.equal(summary.skippedValues, 3);
+    });
+
+    await this.check("最常见的值只包含确定重复出现的值", () => {
+      const profiler = new TableProfiler({ topCapacity: 16, topN: 3 });
+      USERS.forEach((user) => profiler.addRecord(user));
+      const { id, status, email } = profiler.summary().fields;
+
+      // 值都不重复时计数全部来自被替换的计数器
+      assert.deepEqual(id.top, []);
+      assert.deepEqual(status.top, [
+        { value: "active", count: 900, error: 0 },
+        { value: "banned", count: 100, error: 0 },
+      ]);
+      // null 重复出现，不重复的邮箱都被去掉
+      assert.deepEqual(email.top.map(({ value }) => value), [null]);
+      assert.ok(email.top[0].count - email.top[0].error >= 250 - 16);
+    });
+
+    await this.check("计数器未满但值都只出现一次", () => {
+      const profiler = new TableProfiler();
+      for (let id = 0; id < 10; id++) {
+        profiler.addRecord({ id, flag: true });
+      }
+      const { id, flag } = profiler.summary().fields;
+      assert.deepEqual(id.top, []);
+      assert.equal(id.distinct, 10);
+      assert.deepEqual(flag.top, [{ value: true, count: 10, error: 0 }]);
+    });
+  }
+
+  async testNumericStats() {
+    console.log("\n=== NumericStats ===");
+
+    await this.check("分位数、合并和保存的状态", () => {
+      const low = new NumericStats();
+      const high = new NumericStats();
+      for (let i = 1; i <= 100; i++) {
+        (i <= 50 ? low : high).add(i);
+      }
+      low.add(NaN);
+      const merged = NumericStats.fromJSON(
+        JSON.parse(JSON.stringify(low.toJSON())),
+      ).merge(high);
+      const summary = merged.summary({ quantiles: [0.5], bins: 2 });
+      assert.equal(summary.count, 100);
+      assert.deepEqual([summary.min, summary.max, summary.mean], [
+        1,
+        100,
+        50.5,
+      ]);
+      assert.ok(Math.abs(summary.quantiles.p50 - 50.5) <= 1);
+      assert.ok(Math.abs(summary.distinct - 100) <= 10);
+      assert.equal(
+        summary.histogram.reduce((total, { count }) => total + count, 0),
+        100,
+      );
+    });
+  }
+
+  async testAnalyzeTables() {
+    console.log("\n=== analyzeTables ===");
+
+    const data = {
+      users: USERS.slice(0, 50),
+      shop: {
+        orders: [{ total: 12.5 }, { total: 7 }],
+        refunds: [{ total: 1 }],
+      },
+      meta: "不是表",
+    };
+
+    await this.check("文件和已解析对象的结果相同", async () => {
+      const filePath = await this.writeFile("db.json", JSON.stringify(data));
+      const fromFile = await new JSONAnalyzer().analyzeTables(filePath);
+      const fromObject = await new JSONAnalyzer().analyzeTables(data);
+      assert.deepEqual(fromFile, fromObject);
+
+      assert.deepEqual(Object.keys(fromFile), ["users", "shop"]);
+      assert.equal(fromFile.users.recordCount, 50);
+      assert.equal(
+        fromFile.users.bytes,
+        data.users.reduce(
+          (total, user) => total + Buffer.byteLength(JSON.stringify(user)),
+          0,
+        ),
+      );
+      // 对象中的每个数组成员都是同一张表的记录
+      assert.equal(fromFile.shop.recordCount, 3);
+      assert.deepEqual(fromFile.shop.fields.total.numbers, {
+        min: 1,
+        max: 12.5,
+        mean: 20.5 / 3,
+      });
+    });
+
+    await this.check("文件中记录的字节数按原文计算", async () => {
+      const filePath = await this.writeFile(
+        "pretty.json",
+        JSON.stringify({ t: [{ a: 1 }, { a: 2 }] }, null, 2),
+      );
+      const analyzer = new JSONAnalyzer();
+      const { t } = await analyzer.analyzeTables(filePath);
+      assert.equal(t.bytes, 2 * '{\n      "a": 1\n    }'.length);
+      assert.deepEqual(analyzer.stats.largestTables, [
+        { name: "t", recordCount: 2, size: t.bytes },
+      ]);
+    });
+
+    await this.check("报告只列出有意义的最常见值", async () => {
+      const analyzer = new JSONAnalyzer();
+      const { users } = await analyzer.analyzeTables({ users: USERS }, {
+        topCapacity: 16,
+      });
+      const report = analyzer.formatTableStats("users", users);
+      const row = (field) =>
+        report.split("\n").find((line) => line.startsWith(`| \`${field}\``))
+          .split(" | ");
+      assert.equal(row("id")[8], "");
+      assert.equal(row("status")[8], '"active" ×900, "banned" ×100');
+      assert.match(report, /^### users\n\n- \*\*记录数:\*\* 1,000\n/);
+    });
+  }
+
+  async testAll() {
+    await this.testTableProfiler();
+    await this.testNumericStats();
+    await this.inTemporaryDirectory("json-field-stats-", async () => {
+      await this.testAnalyzeTables();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await FieldStatsTester.main();
+}
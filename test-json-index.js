@@ -0,0 +1,254 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import JSONIndex from "./json-index.js";
+import TestHarness from "./test-harness.js";
+
+export default class JSONIndexTester extends TestHarness {
+  async testLookup() {
+    console.log("\n=== 查找和读取 ===");
+
+    const value = {
+      meta: { name: "示例", tags: ["a", "b"] },
+      items: Array.from({ length: 300 }, (_, id) => ({
+        id,
+        name: `item${id}`,
+        nested: { list: [id, id + 1], deep: { x: id } },
+      })),
+      map: Object.fromEntries(
+        Array.from({ length: 80 }, (_, i) => [`key${i}`, { i, s: "x" }]),
+      ),
+    };
+    const filePath = await this.writeFile("data.json", JSON.stringify(value));
+    // 很小的 blockSize 使采样和已记录的大成员都会出现
+    const index = await new JSONIndex(filePath, { blockSize: 256, maxDepth: 2 })
+      .open();
+
+    await this.check("索引只记录大容器，远小于源文件", async () => {
+      const [source, sidecar] = await Promise.all([
+        fs.stat(filePath),
+        fs.stat(`${filePath}.jsonidx`),
+      ]);
+      assert.ok(index.records.has("$"));
+      assert.ok(index.records.has("$['items']"));
+      assert.ok(!index.records.has("$['meta']"));
+      assert.ok(index.records.get("$['items']").samples.length > 10);
+      assert.ok(sidecar.size * 5 < source.size, `索引过大: ${sidecar.size}`);
+    });
+
+    await this.check("任意深度的路径都能读取", async () => {
+      for (
+        const keys of [
+          [],
+          ["meta"],
+          ["meta", "tags", 1],
+          ["items", 0],
+          ["items", 150, "nested", "deep", "x"],
+          ["items", 299, "name"],
+          ["map", "key79", "s"],
+        ]
+      ) {
+        let expected = value;
+        for (const key of keys) {
+          expected = expected[key];
+        }
+        assert.deepEqual(await index.read(keys), expected, keys.join("."));
+      }
+      assert.equal(await index.read("$.items[150].name"), "item150");
+      assert.equal(await index.read("items[7].id"), 7);
+    });
+
+    await this.check("不存在的路径", async () => {
+      assert.equal(await index.read("$.items[300]"), undefined);
+      assert.equal(await index.read("$.missing"), undefined);
+      assert.equal(await index.read("$.meta.name.x"), undefined);
+      assert.equal(await index.lookup("$.items.x"), null);
+    });
+
+    await this.check("lookup 返回字节区间和成员数", async () => {
+      const entry = await index.lookup("$.items[42].nested.list");
+      assert.equal(entry.type, "array");
+      assert.equal(entry.size, 2);
+      const text = await index.readText(entry.start, entry.end);
+      assert.equal(text, "[42,43]");
+    });
+
+    await this.check("members 和 children 分页", async () => {
+      const members = await index.members("$.items", 120, 5);
+      assert.deepEqual(members.map(({ key }) => key), [
+        120,
+        121,
+        122,
+        123,
+        124,
+      ]);
+      assert.deepEqual(
+        await index.readText(members[1].start, members[1].end),
+        JSON.stringify(value.items[121]),
+      );
+      assert.deepEqual(
+        await index.children("$.map", { offset: 78 }),
+        ["key78", "key79"],
+      );
+      assert.deepEqual(await index.children("$.items", { offset: 298 }), [
+        298,
+        299,
+      ]);
+      assert.deepEqual(await index.members("$.items", 400, 5), []);
+      assert.equal(await index.children("$.meta.name"), null);
+    });
+
+    await this.check("readSlice 跨过多个采样点", async () => {
+      const slice = await index.readSlice("$.items", 95, 205);
+      assert.deepEqual(slice.items, value.items.slice(95, 205));
+      assert.equal(slice.length, 300);
+      assert.deepEqual((await index.readSlice("$.items", 299)).items, [
+        value.items[299],
+      ]);
+      await assert.rejects(index.readSlice("$.meta", 0, 1), /不是数组/);
+    });
+
+    await this.check("readSlice 拒绝负数和非整数下标", async () => {
+      for (const [start, end] of [[-1, 5], [0, -2], [1.5, 3], [0, NaN]]) {
+        await assert.rejects(
+          index.readSlice("$.items", start, end),
+          RangeError,
+          `${start}:${end}`,
+        );
+      }
+      assert.deepEqual(await index.readSlice("$.items", 5, 2), {
+        items: [],
+        start: 2,
+        end: 2,
+        length: 300,
+      });
+    });
+
+    await this.check("重新打开时加载索引文件", async () => {
+      const reopened = await new JSONIndex(filePath, {
+        blockSize: 256,
+        maxDepth: 2,
+      }).open();
+      assert.deepEqual(reopened.records, index.records);
+      assert.equal(await reopened.read("$.items[250].id"), 250);
+    });
+  }
+
+  async testKeys() {
+    console.log("\n=== 特殊的键 ===");
+
+    await this.check("__proto__ 是普通的成员名", async () => {
+      const filePath = await this.writeFile(
+        "proto.json",
+        '{"__proto__":{"polluted":true},"a":[1]}',
+      );
+      const index = await new JSONIndex(filePath).open();
+      assert.deepEqual(await index.children("$"), ["__proto__", "a"]);
+      const value = await index.read("$['__proto__']");
+      assert.equal(value.polluted, true);
+      assert.deepEqual(Object.keys(await index.read("$")), ["__proto__", "a"]);
+      assert.equal({}.polluted, undefined);
+    });
+
+    await this.check("重复的键取第一个", async () => {
+      const big = JSON.stringify(Array.from({ length: 50 }, (_, i) => i));
+      const filePath = await this.writeFile(
+        "duplicate.json",
+        `{"a":${big},"b":1,"a":[2],"b":2}`,
+      );
+      const index = await new JSONIndex(filePath, { blockSize: 64 }).open();
+      assert.equal((await index.lookup("$.a")).size, 50);
+      assert.equal(await index.read("$.b"), 1);
+      const members = await index.members("$");
+      assert.deepEqual(members.map(({ key }) => key), ["a", "b", "a", "b"]);
+      assert.equal(members[2].size, 1);
+    });
+  }
+
+  async testIndexFile() {
+    console.log("\n=== 索引文件 ===");
+
+    await this.check("源文件变化后重建", async () => {
+      const filePath = await this.writeFile("stale.json", '{"a":1}');
+      const index = await new JSONIndex(filePath).open();
+      assert.equal(await index.read("$.a"), 1);
+      await fs.writeFile(filePath, '{"a":22}');
+      await fs.utimes(filePath, new Date(), new Date(Date.now() + 5000));
+      assert.equal(await index.read("$.a"), 22);
+    });
+
+    await this.check("旧格式的索引文件会被替换", async () => {
+      const filePath = await this.writeFile("old.json", '{"a":[1,2]}');
+      await fs.writeFile(
+        `${filePath}.jsonidx`,
+        '{"version":1,"entries":{"$":[0,11,"object",1]}}',
+      );
+      const index = await new JSONIndex(filePath).open();
+      assert.deepEqual(await index.read("$.a"), [1, 2]);
+      const header = (await fs.readFile(`${filePath}.jsonidx`, "utf8"))
+        .split("\n")[0];
+      assert.equal(JSON.parse(header).version, 2);
+    });
+
+    await this.check("损坏的索引文件报告错误", async () => {
+      const filePath = await this.writeFile("corrupt.json", '{"a":[1,2]}');
+      await new JSONIndex(filePath).open();
+      const sidecar = await fs.readFile(`${filePath}.jsonidx`, "utf8");
+      await fs.writeFile(`${filePath}.jsonidx`, `${sidecar}["$",1,`);
+      await assert.rejects(
+        new JSONIndex(filePath).open(),
+        /索引文件损坏.*第 3 行/,
+      );
+
+      const [header] = sidecar.split("\n");
+      await fs.writeFile(`${filePath}.jsonidx`, `${header}\n`);
+      await assert.rejects(new JSONIndex(filePath).open(), /索引文件不完整/);
+    });
+
+    await this.check("索引文件无法读取时报告错误", async () => {
+      const filePath = await this.writeFile("unreadable.json", "[1]");
+      const indexPath = path.join(this.directory, "directory.jsonidx");
+      await fs.mkdir(indexPath);
+      await assert.rejects(
+        new JSONIndex(filePath, { indexPath }).open(),
+        /无法读取索引文件/,
+      );
+    });
+
+    await this.check("基本类型的根值", async () => {
+      const filePath = await this.writeFile("scalar.json", ' "abc" ');
+      const index = await new JSONIndex(filePath).open();
+      assert.equal(await index.read("$"), "abc");
+      assert.equal(await index.children("$"), null);
+    });
+
+    await this.check("压缩文件", async () => {
+      const value = { items: Array.from({ length: 100 }, (_, i) => [i]) };
+      const filePath = await this.writeFile(
+        "data.json.gz",
+        zlib.gzipSync(JSON.stringify(value)),
+      );
+      const index = await new JSONIndex(filePath, { blockSize: 64 }).open();
+      assert.deepEqual(await index.read("$.items[77]"), [77]);
+      assert.deepEqual(
+        (await index.readSlice("$.items", 10, 13)).items,
+        [[10], [11], [12]],
+      );
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-index-", async () => {
+      await this.testLookup();
+      await this.testKeys();
+      await this.testIndexFile();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONIndexTester.main();
+}
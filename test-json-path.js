@@ -0,0 +1,229 @@
+import assert from "assert/strict";
+import { Readable } from "stream";
+import {
+  formatJSONPath,
+  parseJSONPath,
+  parseJSONPointer,
+  queryJSONPath,
+  readArraySliceStream,
+  toJSONPointer,
+} from "./json-path.js";
+import { JSONDecimal } from "./json-values.js";
+import TestHarness from "./test-harness.js";
+
+const STORE = {
+  store: {
+    book: [
+      { title: "A", price: 8, author: "x" },
+      { title: "B", price: 12, author: "y", isbn: "1" },
+      { title: "C", price: 22, author: "x" },
+    ],
+    bicycle: { price: 19 },
+  },
+  "0": "zero",
+  "a'b": 1,
+};
+
+export default class JSONPathTester extends TestHarness {
+  async query(expression, options = {}, filePath = this.filePath) {
+    const matches = [];
+    for await (const match of queryJSONPath(filePath, expression, options)) {
+      matches.push(match);
+    }
+    return matches;
+  }
+
+  /**
+   * 查询并返回 [路径, 值] 列表
+   */
+  async pairs(expression) {
+    return (await this.query(expression)).map(({ path, value }) => [
+      path,
+      value,
+    ]);
+  }
+
+  sliceStream(text, arrayPath, start, end) {
+    return readArraySliceStream(
+      Readable.from([Buffer.from(text)]),
+      arrayPath,
+      start,
+      end,
+    );
+  }
+
+  async testQuery() {
+    console.log("\n=== 查询 ===");
+
+    await this.check("成员名、下标和带引号的成员名", async () => {
+      assert.deepEqual(await this.pairs("$.store.book[0].title"), [
+        ["$['store']['book'][0]['title']", "A"],
+      ]);
+      assert.deepEqual(await this.pairs("$['a\\'b']"), [["$['a\\'b']", 1]]);
+      assert.deepEqual(await this.pairs("$.missing"), []);
+    });
+
+    await this.check("省略 $ 的旧写法和数字成员名", async () => {
+      assert.deepEqual(await this.pairs("store.book[1].title"), [
+        ["$['store']['book'][1]['title']", "B"],
+      ]);
+      assert.deepEqual(await this.pairs("$.0"), [["$['0']", "zero"]]);
+      assert.deepEqual(await this.pairs("$.store.book.2.title"), [
+        ["$['store']['book'][2]['title']", "C"],
+      ]);
+    });
+
+    await this.check("通配符和递归下降", async () => {
+      const matches = await this.query("$.store.*");
+      assert.deepEqual(matches.map(({ keys }) => keys), [
+        ["store", "book"],
+        ["store", "bicycle"],
+      ]);
+      assert.deepEqual(matches[0].value, STORE.store.book);
+      assert.deepEqual(
+        (await this.query("$..price")).map(({ value }) => value),
+        [8, 12, 22, 19],
+      );
+    });
+
+    await this.check("切片和并集", async () => {
+      const titles = async (expression) =>
+        (await this.query(expression)).map(({ value }) => value);
+      assert.deepEqual(await titles("$.store.book[0:3:2].title"), ["A", "C"]);
+      assert.deepEqual(await titles("$.store.book[1:].title"), ["B", "C"]);
+      assert.deepEqual(await titles("$.store.book[0,2]['title']"), ["A", "C"]);
+    });
+
+    await this.check("过滤表达式", async () => {
+      const titles = async (expression) =>
+        (await this.query(expression)).map(({ value }) => value);
+      assert.deepEqual(
+        await titles("$.store.book[?(@.price > 10 && @.author == 'x')].title"),
+        ["C"],
+      );
+      assert.deepEqual(await titles("$..book[?(@.isbn)].title"), ["B"]);
+      assert.deepEqual(
+        await titles(
+          "$.store.book[?(!(@.price < 10) || @.title =~ /a/i)].title",
+        ),
+        ["A", "B", "C"],
+      );
+    });
+
+    await this.check("数字模式保留大整数和高精度小数", async () => {
+      const filePath = await this.writeFile(
+        "numbers.json",
+        '{"big":12345678901234567890,"f":0.1000000000000000000001}',
+      );
+      const [big] = await this.query("$.big", { numbers: "bigint" }, filePath);
+      assert.equal(big.value, 12345678901234567890n);
+      const [f] = await this.query("$.f", { numbers: "string" }, filePath);
+      assert.ok(f.value instanceof JSONDecimal);
+      assert.equal(String(f.value), "0.1000000000000000000001");
+    });
+  }
+
+  async testParse() {
+    console.log("\n=== 解析和格式化 ===");
+
+    await this.check("无效的表达式报告位置", () => {
+      assert.throws(() => parseJSONPath("$["), /无效的选择器 \(位置 2\)/);
+      assert.throws(
+        () => parseJSONPath("$.a[?(@.x >)]"),
+        /无效的过滤表达式/,
+      );
+    });
+
+    await this.check("不支持负数下标和负数步长", () => {
+      for (const expression of ["$.a[-1]", "$.a[::-1]"]) {
+        assert.throws(
+          () => parseJSONPath(expression),
+          /不支持负数下标和负数步长/,
+          expression,
+        );
+      }
+    });
+
+    await this.check("formatJSONPath 转义引号", () => {
+      assert.equal(
+        formatJSONPath(["a'b", 0, 'x"y\n']),
+        "$['a\\'b'][0]['x\"y\\n']",
+      );
+      assert.equal(formatJSONPath([]), "$");
+    });
+
+    await this.check("parseJSONPointer 解码 ~0 和 ~1", () => {
+      assert.deepEqual(parseJSONPointer("/paths/~1users/0~0"), [
+        "paths",
+        "/users",
+        "0~",
+      ]);
+      assert.deepEqual(parseJSONPointer(""), []);
+      assert.throws(() => parseJSONPointer("a"), /必须以 "\/" 开头/);
+    });
+
+    await this.check("toJSONPointer 转义 ~ 和 /", () => {
+      const keys = ["a/b", 3, "c~d"];
+      assert.equal(toJSONPointer(keys), "/a~1b/3/c~0d");
+      assert.equal(toJSONPointer([]), "");
+      assert.deepEqual(parseJSONPointer(toJSONPointer(keys)), [
+        "a/b",
+        "3",
+        "c~d",
+      ]);
+    });
+  }
+
+  async testSlice() {
+    console.log("\n=== readArraySliceStream ===");
+
+    await this.check("读到结束下标后停止，长度未知", async () => {
+      const slice = await this.sliceStream(
+        JSON.stringify(STORE),
+        "$.store.book",
+        1,
+        2,
+      );
+      assert.deepEqual(slice, {
+        items: [STORE.store.book[1]],
+        start: 1,
+        end: 2,
+        length: null,
+      });
+    });
+
+    await this.check("读到数组末尾时返回长度", async () => {
+      assert.deepEqual(await this.sliceStream('{"a":[1,2,3]}', ["a"], 1), {
+        items: [2, 3],
+        start: 1,
+        end: 3,
+        length: 3,
+      });
+    });
+
+    await this.check("路径不存在、不是数组和无效的路径", async () => {
+      assert.equal(await this.sliceStream('{"a":[1]}', "$.b"), null);
+      await assert.rejects(this.sliceStream('{"a":{}}', "$.a"), /不是数组/);
+      await assert.rejects(
+        this.sliceStream('{"a":[]}', "$..a"),
+        /只能由成员名和下标组成/,
+      );
+      await assert.rejects(this.sliceStream("[]", "$", -1), RangeError);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-path-", async () => {
+      this.filePath = await this.writeFile("store.json", JSON.stringify(STORE));
+      await this.testQuery();
+      await this.testParse();
+      await this.testSlice();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONPathTester.main();
+}
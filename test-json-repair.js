@@ -0,0 +1,148 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { repairJSONFile } from "./json-repair.js";
+import TestHarness from "./test-harness.js";
+
+export default class JSONRepairTester extends TestHarness {
+  /**
+   * 修复 content，返回修复后的文本和报告
+   */
+  async repair(content, options = {}, name = "input.json") {
+    const inputPath = await this.writeFile(name, content);
+    const outputPath = path.join(this.directory, `repaired-${name}`);
+    const report = await repairJSONFile(inputPath, outputPath, {
+      reportPath: null,
+      ...options,
+    });
+    const text = await fs.readFile(outputPath, "utf8");
+    return { text, report };
+  }
+
+  async testTruncated() {
+    console.log("\n=== 截断的文件 ===");
+
+    await this.check("完整的文件原样复制", async () => {
+      const { text, report } = await this.repair('{"a":[1,2]}');
+      assert.equal(text, '{"a":[1,2]}');
+      assert.equal(report.repaired, false);
+      assert.equal(report.error, null);
+      assert.equal(report.discardedBytes, 0);
+    });
+
+    await this.check("补全截断的字符串和容器", async () => {
+      const { text, report } = await this.repair('{"a":[1,2],"b":"hel');
+      assert.deepEqual(JSON.parse(text), { a: [1, 2], b: "hel" });
+      assert.equal(report.closedString, true);
+      assert.equal(report.closed, 1);
+      assert.equal(report.appended, '"}');
+      assert.equal(report.error.message, "字符串未结束");
+      assert.equal(report.error.path, "$['b']");
+    });
+
+    await this.check("保留的部分与原文件逐字节一致", async () => {
+      const content = '[{"id":1},{"id":2},{"id":';
+      const { text, report } = await this.repair(content);
+      assert.equal(text, '[{"id":1},{"id":2},{}]');
+      assert.equal(text.slice(0, report.keptBytes), content.slice(0, 20));
+      assert.equal(report.discarded, '"id":');
+      assert.equal(report.inputBytes, content.length);
+    });
+
+    await this.check("截断在键名中时丢弃整个成员", async () => {
+      const { text } = await this.repair('{"a":1,"bb');
+      assert.equal(text, '{"a":1}');
+    });
+
+    await this.check("逐字节读取与一次读取的结果相同", async () => {
+      const content = JSON.stringify({
+        items: Array.from({ length: 50 }, (_, id) => ({ id, name: "名字" })),
+      }).slice(0, -40);
+      const whole = await this.repair(content);
+      const bytewise = await this.repair(content, { chunkSize: 1 });
+      assert.equal(bytewise.text, whole.text);
+      JSON.parse(whole.text);
+    });
+  }
+
+  async testDropIncomplete() {
+    console.log("\n=== dropIncomplete ===");
+
+    await this.check("丢弃最外层数组中不完整的元素", async () => {
+      const { text, report } = await this.repair(
+        '[{"id":1},{"id":2},{"id":',
+        { dropIncomplete: true },
+      );
+      assert.equal(text, '[{"id":1},{"id":2}]');
+      assert.equal(report.droppedElement, "$[2]");
+    });
+
+    await this.check("紧接在截断位置之前的数字视为不完整", async () => {
+      const { text } = await this.repair("[1,2,3", { dropIncomplete: true });
+      assert.equal(text, "[1,2]");
+    });
+
+    await this.check("多值文件丢弃最后一个不完整的值", async () => {
+      const { text, report } = await this.repair(
+        '{"a":1}\n{"b":2}\n{"c":',
+        { dropIncomplete: true, multipleValues: true },
+        "input.ndjson",
+      );
+      assert.equal(text, '{"a":1}\n{"b":2}');
+      assert.equal(report.error.line, 3);
+    });
+  }
+
+  async testCorrupted() {
+    console.log("\n=== 语法错误和报告 ===");
+
+    await this.check("丢弃语法错误之后的内容", async () => {
+      const { text, report } = await this.repair('{"a":[1,2],"b":x,"c":3}');
+      assert.equal(text, '{"a":[1,2]}');
+      assert.equal(report.error.message, "无效的字面量 x");
+      assert.equal(report.error.column, 16);
+      assert.equal(report.discarded, ',"b":x,"c":3}');
+    });
+
+    await this.check("压缩文件和默认的报告路径", async () => {
+      const inputPath = await this.writeFile(
+        "input.json.gz",
+        zlib.gzipSync('{"a":[1,2'),
+      );
+      const outputPath = path.join(this.directory, "output.json.gz");
+      const report = await repairJSONFile(inputPath, outputPath);
+      assert.deepEqual(
+        JSON.parse(zlib.gunzipSync(await fs.readFile(outputPath))),
+        { a: [1, 2] },
+      );
+      assert.deepEqual(
+        JSON.parse(await fs.readFile(`${outputPath}.report.json`, "utf8")),
+        report,
+      );
+    });
+
+    await this.check("输出文件不能与输入文件相同", async () => {
+      const inputPath = await this.writeFile("same.json", "[1");
+      await assert.rejects(
+        repairJSONFile(inputPath, path.join(this.directory, ".", "same.json")),
+        /输出文件不能与输入文件相同/,
+      );
+      assert.equal(await fs.readFile(inputPath, "utf8"), "[1");
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-repair-", async () => {
+      await this.testTruncated();
+      await this.testDropIncomplete();
+      await this.testCorrupted();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONRepairTester.main();
+}
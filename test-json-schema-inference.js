@@ -0,0 +1,102 @@
+import assert from "assert/strict";
+import JSONTokenizer from "./json-tokenizer.js";
+import SchemaInferrer, { schemaToTypeScript } from "./json-schema-inference.js";
+import TestHarness from "./test-harness.js";
+
+export default class SchemaInferenceTester extends TestHarness {
+  infer(text, options = {}) {
+    const inferrer = new SchemaInferrer(options);
+    const tokenizer = new JSONTokenizer({ multipleValues: true });
+    for (const token of tokenizer.write(Buffer.from(text))) {
+      inferrer.write(token);
+    }
+    for (const token of tokenizer.end()) {
+      inferrer.write(token);
+    }
+    return inferrer;
+  }
+
+  async testJSONSchema() {
+    console.log("\n=== JSON Schema ===");
+
+    await this.check("必需属性、可选属性和可为空的类型", () => {
+      const { properties, required } = this.infer(
+        '[{"id":1,"name":"a"},{"id":2,"name":null,"tag":"x"}]',
+      ).toJSONSchema().items;
+      assert.deepEqual(required, ["id", "name"]);
+      assert.deepEqual(Object.keys(properties), ["id", "name", "tag"]);
+      assert.deepEqual(properties.name.type, ["string", "null"]);
+    });
+
+    await this.check("__proto__ 属性不修改 properties 的原型", () => {
+      const schema = this.infer('{"__proto__":{"x":1},"a":true}')
+        .toJSONSchema();
+      assert.equal(Object.getPrototypeOf(schema.properties), Object.prototype);
+      assert.deepEqual(Object.keys(schema.properties), ["__proto__", "a"]);
+      assert.equal(schema.properties.__proto__.type, "object");
+      assert.deepEqual(
+        JSON.parse(JSON.stringify(schema)).properties.__proto__.required,
+        ["x"],
+      );
+    });
+  }
+
+  async testTypeScript() {
+    console.log("\n=== TypeScript ===");
+
+    await this.check("带属性的对象声明为 interface", () => {
+      const typescript = schemaToTypeScript(
+        this.infer('{"a":1,"b":"x"}').toJSONSchema(),
+      );
+      assert.match(typescript, /^export interface Root \{$/m);
+      assert.match(typescript, /^ {2}a: number;$/m);
+    });
+
+    await this.check("空对象使用类型别名", () => {
+      assert.match(
+        schemaToTypeScript(this.infer("{}").toJSONSchema()),
+        /^export type Root = Record<string, unknown>;$/m,
+      );
+      assert.match(
+        schemaToTypeScript({ type: "object", properties: {} }),
+        /^export type Root = Record<string, unknown>;$/m,
+      );
+    });
+
+    await this.check("只有索引签名的对象仍是对象字面量", () => {
+      assert.match(
+        schemaToTypeScript({ type: "object", additionalProperties: true }),
+        /^export interface Root \{\n {2}\[key: string\]: unknown;\n\}$/m,
+      );
+    });
+
+    await this.check("数组、联合类型和基本类型使用类型别名", () => {
+      assert.match(
+        schemaToTypeScript(this.infer("[1,2]").toJSONSchema()),
+        /^export type Root = number\[\];$/m,
+      );
+      assert.match(
+        schemaToTypeScript({
+          type: ["object", "null"],
+          properties: { a: { type: "string" } },
+        }),
+        /^export type Root = \{\n {2}a\?: string;\n\} \| null;$/m,
+      );
+      assert.match(
+        schemaToTypeScript({ type: "string" }, "Name"),
+        /^export type Name = string;$/m,
+      );
+    });
+  }
+
+  async testAll() {
+    await this.testJSONSchema();
+    await this.testTypeScript();
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await SchemaInferenceTester.main();
+}
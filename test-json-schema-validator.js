@@ -0,0 +1,127 @@
+import assert from "assert/strict";
+import JSONAnalyzer from "./json-analyzer.js";
+import TestHarness from "./test-harness.js";
+
+const ITEM_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["id"],
+    properties: { id: { type: "integer" } },
+  },
+};
+
+export default class SchemaValidatorTester extends TestHarness {
+  constructor() {
+    super();
+    this.analyzer = new JSONAnalyzer();
+  }
+
+  async validate(content, schema, options = {}) {
+    const filePath = await this.writeFile("data.json", content);
+    return await this.analyzer.validateJSON(filePath, schema, options);
+  }
+
+  async testKeywords() {
+    console.log("\n=== 关键字 ===");
+
+    await this.check("有效的文件", async () => {
+      const result = await this.validate('[{"id":1},{"id":2}]', ITEM_SCHEMA);
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.errors, []);
+      assert.equal(result.truncated, false);
+    });
+
+    await this.check("错误带有 JSON Pointer 和字节偏移", async () => {
+      const content = '[{"id":1},{"id":"x"},{}]';
+      const { valid, errors } = await this.validate(content, ITEM_SCHEMA);
+      assert.equal(valid, false);
+      assert.deepEqual(
+        errors.map(({ pointer, keyword }) => [pointer, keyword]),
+        [["/1/id", "type"], ["/2", "required"]],
+      );
+      assert.equal(errors[0].offset, content.indexOf('"x"'));
+    });
+
+    await this.check("$ref、enum 和字符串约束", async () => {
+      const schema = {
+        type: "object",
+        properties: {
+          tag: { $ref: "#/$defs/tag" },
+          point: { enum: [[0, 0], [1, 1]] },
+        },
+        $defs: { tag: { type: "string", maxLength: 3, pattern: "^[a-z]+$" } },
+      };
+      const { errors } = await this.validate(
+        '{"tag":"ABCD","point":[1,2]}',
+        schema,
+      );
+      assert.deepEqual(errors.map(({ keyword }) => keyword).sort(), [
+        "enum",
+        "maxLength",
+        "pattern",
+      ]);
+    });
+  }
+
+  async testMaxErrors() {
+    console.log("\n=== maxErrors 和语法错误 ===");
+
+    const invalid = JSON.stringify(
+      Array.from({ length: 10 }, (_, i) => ({ id: `s${i}` })),
+    );
+
+    await this.check("达到 maxErrors 后提前停止", async () => {
+      const result = await this.validate(invalid, ITEM_SCHEMA, {
+        maxErrors: 3,
+      });
+      assert.equal(result.errors.length, 3);
+      assert.equal(result.truncated, true);
+    });
+
+    await this.check("语法错误作为最后一个错误报告", async () => {
+      const content = '[{"id":"a"},{"id":2},';
+      const result = await this.validate(content, ITEM_SCHEMA);
+      assert.deepEqual(result.errors.map(({ keyword }) => keyword), [
+        "type",
+        "syntax",
+      ]);
+      assert.equal(result.errors[1].pointer, "");
+      assert.equal(result.truncated, false);
+    });
+
+    await this.check("已达到 maxErrors 时不再报告语法错误", async () => {
+      const content = `${invalid.slice(0, -1)},x]`;
+      const result = await this.validate(content, ITEM_SCHEMA, {
+        maxErrors: 10,
+      });
+      assert.equal(result.errors.length, 10);
+      assert.ok(result.errors.every(({ keyword }) => keyword === "type"));
+      assert.equal(result.truncated, true);
+    });
+
+    await this.check("语法错误计入 maxErrors", async () => {
+      const result = await this.validate('[{"id":"a"},{"id":', ITEM_SCHEMA, {
+        maxErrors: 2,
+      });
+      assert.deepEqual(result.errors.map(({ keyword }) => keyword), [
+        "type",
+        "syntax",
+      ]);
+      assert.equal(result.truncated, true);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-schema-validator-", async () => {
+      await this.testKeywords();
+      await this.testMaxErrors();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await SchemaValidatorTester.main();
+}
@@ -0,0 +1,174 @@
+import assert from "assert/strict";
+import JSONSearch, { parseSearchQuery } from "./json-search.js";
+import { JSONSyntaxError } from "./json-tokenizer.js";
+import TestHarness from "./test-harness.js";
+
+const USERS = '{"users":[{"name":"Alice","age":30,"tags":["admin"]},' +
+  '{"name":"bob","age":17,"user_1":null,"big":12345678901234567890}],' +
+  '"Title":"Users list"}';
+
+export default class JSONSearchTester extends TestHarness {
+  async search(query, options = {}, filePath = this.filePath) {
+    const results = [];
+    for await (
+      const result of new JSONSearch(query, options).search(filePath)
+    ) {
+      results.push(result);
+    }
+    return results;
+  }
+
+  async testQueries() {
+    console.log("\n=== 查询 ===");
+
+    await this.check("字符串默认不区分大小写，匹配键名和值", async () => {
+      const results = await this.search("user");
+      assert.deepEqual(
+        results.map(({ match, path, type }) => [match, path, type]),
+        [
+          ["key", "$['users']", "array"],
+          ["key", "$['users'][1]['user_1']", "null"],
+          ["value", "$['Title']", "string"],
+        ],
+      );
+      assert.equal(results[0].offset, 1);
+      assert.equal(results[2].offset, USERS.indexOf('"Users list"'));
+      assert.equal(results[0].value, undefined);
+      assert.equal(results[2].value, "Users list");
+      assert.deepEqual(results[1].keys, ["users", 1, "user_1"]);
+    });
+
+    await this.check("区分大小写和完全匹配", async () => {
+      assert.deepEqual(await this.search("alice", { caseSensitive: true }), []);
+      assert.deepEqual(
+        (await this.search("ALICE", { exact: true })).map(({ path }) => path),
+        ["$['users'][0]['name']"],
+      );
+      assert.deepEqual(await this.search("Alic", { exact: true }), []);
+    });
+
+    await this.check("正则表达式忽略 g 标志", async () => {
+      const results = await this.search(/^(user_\d+|name)$/g);
+      assert.deepEqual(results.map(({ path }) => path), [
+        "$['users'][0]['name']",
+        "$['users'][1]['name']",
+        "$['users'][1]['user_1']",
+      ]);
+    });
+
+    await this.check("数值比较只匹配数字", async () => {
+      const results = await this.search({ operator: ">=", value: 18 });
+      assert.deepEqual(results.map(({ path }) => path), [
+        "$['users'][0]['age']",
+        "$['users'][1]['big']",
+      ]);
+      assert.equal(results[0].offset, USERS.indexOf("30"));
+      const [big] = await this.search(
+        { operator: ">", value: 1e18 },
+        { numbers: "bigint" },
+      );
+      assert.equal(big.value, 12345678901234567890n);
+    });
+
+    await this.check("搜索范围和值的类型", async () => {
+      assert.deepEqual(
+        (await this.search("user", { target: "values" }))
+          .map(({ path }) => path),
+        ["$['Title']"],
+      );
+      // 键名按成员值的类型过滤
+      assert.deepEqual(
+        (await this.search("a", { target: "keys", types: ["array"] }))
+          .map(({ path }) => path),
+        ["$['users'][0]['tags']"],
+      );
+    });
+  }
+
+  async testInput() {
+    console.log("\n=== 输入 ===");
+
+    await this.check("宽松模式", async () => {
+      const filePath = await this.writeFile(
+        "lenient.json5",
+        "{name:'Alice', // 注释\n}",
+      );
+      const results = await this.search("alice", { lenient: true }, filePath);
+      assert.deepEqual(results.map(({ path, offset }) => [path, offset]), [
+        ["$['name']", 6],
+      ]);
+      await assert.rejects(this.search("alice", {}, filePath), JSONSyntaxError);
+    });
+
+    await this.check("语法错误之前的结果已经产出", async () => {
+      const filePath = await this.writeFile("broken.json", '[{"a":"x"},');
+      const found = [];
+      await assert.rejects(async () => {
+        for await (const result of new JSONSearch("x").search(filePath)) {
+          found.push(result.path);
+        }
+      }, /数组未闭合/);
+      assert.deepEqual(found, ["$[0]['a']"]);
+    });
+
+    await this.check("无效的选项", () => {
+      assert.throws(
+        () => new JSONSearch("x", { target: "k" }),
+        /未知的搜索范围/,
+      );
+      assert.throws(
+        () => new JSONSearch("x", { types: ["int"] }),
+        /未知的值类型/,
+      );
+      assert.throws(
+        () => new JSONSearch({ operator: ">", value: 1 }, { target: "keys" }),
+        /数值比较只能用于搜索值/,
+      );
+      assert.throws(() => new JSONSearch(""), /搜索内容不能为空/);
+      assert.throws(
+        () => new JSONSearch({ operator: "~", value: 1 }),
+        /未知的比较运算符/,
+      );
+      assert.throws(
+        () => new JSONSearch({ operator: ">", value: "a" }),
+        /比较的值不是数字/,
+      );
+    });
+  }
+
+  async testParseQuery() {
+    console.log("\n=== parseSearchQuery ===");
+
+    await this.check("正则表达式、数值比较和普通字符串", () => {
+      const regex = parseSearchQuery("/^a/i");
+      assert.ok(regex instanceof RegExp);
+      assert.equal(regex.flags, "i");
+      assert.deepEqual(parseSearchQuery(">= 100"), {
+        operator: ">=",
+        value: 100,
+      });
+      assert.deepEqual(parseSearchQuery("!=-1.5e2"), {
+        operator: "!=",
+        value: -150,
+      });
+      assert.equal(parseSearchQuery("> abc"), "> abc");
+      assert.equal(parseSearchQuery("/"), "/");
+      assert.throws(() => parseSearchQuery("/(/"), SyntaxError);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-search-", async () => {
+      this.filePath = await this.writeFile("users.json", USERS);
+      await this.testQueries();
+      await this.testInput();
+      await this.testParseQuery();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONSearchTester.main();
+}
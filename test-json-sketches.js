@@ -0,0 +1,169 @@
+import assert from "assert/strict";
+import { HyperLogLog, TDigest, TopValues } from "./json-sketches.js";
+import TestHarness from "./test-harness.js";
+
+export default class SketchesTester extends TestHarness {
+  /**
+   * 检查相对误差不超过 tolerance
+   */
+  assertClose(actual, expected, tolerance) {
+    assert.ok(
+      Math.abs(actual - expected) <= Math.abs(expected) * tolerance,
+      `${actual} 与 ${expected} 相差超过 ${tolerance * 100}%`,
+    );
+  }
+
+  async testHyperLogLog() {
+    console.log("\n=== HyperLogLog ===");
+
+    await this.check("重复的值只计一次", () => {
+      const sketch = new HyperLogLog();
+      for (let i = 0; i < 100000; i++) {
+        sketch.add(`n:${i % 20000}`);
+      }
+      // 默认精度的标准误差约 3%，取三倍作为上限
+      this.assertClose(sketch.estimate(), 20000, 0.1);
+      assert.equal(new HyperLogLog().estimate(), 0);
+    });
+
+    await this.check("合并与一起统计相同，并可以保存和恢复", () => {
+      const a = new HyperLogLog();
+      const b = new HyperLogLog();
+      const all = new HyperLogLog();
+      for (let i = 0; i < 10000; i++) {
+        a.add(`s:${i}`);
+        b.add(`s:${i + 5000}`);
+        all.add(`s:${i}`);
+        all.add(`s:${i + 5000}`);
+      }
+      a.merge(b);
+      assert.equal(a.estimate(), all.estimate());
+      this.assertClose(a.estimate(), 15000, 0.1);
+      const restored = HyperLogLog.fromJSON(JSON.parse(JSON.stringify(a)));
+      assert.equal(restored.estimate(), a.estimate());
+    });
+
+    await this.check("无效的精度和不同精度的合并", () => {
+      assert.throws(() => new HyperLogLog(3), RangeError);
+      assert.throws(() => new HyperLogLog(10.5), RangeError);
+      assert.throws(
+        () => new HyperLogLog().merge(new HyperLogLog(12)),
+        /精度不同/,
+      );
+      assert.throws(
+        () => HyperLogLog.fromJSON({ precision: 10, registers: "AAAA" }),
+        /寄存器个数与精度不符/,
+      );
+    });
+  }
+
+  async testTDigest() {
+    console.log("\n=== TDigest ===");
+
+    const digest = new TDigest();
+    for (let i = 1; i <= 10000; i++) {
+      digest.add(i);
+    }
+
+    await this.check("分位数和 CDF", () => {
+      this.assertClose(digest.quantile(0.5), 5000, 0.01);
+      this.assertClose(digest.quantile(0.99), 9900, 0.01);
+      assert.equal(digest.quantile(0), 1);
+      assert.equal(digest.quantile(1), 10000);
+      this.assertClose(digest.cdf(2500), 0.25, 0.01);
+      assert.equal(digest.cdf(0), 0);
+      assert.equal(digest.cdf(20000), 1);
+    });
+
+    await this.check("直方图的计数之和等于总数", () => {
+      const histogram = digest.histogram(4);
+      assert.equal(histogram.length, 4);
+      assert.equal(histogram[0].from, 1);
+      assert.equal(histogram[3].to, 10000);
+      assert.equal(
+        histogram.reduce((sum, { count }) => sum + count, 0),
+        10000,
+      );
+      for (const { count } of histogram) {
+        this.assertClose(count, 2500, 0.02);
+      }
+    });
+
+    await this.check("合并、保存和恢复", () => {
+      const a = new TDigest();
+      const b = new TDigest();
+      for (let i = 1; i <= 5000; i++) {
+        a.add(i);
+        b.add(i + 5000);
+      }
+      a.merge(b);
+      assert.equal(a.count, 10000);
+      assert.equal(a.min, 1);
+      assert.equal(a.max, 10000);
+      this.assertClose(a.quantile(0.5), 5000, 0.01);
+      const restored = TDigest.fromJSON(JSON.parse(JSON.stringify(a)));
+      assert.equal(restored.quantile(0.5), a.quantile(0.5));
+      assert.equal(restored.count, 10000);
+    });
+
+    await this.check("空的 TDigest、权重和无效的值", () => {
+      const empty = new TDigest();
+      assert.equal(empty.quantile(0.5), null);
+      assert.deepEqual(empty.histogram(), []);
+      assert.deepEqual(empty.toJSON().min, null);
+
+      const weighted = new TDigest();
+      weighted.add(5, 3);
+      weighted.add(10);
+      weighted.add(NaN);
+      weighted.add(Infinity);
+      assert.equal(weighted.count, 4);
+      assert.deepEqual(weighted.histogram(1), [{ from: 5, to: 10, count: 4 }]);
+      assert.throws(() => new TDigest(5), RangeError);
+    });
+  }
+
+  async testTopValues() {
+    console.log("\n=== TopValues ===");
+
+    await this.check("出现次数超过 1/capacity 的值一定保留", () => {
+      const top = new TopValues(4);
+      for (let i = 0; i < 1000; i++) {
+        if (i % 3 === 0) {
+          top.add("s:hot", "hot");
+        } else {
+          top.add(`n:${i}`, i);
+        }
+      }
+      const [first, second] = top.top(2);
+      assert.deepEqual(first, { value: "hot", count: 334, error: 0 });
+      // 被替换的计数会继承下来，error 是偏大的上限
+      assert.ok(second.count - second.error <= 1);
+      assert.equal(top.top(10).length, 4);
+    });
+
+    await this.check("计数器未满时计数准确", () => {
+      const top = new TopValues();
+      for (const value of ["a", "b", "a", "c", "a", "b"]) {
+        top.add(value, value);
+      }
+      assert.deepEqual(top.top(), [
+        { value: "a", count: 3, error: 0 },
+        { value: "b", count: 2, error: 0 },
+        { value: "c", count: 1, error: 0 },
+      ]);
+    });
+  }
+
+  async testAll() {
+    await this.testHyperLogLog();
+    await this.testTDigest();
+    await this.testTopValues();
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await SketchesTester.main();
+}
@@ -0,0 +1,259 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import { Readable, Writable } from "stream";
+import LargeJSONHandler from "./index.js";
+import JSONStreamWriter, { JSONEntries } from "./json-stream-writer.js";
+import { JSONDecimal } from "./json-values.js";
+import TestHarness from "./test-harness.js";
+
+// 覆盖 JSON.stringify 各种规则的数据
+const SAMPLE = {
+  text: '中文 "引号" \\ \n   😀',
+  numbers: [0, -0, 1.5e-7, 1e21, NaN, Infinity, -Infinity],
+  literals: [true, false, null],
+  skipped: { a: undefined, b: () => 1, c: Symbol("s"), d: 1 },
+  inArray: [undefined, () => 1, Symbol("s")],
+  sparse: [1, , 3],
+  empty: { object: {}, array: [], nested: [[], [{}]] },
+  date: new Date(0),
+  boxed: [new String("s"), new Number(1), new Boolean(false)],
+  custom: { toJSON: (key) => `toJSON(${key})` },
+  nested: Array.from({ length: 30 }, (_, id) => ({ id, tags: ["a", "b"] })),
+};
+
+export default class JSONStreamWriterTester extends TestHarness {
+  /**
+   * 写出到内存中，返回文本和写入输出流的各个块
+   */
+  async write(value, options = {}) {
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+      },
+    });
+    const writer = new JSONStreamWriter(output, options);
+    await writer.write(value);
+    await writer.end();
+    return { text: chunks.join(""), chunks, writer };
+  }
+
+  async testParity() {
+    console.log("\n=== 与 JSON.stringify 一致 ===");
+
+    await this.check("紧凑和美化输出，各种 chunkSize", async () => {
+      for (const pretty of [false, true]) {
+        const expected = JSON.stringify(SAMPLE, null, pretty ? 2 : undefined);
+        for (const chunkSize of [1, 7, 500, 100000]) {
+          const { text } = await this.write(SAMPLE, { pretty, chunkSize });
+          assert.equal(
+            text,
+            expected,
+            `pretty=${pretty} chunkSize=${chunkSize}`,
+          );
+        }
+      }
+    });
+
+    await this.check("顶层的基本类型和空容器", async () => {
+      for (const value of ["s", 0, NaN, true, null, [], {}, new Date(0)]) {
+        assert.equal((await this.write(value)).text, JSON.stringify(value));
+      }
+    });
+
+    await this.check("BigInt 和 JSONDecimal 按原始数字写出", async () => {
+      const { text } = await this.write({
+        big: 12345678901234567890n,
+        decimal: new JSONDecimal("0.10000000000000000001"),
+      });
+      assert.equal(
+        text,
+        '{"big":12345678901234567890,"decimal":0.10000000000000000001}',
+      );
+    });
+
+    await this.check(
+      "块的大小按 chunkSize 累积，字节数按 UTF-8 计算",
+      async () => {
+        const { text, chunks, writer } = await this.write(SAMPLE, {
+          chunkSize: 50,
+        });
+        // 除最后一块外，每块都至少有 chunkSize 个字符
+        assert.ok(chunks.slice(0, -1).every((chunk) => chunk.length >= 50));
+        assert.equal(writer.bytesWritten, Buffer.byteLength(text));
+      },
+    );
+
+    await this.check("无法序列化的值", async () => {
+      const cyclic = { a: [] };
+      cyclic.a.push(cyclic);
+      await assert.rejects(this.write(cyclic), /循环引用/);
+      await assert.rejects(this.write(undefined), /无法序列化的值/);
+      // 同一个对象出现多次但没有循环时正常写出
+      const shared = { x: 1 };
+      assert.equal(
+        (await this.write([shared, shared])).text,
+        '[{"x":1},{"x":1}]',
+      );
+    });
+  }
+
+  async testAsyncIterables() {
+    console.log("\n=== 异步可迭代对象 ===");
+
+    async function* generate(items) {
+      for (const item of items) {
+        await new Promise((resolve) => setImmediate(resolve));
+        yield item;
+      }
+    }
+
+    await this.check("异步生成器和对象模式的可读流写为数组", async () => {
+      // 可读流中不能有 null
+      const items = [{ id: 1 }, "s", [2, 3], undefined, false];
+      const expected = JSON.stringify(
+        { a: [...items, null], b: items },
+        null,
+        2,
+      );
+      const { text } = await this.write(
+        { a: generate([...items, null]), b: Readable.from(items) },
+        { pretty: true, chunkSize: 5 },
+      );
+      assert.equal(text, expected);
+    });
+
+    await this.check("嵌套和空的异步可迭代对象", async () => {
+      const { text } = await this.write(
+        generate([generate([1, generate([])]), generate([])]),
+      );
+      assert.equal(text, "[[1,[]],[]]");
+    });
+
+    await this.check("JSONEntries 写为对象，成员逐个写出", async () => {
+      const entries = [["a", 1], ["skip", undefined], ["b", generate([2])]];
+      assert.equal(
+        (await this.write(new JSONEntries(generate(entries)))).text,
+        '{"a":1,"b":[2]}',
+      );
+      assert.equal(
+        (await this.write({ x: new JSONEntries([]) }, { pretty: true })).text,
+        JSON.stringify({ x: {} }, null, 2),
+      );
+    });
+
+    await this.check("生成器抛出的异常传给调用方", async () => {
+      async function* failing() {
+        yield 1;
+        throw new Error("数据源出错");
+      }
+      await assert.rejects(this.write([failing()]), /数据源出错/);
+    });
+  }
+
+  async testBackpressure() {
+    console.log("\n=== 背压 ===");
+
+    await this.check("输出流缓冲区满时等待 drain", async () => {
+      let maxBuffered = 0;
+      let received = "";
+      const output = new Writable({
+        highWaterMark: 64,
+        write(chunk, _encoding, callback) {
+          maxBuffered = Math.max(maxBuffered, this.writableLength);
+          received += chunk;
+          setTimeout(callback, 1);
+        },
+      });
+
+      // 记录生成每个元素时输出流中尚未处理的字节数
+      const pending = [];
+      async function* items() {
+        for (let id = 0; id < 200; id++) {
+          pending.push(output.writableLength);
+          yield { id };
+        }
+      }
+
+      const writer = new JSONStreamWriter(output, { chunkSize: 16 });
+      await writer.write(items());
+      await writer.end();
+
+      assert.deepEqual(
+        JSON.parse(received),
+        Array.from({ length: 200 }, (_, id) => ({ id })),
+      );
+      assert.ok(received.length > 2000);
+      // 遵循背压时缓冲区最多超出 highWaterMark 一个块
+      assert.ok(maxBuffered < 64 + 32, `缓冲了 ${maxBuffered} 字节`);
+      assert.ok(Math.max(...pending) < 64 + 32);
+    });
+
+    await this.check("输出流出错时写入失败", async () => {
+      const output = new Writable({
+        write(_chunk, _encoding, callback) {
+          callback(new Error("磁盘已满"));
+        },
+      });
+      const writer = new JSONStreamWriter(output, { chunkSize: 1 });
+      await assert.rejects(
+        (async () => {
+          await writer.write(SAMPLE);
+          await writer.end();
+        })(),
+        /磁盘已满/,
+      );
+    });
+  }
+
+  async testWriteJSONInChunks() {
+    console.log("\n=== writeJSONInChunks ===");
+
+    const handler = new LargeJSONHandler();
+    const filePath = `${this.directory}/out.json`;
+
+    await this.check("写出的文件与 JSON.stringify 一致", async () => {
+      await handler.writeJSONInChunks(filePath, SAMPLE, { pretty: true });
+      assert.equal(
+        await fs.readFile(filePath, "utf8"),
+        JSON.stringify(SAMPLE, null, 2),
+      );
+    });
+
+    await this.check("进度回调的字节数递增，最后等于文件大小", async () => {
+      const progress = [];
+      await handler.writeJSONInChunks(filePath, SAMPLE, {
+        chunkSize: 64,
+        progressCallback: (bytes) => progress.push(bytes),
+      });
+      const { size } = await fs.stat(filePath);
+      assert.ok(progress.length > 1);
+      assert.ok(
+        progress.every((bytes, i) => i === 0 || bytes > progress[i - 1]),
+      );
+      assert.equal(progress.at(-1), size);
+    });
+
+    await this.check("追加写入", async () => {
+      await handler.writeJSONInChunks(filePath, [1]);
+      await handler.writeJSONInChunks(filePath, [2], { append: true });
+      assert.equal(await fs.readFile(filePath, "utf8"), "[1][2]");
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-stream-writer-", async () => {
+      await this.testParity();
+      await this.testAsyncIterables();
+      await this.testBackpressure();
+      await this.testWriteJSONInChunks();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONStreamWriterTester.main();
+}
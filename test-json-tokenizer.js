@@ -0,0 +1,226 @@
+import assert from "assert/strict";
+import JSONTokenizer, {
+  findValueBoundaries,
+  JSONSyntaxError,
+  scanContainers,
+} from "./json-tokenizer.js";
+import TestHarness from "./test-harness.js";
+
+export default class JSONTokenizerTester extends TestHarness {
+  /**
+   * 按 chunkSize 字节切分输入，返回全部词法单元
+   */
+  tokenize(text, options = {}, chunkSize = Infinity) {
+    const tokenizer = new JSONTokenizer(options);
+    const buffer = Buffer.from(text);
+    const tokens = [];
+    const size = Math.min(chunkSize, buffer.length) || 1;
+    for (let i = 0; i < buffer.length; i += size) {
+      tokens.push(...tokenizer.write(buffer.subarray(i, i + size)));
+    }
+    tokens.push(...tokenizer.end());
+    return tokens;
+  }
+
+  async testStrict() {
+    console.log("\n=== 严格模式 ===");
+
+    await this.check("词法单元带有字节偏移和深度", () => {
+      const tokens = this.tokenize('{"a":[1,"é",true],"b":null}');
+      assert.deepEqual(
+        tokens.map(({ name, value, start, end, depth }) => [
+          name,
+          value,
+          start,
+          end,
+          depth,
+        ]),
+        [
+          ["startObject", undefined, 0, 1, 0],
+          ["keyValue", "a", 1, 4, 1],
+          ["startArray", undefined, 5, 6, 1],
+          ["numberValue", "1", 6, 7, 2],
+          ["stringValue", "é", 8, 12, 2],
+          ["trueValue", true, 13, 17, 2],
+          ["endArray", undefined, 17, 18, 1],
+          ["keyValue", "b", 19, 22, 1],
+          ["nullValue", null, 23, 27, 1],
+          ["endObject", undefined, 27, 28, 0],
+        ],
+      );
+    });
+
+    await this.check("逐字节写入与一次写入的结果相同", () => {
+      const text = JSON.stringify({
+        text: '中文\n"引号" \\ \u0001 😀',
+        numbers: [0, -1.5, 1e21, 123456789012345678901234567890],
+        nested: [[], {}, [{ x: false }]],
+      });
+      assert.deepEqual(this.tokenize(text, {}, 1), this.tokenize(text));
+      const values = this.tokenize(text, {}, 3)
+        .filter(({ name }) => name === "stringValue")
+        .map(({ value }) => value);
+      assert.deepEqual(values, ['中文\n"引号" \\ \u0001 😀']);
+    });
+
+    await this.check("多个顶层值", () => {
+      const tokens = this.tokenize('1 {"a":2}\n[3]', { multipleValues: true });
+      assert.deepEqual(
+        tokens.map(({ name, depth }) => `${name}@${depth}`),
+        [
+          "numberValue@0",
+          "startObject@0",
+          "keyValue@1",
+          "numberValue@1",
+          "endObject@0",
+          "startArray@0",
+          "numberValue@1",
+          "endArray@0",
+        ],
+      );
+      assert.throws(
+        () => this.tokenize("1 2"),
+        /意外的字符 "2" \(字节偏移 2\)/,
+      );
+    });
+
+    await this.check("跳过开头的 BOM，偏移仍从文件开头计算", () => {
+      const text = "\ufeff[1]";
+      const tokens = this.tokenize(text);
+      assert.deepEqual(tokens.map(({ start }) => start), [3, 4, 5]);
+      assert.deepEqual(this.tokenize(text, {}, 1), tokens);
+      assert.throws(() => this.tokenize(" \ufeff[1]"), JSONSyntaxError);
+    });
+
+    await this.check("严格模式拒绝 JSON5 写法", () => {
+      for (const text of ["{a:1}", "[1,]", "'x'", "// c\n1", "0x10", ".5"]) {
+        assert.throws(() => this.tokenize(text), JSONSyntaxError, text);
+      }
+    });
+  }
+
+  async testErrors() {
+    console.log("\n=== 语法错误 ===");
+
+    await this.check("错误带有偏移和出错前的词法单元", () => {
+      const tokenizer = new JSONTokenizer();
+      assert.throws(() => tokenizer.write("[1,2,}"), (error) => {
+        assert.ok(error instanceof JSONSyntaxError);
+        assert.equal(error.reason, '意外的字符 "}"');
+        assert.equal(error.offset, 5);
+        assert.deepEqual(
+          error.tokens.map(({ name }) => name),
+          ["startArray", "numberValue", "numberValue"],
+        );
+        return true;
+      });
+    });
+
+    await this.check("输入不完整时 end() 报告错误", () => {
+      const tokenizer = new JSONTokenizer();
+      tokenizer.write("[1,2");
+      assert.throws(() => tokenizer.end(), (error) => {
+        assert.equal(error.reason, "数组未闭合");
+        assert.equal(error.offset, 4);
+        // 文件末尾的数字在 end() 时才输出
+        assert.deepEqual(error.tokens.map(({ value }) => value), ["2"]);
+        return true;
+      });
+    });
+  }
+
+  async testLenient() {
+    console.log("\n=== 宽松模式 ===");
+
+    await this.check("注释、尾随逗号、单引号和无引号的键", () => {
+      const text =
+        "// 开头的注释\n{a:'x\\'y', /* 块注释 */ \"b\":[1,2,],$c_1:{},}";
+      const tokens = this.tokenize(text, { lenient: true });
+      assert.deepEqual(
+        tokens.map(({ name, value }) => value ?? name),
+        [
+          "startObject",
+          "a",
+          "x'y",
+          "b",
+          "startArray",
+          "1",
+          "2",
+          "endArray",
+          "$c_1",
+          "startObject",
+          "endObject",
+          "endObject",
+        ],
+      );
+      assert.deepEqual(this.tokenize(text, { lenient: true }, 1), tokens);
+    });
+
+    await this.check("数字转换为标准写法", () => {
+      const tokens = this.tokenize(
+        "[0x1F, .5, 5., +1, -0XfF, 1.5e3, Infinity, -Infinity, NaN]",
+        { lenient: true },
+      );
+      assert.deepEqual(
+        tokens.filter(({ name }) => name === "numberValue")
+          .map(({ value }) => value),
+        [
+          "31",
+          "0.5",
+          "5",
+          "1",
+          "-255",
+          "1.5e3",
+          "Infinity",
+          "-Infinity",
+          "NaN",
+        ],
+      );
+    });
+
+    await this.check("宽松模式仍然报告错误", () => {
+      assert.throws(
+        () => this.tokenize("'\\1'", { lenient: true }),
+        /无效的字符串/,
+      );
+      assert.throws(
+        () => this.tokenize("[1 /* x", { lenient: true }),
+        /注释未结束/,
+      );
+      assert.throws(() => this.tokenize("[1,,2]", { lenient: true }));
+    });
+  }
+
+  async testContainers() {
+    console.log("\n=== scanContainers / findValueBoundaries ===");
+
+    await this.check("字符串中的括号和多字节字符不影响边界", () => {
+      const content = '{"a":["]",{"b":"é"}]}';
+      assert.deepEqual(scanContainers(content), [
+        { start: 10, end: 19 },
+        { start: 5, end: 20 },
+        { start: 0, end: 21 },
+      ]);
+      const { start, end } = findValueBoundaries(content, 12);
+      assert.deepEqual(JSON.parse(content.slice(start, end)), { b: "é" });
+      assert.equal(findValueBoundaries(content, 30), null);
+    });
+
+    await this.check("语法错误之后的容器被忽略", () => {
+      assert.deepEqual(scanContainers("[[1],[2}"), [{ start: 1, end: 4 }]);
+    });
+  }
+
+  async testAll() {
+    await this.testStrict();
+    await this.testErrors();
+    await this.testLenient();
+    await this.testContainers();
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONTokenizerTester.main();
+}
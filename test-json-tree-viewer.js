@@ -0,0 +1,301 @@
+import assert from "assert/strict";
+import { EventEmitter } from "events";
+import { PassThrough } from "stream";
+import JSONTreeViewer from "./json-tree-viewer.js";
+import TestHarness from "./test-harness.js";
+
+const DATA = {
+  info: { title: "标题", version: "1.0" },
+  items: Array.from({ length: 5 }, (_, id) => ({ id, name: `item${id}` })),
+  last: null,
+};
+
+/**
+ * 模拟的终端：input 记录原始模式的切换，output 记录写入的内容
+ */
+function createTerminal() {
+  const input = new PassThrough();
+  input.isTTY = true;
+  input.rawModes = [];
+  input.setRawMode = (mode) => {
+    input.rawModes.push(mode);
+    return input;
+  };
+
+  const output = new EventEmitter();
+  output.isTTY = true;
+  output.columns = 60;
+  output.rows = 8;
+  output.text = "";
+  output.write = (text) => {
+    output.text += text;
+    return true;
+  };
+  return { input, output };
+}
+
+export default class JSONTreeViewerTester extends TestHarness {
+  /**
+   * 打开临时文件，每页 2 个成员
+   */
+  async open(startKeys) {
+    const viewer = new JSONTreeViewer(this.filePath, {
+      pageSize: 2,
+      ...createTerminal(),
+    });
+    await viewer.open(startKeys);
+    return viewer;
+  }
+
+  /**
+   * 等待全屏模式开始接收按键
+   */
+  async started(terminal) {
+    while (terminal.input.rawModes.length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  /**
+   * 依次处理按键，字符串为按键名
+   */
+  async press(viewer, ...keys) {
+    for (const key of keys) {
+      const text = key.length === 1 ? key : undefined;
+      await viewer.handleKey(text, { name: key });
+    }
+  }
+
+  /**
+   * 选中行的文本
+   */
+  selectedText(viewer) {
+    return viewer.rowText(viewer.rows[viewer.selected]);
+  }
+
+  async testTree() {
+    console.log("\n=== 展开和翻页 ===");
+
+    await this.check("根节点展开，成员按页显示", async () => {
+      const viewer = await this.open();
+      assert.deepEqual(viewer.rows.map((row) => viewer.rowText(row)), [
+        "$: {3}",
+        "info: {2}",
+        "items: [5]",
+        "… 后面还有 1 个",
+      ]);
+      assert.equal(viewer.preview.lines[0], "JSONPath: $");
+      assert.equal(viewer.preview.lines[1], "JSON Pointer: (根)");
+    });
+
+    await this.check("展开、进入、收起和回到父节点", async () => {
+      const viewer = await this.open();
+      await this.press(viewer, "down", "down", "right");
+      assert.deepEqual(
+        viewer.rows.slice(2, 6).map((row) => viewer.formatRow(row)),
+        [
+          "  ▾ items: [5]",
+          "    ▸ [0]: {2}",
+          "    ▸ [1]: {2}",
+          "      … 后面还有 3 个",
+        ],
+      );
+      // 已展开时进入第一个成员，再次按下时展开该成员
+      await this.press(viewer, "return", "l", "l");
+      assert.equal(this.selectedText(viewer), "id: 0");
+      assert.deepEqual(viewer.preview.lines.slice(0, 3), [
+        "JSONPath: $['items'][0]['id']",
+        "JSON Pointer: /items/0/id",
+        "类型: number",
+      ]);
+
+      await this.press(viewer, "h");
+      assert.equal(this.selectedText(viewer), "[0]: {2}");
+      await this.press(viewer, "left", "left", "left");
+      assert.equal(this.selectedText(viewer), "items: [5]");
+      assert.equal(viewer.rows.length, 4);
+    });
+
+    await this.check("在翻页行上翻页", async () => {
+      const viewer = await this.open(["items", 1]);
+      await this.press(viewer, "down", "return");
+      assert.equal(this.selectedText(viewer), "[2]: {2}");
+      assert.equal(viewer.rows[3].kind, "before");
+      assert.equal(viewer.rowText(viewer.rows[3]), "… 前面还有 2 个");
+
+      // 根对象的第二页只有 last
+      await this.press(viewer, "end", "return");
+      assert.equal(this.selectedText(viewer), "last: null");
+      assert.deepEqual(viewer.rows.map((row) => viewer.rowText(row)), [
+        "$: {3}",
+        "… 前面还有 2 个",
+        "last: null",
+      ]);
+      // 回到第一页时选中最后一个成员，重新加载的成员都是收起的
+      await this.press(viewer, "up", "return");
+      assert.equal(this.selectedText(viewer), "items: [5]");
+      assert.equal(viewer.rows.length, 4);
+    });
+
+    await this.check("跳转到下标", async () => {
+      const viewer = await this.open(["items", 0, "name"]);
+      assert.equal(this.selectedText(viewer), 'name: "item0"');
+      // 选中数组的成员时跳转到所在的数组中，非数字的输入被忽略
+      await this.press(viewer, "up", "up", ":", "4", "x", "return");
+      assert.equal(viewer.mode, null);
+      assert.equal(this.selectedText(viewer), "[4]: {2}");
+      assert.equal(viewer.preview.lines[0], "JSONPath: $['items'][4]");
+
+      await this.press(viewer, ":", "9", "return");
+      assert.equal(viewer.message, "下标超出范围: 9（共 5 个元素）");
+      await this.press(viewer, "home", ":", "1", "return");
+      assert.equal(viewer.message, "选中的值不在数组中");
+
+      const missing = await this.open(["info", "nope"]);
+      assert.equal(missing.message, "路径不存在: $['info']['nope']");
+      assert.equal(this.selectedText(missing), "info: {2}");
+    });
+  }
+
+  async testSearch() {
+    console.log("\n=== 搜索 ===");
+
+    await this.check("输入时在已展开的节点中增量搜索", async () => {
+      const viewer = await this.open(["info", "title"]);
+      await this.press(viewer, "home", "/", "t", "i");
+      assert.equal(viewer.mode, "search");
+      assert.equal(this.selectedText(viewer), 'title: "标题"');
+      await this.press(viewer, "backspace", "backspace", "v");
+      assert.equal(this.selectedText(viewer), 'version: "1.0"');
+      // Esc 回到开始搜索的位置
+      await this.press(viewer, "escape");
+      assert.equal(viewer.mode, null);
+      assert.equal(this.selectedText(viewer), "$: {3}");
+    });
+
+    await this.check("已展开的节点中没有匹配时搜索整个文件", async () => {
+      const viewer = await this.open();
+      await this.press(viewer, "/", "i", "t", "e", "m", "3", "return");
+      assert.equal(viewer.lastQuery, "item3");
+      assert.equal(this.selectedText(viewer), 'name: "item3"');
+      assert.deepEqual(viewer.preview.node.keys, ["items", 3, "name"]);
+    });
+
+    await this.check("n 和 N 在整个文件中查找，到达一端时继续", async () => {
+      const viewer = await this.open();
+      viewer.lastQuery = "name";
+      await this.press(viewer, "n");
+      assert.deepEqual(viewer.preview.node.keys, ["items", 0, "name"]);
+      await viewer.handleKey("N", { name: "n", shift: true });
+      assert.deepEqual(viewer.preview.node.keys, ["items", 4, "name"]);
+      assert.equal(viewer.message, "已从文件末尾继续搜索");
+      await this.press(viewer, "n");
+      assert.deepEqual(viewer.preview.node.keys, ["items", 0, "name"]);
+      assert.equal(viewer.message, "已从文件开头继续搜索");
+
+      viewer.lastQuery = "nope";
+      await this.press(viewer, "n");
+      assert.equal(viewer.message, "未找到: nope");
+    });
+  }
+
+  async testRun() {
+    console.log("\n=== 全屏模式 ===");
+
+    await this.check("不在终端中时拒绝运行", async () => {
+      const viewer = new JSONTreeViewer(this.filePath, {
+        input: new PassThrough(),
+        output: new PassThrough(),
+      });
+      await assert.rejects(viewer.run(), /全屏模式需要在终端中运行/);
+    });
+
+    await this.check("按键、绘制和退出时恢复终端", async () => {
+      const terminal = createTerminal();
+      const viewer = new JSONTreeViewer(this.filePath, terminal);
+      const listeners = process.listenerCount("SIGINT");
+      const done = viewer.run();
+      await this.started(terminal);
+      assert.equal(process.listenerCount("SIGINT"), listeners + 1);
+
+      terminal.input.write("jl");
+      terminal.input.write("q");
+      await done;
+      assert.equal(this.selectedText(viewer), "info: {2}");
+      assert.deepEqual(terminal.input.rawModes, [true, false]);
+      assert.ok(terminal.output.text.startsWith("\x1b[?1049h\x1b[?25l\x1b[H"));
+      assert.ok(terminal.output.text.endsWith("\x1b[?25h\x1b[?1049l"));
+      assert.equal(process.listenerCount("SIGINT"), listeners);
+
+      // 最后一次绘制的屏幕，去掉反色和清除行尾的转义序列
+      const lines = terminal.output.text.split("\x1b[H").at(-1)
+        .split("\r\n")
+        .map((line) =>
+          ["\x1b[7m", "\x1b[0m", "\x1b[K"].reduce(
+            (text, code) => text.replaceAll(code, ""),
+            line,
+          )
+        );
+      assert.equal(lines.length, terminal.output.rows);
+      assert.equal(
+        lines[2],
+        `  ▾ info: {2}${" ".repeat(20)}│JSON Pointer: /info${" ".repeat(7)}`,
+      );
+      // 中文占两列
+      assert.ok(lines[3].endsWith(`│类型: object，2 个键${" ".repeat(6)}`));
+      // 树宽 33 列，分隔线都在同一列，树中的中文占两列
+      for (const line of lines.slice(1, -1)) {
+        const tree = [...line.slice(0, line.indexOf("│"))];
+        const columns = tree.reduce(
+          (total, char) => total + (char >= "\u2e80" ? 2 : 1),
+          0,
+        );
+        assert.equal(columns, 33, line);
+      }
+      assert.ok(lines.some((line) => line.startsWith('      title: "标题"')));
+      assert.ok(lines.at(-1).startsWith("↑↓ 移动"));
+    });
+
+    await this.check("收到信号时恢复终端并退出", async () => {
+      const terminal = createTerminal();
+      const viewer = new JSONTreeViewer(this.filePath, terminal);
+      const done = viewer.run();
+      await this.started(terminal);
+
+      // 存在其它处理函数时，重新发送信号不会结束进程
+      const other = () => {};
+      process.on("SIGTERM", other);
+      const exit = process.exit;
+      const codes = [];
+      process.exit = (code) => codes.push(code);
+      try {
+        process.emit("SIGTERM", "SIGTERM");
+      } finally {
+        process.exit = exit;
+        process.off("SIGTERM", other);
+      }
+      assert.deepEqual(codes, [143]);
+      assert.deepEqual(terminal.input.rawModes, [true, false]);
+      assert.ok(terminal.output.text.endsWith("\x1b[?25h\x1b[?1049l"));
+
+      terminal.input.write("q");
+      await done;
+      assert.deepEqual(terminal.input.rawModes, [true, false]);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-tree-viewer-", async () => {
+      this.filePath = await this.writeFile("data.json", JSON.stringify(DATA));
+      await this.testTree();
+      await this.testSearch();
+      await this.testRun();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONTreeViewerTester.main();
+}
@@ -0,0 +1,136 @@
+import assert from "assert/strict";
+import { Writable } from "stream";
+import JSONStreamWriter from "./json-stream-writer.js";
+import {
+  JSONDecimal,
+  parseJSON,
+  parseJSONNumber,
+  stringifyJSON,
+} from "./json-values.js";
+import { DuplicateKeyError } from "./json-duplicate-keys.js";
+import TestHarness from "./test-harness.js";
+
+export default class JSONValuesTester extends TestHarness {
+  async testNumbers() {
+    console.log("\n=== 无损数字 ===");
+
+    await this.check("bigint 模式：安全整数为 Number，大整数为 BigInt", () => {
+      assert.equal(parseJSONNumber("42", "bigint"), 42);
+      assert.equal(
+        parseJSONNumber("12345678901234567890", "bigint"),
+        12345678901234567890n,
+      );
+      assert.ok(parseJSONNumber("0.10", "bigint") instanceof JSONDecimal);
+      assert.ok(parseJSONNumber("-0", "bigint") instanceof JSONDecimal);
+    });
+
+    await this.check("string 模式保留所有数字的原文", () => {
+      const value = parseJSONNumber("1.50", "string");
+      assert.ok(value instanceof JSONDecimal);
+      assert.equal(value.text, "1.50");
+      assert.equal(Number(value), 1.5);
+    });
+
+    await this.check("无效的数字文本和数字模式", () => {
+      assert.throws(() => new JSONDecimal("01"), SyntaxError);
+      assert.throws(
+        () => parseJSON("1", { numbers: "float" }),
+        /未知的数字模式/,
+      );
+    });
+  }
+
+  async testRoundTrip() {
+    console.log("\n=== 往返一致 ===");
+
+    const samples = [
+      '{"id":12345678901234567890,"price":0.10,"big":1e400,"zero":-0}',
+      "[1.0,2.50,-0.000,9007199254740993]",
+      '{"__proto__":{"x":1},"a":{"__proto__":[12345678901234567890]}}',
+      '{"constructor":{"prototype":1},"toString":"x","hasOwnProperty":null}',
+    ];
+    for (const numbers of ["bigint", "string"]) {
+      for (const text of samples) {
+        await this.check(`${numbers}: ${text}`, async () => {
+          const value = parseJSON(text, { numbers });
+          assert.equal(stringifyJSON(value), text);
+          assert.equal(await writeWithStreamWriter(value), text);
+        });
+      }
+    }
+
+    await this.check("__proto__ 成为普通属性，不修改原型", () => {
+      for (const numbers of ["number", "bigint", "string"]) {
+        const value = parseJSON('{"__proto__":{"polluted":true}}', {
+          numbers,
+        });
+        assert.equal(Object.getPrototypeOf(value), Object.prototype);
+        assert.deepEqual(Object.keys(value), ["__proto__"]);
+        assert.equal(value.polluted, undefined);
+        assert.equal({}.polluted, undefined);
+      }
+    });
+
+    await this.check("stringifyJSON 的缩进与 JSON.stringify 相同", () => {
+      const value = { a: [1, { b: null }], c: "字符串", d: [] };
+      assert.equal(stringifyJSON(value, "  "), JSON.stringify(value, null, 2));
+      assert.equal(stringifyJSON(undefined), undefined);
+    });
+  }
+
+  async testDuplicateKeys() {
+    console.log("\n=== 重复的键 ===");
+
+    const text = '{"a":1,"__proto__":2,"a":3,"__proto__":4,"a":5}';
+    const expected = {
+      "last-wins": '{"a":5,"__proto__":4}',
+      "first-wins": '{"a":1,"__proto__":2}',
+      "collect-as-array": '{"a":[1,3,5],"__proto__":[2,4]}',
+    };
+    for (const [duplicateKeys, output] of Object.entries(expected)) {
+      await this.check(duplicateKeys, () => {
+        const value = parseJSON(text, { numbers: "bigint", duplicateKeys });
+        assert.equal(stringifyJSON(value), output);
+      });
+    }
+
+    await this.check("error 模式报告路径", () => {
+      assert.throws(
+        () => parseJSON('{"x":{"k":1,"k":2}}', { duplicateKeys: "error" }),
+        (error) =>
+          error instanceof DuplicateKeyError &&
+          JSON.stringify(error.keys) === '["x","k"]',
+      );
+    });
+  }
+
+  async testAll() {
+    await this.testNumbers();
+    await this.testRoundTrip();
+    await this.testDuplicateKeys();
+    return this.report();
+  }
+}
+
+/**
+ * 用 JSONStreamWriter 写出到内存中的字符串
+ */
+async function writeWithStreamWriter(value) {
+  let output = "";
+  const writer = new JSONStreamWriter(
+    new Writable({
+      write(chunk, _encoding, callback) {
+        output += chunk;
+        callback();
+      },
+    }),
+  );
+  await writer.write(value);
+  await writer.end();
+  return output;
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONValuesTester.main();
+}
@@ -0,0 +1,207 @@
+import assert from "assert/strict";
+import http from "http";
+import JSONWebServer from "./json-web-server.js";
+import TestHarness from "./test-harness.js";
+
+export default class JSONWebServerTester extends TestHarness {
+  /**
+   * 请求接口，返回状态码和解析后的 JSON
+   */
+  async get(pathname, options = {}) {
+    const response = await fetch(new URL(pathname, this.url), options);
+    assert.equal(
+      response.headers.get("content-type"),
+      "application/json; charset=utf-8",
+    );
+    return { status: response.status, body: await response.json() };
+  }
+
+  async testNode() {
+    console.log("\n=== /api/info 和 /api/node ===");
+
+    await this.check("文件信息", async () => {
+      const { status, body } = await this.get("/api/info");
+      assert.equal(status, 200);
+      assert.equal(body.name, "data.json");
+      assert.equal(body.size, Buffer.byteLength(this.content));
+      assert.equal(body.pageSize, 2);
+    });
+
+    await this.check("根节点和第一页成员", async () => {
+      const { body } = await this.get("/api/node");
+      assert.equal(body.path, "$");
+      assert.equal(body.type, "object");
+      assert.equal(body.count, 4);
+      assert.deepEqual(body.children.map(({ key }) => key), ["meta", "items"]);
+      assert.equal(body.children[1].count, 250);
+    });
+
+    await this.check("分页和 JSON Pointer 路径", async () => {
+      const { body } = await this.get("/api/node?path=$.items&offset=248");
+      assert.equal(body.offset, 248);
+      assert.deepEqual(body.children.map(({ key }) => key), [248, 249]);
+      assert.equal(body.children[0].pointer, "/items/248");
+
+      const leaf = await this.get("/api/node?path=/items/3/id");
+      assert.equal(leaf.body.type, "number");
+      assert.equal(leaf.body.text, "3");
+      assert.equal(leaf.body.children, undefined);
+    });
+
+    await this.check("路径不存在或无效", async () => {
+      assert.deepEqual(await this.get("/api/node?path=$.nope"), {
+        status: 404,
+        body: { error: "路径不存在: $.nope" },
+      });
+      assert.equal((await this.get("/api/node?path=$..x")).status, 400);
+      const { status, body } = await this.get("/api/node?offset=-1");
+      assert.equal(status, 400);
+      assert.match(body.error, /offset 必须是非负整数/);
+    });
+  }
+
+  async testValue() {
+    console.log("\n=== /api/value ===");
+
+    await this.check("较小的值重新缩进并保留大整数", async () => {
+      const { body } = await this.get("/api/value?path=$.meta");
+      assert.deepEqual(body, {
+        path: "$.meta",
+        bytes: 17,
+        truncated: false,
+        text: '{\n  "name": "示例"\n}',
+      });
+      const big = await this.get("/api/value?path=/a~1b");
+      assert.equal(big.body.text, "12345678901234567890");
+    });
+
+    await this.check("超过 maxValueBytes 时只返回开头部分", async () => {
+      const { body } = await this.get("/api/value?path=$.items");
+      assert.equal(body.truncated, true);
+      assert.ok(body.bytes > 100);
+      assert.ok(this.content.includes(body.text.slice(0, 100)));
+    });
+
+    await this.check("路径不存在", async () => {
+      assert.equal((await this.get("/api/value?path=$.meta.x")).status, 404);
+    });
+  }
+
+  async testSearch() {
+    console.log("\n=== /api/search ===");
+
+    await this.check("结果带有 JSON Pointer", async () => {
+      const { body } = await this.get(
+        `/api/search?q=${encodeURIComponent("示")}`,
+      );
+      assert.equal(body.more, false);
+      assert.deepEqual(
+        body.results.map(({ pointer, value }) => [pointer, value]),
+        [["/meta/name", "示例"]],
+      );
+    });
+
+    await this.check("数值比较和 limit", async () => {
+      const query = encodeURIComponent(">= 247");
+      const { body } = await this.get(`/api/search?q=${query}&limit=2`);
+      assert.deepEqual(body.results.map(({ value }) => value), [247, 248]);
+      assert.equal(body.more, true);
+    });
+
+    await this.check("limit 不超过 maxPageSize", async () => {
+      const query = encodeURIComponent(">= 0");
+      const { body } = await this.get(`/api/search?q=${query}&limit=100000`);
+      assert.equal(body.results.length, 3);
+      assert.equal(body.more, true);
+    });
+
+    await this.check("搜索范围和类型", async () => {
+      const { body } = await this.get(
+        "/api/search?q=a&target=keys&type=number&exact=0",
+      );
+      assert.deepEqual(body.results.map(({ path }) => path), ["$['a/b']"]);
+    });
+
+    await this.check("无效的搜索参数", async () => {
+      assert.deepEqual(await this.get("/api/search"), {
+        status: 400,
+        body: { error: "缺少搜索内容 q" },
+      });
+      const { status, body } = await this.get("/api/search?q=x&target=zz");
+      assert.equal(status, 400);
+      assert.match(body.error, /未知的搜索范围/);
+    });
+  }
+
+  async testRouting() {
+    console.log("\n=== 路由 ===");
+
+    await this.check("网页、未知地址和请求方法", async () => {
+      const page = await fetch(this.url);
+      assert.equal(
+        page.headers.get("content-type"),
+        "text/html; charset=utf-8",
+      );
+      assert.match(await page.text(), /^<!DOCTYPE html>/);
+      assert.equal((await this.get("/nope")).status, 404);
+      assert.equal(
+        (await this.get("/api/info", { method: "POST" })).status,
+        405,
+      );
+    });
+  }
+
+  /**
+   * 以指定的 Host 请求头发送请求，返回状态码
+   */
+  requestWithHost(host) {
+    return new Promise((resolve, reject) => {
+      http.get(new URL("/api/info", this.url), { headers: { host } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on("error", reject);
+    });
+  }
+
+  async testHost() {
+    console.log("\n=== Host 请求头 ===");
+
+    await this.check("拒绝其他域名，防止 DNS 重绑定", async () => {
+      const { port } = new URL(this.url);
+      assert.equal(await this.requestWithHost(`localhost:${port}`), 200);
+      assert.equal(await this.requestWithHost(`127.0.0.1:${port}`), 200);
+      assert.equal(await this.requestWithHost(`evil.example:${port}`), 403);
+      assert.equal(await this.requestWithHost("localhost"), 403);
+      assert.equal(await this.requestWithHost(`localhost:${port}.x`), 403);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-web-", async () => {
+      const items = Array.from({ length: 250 }, (_, id) => ({ id }));
+      this.content = `{"meta":{"name":"示例"},"items":${
+        JSON.stringify(items)
+      },"a/b":12345678901234567890,"tags":["a"]}`;
+      const server = new JSONWebServer(
+        await this.writeFile("data.json", this.content),
+        { pageSize: 2, maxPageSize: 3, maxValueBytes: 100 },
+      );
+      this.url = await server.listen(0);
+      try {
+        await this.testNode();
+        await this.testValue();
+        await this.testSearch();
+        await this.testRouting();
+        await this.testHost();
+      } finally {
+        await server.close();
+      }
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JSONWebServerTester.main();
+}
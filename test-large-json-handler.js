@@ -0,0 +1,342 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import LargeJSONHandler from "./index.js";
+import { JSONSyntaxError } from "./json-tokenizer.js";
+import TestHarness from "./test-harness.js";
+
+export default class LargeJSONHandlerTester extends TestHarness {
+  constructor() {
+    super();
+    this.handler = new LargeJSONHandler();
+  }
+
+  async readChunks(filePath, options) {
+    const chunks = [];
+    for await (
+      const chunk of this.handler.readJSONInChunks(filePath, options)
+    ) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  async testReadJSONInChunks() {
+    console.log("\n=== readJSONInChunks ===");
+
+    await this.check("字符串中的括号不影响切分，每个块都能解析", async () => {
+      const value = {
+        a: "x}y".repeat(10),
+        big: "q".repeat(300),
+        arr: [1, 2, 3],
+      };
+      const filePath = await this.writeFile(
+        "brackets.json",
+        JSON.stringify(value),
+      );
+      const chunks = await this.readChunks(filePath, { chunkSize: 100 });
+      assert.deepEqual(chunks.map(({ chunk }) => JSON.parse(chunk)), [
+        { a: value.a },
+        { big: value.big },
+        { arr: [1, 2, 3] },
+      ]);
+      assert.deepEqual(chunks.map(({ position }) => position), [1, 38, 347]);
+    });
+
+    await this.check(
+      "大容器按成员展开，块不超过 chunkSize，合并后还原",
+      async () => {
+        const content = await fs.readFile("./openapi.json", "utf8");
+        const filePath = await this.writeFile("openapi.json", content);
+        const chunks = await this.readChunks(filePath, { chunkSize: 500 });
+        for (const { chunk } of chunks) {
+          assert.ok(Buffer.byteLength(chunk) <= 500, `块过大: ${chunk.length}`);
+        }
+        assert.deepEqual(rebuild(chunks), JSON.parse(content));
+      },
+    );
+
+    await this.check("按 keys 还原展开的嵌套数组", async () => {
+      const value = {
+        a: [Array.from({ length: 20 }, (_, i) => i + 1), [30, 31]],
+      };
+      const filePath = await this.writeFile(
+        "split.json",
+        JSON.stringify(value),
+      );
+      const chunks = await this.readChunks(filePath, { chunkSize: 30 });
+      assert.deepEqual(
+        chunks.map(({ keys }) => keys),
+        [["a", 0], ["a", 0], ["a", 0], ["a"]],
+      );
+      assert.deepEqual(rebuild(chunks), value);
+    });
+
+    await this.check("嵌套数组的块带有路径，position 为字节偏移", async () => {
+      const filePath = await this.writeFile(
+        "nested.json",
+        '{"名称":"值","items":[[1,2,3,4,5,6,7,8,9,10,11,12]]}',
+      );
+      const chunks = await this.readChunks(filePath, { chunkSize: 30 });
+      assert.deepEqual(
+        chunks.map(({ chunk, path }) => [path, chunk]),
+        [
+          ["$", '{"名称":"值"}'],
+          ["$['items'][0]", '{"items":[[1,2,3,4,5,6,7,8]]}'],
+          ["$['items'][0]", '{"items":[[9,10,11,12]]}'],
+        ],
+      );
+      assert.equal(chunks[1].position, 26);
+      assert.deepEqual(chunks[1].keys, ["items", 0]);
+    });
+
+    await this.check("多个顶层值各自成块", async () => {
+      const filePath = await this.writeFile(
+        "values.ndjson",
+        '{"a":1}\n[2]\n3\n"s"\n',
+      );
+      const chunks = await this.readChunks(filePath, { chunkSize: 100 });
+      assert.deepEqual(chunks.map(({ chunk }) => chunk), [
+        '{"a":1}',
+        "[2]",
+        "3",
+        '"s"',
+      ]);
+    });
+
+    await this.check("pretty 美化每个块", async () => {
+      const filePath = await this.writeFile("pretty.json", '{"x":[1,2]}');
+      const [{ chunk }] = await this.readChunks(filePath, { pretty: true });
+      assert.equal(chunk, '{\n  "x": [\n    1,\n    2\n  ]\n}');
+    });
+
+    await this.check("跳过文件开头的 BOM", async () => {
+      const filePath = await this.writeFile("bom.json", '\ufeff{"a":[1,2]}');
+      const chunks = await this.readChunks(filePath, {});
+      assert.deepEqual(
+        chunks.map(({ chunk, position }) => [chunk, position]),
+        [['{"a":[1,2]}', 3]],
+      );
+    });
+
+    await this.check("语法错误时抛出异常", async () => {
+      const filePath = await this.writeFile("broken.json", "[1,2");
+      await assert.rejects(this.readChunks(filePath, {}), /数组未闭合/);
+    });
+  }
+
+  async testReadArraySlice() {
+    console.log("\n=== readArraySlice ===");
+
+    await this.check("流式读取数组的一段", async () => {
+      const filePath = await this.writeFile(
+        "slice.json",
+        '{"items":[0,1,2,3,4,5]}',
+      );
+      assert.deepEqual(
+        await this.handler.readArraySlice(filePath, "$.items", 2, 4),
+        {
+          items: [2, 3],
+          start: 2,
+          end: 4,
+          length: null,
+        },
+      );
+      assert.deepEqual(
+        await this.handler.readArraySlice(filePath, "$.items", 4),
+        { items: [4, 5], start: 4, end: 6, length: 6 },
+      );
+    });
+
+    await this.check("拒绝负数和非整数下标", async () => {
+      const filePath = await this.writeFile("bounds.json", "[1,2,3]");
+      for (const [start, end] of [[-1, 2], [0, -1], [0.5, 2], ["1", 2]]) {
+        await assert.rejects(
+          this.handler.readArraySlice(filePath, "$", start, end),
+          /切片的(起始|结束)下标必须是非负整数/,
+          `${start}:${end}`,
+        );
+      }
+    });
+  }
+
+  async testJSONArrayToNDJSON() {
+    console.log("\n=== jsonArrayToNDJSON ===");
+
+    const inputPath = await this.writeFile(
+      "array.json",
+      '{"items":[{"a":1},[2],"3"],"empty":[],"object":{"a":1}}',
+    );
+    const convert = (arrayPath, filePath = inputPath) =>
+      this.handler.jsonArrayToNDJSON(
+        filePath,
+        path.join(this.directory, "out.ndjson"),
+        { path: arrayPath },
+      );
+    const outputExists = () =>
+      fs.access(path.join(this.directory, "out.ndjson")).then(
+        () => true,
+        () => false,
+      );
+
+    await this.check("逐个元素写成一行", async () => {
+      assert.equal(await convert("$.items"), 3);
+      assert.equal(
+        await fs.readFile(path.join(this.directory, "out.ndjson"), "utf8"),
+        '{"a":1}\n[2]\n"3"\n',
+      );
+    });
+
+    await this.check("空数组写出空文件", async () => {
+      assert.equal(await convert("empty"), 0);
+      assert.equal(
+        await fs.readFile(path.join(this.directory, "out.ndjson"), "utf8"),
+        "",
+      );
+    });
+
+    await this.check("路径不存在或不是数组时不创建输出文件", async () => {
+      await fs.rm(path.join(this.directory, "out.ndjson"));
+      await assert.rejects(convert("$.missing"), /路径 \$\.missing 不存在/);
+      assert.equal(await outputExists(), false);
+      await assert.rejects(convert("$.object"), TypeError);
+      assert.equal(await outputExists(), false);
+    });
+
+    await this.check("中途出错时删除不完整的输出文件", async () => {
+      const brokenPath = await this.writeFile("truncated.json", '{"a":[1,2');
+      await assert.rejects(convert("$.a", brokenPath));
+      assert.equal(await outputExists(), false);
+    });
+  }
+
+  async testNormalizeJSON() {
+    console.log("\n=== normalizeJSON ===");
+
+    const outputPath = path.join(this.directory, "normalized.json");
+    const normalize = async (content) =>
+      this.handler.normalizeJSON(
+        await this.writeFile("input.json5", content),
+        outputPath,
+      );
+    const outputExists = () =>
+      fs.access(outputPath).then(() => true, () => false);
+
+    await this.check("转换为严格的 JSON，数字保持原文", async () => {
+      await normalize("// 注释\n{a: 0x10, b: [1.50, 'x',], c: +Infinity,}");
+      assert.equal(
+        await fs.readFile(outputPath, "utf8"),
+        '{"a":16,"b":[1.50,"x"],"c":null}',
+      );
+    });
+
+    await this.check("__proto__ 往返后仍是普通属性", async () => {
+      const text =
+        '{"__proto__":{"x":12345678901234567890},"a":[{"__proto__":1}]}';
+      await normalize(text);
+      assert.equal(await fs.readFile(outputPath, "utf8"), text);
+      await normalize(`[${text}]`);
+      assert.equal(await fs.readFile(outputPath, "utf8"), `[${text}]`);
+    });
+
+    await this.check("根对象逐个成员写出，重复的键全部保留", async () => {
+      await normalize("{a: {b: [1, 2,]}, 'a': 'x', c: [],}");
+      assert.equal(
+        await fs.readFile(outputPath, "utf8"),
+        '{"a":{"b":[1,2]},"a":"x","c":[]}',
+      );
+      await normalize("{ /* 空对象 */ }");
+      assert.equal(await fs.readFile(outputPath, "utf8"), "{}");
+    });
+
+    await this.check("语法错误时删除不完整的输出文件", async () => {
+      await assert.rejects(normalize("[1,2"), /数组未闭合/);
+      assert.equal(await outputExists(), false);
+      await assert.rejects(normalize("{a: 1"), /对象未闭合/);
+      assert.equal(await outputExists(), false);
+      await assert.rejects(normalize("{a: 1, b: [2}"), JSONSyntaxError);
+      assert.equal(await outputExists(), false);
+    });
+  }
+
+  async testBrackets() {
+    console.log("\n=== findPreviousBracket / findNextBracket ===");
+
+    await this.check("跳过字符串中的括号和转义", () => {
+      const content = '{"a":"}\\"]","b":[1,{"c":"é"}]}';
+      const position = content.indexOf('"c"');
+      const start = this.handler.findPreviousBracket(content, position);
+      const end = this.handler.findNextBracket(content, position);
+      assert.equal(content.slice(start, end), '{"c":"é"}');
+    });
+
+    await this.check("同一段文本只扫描一次", () => {
+      const content = "[[1],[2]]";
+      this.handler.findPreviousBracket(content, 6);
+      const scan = this.handler.containerScan;
+      this.handler.findNextBracket(content, 6);
+      assert.equal(this.handler.containerScan, scan);
+      assert.equal(this.handler.findNextBracket(content, 6), 8);
+    });
+
+    await this.check("找不到时返回 -1", () => {
+      assert.equal(this.handler.findPreviousBracket('"abc"', 1), -1);
+      assert.equal(this.handler.findNextBracket("[1,", 1), -1);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("large-json-handler-", async () => {
+      await this.testReadJSONInChunks();
+      await this.testReadArraySlice();
+      await this.testJSONArrayToNDJSON();
+      await this.testNormalizeJSON();
+      await this.testBrackets();
+    });
+    return this.report();
+  }
+}
+
+/**
+ * 按 readJSONInChunks() 的约定还原：沿 keys 取出块中的成员，追加到对应的容器
+ */
+function rebuild(chunks) {
+  let result;
+  for (const { chunk, keys } of chunks) {
+    let members = JSON.parse(chunk);
+    if (result === undefined) {
+      result = members;
+      continue;
+    }
+
+    let target = result;
+    let added = false;
+    for (const key of keys) {
+      // 外层数组只有一个元素，即 keys 中对应下标的元素
+      members = typeof key === "number" ? members[0] : members[key];
+      if (
+        Array.isArray(target)
+          ? key >= target.length
+          : !Object.hasOwn(target, key)
+      ) {
+        target[key] = members;
+        added = true;
+        break;
+      }
+      target = target[key];
+    }
+    if (!added) {
+      if (Array.isArray(target)) {
+        target.push(...members);
+      } else {
+        Object.assign(target, members);
+      }
+    }
+  }
+  return result;
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await LargeJSONHandlerTester.main();
+}
@@ -0,0 +1,100 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { JsonMerger } from "./merge-json-files.js";
+import TestHarness from "./test-harness.js";
+
+export default class JsonMergerTester extends TestHarness {
+  /**
+   * 在临时目录中运行合并，返回 run() 的结果、统计和输出文件的内容
+   */
+  async merge(options = {}) {
+    const merger = new JsonMerger({ inputDir: this.directory, ...options });
+    const success = merger.run();
+    const outputPath = path.join(
+      this.directory,
+      merger.options.outputFile,
+    );
+    const output = JSON.parse(await fs.readFile(outputPath, "utf8"));
+    await fs.rm(outputPath);
+    return { success, stats: merger.stats, output };
+  }
+
+  async testMerge() {
+    console.log("\n=== 合并 ===");
+
+    await this.check("文件名作为键，跳过排除的文件和非法文件", async () => {
+      await this.writeFile("a.json", '{"x": 1}');
+      await this.writeFile("b.json", "[1, 2]");
+      await this.writeFile("package.json", "{}");
+      await this.writeFile("notes.txt", "{}");
+      await this.writeFile("broken.json", '{"x": ');
+
+      const { success, stats, output } = await this.merge();
+      assert.equal(success, true);
+      assert.deepEqual(output, { a: { x: 1 }, b: [1, 2] });
+      assert.deepEqual(stats, {
+        totalFiles: 3,
+        successful: 2,
+        failed: 0,
+        skipped: 1,
+      });
+    });
+
+    await this.check("输出文件名和排除列表", async () => {
+      const { output } = await this.merge({
+        outputFile: "all.json",
+        excludeFiles: ["all.json", "package.json", "broken.json", "b.json"],
+      });
+      assert.deepEqual(output, { a: { x: 1 } });
+    });
+  }
+
+  async testDuplicateKeys() {
+    console.log("\n=== 重复的键 ===");
+
+    const expected = {
+      "last-wins": { k: 2, nested: { v: "b" } },
+      "first-wins": { k: 1, nested: { v: "a" } },
+      "collect-as-array": { k: [1, 2], nested: { v: ["a", "b"] } },
+    };
+    for (const [duplicateKeys, value] of Object.entries(expected)) {
+      await this.check(duplicateKeys, async () => {
+        const { output } = await this.merge({ duplicateKeys });
+        assert.deepEqual(output.dup, value);
+        assert.deepEqual(output.a, { x: 1 });
+      });
+    }
+
+    await this.check('"error" 时含有重复键的文件视为非法', async () => {
+      const { stats, output } = await this.merge({ duplicateKeys: "error" });
+      assert.deepEqual(Object.keys(output), ["a", "b"]);
+      assert.equal(stats.skipped, 2);
+      assert.equal(stats.successful, 2);
+    });
+
+    await this.check("未知的处理方式", () => {
+      assert.throws(
+        () => new JsonMerger({ duplicateKeys: "last" }),
+        /未知的重复键处理方式: last/,
+      );
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("json-merger-", async () => {
+      await this.testMerge();
+      await this.writeFile(
+        "dup.json",
+        '{"k": 1, "nested": {"v": "a", "v": "b"}, "k": 2}',
+      );
+      await this.testDuplicateKeys();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await JsonMergerTester.main();
+}
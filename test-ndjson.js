@@ -0,0 +1,106 @@
+import assert from "assert/strict";
+import zlib from "zlib";
+import { NDJSONError, readNDJSON } from "./ndjson.js";
+import TestHarness from "./test-harness.js";
+
+export default class NDJSONTester extends TestHarness {
+  async read(content, options = {}, name = "data.ndjson") {
+    const filePath = await this.writeFile(name, content);
+    const records = [];
+    for await (const record of readNDJSON(filePath, options)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  async testRead() {
+    console.log("\n=== 逐行读取 ===");
+
+    const content = '﻿{"a":1}\r\n\n  \n{"b":"中文"}\n[2]';
+
+    await this.check("跳过空行，去掉 BOM 和行尾的 \\r", async () => {
+      assert.deepEqual(await this.read(content), [
+        { value: { a: 1 }, line: 1, position: 0 },
+        { value: { b: "中文" }, line: 4, position: 16 },
+        { value: [2], line: 5, position: 31 },
+      ]);
+    });
+
+    await this.check("很小的缓冲区与默认缓冲区的结果相同", async () => {
+      assert.deepEqual(
+        await this.read(content, { highWaterMark: 1 }),
+        await this.read(content),
+      );
+    });
+
+    await this.check("压缩文件", async () => {
+      const records = await this.read(
+        zlib.gzipSync('{"a":1}\n{"a":2}\n'),
+        {},
+        "data.ndjson.gz",
+      );
+      assert.deepEqual(records.map(({ value }) => value.a), [1, 2]);
+    });
+
+    await this.check("数字模式", async () => {
+      const [{ value }] = await this.read('{"id":12345678901234567890}', {
+        numbers: "bigint",
+      });
+      assert.equal(value.id, 12345678901234567890n);
+      await assert.rejects(
+        this.read("1", { numbers: "float" }),
+        /未知的数字模式: float/,
+      );
+    });
+  }
+
+  async testErrors() {
+    console.log("\n=== 无效的行 ===");
+
+    const content = '{"a":1}\n{"b":x}\n[2]\n';
+
+    await this.check("默认跳过无效的行并报告", async () => {
+      const errors = [];
+      const records = await this.read(content, {
+        onError: (error) => errors.push(error),
+      });
+      assert.deepEqual(records.map(({ line }) => line), [1, 3]);
+      assert.equal(errors.length, 1);
+      assert.ok(errors[0] instanceof NDJSONError);
+      assert.equal(errors[0].line, 2);
+      assert.equal(errors[0].position, 8);
+      assert.equal(errors[0].text, '{"b":x}');
+      assert.match(errors[0].message, /^第 2 行: /);
+    });
+
+    await this.check("strict 模式抛出第一个错误", async () => {
+      await assert.rejects(
+        this.read(content, { strict: true }),
+        (error) => error instanceof NDJSONError && error.line === 2,
+      );
+    });
+
+    await this.check("duplicateKeys 为 error 时重复键的行无效", async () => {
+      const errors = [];
+      const records = await this.read('{"a":1,"a":2}\n{"b":1}\n', {
+        duplicateKeys: "error",
+        onError: (error) => errors.push(error),
+      });
+      assert.deepEqual(records.map(({ value }) => value), [{ b: 1 }]);
+      assert.match(errors[0].message, /重复的键 "a"/);
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("ndjson-", async () => {
+      await this.testRead();
+      await this.testErrors();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await NDJSONTester.main();
+}
@@ -0,0 +1,192 @@
+import assert from "assert/strict";
+import fs from "fs/promises";
+import zlib from "zlib";
+import JSONParser from "./json-parser.js";
+import TestHarness from "./test-harness.js";
+
+const FILES = ["./test-output.json", "./large-example.json", "./openapi.json"];
+
+export default class ParserStrategyTester extends TestHarness {
+  constructor() {
+    super();
+    this.parser = new JSONParser();
+  }
+
+  async testFile(filePath) {
+    console.log(`\n=== 解析策略测试: ${filePath} ===`);
+
+    await this.check("各策略的值与 JSON.parse 一致，统计结果相同", async () => {
+      const expected = JSON.parse(await fs.readFile(filePath, "utf8"));
+      const results = [];
+      for (const strategy of ["auto", "direct", "stream-json", "chunk"]) {
+        const result = await this.parser.parse(filePath, {
+          strategy,
+          output: "value",
+        });
+        assert.equal(result.success, true, `${strategy}: ${result.error}`);
+        assert.deepEqual(result.value, expected, strategy);
+        results.push(result);
+      }
+
+      const [auto, ...rest] = results;
+      assert.equal(auto.strategy, "direct");
+      assert.equal(auto.selection.strategy, "direct");
+      assert.deepEqual(
+        rest.map(({ strategy }) => strategy),
+        ["direct", "stream-json", "chunk"],
+      );
+      for (const result of rest) {
+        assert.deepEqual(result.stats, auto.stats, result.strategy);
+        assert.deepEqual(result.structure, auto.structure, result.strategy);
+        assert.deepEqual(result.topLevelKeys, auto.topLevelKeys);
+      }
+    });
+  }
+
+  /**
+   * 写入文件后选择策略
+   */
+  async select(name, content, options) {
+    const filePath = await this.writeFile(name, content);
+    return await this.parser.selectStrategy(filePath, options);
+  }
+
+  async testSniff() {
+    console.log("\n=== 嗅探文件开头 ===");
+
+    await this.check("根值类型和采样深度，跳过 BOM", async () => {
+      const { strategy, factors } = await this.select(
+        "object.json",
+        '\uFEFF{"a": [{"b": 1}]}',
+      );
+      assert.equal(strategy, "direct");
+      assert.deepEqual(factors.shape, {
+        rootType: "object",
+        multipleValues: false,
+        sampleDepth: 3,
+        valid: true,
+      });
+    });
+
+    await this.check("多个顶层值选择 stream-json", async () => {
+      for (
+        const content of ['{"a":1}\n{"a":2}\n', "1 2", '{"a":1} {"b":']
+      ) {
+        const { strategy, reason, factors } = await this.select(
+          "multi.json",
+          content,
+        );
+        assert.equal(factors.shape.multipleValues, true, content);
+        assert.equal(strategy, "stream-json", content);
+        assert.match(reason, /多个顶层值/);
+      }
+      const single = await this.select("single.json", " 1 ");
+      assert.equal(single.factors.shape.multipleValues, false);
+      assert.equal(single.factors.shape.rootType, "number");
+    });
+
+    await this.check("只读取文件开头 64 KiB", async () => {
+      // 采样在数组中间截断，不算语法错误
+      const items = Array.from({ length: 20000 }, (_, id) => ({ id }));
+      const { strategy, factors } = await this.select(
+        "large.json",
+        JSON.stringify(items),
+      );
+      assert.equal(strategy, "direct");
+      assert.equal(factors.shape.rootType, "array");
+      assert.equal(factors.shape.multipleValues, false);
+      assert.equal(factors.shape.valid, true);
+    });
+
+    await this.check("开头存在语法错误时选择 chunk", async () => {
+      const { strategy, reason, factors } = await this.select(
+        "broken.json",
+        '{"a": ]',
+      );
+      assert.equal(factors.shape.valid, false);
+      assert.equal(strategy, "chunk");
+      assert.match(reason, /语法错误/);
+    });
+  }
+
+  async testSelectStrategy() {
+    console.log("\n=== selectStrategy ===");
+
+    await this.check("单一路径选择 stream-json，其它路径直接解析", async () => {
+      const content = '{"a": {"b": [1, 2]}}';
+      const singular = await this.select("path.json", content, {
+        output: "path",
+        path: "$.a.b[0]",
+      });
+      assert.equal(singular.strategy, "stream-json");
+      assert.match(singular.reason, /单一路径/);
+      const descendant = await this.select("path.json", content, {
+        output: "path",
+        path: "$..b",
+      });
+      assert.equal(descendant.strategy, "direct");
+    });
+
+    await this.check("gzip 按文件尾记录的原始大小估算", async () => {
+      const content = JSON.stringify({ items: new Array(1000).fill("x") });
+      const { factors } = await this.select("data.gz", zlib.gzipSync(content));
+      assert.equal(factors.estimatedSize, content.length);
+      assert.equal(factors.estimatedMemory, content.length * 8);
+    });
+
+    await this.check("预计内存超过可用堆内存的一半时流式解析", async () => {
+      // 内容超过嗅探的长度，读不到被改写的文件尾，不会报告校验错误
+      const gzip = zlib.gzipSync(JSON.stringify(new Array(100000).fill(0)));
+      // 文件尾记录的原始大小约 4 GB
+      gzip.writeUInt32LE(0xFFFFFFF0, gzip.length - 4);
+      const stats = await this.select("huge.gz", gzip);
+      assert.equal(stats.factors.estimatedSize, 0xFFFFFFF0);
+      assert.ok(stats.factors.estimatedMemory > stats.factors.availableHeap);
+      assert.equal(stats.strategy, "stream-json");
+      assert.match(stats.reason, /超过直接解析的安全范围/);
+
+      const value = await this.select("huge.gz", gzip, { output: "value" });
+      assert.equal(value.strategy, "stream-json");
+      assert.match(value.reason, /流式组装只保留最终的值/);
+    });
+
+    await this.check("其它情况按假定的压缩比估算", async () => {
+      // gzip 文件尾的原始大小比文件还小时不可信
+      const tiny = zlib.gzipSync("1");
+      const gzip = await this.select("tiny.gz", tiny);
+      assert.equal(gzip.factors.estimatedSize, tiny.length * 10);
+
+      const br = zlib.brotliCompressSync('{"a": 1}');
+      const brotli = await this.select("data.json.br", br);
+      assert.equal(brotli.factors.estimatedSize, br.length * 10);
+      assert.equal(brotli.factors.shape.rootType, "object");
+    });
+
+    await this.check("未知的策略和无效的策略对象", () => {
+      assert.throws(
+        () => this.parser.getStrategy("nope"),
+        /未知的解析策略: nope（可用: direct, stream-json, chunk）/,
+      );
+      assert.throws(
+        () => this.parser.registerStrategy({ name: "x" }),
+        /解析策略需要提供 name 和 tokens\(\)/,
+      );
+    });
+  }
+
+  async testAll() {
+    for (const file of FILES) {
+      await this.testFile(file);
+    }
+    await this.inTemporaryDirectory("parser-strategies-", async () => {
+      await this.testSniff();
+      await this.testSelectStrategy();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await ParserStrategyTester.main();
+}
@@ -0,0 +1,71 @@
+import assert from "assert/strict";
+import SimpleJSONBrowser from "./simple-browser.js";
+import TestHarness from "./test-harness.js";
+
+export default class SimpleBrowserTester extends TestHarness {
+  /**
+   * 运行 searchKey()，同时收集输出的行
+   */
+  async searchKey(...args) {
+    const lines = [];
+    const log = console.log;
+    console.log = (line) => lines.push(line);
+    try {
+      const found = await new SimpleJSONBrowser().searchKey(...args);
+      return { ...found, lines };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  async testSearchKey() {
+    console.log("\n=== searchKey ===");
+
+    await this.check("只保留前 limit 个匹配项，其余只计数", async () => {
+      const filePath = await this.writeFile(
+        "items.json",
+        JSON.stringify(Array.from({ length: 30 }, (_, id) => ({ id }))),
+      );
+      const { count, results, lines } = await this.searchKey(
+        filePath,
+        "id",
+        3,
+      );
+      assert.equal(count, 30);
+      assert.deepEqual(results.map(({ path }) => path), [
+        "$[0]['id']",
+        "$[1]['id']",
+        "$[2]['id']",
+      ]);
+      assert.deepEqual(results[1], {
+        key: "id",
+        path: "$[1]['id']",
+        offset: 11,
+        type: "number",
+        value: 1,
+      });
+      assert.ok(lines.includes("  ... 还有 27 个"));
+      assert.equal(lines.at(-1), "✅ 共找到 30 个匹配项");
+    });
+
+    await this.check("没有匹配项", async () => {
+      const filePath = await this.writeFile("empty.json", '{"a":1}');
+      const { count, results, lines } = await this.searchKey(filePath, "b");
+      assert.equal(count, 0);
+      assert.deepEqual(results, []);
+      assert.equal(lines.at(-1), "❌ 未找到匹配的键");
+    });
+  }
+
+  async testAll() {
+    await this.inTemporaryDirectory("simple-browser-", async () => {
+      await this.testSearchKey();
+    });
+    return this.report();
+  }
+}
+
+// 如果直接运行此文件，执行测试
+if (import.meta.main) {
+  await SimpleBrowserTester.main();
+}